@@ -0,0 +1,521 @@
+/**
+ * Analysis Reports
+ * Builds JSON, CSV and standalone HTML reports from analysis results, entirely client-side
+ */
+
+const AnalysisReport = {
+    version: 1,
+
+    /**
+     * Flatten analysis results into a serializable report
+     * Spectra and tile lists are left out; the report keeps scores and settings.
+     * @param {Object} results - Result of FFTAnalyzer.analyzeVideo
+     * @param {Object} input - Input metadata { source, name, type, size, width, height }
+     * @param {Date} generatedAt - Report timestamp
+     * @returns {Object} Report
+     */
+    build(results, input, generatedAt = new Date()) {
+        return {
+            version: this.version,
+            generatedAt: generatedAt.toISOString(),
+            input: {
+                ...input,
+                mediaType: results.mediaType,
+                duration: results.duration
+            },
+            settings: {
+                sampling: {
+                    strategy: results.sampling.strategy,
+                    ...results.sampling.settings,
+                    effectiveInterval: results.sampling.effectiveInterval,
+                    cuts: results.sampling.cuts
+                },
+                tiling: results.tiling,
+                preprocessing: Preprocessing.format(results.preprocessing),
+                colorSpace: results.colorSpace,
+                voting: Detectors.format(results.voting)
+            },
+            verdict: {
+                isAIGenerated: results.isAIGenerated,
+                label: results.isAIGenerated ? 'AI Generated' : 'Real Video',
+                confidence: Math.round(results.confidence * 10) / 10,
+                score: this.round(results.score),
+                probability: results.calibrated ? this.round(results.calibrated.probability) : null
+            },
+            votes: results.votes.map(vote => vote.abstain
+                ? { id: vote.id, label: vote.label, weight: vote.weight, abstain: true, reason: vote.reason }
+                : {
+                    id: vote.id,
+                    label: vote.label,
+                    weight: vote.weight,
+                    abstain: false,
+                    score: this.round(vote.score),
+                    confidence: this.round(vote.confidence),
+                    influence: this.round(vote.influence)
+                }),
+            patterns: this.roundValues(results.patterns),
+            pulse: results.pulse ? this.buildPulse(results.pulse) : null,
+            temporal: results.temporal ? this.buildTemporal(results.temporal) : null,
+            compression: results.compression ? {
+                blockSize: results.compression.blockSize,
+                strength: this.round(results.compression.strength)
+            } : null,
+            channels: results.channels ? {
+                space: results.channels.space,
+                correlation: results.channels.correlation.pairs.map(entry => ({
+                    pair: entry.pair,
+                    low: this.round(entry.low),
+                    mid: this.round(entry.mid),
+                    high: this.round(entry.high)
+                })),
+                highCorrelation: this.round(results.channels.correlation.high),
+                highPower: this.roundValues(results.channels.highPower),
+                cfaStrength: this.round(results.channels.cfa.strength),
+                cfaLayout: results.channels.cfa.layout
+            } : null,
+            regions: results.regions ? this.buildRegions(results.regions) : null,
+            faces: results.faces ? this.buildFaces(results.faces) : null,
+            spatial: results.spatial ? this.buildSpatial(results.spatial) : null,
+            learned: results.learned ? {
+                aiProbability: this.round(results.learned.aiProbability),
+                createdAt: results.learned.createdAt,
+                trainedOn: results.learned.trainedOn
+            } : null,
+            details: results.details,
+            frames: results.frames.map(frame => ({
+                index: frame.index,
+                time: Math.round(frame.time * 1000) / 1000,
+                aiScore: this.round(frame.aiScore),
+                realScore: this.round(frame.realScore),
+                patterns: this.roundValues(frame.patterns),
+                profile: frame.profile ? this.roundValues({
+                    tailSlope: frame.profile.features.tailSlope,
+                    tailResidual: frame.profile.features.tailResidual,
+                    falloffDeviation: frame.profile.features.falloffDeviation,
+                    angularPeak: frame.profile.features.angularPeak
+                }) : null,
+                tiles: frame.tiles ? frame.tiles.length : 0
+            }))
+        };
+    },
+
+    /**
+     * Pulse check summary without the signal and spectrum arrays
+     * @param {Object} pulse - Output of PulseAnalyzer.analyze
+     * @returns {Object} Report section
+     */
+    buildPulse(pulse) {
+        const value = (number) => typeof number === 'number' ? this.round(number) : null;
+
+        return {
+            status: pulse.status,
+            reason: pulse.reason,
+            method: pulse.method,
+            region: pulse.regionSource,
+            heartRate: pulse.heartRate === null ? null : Math.round(pulse.heartRate),
+            quality: value(pulse.quality),
+            pulseScore: value(pulse.pulseScore),
+            pulsePresent: pulse.pulsePresent,
+            brightnessVariation: value(pulse.brightnessVariation)
+        };
+    },
+
+    /**
+     * Temporal check summary without the temporal spectrum
+     * @param {Object} temporal - Output of TemporalAnalyzer.analyze
+     * @returns {Object} Report section
+     */
+    buildTemporal(temporal) {
+        const value = (number) => typeof number === 'number' ? this.round(number) : null;
+
+        return {
+            status: temporal.status,
+            reason: temporal.reason,
+            frames: temporal.window ? temporal.window.frames : null,
+            fps: temporal.window ? temporal.window.fps : null,
+            consistency: value(temporal.consistency),
+            flickerScore: value(temporal.flickerScore),
+            coherence: value(temporal.coherence),
+            variation: value(temporal.variation),
+            highFrequencyRatio: value(temporal.highFrequencyRatio),
+            drift: value(temporal.drift)
+        };
+    },
+
+    /**
+     * Region comparison with rounded scores and boxes
+     * @param {Object} regions - Output of FFTAnalyzer.compareRegions
+     * @returns {Object} Report section
+     */
+    buildRegions(regions) {
+        return {
+            baseline: {
+                score: this.round(regions.baseline.score),
+                isAI: regions.baseline.isAI,
+                patterns: this.roundValues(regions.baseline.patterns)
+            },
+            regions: regions.regions.map(region => ({
+                index: region.index,
+                box: this.roundValues(region.box),
+                width: region.width,
+                height: region.height,
+                status: region.status,
+                reason: region.reason || null,
+                score: region.status === 'ok' ? this.round(region.score) : null,
+                isAI: region.status === 'ok' ? region.isAI : null,
+                difference: region.status === 'ok' ? this.round(region.difference) : null,
+                patterns: region.status === 'ok' ? this.roundValues(region.patterns) : null
+            }))
+        };
+    },
+
+    /**
+     * Face comparison with rounded scores, one entry per face track
+     * @param {Object} faces - Output of FFTAnalyzer.compareFaces
+     * @returns {Object} Report section
+     */
+    buildFaces(faces) {
+        return {
+            background: faces.background ? {
+                score: this.round(faces.background.score),
+                isAI: faces.background.isAI,
+                frames: faces.background.frames,
+                patterns: this.roundValues(faces.background.patterns)
+            } : null,
+            faces: faces.faces.map(face => ({
+                id: face.id,
+                frames: face.detections.length,
+                score: this.round(face.score),
+                isAI: face.isAI,
+                difference: face.difference === null ? null : this.round(face.difference),
+                patterns: this.roundValues(face.patterns),
+                detections: face.detections.map(detection => ({
+                    time: Math.round(detection.time * 1000) / 1000,
+                    box: this.roundValues(detection.box),
+                    aiScore: this.round(detection.aiScore)
+                }))
+            }))
+        };
+    },
+
+    /**
+     * Spatial classifier scores, per frame and overall
+     * @param {Object} spatial - Output of SpatialClassifier.summarize
+     * @returns {Object} Report section
+     */
+    buildSpatial(spatial) {
+        return {
+            model: spatial.model,
+            aiProbability: this.round(spatial.aiProbability),
+            frames: spatial.frames.map(frame => ({
+                time: Math.round(frame.time * 1000) / 1000,
+                aiProbability: this.round(frame.aiProbability),
+                probabilities: this.roundValues(frame.probabilities)
+            }))
+        };
+    },
+
+    /**
+     * Round a score for display in reports
+     * @param {number} value - Value to round
+     * @returns {number} Value with four decimals
+     */
+    round(value) {
+        return Math.round(value * 10000) / 10000;
+    },
+
+    /**
+     * Round every number in a flat object
+     * @param {Object} values - Flat object of numbers
+     * @returns {Object} Rounded copy
+     */
+    roundValues(values) {
+        const rounded = {};
+        for (const [key, value] of Object.entries(values)) {
+            rounded[key] = this.round(value);
+        }
+        return rounded;
+    },
+
+    /**
+     * Machine-readable report
+     * @param {Object} report - Report from build()
+     * @returns {string} Pretty-printed JSON
+     */
+    toJSON(report) {
+        return JSON.stringify(report, null, 2);
+    },
+
+    /**
+     * CSV columns as [header, value getter]
+     */
+    csvColumns: [
+        ['generated_at', report => report.generatedAt],
+        ['source', report => report.input.source],
+        ['media', report => report.input.mediaType],
+        ['name', report => report.input.name],
+        ['type', report => report.input.type],
+        ['size_bytes', report => report.input.size],
+        ['width', report => report.input.width],
+        ['height', report => report.input.height],
+        ['duration_s', report => report.input.duration],
+        ['verdict', report => report.verdict.label],
+        ['confidence', report => report.verdict.confidence],
+        ['ensemble_score', report => report.verdict.score],
+        ['calibrated_probability', report => report.verdict.probability],
+        // id:score@influence for each detector, e.g. "upsampling:0.12@0.31;pulse:abstain"
+        ['votes', report => report.votes
+            .map(vote => vote.abstain ? `${vote.id}:abstain` : `${vote.id}:${vote.score}@${vote.influence}`)
+            .join(';')],
+        ['grid_pattern', report => report.patterns.gridPattern],
+        ['bright_dots', report => report.patterns.brightDots],
+        ['cross_shape', report => report.patterns.crossShape],
+        ['checkerboard', report => report.patterns.checkerboard],
+        ['smooth_gradient', report => report.patterns.smoothGradient],
+        ['falloff_deviation', report => report.patterns.falloffDeviation],
+        ['tail_anomaly', report => report.patterns.tailAnomaly],
+        ['compression_strength', report => report.compression ? report.compression.strength : null],
+        ['compression_block', report => report.compression ? report.compression.blockSize : null],
+        ['color_space', report => report.settings.colorSpace],
+        ['channel_correlation_high', report => report.channels ? report.channels.highCorrelation : null],
+        ['cfa_strength', report => report.channels ? report.channels.cfaStrength : null],
+        ['cfa_layout', report => report.channels ? report.channels.cfaLayout : null],
+        ['pulse_status', report => report.pulse ? report.pulse.status : null],
+        ['heart_rate_bpm', report => report.pulse ? report.pulse.heartRate : null],
+        ['pulse_quality', report => report.pulse ? report.pulse.quality : null],
+        ['temporal_status', report => report.temporal ? report.temporal.status : null],
+        ['temporal_consistency', report => report.temporal ? report.temporal.consistency : null],
+        ['temporal_coherence', report => report.temporal ? report.temporal.coherence : null],
+        ['temporal_hf_ratio', report => report.temporal ? report.temporal.highFrequencyRatio : null],
+        ['baseline_score', report => report.regions ? report.regions.baseline.score : null],
+        // index:score for each region, e.g. "1:0.62;2:skipped"
+        ['region_scores', report => report.regions
+            ? report.regions.regions
+                .map(region => `${region.index}:${region.status === 'ok' ? region.score : region.status}`)
+                .join(';')
+            : null],
+        ['face_count', report => report.faces ? report.faces.faces.length : null],
+        ['face_background_score', report => report.faces && report.faces.background ? report.faces.background.score : null],
+        // id:score for each face track, e.g. "1:0.62;2:0.18"
+        ['face_scores', report => report.faces
+            ? report.faces.faces.map(face => `${face.id}:${face.score}`).join(';')
+            : null],
+        ['spatial_model', report => report.spatial ? report.spatial.model : null],
+        ['spatial_ai_probability', report => report.spatial ? report.spatial.aiProbability : null],
+        ['learned_ai_probability', report => report.learned ? report.learned.aiProbability : null],
+        ['sampling', report => report.settings.sampling.strategy],
+        ['frames', report => report.frames.length],
+        ['preprocessing', report => report.settings.preprocessing],
+        // time:ai/real for each frame, e.g. "1.5:0.31/0.62;3:0.28/0.64"
+        ['frame_scores', report => report.frames
+            .map(frame => `${frame.time}:${frame.aiScore}/${frame.realScore}`)
+            .join(';')]
+    ],
+
+    /**
+     * CSV header line
+     * @returns {string} Comma-separated column names
+     */
+    csvHeader() {
+        return this.csvColumns.map(([header]) => header).join(',');
+    },
+
+    /**
+     * One CSV row per report, so several analyses can share a sheet
+     * @param {Object} report - Report from build()
+     * @returns {string} Comma-separated values
+     */
+    toCSVRow(report) {
+        return this.csvColumns.map(([, getValue]) => this.escapeCSV(getValue(report))).join(',');
+    },
+
+    /**
+     * CSV document with a header and one row per report
+     * @param {Array<Object>} reports - Reports from build()
+     * @returns {string} CSV text
+     */
+    toCSV(reports) {
+        return [this.csvHeader(), ...reports.map(report => this.toCSVRow(report))].join('\r\n') + '\r\n';
+    },
+
+    /**
+     * Quote a CSV field when needed
+     * @param {*} value - Field value
+     * @returns {string} Escaped field
+     */
+    escapeCSV(value) {
+        if (value === undefined || value === null) return '';
+
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    },
+
+    /**
+     * Escape text for HTML
+     * @param {*} value - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHTML(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    },
+
+    /**
+     * Self-contained HTML report; styles and the spectrum image are inline
+     * @param {Object} report - Report from build()
+     * @param {Object} options - Embedded content
+     * @param {string} options.spectrumImage - PNG data URL of the spectrum heatmap
+     * @param {string} options.spectrumCaption - What the spectrum shows
+     * @param {Array<string>} options.details - Detail lines as shown in the app
+     * @returns {string} HTML document
+     */
+    toHTML(report, options = {}) {
+        const { spectrumImage = null, spectrumCaption = '', details = report.details } = options;
+        const escape = (value) => this.escapeHTML(value);
+        const { input, verdict } = report;
+
+        const inputRows = [
+            ['File', input.name],
+            ['Source', input.source],
+            ['Type', input.type],
+            ['Size', input.size ? Utils.formatFileSize(input.size) : null],
+            ['Resolution', input.width && input.height ? `${input.width} × ${input.height}` : null],
+            ['Format', input.format],
+            ['EXIF', typeof input.hasExif === 'boolean' ? (input.hasExif ? 'Present' : 'None') : null],
+            ['Duration', input.mediaType === 'video' && Number.isFinite(input.duration) ? Utils.formatTime(input.duration) : null],
+            ['Sampling', report.settings.sampling.strategy],
+            ['Preprocessing', report.settings.preprocessing],
+            ['Color channels', report.channels
+                ? `${ChannelSpectra.spaces[report.channels.space].label}: high-band correlation` +
+                    ` ${Math.round(report.channels.highCorrelation * 100)}%, CFA` +
+                    ` ${report.channels.cfaLayout || 'not found'} (${Math.round(report.channels.cfaStrength * 100)}%)`
+                : null],
+            ['Voting', report.settings.voting],
+            ['Pulse check', report.pulse ? `${report.pulse.method} (${report.pulse.region}): ${report.pulse.status}` : null],
+            ['Temporal check', report.temporal
+                ? (report.temporal.status === 'ok'
+                    ? `${report.temporal.frames} frames at ${report.temporal.fps} fps: consistency ${Math.round(report.temporal.consistency * 100)}%`
+                    : `${report.temporal.status}: ${report.temporal.reason}`)
+                : null],
+            ['Regions', report.regions
+                ? [`whole frame ${Math.round(report.regions.baseline.score * 100)}% AI`,
+                    ...report.regions.regions.map(region => region.status === 'ok'
+                        ? `${region.index}: ${Math.round(region.score * 100)}% AI (${region.width}×${region.height})`
+                        : `${region.index}: ${region.status}`)].join('; ')
+                : null],
+            ['Faces', report.faces
+                ? [report.faces.background
+                    ? `background ${Math.round(report.faces.background.score * 100)}% AI`
+                    : 'no background',
+                ...report.faces.faces.map(face => `face ${face.id}: ${Math.round(face.score * 100)}% AI` +
+                    ` in ${face.frames} frame${face.frames === 1 ? '' : 's'}`)].join('; ')
+                : null],
+            ['Spectral model', report.learned
+                ? `learned from ${report.learned.trainedOn.real} real and ${report.learned.trainedOn.fake} AI labels:` +
+                    ` ${Math.round(report.learned.aiProbability * 100)}% AI`
+                : null],
+            ['Spatial classifier', report.spatial
+                ? `${report.spatial.model}: ${Math.round(report.spatial.aiProbability * 100)}% AI`
+                : null],
+            ['Compression', report.compression && report.compression.blockSize
+                ? `${report.compression.blockSize}×${report.compression.blockSize} blocks, strength ${Math.round(report.compression.strength * 100)}%`
+                : null],
+            ['Generated', report.generatedAt]
+        ].filter(([, value]) => value !== null && value !== undefined && value !== '');
+
+        const voteRows = report.votes
+            .map(vote => `<tr><td>${escape(vote.label)}</td><td>${escape(vote.weight)}</td>` +
+                (vote.abstain
+                    ? `<td colspan="3">Abstained: ${escape(vote.reason)}</td></tr>`
+                    : `<td>${Math.round(vote.score * 100)}% AI</td><td>${Math.round(vote.confidence * 100)}%</td>` +
+                        `<td>${Math.round(vote.influence * 100)}%</td></tr>`))
+            .join('');
+
+        const patternRows = Object.entries(report.patterns)
+            .map(([key, value]) => `<tr><td>${escape(key)}</td><td>${Math.round(value * 100)}%</td></tr>`)
+            .join('');
+
+        const frameRows = report.frames
+            .map(frame => `<tr><td>${frame.index + 1}</td><td>${escape(Utils.formatTime(frame.time))}</td>` +
+                `<td>${frame.aiScore.toFixed(3)}</td><td>${frame.realScore.toFixed(3)}</td>` +
+                `<td>${frame.aiScore > frame.realScore ? 'AI-like' : 'natural'}</td></tr>`)
+            .join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>FFT Analysis Report - ${escape(input.name || 'video')}</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 860px; color: #1f1f2e; padding: 0 1rem; }
+  h1 { font-size: 1.5rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.1rem; margin-top: 2rem; border-bottom: 1px solid #ddd; padding-bottom: 0.25rem; }
+  .verdict { display: inline-block; padding: 0.4rem 0.9rem; border-radius: 999px; font-weight: 600; color: #fff; }
+  .verdict.ai { background: #dc2626; }
+  .verdict.real { background: #16a34a; }
+  table { border-collapse: collapse; width: 100%; font-size: 0.9rem; }
+  td, th { text-align: left; padding: 0.3rem 0.5rem; border-bottom: 1px solid #eee; }
+  th { background: #f6f6fa; }
+  figure { margin: 1rem 0; }
+  figure img { max-width: 360px; width: 100%; border-radius: 6px; background: #12121a; }
+  figcaption { font-size: 0.85rem; color: #666; }
+</style>
+</head>
+<body>
+<h1>FFT Analysis Report</h1>
+<p><span class="verdict ${verdict.isAIGenerated ? 'ai' : 'real'}">${escape(verdict.label)}</span>
+ &nbsp;Confidence ${escape(verdict.confidence)}%</p>
+<h2>Input</h2>
+<table>${inputRows.map(([label, value]) => `<tr><th>${escape(label)}</th><td>${escape(value)}</td></tr>`).join('')}</table>
+${spectrumImage ? `<h2>Spectrum</h2>
+<figure><img src="${escape(spectrumImage)}" alt="FFT magnitude spectrum"><figcaption>${escape(spectrumCaption)}</figcaption></figure>` : ''}
+<h2>Details</h2>
+<ul>${details.map(detail => `<li>${escape(detail)}</li>`).join('')}</ul>
+<h2>Detector Votes</h2>
+<table><tr><th>Detector</th><th>Weight</th><th>Vote</th><th>Confidence</th><th>Share of verdict</th></tr>${voteRows}</table>
+<h2>Pattern Scores</h2>
+<table>${patternRows}</table>
+<h2>Frames</h2>
+<table><tr><th>#</th><th>Time</th><th>AI score</th><th>Real score</th><th>Frame verdict</th></tr>${frameRows}</table>
+</body>
+</html>
+`;
+    },
+
+    /**
+     * Base file name for a report, derived from the input name
+     * @param {Object} report - Report from build()
+     * @returns {string} File name without extension
+     */
+    fileName(report) {
+        const base = (report.input.name || 'video').replace(/\.[^.]+$/, '').replace(/[^\w-]+/g, '_');
+        const stamp = report.generatedAt.replace(/[:.]/g, '-').replace(/-\d+Z$/, 'Z');
+        return `fft-report-${base}-${stamp}`;
+    },
+
+    /**
+     * Save text as a file through a temporary object URL
+     * @param {string} content - File content
+     * @param {string} fileName - Suggested file name
+     * @param {string} mimeType - MIME type
+     */
+    download(content, fileName, mimeType) {
+        const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        // Give the browser a moment to start the download before releasing the blob
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AnalysisReport;
+}
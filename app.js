@@ -6,15 +6,86 @@
 class AIVideoDetectionApp {
     constructor() {
         this.analyzer = new FFTAnalyzer();
-        this.visualizer = new FFTVisualizer('fftCanvas');
+        this.analyzer.backend = new FFTWorkerClient('fft-worker.js');
+        this.visualizer = new FFTVisualizer('fftCanvas', 'profileCanvas', {
+            explorerId: 'spectrumExplorer',
+            temporalCanvasId: 'temporalCanvas',
+            getRegions: (width, height, compression) => this.analyzer.detectorRegions(width, height, compression)
+        });
+        this.timeline = new VerdictTimeline('verdictTimeline', (frame) => this.showFrame(frame));
         this.youtubeHandler = new YouTubeHandler();
         this.currentVideo = null;
-        this.currentVideoSource = 'file'; // 'file' or 'youtube'
+        this.currentVideoSource = 'file'; // 'file', 'image', 'youtube' or 'history'
+        this.currentFile = null; // Uploaded File, kept for report metadata
+        this.currentImageInfo = null; // Dimensions, format and EXIF presence of a loaded still
+        this.lastResults = null; // Most recent analysis, for report export
         this.maxFileSize = 3000 * 1024 * 1024; // 3000MB (3GB) in bytes
         this.supportedFormats = ['video/mp4', 'video/webm', 'video/quicktime', 'video/x-matroska'];
+        this.analysisController = null; // AbortController for the running analysis
+        this.spatialClassifier = null; // Loaded SpatialClassifier, shared by the single and batch analyzers
+        this.spatialModels = []; // Models listed in models/classifiers.json
+        this.spatialModel = 'off'; // Value of the spatial model select the classifier belongs to
+        this.spatialLoads = 0; // Counts model loads so a slow one cannot replace a later choice
+        this.faceDetector = null; // FaceDetector with the bundled model, loaded when face analysis or the pulse check first needs it
+        this.faceDetectorLoading = null; // Promise of the model load in flight
+        this.feedbackStore = new FeedbackStore();
+        this.feedbackExample = null; // Stored example for the results on screen, once labeled
+        this.historyEntry = null; // Saved analysis on screen when the source is 'history'
+        this.fileHasher = new HashWorkerClient('hash-worker.js'); // SHA-256 of analyzed files for the history
+        this.stageLabels = {
+            sample: 'Planning frame samples',
+            extract: 'Extracting frames',
+            fft: 'Computing frequency spectra',
+            pulse: 'Measuring skin-color pulse',
+            temporal: 'Checking consecutive frames for flicker',
+            detect: 'Detecting AI patterns'
+        };
+
+        // Batch runs get their own analyzer so single-video settings changes
+        // never leak into a running batch; both share the FFT worker
+        this.batchAnalyzer = new FFTAnalyzer();
+        this.batchAnalyzer.backend = this.analyzer.backend;
 
         this.initializeElements();
+        this.tileOverlay = new TileHeatmapOverlay('tileOverlay', 'videoPlayer');
+        this.regionSelector = new RegionSelector('regionSelector', 'videoPlayer');
+        this.roiSelector = new RegionSelector(
+            'roiSelector',
+            'videoPlayer',
+            (regions) => this.updateRegionStatus(regions),
+            { multiple: true, color: '6, 182, 212', persistent: true }
+        );
+        this.batchQueue = new BatchQueue('batchQueue', {
+            validate: (file) => this.validateFile(file),
+            analyze: (file, options) => this.analyzeBatchFile(file, options, true),
+            onOpen: (item) => this.openBatchResult(item),
+            onStart: () => this.prepareBatchAnalyzer()
+        });
+        this.evaluationWorkbench = new EvaluationWorkbench('evaluationWorkbench', {
+            validate: (file) => this.validateFile(file),
+            analyze: (file, options) => this.analyzeBatchFile(file, options),
+            onStart: () => this.prepareBatchAnalyzer(),
+            onUseProfile: (profile) => this.setCalibration(profile),
+            getActiveProfile: () => this.analyzer.calibration
+        });
+        this.comparisonView = new ComparisonView('comparisonView', {
+            validate: (file) => this.validateFile(file),
+            analyze: (file, options) => this.analyzeBatchFile(file, options, true),
+            onStart: () => this.prepareBatchAnalyzer()
+        });
+        this.historyPanel = new HistoryPanel('historyPanel', {
+            store: new HistoryStore(),
+            onOpen: (entry, results) => this.openHistoryEntry(entry, results)
+        });
         this.attachEventListeners();
+        this.populatePreprocessingPresets();
+        this.votingInput.value = Detectors.format(this.analyzer.voting);
+        this.updateSamplingFields();
+        this.updatePulseFields();
+        this.populateSpatialModels();
+        this.restoreSpectralModel();
+        this.updateFeedbackStatus();
+        this.historyPanel.refresh();
         this.visualizer.showPlaceholder();
     }
 
@@ -22,6 +93,11 @@ class AIVideoDetectionApp {
         // Upload elements
         this.uploadZone = document.getElementById('uploadZone');
         this.fileInput = document.getElementById('fileInput');
+        this.folderBtn = document.getElementById('folderBtn');
+        this.folderInput = document.getElementById('folderInput');
+        this.evaluateBtn = document.getElementById('evaluateBtn');
+        this.evaluationInput = document.getElementById('evaluationInput');
+        this.compareBtn = document.getElementById('compareBtn');
 
         // Tab elements
         this.tabBtns = document.querySelectorAll('.tab-btn');
@@ -36,13 +112,54 @@ class AIVideoDetectionApp {
         // Video elements
         this.videoSection = document.getElementById('videoSection');
         this.videoPlayer = document.getElementById('videoPlayer');
+        this.imageViewer = document.getElementById('imageViewer');
+        this.imageInfo = document.getElementById('imageInfo');
+        this.previewTitle = document.getElementById('previewTitle');
+        this.analysisSettings = document.getElementById('analysisSettings');
         this.analyzeBtn = document.getElementById('analyzeBtn');
+        this.stopBtn = document.getElementById('stopBtn');
         this.resetBtn = document.getElementById('resetBtn');
 
+        // Sampling settings
+        this.samplingStrategy = document.getElementById('samplingStrategy');
+        this.samplingFrameCount = document.getElementById('samplingFrameCount');
+        this.samplingInterval = document.getElementById('samplingInterval');
+        this.samplingSeed = document.getElementById('samplingSeed');
+        this.samplingFields = document.querySelectorAll('#analysisSettings [data-strategies]');
+        this.heatmapToggle = document.getElementById('heatmapToggle');
+        this.preprocessingPreset = document.getElementById('preprocessingPreset');
+        this.preprocessingInput = document.getElementById('preprocessingPipeline');
+        this.votingInput = document.getElementById('votingConfig');
+        this.colorSpaceSelect = document.getElementById('colorSpace');
+        this.loadCalibrationBtn = document.getElementById('loadCalibrationBtn');
+        this.clearCalibrationBtn = document.getElementById('clearCalibrationBtn');
+        this.calibrationStatus = document.getElementById('calibrationStatus');
+        this.calibrationInput = document.getElementById('calibrationInput');
+        this.importModelBtn = document.getElementById('importModelBtn');
+        this.exportModelBtn = document.getElementById('exportModelBtn');
+        this.clearModelBtn = document.getElementById('clearModelBtn');
+        this.spectralModelStatus = document.getElementById('spectralModelStatus');
+        this.spectralModelInput = document.getElementById('spectralModelInput');
+        this.faceAnalysis = document.getElementById('faceAnalysis');
+        this.spatialModelSelect = document.getElementById('spatialModel');
+        this.loadModelBtn = document.getElementById('loadModelBtn');
+        this.modelInput = document.getElementById('modelInput');
+        this.spatialStatus = document.getElementById('spatialStatus');
+        this.drawRegionsBtn = document.getElementById('drawRegionsBtn');
+        this.clearRegionsBtn = document.getElementById('clearRegionsBtn');
+        this.regionStatus = document.getElementById('regionStatus');
+        this.pulseMethod = document.getElementById('pulseMethod');
+        this.pulseRegion = document.getElementById('pulseRegion');
+        this.temporalRate = document.getElementById('temporalRate');
+
         // FFT elements
         this.fftSection = document.getElementById('fftSection');
         this.fftLoading = document.getElementById('fftLoading');
         this.progressFill = document.getElementById('progressFill');
+        this.loadingText = document.getElementById('loadingText');
+        this.progressStages = document.querySelectorAll('#progressStages [data-stage]');
+        this.pulseStageItem = document.querySelector('#progressStages [data-stage="pulse"]');
+        this.temporalStageItem = document.querySelector('#progressStages [data-stage="temporal"]');
 
         // Results elements
         this.resultsSection = document.getElementById('resultsSection');
@@ -50,6 +167,13 @@ class AIVideoDetectionApp {
         this.confidenceValue = document.getElementById('confidenceValue');
         this.confidenceFill = document.getElementById('confidenceFill');
         this.detectionDetails = document.getElementById('detectionDetails');
+        this.exportJsonBtn = document.getElementById('exportJsonBtn');
+        this.exportCsvBtn = document.getElementById('exportCsvBtn');
+        this.exportHtmlBtn = document.getElementById('exportHtmlBtn');
+        this.markRealBtn = document.getElementById('markRealBtn');
+        this.markAiBtn = document.getElementById('markAiBtn');
+        this.retrainBtn = document.getElementById('retrainBtn');
+        this.feedbackStatus = document.getElementById('feedbackStatus');
     }
 
     attachEventListeners() {
@@ -61,6 +185,29 @@ class AIVideoDetectionApp {
         // Upload zone interactions
         this.uploadZone.addEventListener('click', () => this.fileInput.click());
         this.fileInput.addEventListener('change', (e) => this.handleFileSelect(e));
+        this.folderBtn.addEventListener('click', (e) => {
+            e.stopPropagation(); // Keep the upload zone from opening the file picker too
+            this.folderInput.click();
+        });
+        this.folderInput.addEventListener('click', (e) => e.stopPropagation());
+        this.folderInput.addEventListener('change', (e) => {
+            this.queueFiles(Array.from(e.target.files));
+            e.target.value = '';
+        });
+        this.evaluateBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.evaluationInput.click();
+        });
+        this.evaluationInput.addEventListener('click', (e) => e.stopPropagation());
+        this.evaluationInput.addEventListener('change', (e) => {
+            this.evaluateFolder(Array.from(e.target.files));
+            e.target.value = '';
+        });
+        this.compareBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.comparisonView.show();
+            this.comparisonView.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
 
         // Drag and drop
         this.uploadZone.addEventListener('dragover', (e) => this.handleDragOver(e));
@@ -75,12 +222,71 @@ class AIVideoDetectionApp {
 
         // Button interactions
         this.analyzeBtn.addEventListener('click', () => this.analyzeVideo());
+        this.stopBtn.addEventListener('click', () => this.stopAnalysis());
         this.resetBtn.addEventListener('click', () => this.reset());
+        this.exportJsonBtn.addEventListener('click', () => this.exportReport('json'));
+        this.exportCsvBtn.addEventListener('click', () => this.exportReport('csv'));
+        this.exportHtmlBtn.addEventListener('click', () => this.exportReport('html'));
+        this.markRealBtn.addEventListener('click', () => this.labelResults(0));
+        this.markAiBtn.addEventListener('click', () => this.labelResults(1));
+        this.retrainBtn.addEventListener('click', () => this.retrainSpectralModel());
+        this.samplingStrategy.addEventListener('change', () => this.updateSamplingFields());
+        this.heatmapToggle.addEventListener('change', () => this.tileOverlay.setVisible(this.heatmapToggle.checked));
+        this.preprocessingPreset.addEventListener('change', () => this.applyPreprocessingPreset());
+        this.preprocessingInput.addEventListener('input', () => {
+            this.preprocessingPreset.value = 'custom';
+        });
+        this.loadCalibrationBtn.addEventListener('click', () => this.calibrationInput.click());
+        this.calibrationInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.loadCalibrationFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        this.clearCalibrationBtn.addEventListener('click', () => this.setCalibration(null));
+        this.importModelBtn.addEventListener('click', () => this.spectralModelInput.click());
+        this.spectralModelInput.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.loadSpectralModelFile(e.target.files[0]);
+            e.target.value = '';
+        });
+        this.exportModelBtn.addEventListener('click', () => this.exportSpectralModel());
+        this.clearModelBtn.addEventListener('click', () => this.setSpectralModel(null));
+        this.faceAnalysis.addEventListener('change', async () => {
+            if (this.faceAnalysis.value === 'on' && !(await this.loadFaceDetector(this.faceAnalysis))) {
+                this.faceAnalysis.value = 'off';
+            }
+        });
+        this.spatialModelSelect.addEventListener('change', () => this.selectSpatialModel(this.spatialModelSelect.value));
+        this.loadModelBtn.addEventListener('click', () => this.modelInput.click());
+        this.modelInput.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) this.loadModelFiles(Array.from(e.target.files));
+            e.target.value = '';
+        });
+        this.pulseMethod.addEventListener('change', () => {
+            this.updatePulseFields();
+            this.preparePulseFace();
+        });
+        this.pulseRegion.addEventListener('change', () => {
+            // Both selectors take the pointer, so placing a pulse box ends region drawing
+            if (this.pulseRegion.value === 'box') this.setRegionDrawing(false);
+            this.updatePulseFields();
+            this.preparePulseFace();
+        });
+        this.drawRegionsBtn.addEventListener('click', () => this.setRegionDrawing(!this.roiSelector.active));
+        this.clearRegionsBtn.addEventListener('click', () => {
+            this.roiSelector.clear();
+            this.updateRegionStatus([]);
+        });
 
         // Window resize
         window.addEventListener('resize', Utils.debounce(() => {
             this.visualizer.setupCanvas();
-            this.visualizer.showPlaceholder();
+            if (this.visualizer.spectrum) {
+                this.visualizer.draw();
+            } else {
+                this.visualizer.showPlaceholder();
+            }
+            this.tileOverlay.draw();
+            this.regionSelector.draw();
+            this.roiSelector.draw();
         }, 250));
     }
 
@@ -94,23 +300,772 @@ class AIVideoDetectionApp {
         this.uploadZone.classList.remove('drag-over');
     }
 
-    handleDrop(e) {
+    async handleDrop(e) {
         e.preventDefault();
         this.uploadZone.classList.remove('drag-over');
 
-        const files = e.dataTransfer.files;
-        if (files.length > 0) {
+        const { files, fromFolder } = await this.collectDroppedFiles(e.dataTransfer);
+        if (files.length === 1 && !fromFolder) {
             this.loadVideo(files[0]);
+        } else if (files.length > 0) {
+            this.queueFiles(files);
         }
     }
 
     handleFileSelect(e) {
-        const files = e.target.files;
-        if (files.length > 0) {
+        const files = Array.from(e.target.files);
+        if (files.length === 1) {
             this.loadVideo(files[0]);
+        } else if (files.length > 1) {
+            this.queueFiles(files);
+            e.target.value = '';
+        }
+    }
+
+    /**
+     * Gather dropped files, walking into dropped folders
+     * @param {DataTransfer} dataTransfer - Drop payload
+     * @returns {Promise<Object>} { files, fromFolder }
+     */
+    async collectDroppedFiles(dataTransfer) {
+        // Entries must be read synchronously, before the drop event ends
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(Boolean);
+
+        if (!entries.some(entry => entry.isDirectory)) {
+            return { files: Array.from(dataTransfer.files), fromFolder: false };
+        }
+
+        const files = [];
+        const walk = async (entry) => {
+            if (entry.isFile) {
+                files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+            } else if (entry.isDirectory) {
+                // readEntries returns folders in chunks until it yields an empty list
+                const reader = entry.createReader();
+                let children;
+                do {
+                    children = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                    for (const child of children) {
+                        await walk(child);
+                    }
+                } while (children.length > 0);
+            }
+        };
+
+        for (const entry of entries) {
+            await walk(entry);
+        }
+
+        return { files, fromFolder: true };
+    }
+
+    /**
+     * Add files to the batch queue and start analyzing
+     * Hidden files (e.g. .DS_Store from folders) are skipped silently.
+     * @param {Array<File>} files - Files to queue
+     */
+    queueFiles(files) {
+        const visible = files.filter(file => !file.name.startsWith('.'));
+        if (visible.length === 0) return;
+
+        this.batchQueue.add(visible);
+        this.batchQueue.start();
+
+        setTimeout(() => {
+            this.batchQueue.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }, 100);
+    }
+
+    /**
+     * Run the evaluation workbench over a folder with real/ and fake/ subfolders
+     * @param {Array<File>} files - Files from the picked folder
+     */
+    evaluateFolder(files) {
+        if (files.length === 0) return;
+
+        this.evaluationWorkbench.run(files);
+
+        setTimeout(() => {
+            this.evaluationWorkbench.container.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }, 100);
+    }
+
+    /**
+     * Read a calibration profile saved by the evaluation workbench
+     * @param {File} file - JSON profile
+     */
+    async loadCalibrationFile(file) {
+        try {
+            this.setCalibration(Calibration.normalize(JSON.parse(await file.text())));
+        } catch (error) {
+            this.showError('Invalid Calibration Profile', error.message);
+        }
+    }
+
+    /**
+     * Use a calibration profile for every following analysis
+     * @param {Object|null} profile - Validated profile, or null to go back to the voting threshold
+     */
+    setCalibration(profile) {
+        this.analyzer.calibration = profile;
+        this.batchAnalyzer.calibration = profile;
+
+        this.clearCalibrationBtn.classList.toggle('hidden', !profile);
+        this.calibrationStatus.textContent = profile
+            ? `Threshold ${Math.round(profile.threshold * 100)}%`
+            : 'None';
+        this.calibrationStatus.title = profile && profile.fittedOn
+            ? `Fitted on ${profile.fittedOn.real} real and ${profile.fittedOn.fake} fake files with voting ${profile.fittedOn.voting}`
+            : '';
+    }
+
+    /**
+     * Label the results on screen as real or AI and store them for retraining
+     * Labeling the same results again changes the stored label.
+     * @param {number} label - 0 for real, 1 for AI
+     */
+    async labelResults(label) {
+        if (!this.lastResults) {
+            this.showError('Nothing to Label', 'Run an analysis before labeling its verdict.');
+            return;
+        }
+
+        const example = {
+            ...(this.feedbackExample || {
+                name: this.describeInput().name,
+                mediaType: this.lastResults.mediaType,
+                createdAt: new Date().toISOString(),
+                preprocessing: Preprocessing.format(this.lastResults.preprocessing),
+                ...SpectralModel.describeResults(this.lastResults)
+            }),
+            label
+        };
+
+        try {
+            example.id = await this.feedbackStore.save(example);
+        } catch (error) {
+            this.showError('Label Not Saved', error.message);
+            return;
+        }
+
+        this.feedbackExample = example;
+        this.markRealBtn.classList.toggle('active', label === 0);
+        this.markAiBtn.classList.toggle('active', label === 1);
+        await this.updateFeedbackStatus();
+    }
+
+    /**
+     * Show how many labels are stored
+     */
+    async updateFeedbackStatus() {
+        try {
+            const examples = await this.feedbackStore.list();
+            const fake = examples.filter(example => example.label === 1).length;
+            this.feedbackStatus.textContent = examples.length > 0
+                ? `${examples.length} label${examples.length === 1 ? '' : 's'} stored (${examples.length - fake} real, ${fake} AI)`
+                : 'No labels stored';
+        } catch (error) {
+            this.feedbackStatus.textContent = `Labels unavailable: ${error.message}`;
+        }
+    }
+
+    /**
+     * Fit the spectral model to the stored labels and use it from the next analysis on
+     * Pattern scores depend on the preprocessing pipeline, so only labels
+     * made with the pipeline now selected are used.
+     */
+    async retrainSpectralModel() {
+        let preprocessing;
+        try {
+            preprocessing = Preprocessing.parse(this.preprocessingInput.value);
+        } catch (error) {
+            this.showError('Invalid Preprocessing Pipeline', error.message);
+            return;
+        }
+
+        try {
+            const pipeline = Preprocessing.format(preprocessing);
+            const examples = (await this.feedbackStore.list()).filter(example => example.preprocessing === pipeline);
+            if (examples.length === 0) {
+                throw new Error(`No labels were made with the preprocessing pipeline ${pipeline}`);
+            }
+            const model = SpectralModel.fit(examples, { preprocessing });
+            this.setSpectralModel(model);
+            this.feedbackStatus.textContent = `Retrained on ${examples.length} labels` +
+                ` (${Math.round(model.metrics.accuracy * 100)}% of them classified right); used from the next analysis`;
+        } catch (error) {
+            this.showError('Retraining Failed', error.message);
+        }
+    }
+
+    /**
+     * Use the spectral model saved on a previous visit
+     */
+    async restoreSpectralModel() {
+        try {
+            const model = await this.feedbackStore.loadModel();
+            if (model) {
+                this.setSpectralModel(SpectralModel.normalize(model), false);
+            }
+        } catch (error) {
+            console.warn('Spectral model not restored:', error.message);
         }
     }
 
+    /**
+     * Read a spectral model exported earlier
+     * @param {File} file - JSON model
+     */
+    async loadSpectralModelFile(file) {
+        try {
+            this.setSpectralModel(SpectralModel.normalize(JSON.parse(await file.text())));
+        } catch (error) {
+            this.showError('Invalid Spectral Model', error.message);
+        }
+    }
+
+    /**
+     * Save the active spectral model as JSON
+     */
+    exportSpectralModel() {
+        const model = this.analyzer.spectralModel;
+        if (!model) return;
+
+        const stamp = model.createdAt.replace(/[:.]/g, '-').replace(/-\d+Z$/, 'Z');
+        AnalysisReport.download(JSON.stringify(model, null, 2), `fft-spectral-model-${stamp}.json`, 'application/json');
+    }
+
+    /**
+     * Use a spectral model for every following analysis in place of the hand-tuned pattern weights
+     * @param {Object|null} model - Validated model, or null to go back to the hand-tuned weights
+     * @param {boolean} persist - Remember the choice for the next visit
+     */
+    setSpectralModel(model, persist = true) {
+        this.analyzer.spectralModel = model;
+        this.batchAnalyzer.spectralModel = model;
+
+        this.exportModelBtn.classList.toggle('hidden', !model);
+        this.clearModelBtn.classList.toggle('hidden', !model);
+        this.spectralModelStatus.textContent = model
+            ? `Learned, ${model.trainedOn.real + model.trainedOn.fake} labels`
+            : 'Hand-tuned';
+        this.spectralModelStatus.title = model
+            ? `Trained on ${model.trainedOn.real} real and ${model.trainedOn.fake} AI labels` +
+                (model.trainedOn.preprocessing ? ` with preprocessing ${model.trainedOn.preprocessing}` : '')
+            : '';
+
+        if (persist) {
+            this.feedbackStore.saveModel(model).catch(error => console.warn('Spectral model not saved:', error.message));
+        }
+    }
+
+    /**
+     * List the models shipped in models/ in the spatial model select
+     * A missing manifest (e.g. the page opened from disk) leaves only loading from disk.
+     */
+    async populateSpatialModels() {
+        try {
+            this.spatialModels = await SpatialClassifier.loadManifest();
+        } catch (error) {
+            console.warn('No bundled spatial models:', error.message);
+            this.spatialModels = [];
+        }
+
+        for (const entry of this.spatialModels) {
+            this.spatialModelSelect.add(new Option(entry.label || entry.id, `bundled:${entry.id}`));
+        }
+    }
+
+    /**
+     * Switch the spatial classifier to a select option
+     * @param {string} value - 'off', 'file' for the model loaded from disk, or 'bundled:<id>'
+     */
+    async selectSpatialModel(value) {
+        if (!this.canChangeSpatialModel()) {
+            this.spatialModelSelect.value = this.spatialModel;
+            return;
+        }
+        if (value === 'off') {
+            this.setSpatialClassifier(null, 'off');
+            return;
+        }
+
+        const entry = this.spatialModels.find(model => `bundled:${model.id}` === value);
+        if (entry) {
+            await this.loadSpatialClassifier(() => SpatialClassifier.loadBundled(entry), value);
+        }
+    }
+
+    /**
+     * Load a model picked from disk together with its descriptor
+     * @param {Array<File>} files - One .onnx file and one .json descriptor
+     */
+    async loadModelFiles(files) {
+        if (!this.canChangeSpatialModel()) return;
+
+        const model = files.find(file => file.name.toLowerCase().endsWith('.onnx'));
+        const descriptor = files.find(file => file.name.toLowerCase().endsWith('.json'));
+        if (!model || !descriptor) {
+            this.showError('Invalid Classifier Model', 'Pick the .onnx model and its .json descriptor together.');
+            return;
+        }
+
+        const loaded = await this.loadSpatialClassifier(
+            async () => SpatialClassifier.create(await model.arrayBuffer(), await descriptor.text()),
+            'file'
+        );
+        if (loaded) {
+            // One option stands for the model from disk; loading another replaces it
+            let option = this.spatialModelSelect.querySelector('option[value="file"]');
+            if (!option) {
+                option = new Option('', 'file');
+                this.spatialModelSelect.add(option);
+            }
+            option.textContent = `${loaded.descriptor.name} (${model.name})`;
+            this.spatialModelSelect.value = 'file';
+        }
+    }
+
+    /**
+     * Load a classifier and make it the active one, unless another choice was made meanwhile
+     * @param {Function} load - async () => SpatialClassifier
+     * @param {string} value - Select value the classifier belongs to
+     * @returns {Promise<SpatialClassifier|null>} The classifier, or null when loading failed or was overtaken
+     */
+    async loadSpatialClassifier(load, value) {
+        const ticket = ++this.spatialLoads;
+        this.spatialStatus.textContent = 'Loading…';
+
+        let classifier;
+        try {
+            classifier = await load();
+        } catch (error) {
+            if (ticket === this.spatialLoads) {
+                this.spatialModelSelect.value = this.spatialModel;
+                this.updateSpatialStatus();
+                this.showError('Invalid Classifier Model', error.message);
+            }
+            return null;
+        }
+
+        if (ticket !== this.spatialLoads) {
+            classifier.dispose();
+            return null;
+        }
+        this.setSpatialClassifier(classifier, value);
+        return classifier;
+    }
+
+    /**
+     * Use a classifier for every following analysis and free the one it replaces
+     * @param {SpatialClassifier|null} classifier - Loaded classifier, or null to turn the check off
+     * @param {string} value - Select value the classifier belongs to
+     */
+    setSpatialClassifier(classifier, value) {
+        if (this.spatialClassifier) {
+            this.spatialClassifier.dispose().catch(error => console.warn('Unable to release the model:', error));
+        }
+        this.spatialLoads++;
+        this.spatialClassifier = classifier;
+        this.spatialModel = value;
+        this.spatialModelSelect.value = value;
+
+        // The model from disk cannot be picked again once something else is chosen
+        const fileOption = this.spatialModelSelect.querySelector('option[value="file"]');
+        if (fileOption && value !== 'file') {
+            fileOption.remove();
+        }
+        this.updateSpatialStatus();
+    }
+
+    /**
+     * Show the active classifier's input size next to the select
+     */
+    updateSpatialStatus() {
+        const descriptor = this.spatialClassifier ? this.spatialClassifier.descriptor : null;
+        this.spatialStatus.textContent = descriptor ? `${descriptor.input.width}×${descriptor.input.height}` : '';
+        this.spatialStatus.title = descriptor
+            ? `${descriptor.name}: ${descriptor.output.labels.join(', ')} (AI: ${descriptor.output.aiLabels.join(', ')})`
+            : '';
+    }
+
+    /**
+     * The classifier is shared with running analyses, so it can only change between them
+     * @returns {boolean} False, after telling the user, while an analysis or batch runs
+     */
+    canChangeSpatialModel() {
+        if (this.analysisController || this.batchQueue.running || this.evaluationWorkbench.running || this.comparisonView.running) {
+            this.showError('Analysis Running', 'Change the spatial classifier once the running analysis finishes, or stop it first.');
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Load the bundled face detection model once; face analysis and the pulse check share it
+     * The select that needs it is locked while the model loads.
+     * @param {HTMLSelectElement} select - Select whose choice needs the detector
+     * @returns {Promise<boolean>} Whether the detector is ready; false after telling the user
+     */
+    async loadFaceDetector(select) {
+        if (this.faceDetector) return true;
+
+        select.disabled = true;
+        try {
+            this.faceDetectorLoading = this.faceDetectorLoading || FaceDetector.load();
+            this.faceDetector = await this.faceDetectorLoading;
+            return true;
+        } catch (error) {
+            this.faceDetectorLoading = null;
+            this.showError('Face Detector Unavailable', error.message);
+            return false;
+        } finally {
+            select.disabled = false;
+        }
+    }
+
+    /**
+     * Load the face detector when the pulse check follows a detected face
+     * Without it, the check falls back to a drawn box.
+     */
+    async preparePulseFace() {
+        if (this.pulseMethod.value === 'off' || this.pulseRegion.value !== 'auto') return;
+
+        if (!(await this.loadFaceDetector(this.pulseRegion))) {
+            this.pulseRegion.value = 'box';
+        }
+        this.updatePulseFields();
+    }
+
+    /**
+     * Check that the face detection model has loaded before an analysis that needs it
+     * @returns {boolean} False, after telling the user, while the model is still loading
+     */
+    faceDetectorReady() {
+        if (this.faceDetector) return true;
+
+        this.showError('Face Detector Loading', 'Wait for the face detection model to finish loading.');
+        return false;
+    }
+
+    /**
+     * Apply the current form settings to the batch analyzer
+     * The batch queue, the evaluation workbench and the comparison view share it, so only one may run.
+     * @returns {boolean} False when the settings are invalid or the analyzer is busy
+     */
+    prepareBatchAnalyzer() {
+        if (this.batchQueue.running || this.evaluationWorkbench.running || this.comparisonView.running) {
+            this.showError('Batch Analysis Running', 'Wait for the running batch, evaluation or comparison to finish, or stop it first.');
+            return false;
+        }
+
+        try {
+            this.batchAnalyzer.preprocessing = Preprocessing.parse(this.preprocessingInput.value);
+        } catch (error) {
+            this.showError('Invalid Preprocessing Pipeline', error.message);
+            return false;
+        }
+        try {
+            this.batchAnalyzer.voting = Detectors.parse(this.votingInput.value);
+        } catch (error) {
+            this.showError('Invalid Detector Voting', error.message);
+            return false;
+        }
+        this.batchAnalyzer.sampling = this.readSamplingSettings();
+        this.batchAnalyzer.colorSpace = this.colorSpaceSelect.value;
+
+        // A drawn box belongs to the loaded video, so batch files always follow a detected face
+        const pulseSettings = this.readPulseSettings();
+        const faceAnalysis = this.faceAnalysis.value === 'on';
+        if ((pulseSettings || faceAnalysis) && !this.faceDetectorReady()) {
+            return false;
+        }
+        this.batchAnalyzer.pulseAnalyzer = pulseSettings ? this.createPulseAnalyzer({ ...pulseSettings, region: null }) : null;
+        const temporalSettings = this.readTemporalSettings();
+        this.batchAnalyzer.temporalAnalyzer = temporalSettings ? new TemporalAnalyzer(temporalSettings) : null;
+        this.batchAnalyzer.faceDetector = faceAnalysis ? this.faceDetector : null;
+        this.batchAnalyzer.spatialClassifier = this.spatialClassifier;
+        return true;
+    }
+
+    /**
+     * Analyze one queued file; videos play in an off-screen video element
+     * Batch and comparison runs keep their analyses in the history; evaluation
+     * runs score whole labeled datasets and do not.
+     * @param {File} file - Video or image file
+     * @param {Object} options - { onProgress, signal }
+     * @param {boolean} keep - Save the analysis to the history
+     * @returns {Promise<Object>} Analysis results
+     */
+    async analyzeBatchFile(file, options, keep = false) {
+        if (file.type.startsWith('image/')) {
+            const imageData = await ImageLoader.decode(file);
+            // Captured before the analysis hands the pixels to the worker
+            const thumbnail = keep ? this.captureImageData(imageData, 320, 'image/jpeg') : null;
+            const { width, height } = imageData;
+            const results = await this.batchAnalyzer.analyzeImage(imageData, options);
+
+            if (keep) {
+                const metadata = await ImageLoader.readMetadata(file).catch(() => null);
+                const input = {
+                    source: 'file',
+                    name: file.name,
+                    type: file.type,
+                    size: file.size,
+                    width,
+                    height,
+                    format: metadata ? metadata.formatName : null,
+                    hasExif: metadata ? metadata.hasExif : null
+                };
+                this.keepInHistory(results, { file, input, thumbnail });
+            }
+            return results;
+        }
+
+        const url = URL.createObjectURL(file);
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'auto';
+        // The signal is shared by the whole batch, so its listener goes with this file
+        let onAbort = null;
+
+        try {
+            await new Promise((resolve, reject) => {
+                video.addEventListener('loadeddata', resolve, { once: true });
+                video.addEventListener('error', () => reject(new Error('Unable to load the video file')), { once: true });
+                if (options.signal) {
+                    onAbort = () => reject(Utils.createAbortError());
+                    options.signal.addEventListener('abort', onAbort, { once: true });
+                }
+                video.src = url;
+            });
+
+            const results = await this.batchAnalyzer.analyzeVideo(VideoFrames.source(video), options);
+
+            if (keep) {
+                const input = {
+                    source: 'file',
+                    name: file.name,
+                    type: file.type,
+                    size: file.size,
+                    width: video.videoWidth || null,
+                    height: video.videoHeight || null
+                };
+                const thumbnail = this.captureImage(video, video.videoWidth, video.videoHeight, 320, 'image/jpeg');
+                this.keepInHistory(results, { file, input, thumbnail });
+            }
+            return results;
+        } finally {
+            if (onAbort) {
+                options.signal.removeEventListener('abort', onAbort);
+            }
+            video.removeAttribute('src');
+            video.load();
+            URL.revokeObjectURL(url);
+        }
+    }
+
+    /**
+     * Show a finished batch item in the full result view
+     * @param {Object} item - Batch queue item with results
+     */
+    openBatchResult(item) {
+        if (this.analysisController) {
+            this.showError('Analysis Running', 'Stop the current analysis before opening a batch result.');
+            return;
+        }
+
+        this.loadVideo(item.file);
+        if (this.currentFile !== item.file) return;
+
+        this.visualizer.render(
+            item.results.fftData.magnitude,
+            item.results.fftData.width,
+            item.results.fftData.height,
+            item.results.frames[0].compression,
+            item.results.frames[0].channels && item.results.frames[0].channels.spectra
+        );
+        this.displayResults(item.results);
+
+        setTimeout(() => {
+            this.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }, 500);
+    }
+
+    /**
+     * Save results to the history without holding up the caller
+     * A failed save is logged rather than reported as a failed analysis.
+     * @param {Object} results - Finished results
+     * @param {Object} source - See saveToHistory
+     */
+    keepInHistory(results, source = null) {
+        this.saveToHistory(results, source).catch(error => {
+            console.warn('Analysis not saved to history:', error.message);
+        });
+    }
+
+    /**
+     * Save finished results to the history
+     * Results on screen have their images captured first, while the screen still shows them;
+     * a file analyzed off screen brings its thumbnail, and its spectrum is drawn anew.
+     * @param {Object} results - Results just displayed, or of a file analyzed off screen
+     * @param {Object} source - { file, input, thumbnail } for a file analyzed off screen; null for the results on screen
+     */
+    async saveToHistory(results, source = null) {
+        const file = source ? source.file : this.currentFile;
+        const report = AnalysisReport.build(results, source ? source.input : this.describeInput());
+        const canvas = this.visualizer.canvas;
+        const { width, height } = results.fftData;
+        const entry = {
+            createdAt: report.generatedAt,
+            hash: null,
+            thumbnail: source ? source.thumbnail : this.captureThumbnail(),
+            spectrumImage: source
+                ? this.captureImage(this.visualizer.colorize(results.fftData), width, height, 256, 'image/png')
+                : this.captureImage(canvas, canvas.width, canvas.height, 256, 'image/png'),
+            report
+        };
+
+        try {
+            entry.hash = await this.hashFile(file);
+        } catch (error) {
+            console.warn('File not hashed for history:', error.message);
+        }
+
+        await this.historyPanel.add(entry, results);
+    }
+
+    /**
+     * Small still of the media on screen
+     * @returns {string|null} JPEG data URL, or null for a YouTube embed
+     */
+    captureThumbnail() {
+        if (this.currentVideoSource === 'image') {
+            return this.captureImage(this.imageViewer, this.imageViewer.naturalWidth, this.imageViewer.naturalHeight, 320, 'image/jpeg');
+        }
+        if (this.currentVideoSource === 'file') {
+            return this.captureImage(this.videoPlayer, this.videoPlayer.videoWidth, this.videoPlayer.videoHeight, 320, 'image/jpeg');
+        }
+        return null; // The YouTube player is a cross-origin frame
+    }
+
+    /**
+     * Scale decoded pixels down into a data URL
+     * @param {ImageData} imageData - Decoded image
+     * @param {number} maxSize - Longest side of the result
+     * @param {string} type - Image MIME type
+     * @returns {string|null} Data URL, or null if the image cannot be drawn
+     */
+    captureImageData(imageData, maxSize, type) {
+        const canvas = document.createElement('canvas');
+        canvas.width = imageData.width;
+        canvas.height = imageData.height;
+        const ctx = canvas.getContext('2d');
+        if (!ctx) return null;
+        ctx.putImageData(imageData, 0, 0);
+        return this.captureImage(canvas, canvas.width, canvas.height, maxSize, type);
+    }
+
+    /**
+     * Draw an image, video or canvas scaled down into a data URL
+     * @param {CanvasImageSource} source - What to draw
+     * @param {number} width - Source width
+     * @param {number} height - Source height
+     * @param {number} maxSize - Longest side of the result
+     * @param {string} type - Image MIME type
+     * @returns {string|null} Data URL, or null if the source has no size or cannot be read
+     */
+    captureImage(source, width, height, maxSize, type) {
+        if (!width || !height) return null;
+
+        const scale = Math.min(1, maxSize / Math.max(width, height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(width * scale));
+        canvas.height = Math.max(1, Math.round(height * scale));
+
+        try {
+            canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+            return canvas.toDataURL(type, 0.8);
+        } catch (error) {
+            console.warn('Unable to capture an image for the history:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * SHA-256 of a file, so a file analyzed again can be recognized under another name
+     * A worker reads the file a slice at a time, so a video of any size is hashed
+     * without holding it in memory or freezing the page.
+     * @param {File|null} file - Analyzed file
+     * @returns {Promise<string|null>} Hex digest, or null without a file
+     */
+    async hashFile(file) {
+        return file ? this.fileHasher.hash(file) : null;
+    }
+
+    /**
+     * Show a saved analysis in the full result view
+     * History keeps no media, so the saved thumbnail stands in for the preview.
+     * @param {Object} entry - History entry
+     * @param {Object} results - Its full results
+     */
+    openHistoryEntry(entry, results) {
+        if (this.analysisController) {
+            this.showError('Analysis Running', 'Stop the current analysis before opening a saved analysis.');
+            return;
+        }
+
+        if (this.currentVideo && this.currentVideoSource !== 'youtube') {
+            URL.revokeObjectURL(this.currentVideo);
+        }
+        this.currentVideo = null;
+        this.currentVideoSource = 'history';
+        this.currentFile = null;
+        this.currentImageInfo = null;
+        this.historyEntry = entry;
+
+        this.videoPlayer.pause();
+        this.videoPlayer.removeAttribute('src');
+        this.youtubePlayerContainer.innerHTML = '';
+        this.setPreviewMode('image');
+        this.previewTitle.textContent = 'Saved Analysis';
+        this.drawRegionsBtn.disabled = true;
+
+        this.imageViewer.onerror = null;
+        if (entry.thumbnail) {
+            this.imageViewer.src = entry.thumbnail;
+        } else {
+            this.imageViewer.removeAttribute('src');
+        }
+
+        const { input } = entry.report;
+        this.renderInfoRows([
+            ['Analyzed', new Date(entry.createdAt).toLocaleString()],
+            ['Media', input.mediaType === 'image' ? 'Image' : `Video, ${Utils.formatTime(input.duration)}`],
+            ['Dimensions', input.width && input.height ? `${input.width} × ${input.height}` : 'Unknown'],
+            ['File size', input.size === null ? 'Unknown' : Utils.formatFileSize(input.size)],
+            ['SHA-256', entry.hash ? `${entry.hash.slice(0, 16)}…` : 'Not hashed']
+        ]);
+
+        this.videoSection.classList.remove('hidden');
+        this.fftSection.classList.remove('hidden');
+
+        this.visualizer.render(
+            results.fftData.magnitude,
+            results.fftData.width,
+            results.fftData.height,
+            results.frames[0].compression,
+            results.frames[0].channels && results.frames[0].channels.spectra
+        );
+        this.displayResults(results);
+
+        setTimeout(() => {
+            this.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }, 500);
+    }
+
     /**
      * Switch between upload tabs
      * @param {string} tabName - Tab to switch to ('file' or 'youtube')
@@ -178,14 +1133,16 @@ class AIVideoDetectionApp {
      */
     async loadYoutubeVideo(videoId) {
         // Hide regular video player, show YouTube container
-        this.videoPlayer.classList.add('hidden');
-        this.youtubePlayerContainer.classList.remove('hidden');
+        this.setPreviewMode('youtube');
 
         // Load video
         await this.youtubeHandler.loadVideo(videoId, this.youtubePlayerContainer);
 
         this.currentVideoSource = 'youtube';
         this.currentVideo = videoId;
+        this.currentFile = null;
+        this.currentImageInfo = null;
+        this.lastResults = null;
 
         // Show video section
         this.videoSection.classList.remove('hidden');
@@ -214,16 +1171,25 @@ class AIVideoDetectionApp {
         }
 
         // Check file type
-        if (!file.type.startsWith('video/')) {
+        const isImage = file.type.startsWith('image/');
+        if (!file.type.startsWith('video/') && !isImage) {
             return {
                 valid: false,
                 error: 'Invalid File Type',
-                details: `The selected file "${file.name}" is not a video file. Please upload a video in MP4, WebM, MOV, or MKV format.`
+                details: `The selected file "${file.name}" is not a video or image file. Please upload a video in MP4, WebM, MOV, or MKV format, or an image in JPEG, PNG, WebP, or AVIF format.`
             };
         }
 
         // Check if format is supported
-        if (!this.supportedFormats.includes(file.type)) {
+        if (isImage && !ImageLoader.supportedFormats.includes(file.type)) {
+            return {
+                valid: false,
+                error: 'Unsupported Image Format',
+                details: `The image format "${file.type}" is not supported. Supported formats: JPEG, PNG, WebP, or AVIF.`
+            };
+        }
+
+        if (!isImage && !this.supportedFormats.includes(file.type)) {
             return {
                 valid: false,
                 error: 'Unsupported Video Format',
@@ -238,7 +1204,7 @@ class AIVideoDetectionApp {
             return {
                 valid: false,
                 error: 'File Too Large',
-                details: `The video file "${file.name}" is ${fileSize}, which exceeds the maximum allowed size of ${maxSize}. Please upload a smaller video file.`
+                details: `The file "${file.name}" is ${fileSize}, which exceeds the maximum allowed size of ${maxSize}. Please upload a smaller file.`
             };
         }
 
@@ -247,7 +1213,7 @@ class AIVideoDetectionApp {
             return {
                 valid: false,
                 error: 'Empty File',
-                details: 'The selected file appears to be empty. Please select a valid video file.'
+                details: 'The selected file appears to be empty. Please select a valid video or image file.'
             };
         }
 
@@ -262,15 +1228,22 @@ class AIVideoDetectionApp {
             return;
         }
 
+        if (file.type.startsWith('image/')) {
+            this.loadImage(file);
+            return;
+        }
+
         try {
             // Create object URL
             const url = URL.createObjectURL(file);
             this.currentVideo = url;
             this.currentVideoSource = 'file';
+            this.currentFile = file;
+            this.currentImageInfo = null;
+            this.lastResults = null;
 
-            // Show regular video player, hide YouTube container
-            this.videoPlayer.classList.remove('hidden');
-            this.youtubePlayerContainer.classList.add('hidden');
+            // Show regular video player, hide YouTube container and image viewer
+            this.setPreviewMode('video');
 
             // Load video with error handling
             this.videoPlayer.src = url;
@@ -287,6 +1260,8 @@ class AIVideoDetectionApp {
             this.videoSection.classList.remove('hidden');
             this.fftSection.classList.remove('hidden');
             this.resultsSection.classList.add('hidden');
+            this.timeline.clear();
+            this.tileOverlay.clear();
 
             // Scroll to video
             setTimeout(() => {
@@ -303,7 +1278,126 @@ class AIVideoDetectionApp {
         }
     }
 
+    /**
+     * Show a still image in place of the video player
+     * @param {File} file - Validated image file
+     */
+    loadImage(file) {
+        const url = URL.createObjectURL(file);
+        this.currentVideo = url;
+        this.currentVideoSource = 'image';
+        this.currentFile = file;
+        this.currentImageInfo = null;
+        this.lastResults = null;
+
+        this.videoPlayer.pause();
+        this.setPreviewMode('image');
+
+        this.imageViewer.onerror = () => {
+            this.showError(
+                'Image Load Error',
+                'Unable to display the image. The file may be corrupted or in a format this browser cannot decode.'
+            );
+            this.reset();
+        };
+        this.imageViewer.src = url;
+
+        // Show preview section
+        this.videoSection.classList.remove('hidden');
+        this.fftSection.classList.remove('hidden');
+        this.resultsSection.classList.add('hidden');
+        this.timeline.clear();
+        this.tileOverlay.clear();
+        this.showImageInfo(file);
+
+        setTimeout(() => {
+            this.videoSection.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        }, 100);
+
+        console.log(`✓ Loaded image: ${file.name} (${Utils.formatFileSize(file.size)})`);
+    }
+
+    /**
+     * Read and display a still image's dimensions, format and EXIF presence
+     * @param {File} file - Image file shown in the viewer
+     */
+    async showImageInfo(file) {
+        this.imageInfo.innerHTML = '';
+
+        try {
+            const metadata = await ImageLoader.readMetadata(file);
+            if (!this.imageViewer.complete) {
+                await new Promise(resolve => this.imageViewer.addEventListener('load', resolve, { once: true }));
+            }
+
+            // Another file may have been loaded in the meantime
+            if (this.currentFile !== file) return;
+
+            this.currentImageInfo = {
+                ...metadata,
+                width: this.imageViewer.naturalWidth,
+                height: this.imageViewer.naturalHeight
+            };
+
+            this.renderInfoRows([
+                ['Dimensions', `${this.currentImageInfo.width} × ${this.currentImageInfo.height}`],
+                ['Format', metadata.formatName],
+                ['EXIF', metadata.hasExif ? 'Present' : 'None'],
+                ['File size', Utils.formatFileSize(file.size)]
+            ]);
+        } catch (error) {
+            console.warn('Unable to read image metadata:', error);
+        }
+    }
+
+    /**
+     * Fill the info list under the image viewer
+     * @param {Array<Array<string>>} rows - [label, value] pairs
+     */
+    renderInfoRows(rows) {
+        this.imageInfo.innerHTML = '';
+
+        for (const [label, value] of rows) {
+            const row = document.createElement('div');
+            const term = document.createElement('dt');
+            const description = document.createElement('dd');
+            term.textContent = label;
+            description.textContent = value;
+            row.append(term, description);
+            this.imageInfo.appendChild(row);
+        }
+    }
+
+    /**
+     * Switch the preview area between the video player, YouTube embed and image viewer
+     * @param {string} mode - 'video', 'youtube' or 'image'
+     */
+    setPreviewMode(mode) {
+        this.videoPlayer.classList.toggle('hidden', mode !== 'video');
+        this.youtubePlayerContainer.classList.toggle('hidden', mode !== 'youtube');
+        this.imageViewer.classList.toggle('hidden', mode !== 'image');
+        this.imageInfo.classList.toggle('hidden', mode !== 'image');
+        this.analysisSettings.classList.toggle('still-image', mode === 'image');
+        this.previewTitle.textContent = mode === 'image' ? 'Image Preview' : 'Video Preview';
+
+        // A pulse box or analysis regions only make sense for the media they were drawn on
+        this.regionSelector.clear();
+        this.roiSelector.setMedia(mode === 'image' ? 'imageViewer' : 'videoPlayer');
+        this.roiSelector.clear();
+        this.updateRegionStatus([]);
+        this.drawRegionsBtn.disabled = mode === 'youtube';
+        this.setRegionDrawing(false);
+    }
+
     async analyzeVideo() {
+        if (this.currentVideoSource === 'history') {
+            this.showError(
+                'Saved Analysis',
+                'History keeps the results but not the media. Load the file again to analyze it anew.'
+            );
+            return;
+        }
+
         if (!this.currentVideo) {
             this.showError(
                 'No Video Loaded',
@@ -321,20 +1415,63 @@ class AIVideoDetectionApp {
             return;
         }
 
-        // Disable button
-        this.analyzeBtn.disabled = true;
-        this.analyzeBtn.textContent = '⏳ Analyzing...';
+        try {
+            this.analyzer.preprocessing = Preprocessing.parse(this.preprocessingInput.value);
+        } catch (error) {
+            this.showError('Invalid Preprocessing Pipeline', error.message);
+            return;
+        }
+        try {
+            this.analyzer.voting = Detectors.parse(this.votingInput.value);
+        } catch (error) {
+            this.showError('Invalid Detector Voting', error.message);
+            return;
+        }
+        this.analyzer.sampling = this.readSamplingSettings();
+        this.analyzer.colorSpace = this.colorSpaceSelect.value;
+        this.analyzer.regions = this.currentVideoSource === 'youtube' ? [] : this.roiSelector.getRegions();
+        const faceAnalysis = this.faceAnalysis.value === 'on';
+        if (faceAnalysis && !this.faceDetectorReady()) return;
+        this.analyzer.faceDetector = faceAnalysis ? this.faceDetector : null;
+        this.analyzer.spatialClassifier = this.spatialClassifier;
+
+        // Stills and YouTube embeds have no frames to track a pulse through
+        const pulseSettings = this.currentVideoSource === 'file' ? this.readPulseSettings() : null;
+        if (pulseSettings && this.pulseRegion.value === 'box' && !pulseSettings.region) {
+            this.showError(
+                'No Pulse Region',
+                'Drag a box over the subject\'s skin in the video, or switch the pulse region to a detected face.'
+            );
+            return;
+        }
+        if (pulseSettings && !pulseSettings.region && !this.faceDetectorReady()) return;
+        this.analyzer.pulseAnalyzer = pulseSettings ? this.createPulseAnalyzer(pulseSettings) : null;
+        this.pulseStageItem.classList.toggle('hidden', !pulseSettings);
+
+        const temporalSettings = this.currentVideoSource === 'file' ? this.readTemporalSettings() : null;
+        this.analyzer.temporalAnalyzer = temporalSettings ? new TemporalAnalyzer(temporalSettings) : null;
+        this.temporalStageItem.classList.toggle('hidden', !temporalSettings);
+
+        // Swap the analyze button for the stop button
+        this.analysisController = new AbortController();
+        this.setAnalyzing(true);
 
         // Show loading overlay
+        this.updateProgress({ stage: 'sample', current: 0, total: 1, percent: 0, stages: {} });
         this.fftLoading.classList.remove('hidden');
         this.resultsSection.classList.add('hidden');
+        this.timeline.clear();
+        this.tileOverlay.clear();
 
         try {
             // Run analysis
-            const results = await this.analyzer.analyzeVideo(
-                this.videoPlayer,
-                (progress) => this.updateProgress(progress)
-            );
+            const analysisOptions = {
+                onProgress: (progress) => this.updateProgress(progress),
+                signal: this.analysisController.signal
+            };
+            const results = this.currentVideoSource === 'image'
+                ? await this.analyzer.analyzeImage(await ImageLoader.decode(this.currentFile), analysisOptions)
+                : await this.analyzer.analyzeVideo(VideoFrames.source(this.videoPlayer), analysisOptions);
 
             // Hide loading
             this.fftLoading.classList.add('hidden');
@@ -344,26 +1481,40 @@ class AIVideoDetectionApp {
             this.visualizer.render(
                 results.fftData.magnitude,
                 results.fftData.width,
-                results.fftData.height
+                results.fftData.height,
+                results.frames[0].compression,
+                results.frames[0].channels && results.frames[0].channels.spectra
             );
 
             // Display results
             this.displayResults(results);
 
+            // Keep them for later visits; saving never holds up the results
+            this.keepInHistory(results);
+
             // Scroll to results
             setTimeout(() => {
                 this.resultsSection.scrollIntoView({ behavior: 'smooth', block: 'center' });
             }, 500);
 
         } catch (error) {
-            console.error('Analysis failed:', error);
             this.fftLoading.classList.add('hidden');
 
+            if (Utils.isAbortError(error)) {
+                console.log('Analysis stopped by user');
+                return;
+            }
+
+            console.error('Analysis failed:', error);
+
             // Determine error type and show appropriate message
             let errorTitle = 'Analysis Failed';
             let errorMessage = 'An error occurred during video analysis. Please try again with a different video.';
 
-            if (error.message.includes('frame')) {
+            if (error.message.includes('decode image')) {
+                errorTitle = 'Image Decode Error';
+                errorMessage = 'Unable to decode the image. This browser may not support its format.';
+            } else if (error.message.includes('frame')) {
                 errorTitle = 'Frame Extraction Error';
                 errorMessage = 'Unable to extract frames from the video. The video may be corrupted or in an incompatible format.';
             } else if (error.message.includes('FFT')) {
@@ -376,13 +1527,210 @@ class AIVideoDetectionApp {
 
             this.showError(errorTitle, errorMessage);
         } finally {
-            this.analyzeBtn.disabled = false;
-            this.analyzeBtn.textContent = '🔍 Analyze Video';
+            this.analysisController = null;
+            this.setAnalyzing(false);
+        }
+    }
+
+    /**
+     * Cancel the running analysis, including work queued in the FFT worker
+     */
+    stopAnalysis() {
+        if (this.analysisController) {
+            this.analysisController.abort();
         }
     }
 
+    /**
+     * Toggle between the analyze and stop buttons
+     * @param {boolean} analyzing - Whether an analysis is running
+     */
+    setAnalyzing(analyzing) {
+        this.analyzeBtn.classList.toggle('hidden', analyzing);
+        this.stopBtn.classList.toggle('hidden', !analyzing);
+    }
+
+    /**
+     * Show only the inputs that apply to the selected sampling strategy
+     */
+    updateSamplingFields() {
+        const strategy = this.samplingStrategy.value;
+        this.samplingFields.forEach(field => {
+            field.classList.toggle('hidden', !field.dataset.strategies.split(' ').includes(strategy));
+        });
+    }
+
+    /**
+     * Read frame sampling settings from the form
+     * @returns {Object} Settings for FrameSampler
+     */
+    readSamplingSettings() {
+        return {
+            strategy: this.samplingStrategy.value,
+            frameCount: parseInt(this.samplingFrameCount.value, 10) || 5,
+            interval: parseFloat(this.samplingInterval.value) || 0.5,
+            seed: parseInt(this.samplingSeed.value, 10) || 0
+        };
+    }
+
+    /**
+     * Read pulse check settings from the form
+     * @returns {Object|null} Settings for PulseAnalyzer, or null when the check is off
+     */
+    readPulseSettings() {
+        if (this.pulseMethod.value === 'off') return null;
+
+        return {
+            method: this.pulseMethod.value,
+            region: this.pulseRegion.value === 'box' ? this.regionSelector.getRegion() : null
+        };
+    }
+
+    /**
+     * Read temporal check settings from the form
+     * @returns {Object|null} Settings for TemporalAnalyzer, or null when the check is off
+     */
+    readTemporalSettings() {
+        if (this.temporalRate.value === 'off') return null;
+
+        return { fps: parseInt(this.temporalRate.value, 10) };
+    }
+
+    /**
+     * Pulse analyzer for the form's settings
+     * @param {Object} settings - Output of readPulseSettings
+     * @returns {PulseAnalyzer} Analyzer that finds faces with the shared detector
+     */
+    createPulseAnalyzer(settings) {
+        const pulseAnalyzer = new PulseAnalyzer(settings);
+        pulseAnalyzer.faceDetector = this.faceDetector;
+        return pulseAnalyzer;
+    }
+
+    /**
+     * Enable box drawing over the video while a drawn pulse region is selected
+     * and analysis regions are not being drawn
+     */
+    updatePulseFields() {
+        const enabled = this.pulseMethod.value !== 'off';
+        this.pulseRegion.disabled = !enabled;
+        this.regionSelector.setActive(
+            enabled &&
+            this.pulseRegion.value === 'box' &&
+            !this.roiSelector.active &&
+            !this.videoPlayer.classList.contains('hidden')
+        );
+    }
+
+    /**
+     * Start or stop drawing analysis regions over the preview
+     * @param {boolean} active - Whether drags add regions
+     */
+    setRegionDrawing(active) {
+        this.roiSelector.setActive(active);
+        this.drawRegionsBtn.classList.toggle('active', active);
+        this.drawRegionsBtn.textContent = active ? 'Done' : 'Draw';
+        this.updatePulseFields();
+    }
+
+    /**
+     * Show how many analysis regions are drawn
+     * @param {Array<Object>} regions - Regions as fractions of the frame
+     */
+    updateRegionStatus(regions) {
+        this.clearRegionsBtn.classList.toggle('hidden', regions.length === 0);
+        this.regionStatus.textContent = regions.length === 0
+            ? 'Whole frame'
+            : `${regions.length} region${regions.length === 1 ? '' : 's'} + whole frame`;
+    }
+
+    /**
+     * Fill the preprocessing preset menu and select the analyzer's current pipeline
+     */
+    populatePreprocessingPresets() {
+        for (const [key, preset] of Object.entries(Preprocessing.presets)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = preset.label;
+            this.preprocessingPreset.appendChild(option);
+        }
+
+        const custom = document.createElement('option');
+        custom.value = 'custom';
+        custom.textContent = 'Custom';
+        this.preprocessingPreset.appendChild(custom);
+
+        this.preprocessingPreset.value = 'windowed';
+        this.applyPreprocessingPreset();
+    }
+
+    /**
+     * Copy the selected preset into the editable pipeline field
+     */
+    applyPreprocessingPreset() {
+        const preset = Preprocessing.presets[this.preprocessingPreset.value];
+        if (preset) {
+            this.preprocessingInput.value = Preprocessing.format(preset.stages);
+        }
+    }
+
+    /**
+     * Describe how frames were sampled
+     * @param {Object} sampling - Sampling record from the analysis result
+     * @returns {string} Human-readable summary
+     */
+    describeSampling(sampling) {
+        if (sampling.strategy === 'still') {
+            return 'Sampling: still image, analyzed as a single frame';
+        }
+
+        const name = FrameSampler.strategyNames[sampling.strategy];
+        const count = sampling.timestamps.length;
+        const times = sampling.timestamps.map(time => Utils.formatTime(time)).join(', ');
+
+        let parameters = '';
+        if (sampling.strategy === 'interval') {
+            parameters = ` every ${sampling.effectiveInterval.toFixed(2)} s`;
+        } else if (sampling.strategy === 'random') {
+            parameters = ` seed ${sampling.settings.seed}`;
+        } else if (sampling.strategy === 'shots') {
+            parameters = ` around ${sampling.cuts.length} detected cut${sampling.cuts.length === 1 ? '' : 's'}`;
+        }
+
+        return `Sampling: ${name}${parameters} - ${count} frame${count === 1 ? '' : 's'} at ${times}`;
+    }
+
+    /**
+     * Summarize the tile grid and how many tiles looked AI-like
+     * @param {Array} frames - Per-frame results
+     * @returns {string} Human-readable summary
+     */
+    describeTiles(frames) {
+        const grid = frames[0].tileGrid;
+        const tiles = frames.flatMap(frame => frame.tiles);
+        const suspicious = tiles.filter(tile => tile.aiScore > tile.realScore).length;
+
+        return `Tiles: ${grid.columns}×${grid.rows} of ${grid.tileSize} px (stride ${grid.stride}) ` +
+            `at native ${grid.frameWidth}×${grid.frameHeight} - ${suspicious} of ${tiles.length} tiles AI-like`;
+    }
+
+    /**
+     * Update the progress bar and stage list
+     * @param {Object} progress - Progress descriptor from FFTAnalyzer.createProgressReporter
+     */
     updateProgress(progress) {
-        this.progressFill.style.width = `${progress}%`;
+        this.progressFill.style.width = `${progress.percent}%`;
+
+        const label = this.stageLabels[progress.stage];
+        this.loadingText.textContent = progress.total > 1
+            ? `${label} (${progress.current}/${progress.total})...`
+            : `${label}...`;
+
+        this.progressStages.forEach(item => {
+            const stage = item.dataset.stage;
+            item.classList.toggle('active', stage === progress.stage);
+            item.classList.toggle('done', stage !== progress.stage && progress.stages[stage] >= 1);
+        });
     }
 
     displayResults(results) {
@@ -390,6 +1738,13 @@ class AIVideoDetectionApp {
         this.resultsSection.classList.remove('hidden');
         this.resultsSection.classList.add('visible');
 
+        this.lastResults = results;
+
+        // New results start unlabeled
+        this.feedbackExample = null;
+        this.markRealBtn.classList.remove('active');
+        this.markAiBtn.classList.remove('active');
+
         // Set badge
         if (results.isAIGenerated) {
             this.resultBadge.textContent = '⚠️ AI Generated';
@@ -406,6 +1761,14 @@ class AIVideoDetectionApp {
         this.confidenceValue.textContent = `${confidence}%`;
         this.confidenceFill.style.width = `${confidence}%`;
 
+        // Per-frame timeline under the video, starting at the first sampled frame
+        if (results.mediaType === 'image') {
+            this.timeline.clear();
+        } else {
+            this.timeline.render(results.frames, results.duration);
+        }
+        this.showFrame(results.frames[0]);
+
         // Set details
         this.detectionDetails.innerHTML = '';
         results.details.forEach(detail => {
@@ -414,6 +1777,19 @@ class AIVideoDetectionApp {
             this.detectionDetails.appendChild(li);
         });
 
+        // Record how the frames were chosen
+        const samplingLi = document.createElement('li');
+        samplingLi.textContent = this.describeSampling(results.sampling);
+        this.detectionDetails.appendChild(samplingLi);
+
+        const tilesLi = document.createElement('li');
+        tilesLi.textContent = this.describeTiles(results.frames);
+        this.detectionDetails.appendChild(tilesLi);
+
+        const preprocessingLi = document.createElement('li');
+        preprocessingLi.textContent = `Preprocessing: ${Preprocessing.format(results.preprocessing)}`;
+        this.detectionDetails.appendChild(preprocessingLi);
+
         // Add pattern scores
         const patternsLi = document.createElement('li');
         patternsLi.innerHTML = `<strong>Pattern Analysis:</strong>`;
@@ -428,10 +1804,13 @@ class AIVideoDetectionApp {
             brightDots: 'Bright Dots',
             crossShape: 'Cross Shape',
             checkerboard: 'Checkerboard',
-            smoothGradient: 'Smooth Gradient'
+            smoothGradient: 'Smooth Gradient',
+            falloffDeviation: 'Falloff Deviation',
+            tailAnomaly: 'High-Freq Tail'
         };
 
-        for (const [key, value] of Object.entries(results.patterns)) {
+        // Compression is not an AI pattern; it gets its own line below
+        for (const [key, value] of Object.entries(results.patterns).filter(([key]) => key !== 'compression')) {
             const li = document.createElement('li');
             const percentage = Math.round(value * 100);
             const bar = '█'.repeat(Math.floor(percentage / 10));
@@ -443,27 +1822,172 @@ class AIVideoDetectionApp {
 
         this.detectionDetails.appendChild(patternsList);
 
+        if (results.compression) {
+            const compressionLi = document.createElement('li');
+            compressionLi.textContent = results.compression.blockSize
+                ? `Compression: ${results.compression.blockSize}×${results.compression.blockSize} block grid,` +
+                    ` strength ${Math.round(results.compression.strength * 100)}%`
+                : 'Compression: no block grid found';
+            this.detectionDetails.appendChild(compressionLi);
+        }
+
+        // Show how each detector voted and how much it counted
+        const votesLi = document.createElement('li');
+        votesLi.innerHTML = `<strong>Detector Votes:</strong>`;
+        this.detectionDetails.appendChild(votesLi);
+
+        const votesList = document.createElement('ul');
+        votesList.style.marginLeft = '20px';
+        votesList.style.fontSize = '0.875rem';
+
+        for (const vote of results.votes) {
+            const li = document.createElement('li');
+            li.style.fontFamily = 'var(--font-mono)';
+
+            if (vote.abstain) {
+                li.textContent = `${vote.label}: abstained - ${vote.reason} (weight ${vote.weight})`;
+                li.style.color = 'var(--color-text-muted)';
+            } else {
+                const percentage = Math.round(vote.score * 100);
+                li.textContent = `${vote.label}: ${'█'.repeat(Math.floor(percentage / 10))} ${percentage}% AI` +
+                    ` (weight ${vote.weight}, confidence ${Math.round(vote.confidence * 100)}%,` +
+                    ` ${Math.round(vote.influence * 100)}% of verdict)`;
+                li.style.color = vote.score > results.voting.threshold ? 'var(--color-accent-primary)' : 'var(--color-text-muted)';
+            }
+            votesList.appendChild(li);
+        }
+
+        const ensembleLi = document.createElement('li');
+        ensembleLi.textContent = `Ensemble: ${Math.round(results.score * 100)}% AI` +
+            ` (threshold ${Math.round(results.voting.threshold * 100)}%)`;
+        ensembleLi.style.fontFamily = 'var(--font-mono)';
+        votesList.appendChild(ensembleLi);
+
+        this.detectionDetails.appendChild(votesList);
+
+        this.visualizer.renderTemporal(results.temporal);
+
         console.log('Analysis complete:', results);
     }
 
+    /**
+     * Seek the player to an analyzed frame and show that frame's spectrum and profiles
+     * @param {Object} frame - Per-frame result from the analyzer
+     */
+    showFrame(frame) {
+        if (this.currentVideoSource === 'file') {
+            this.videoPlayer.pause();
+            this.videoPlayer.currentTime = frame.time;
+        }
+
+        this.visualizer.render(
+            frame.fftData.magnitude,
+            frame.fftData.width,
+            frame.fftData.height,
+            frame.compression,
+            frame.channels && frame.channels.spectra
+        );
+        this.visualizer.renderProfiles(frame.profile);
+        this.tileOverlay.render(frame);
+    }
+
+    /**
+     * Describe the analyzed input for reports
+     * @returns {Object} { source, name, type, size, width, height, ... }
+     */
+    describeInput() {
+        if (this.currentVideoSource === 'history') {
+            const { mediaType, duration, ...input } = this.historyEntry.report.input;
+            return input;
+        }
+
+        if (this.currentVideoSource === 'youtube') {
+            return { source: 'youtube', name: this.currentVideo, type: null, size: null, width: null, height: null };
+        }
+
+        if (this.currentVideoSource === 'image') {
+            const info = this.currentImageInfo;
+            return {
+                source: 'file',
+                name: this.currentFile.name,
+                type: this.currentFile.type,
+                size: this.currentFile.size,
+                width: info ? info.width : null,
+                height: info ? info.height : null,
+                format: info ? info.formatName : null,
+                hasExif: info ? info.hasExif : null
+            };
+        }
+
+        return {
+            source: 'file',
+            name: this.currentFile ? this.currentFile.name : null,
+            type: this.currentFile ? this.currentFile.type : null,
+            size: this.currentFile ? this.currentFile.size : null,
+            width: this.videoPlayer.videoWidth || null,
+            height: this.videoPlayer.videoHeight || null
+        };
+    }
+
+    /**
+     * Download the last analysis as a JSON, CSV or standalone HTML report
+     * @param {string} format - 'json', 'csv' or 'html'
+     */
+    exportReport(format) {
+        if (!this.lastResults) {
+            this.showError('Nothing to Export', 'Run an analysis before exporting a report.');
+            return;
+        }
+
+        const report = AnalysisReport.build(this.lastResults, this.describeInput());
+        const fileName = AnalysisReport.fileName(report);
+
+        if (format === 'json') {
+            AnalysisReport.download(AnalysisReport.toJSON(report), `${fileName}.json`, 'application/json');
+        } else if (format === 'csv') {
+            AnalysisReport.download(AnalysisReport.toCSV([report]), `${fileName}.csv`, 'text/csv');
+        } else {
+            // Embed the spectrum currently on screen and the detail list as shown
+            const frame = this.timeline.frames[this.timeline.selectedIndex] || this.lastResults.frames[0];
+            const html = AnalysisReport.toHTML(report, {
+                spectrumImage: this.visualizer.canvas.toDataURL('image/png'),
+                spectrumCaption: this.lastResults.mediaType === 'image'
+                    ? 'Mean tile spectrum of the image'
+                    : `Mean tile spectrum of frame ${frame.index + 1} at ${Utils.formatTime(frame.time)}`,
+                details: Array.from(this.detectionDetails.querySelectorAll('li'), li => li.textContent)
+            });
+            AnalysisReport.download(html, `${fileName}.html`, 'text/html');
+        }
+    }
+
     reset() {
+        // Cancel any analysis still running against the old video
+        this.stopAnalysis();
+
         // Clear video
-        if (this.currentVideo && this.currentVideoSource === 'file') {
+        if (this.currentVideo && this.currentVideoSource !== 'youtube') {
             URL.revokeObjectURL(this.currentVideo);
         }
         this.currentVideo = null;
         this.currentVideoSource = 'file';
+        this.currentFile = null;
+        this.currentImageInfo = null;
+        this.historyEntry = null;
+        this.lastResults = null;
 
         this.videoPlayer.src = '';
+        this.imageViewer.removeAttribute('src');
+        this.imageInfo.innerHTML = '';
         this.fileInput.value = '';
         this.youtubeUrlInput.value = '';
         this.youtubePlayerContainer.innerHTML = '';
 
         // Show/hide video player elements
-        this.videoPlayer.classList.remove('hidden');
-        this.youtubePlayerContainer.classList.add('hidden');
+        this.setPreviewMode('video');
 
         // Hide sections
+        this.timeline.clear();
+        this.tileOverlay.clear();
         this.videoSection.classList.add('hidden');
         this.fftSection.classList.add('hidden');
         this.resultsSection.classList.add('hidden');
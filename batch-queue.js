@@ -0,0 +1,381 @@
+/**
+ * Batch Queue
+ * Analyzes many files one after another and lists their results in a sortable table
+ */
+
+class BatchQueue {
+    /**
+     * @param {string} containerId - Element that hosts the queue
+     * @param {Object} options - Queue callbacks
+     * @param {Function} options.validate - (file) => { valid, error, details }
+     * @param {Function} options.analyze - async (file, { onProgress, signal }) => analysis results
+     * @param {Function} options.onOpen - Called with a finished item when its row is clicked
+     * @param {Function} options.onStart - Called before a run starts; returning false cancels it
+     */
+    constructor(containerId, options) {
+        this.container = document.getElementById(containerId);
+        this.validate = options.validate;
+        this.analyze = options.analyze;
+        this.onOpen = options.onOpen;
+        this.onStart = options.onStart || null;
+
+        this.items = [];
+        this.running = false;
+        this.stopping = false; // Set by stop(); the run loop exits after the current item
+        this.controller = null; // AbortController for the item being analyzed
+        this.sort = { key: 'added', direction: 1 };
+
+        this.container.innerHTML = `
+            <div class="batch-header">
+                <div>
+                    <h3 class="batch-title">Batch Queue</h3>
+                    <p class="batch-summary"></p>
+                </div>
+                <div class="batch-actions">
+                    <button class="btn btn-primary batch-start">
+                        <span class="btn-icon">▶</span>
+                        <span>Analyze All</span>
+                    </button>
+                    <button class="btn btn-danger batch-stop hidden">
+                        <span class="btn-icon">⏹</span>
+                        <span>Stop</span>
+                    </button>
+                    <button class="btn btn-secondary batch-export">
+                        <span class="btn-icon">📄</span>
+                        <span>Export CSV</span>
+                    </button>
+                    <button class="btn btn-secondary batch-clear">
+                        <span class="btn-icon">🗑</span>
+                        <span>Clear</span>
+                    </button>
+                </div>
+            </div>
+            <div class="batch-table-wrapper">
+                <table class="batch-table">
+                    <thead><tr></tr></thead>
+                    <tbody></tbody>
+                </table>
+            </div>
+        `;
+
+        this.summary = this.container.querySelector('.batch-summary');
+        this.startBtn = this.container.querySelector('.batch-start');
+        this.stopBtn = this.container.querySelector('.batch-stop');
+        this.exportBtn = this.container.querySelector('.batch-export');
+        this.clearBtn = this.container.querySelector('.batch-clear');
+        this.headRow = this.container.querySelector('thead tr');
+        this.body = this.container.querySelector('tbody');
+
+        this.startBtn.addEventListener('click', () => this.start());
+        this.stopBtn.addEventListener('click', () => this.stop());
+        this.exportBtn.addEventListener('click', () => this.exportCSV());
+        this.clearBtn.addEventListener('click', () => this.clear());
+
+        this.renderHeader();
+    }
+
+    /**
+     * Table columns as { key, label, value(item) }; value drives sorting
+     */
+    static get columns() {
+        const pattern = (key) => (item) => item.results ? item.results.patterns[key] : null;
+
+        return [
+            { key: 'name', label: 'File', value: item => item.file.name.toLowerCase() },
+            { key: 'status', label: 'Status', value: item => BatchQueue.statusOrder[item.status] },
+            { key: 'verdict', label: 'Verdict', value: item => item.results ? Number(item.results.isAIGenerated) : null },
+            { key: 'confidence', label: 'Confidence', value: item => item.results ? item.results.confidence : null },
+            { key: 'gridPattern', label: 'Grid', value: pattern('gridPattern') },
+            { key: 'brightDots', label: 'Dots', value: pattern('brightDots') },
+            { key: 'crossShape', label: 'Cross', value: pattern('crossShape') },
+            { key: 'checkerboard', label: 'Checker', value: pattern('checkerboard') },
+            { key: 'smoothGradient', label: 'Smooth', value: pattern('smoothGradient') },
+            { key: 'falloffDeviation', label: 'Falloff', value: pattern('falloffDeviation') },
+            { key: 'tailAnomaly', label: 'Tail', value: pattern('tailAnomaly') },
+            { key: 'compression', label: 'Blocks', value: pattern('compression') }
+        ];
+    }
+
+    /**
+     * Status sort order: active work first, rejected files last
+     */
+    static get statusOrder() {
+        return { analyzing: 0, queued: 1, done: 2, cancelled: 3, failed: 4, invalid: 5 };
+    }
+
+    /**
+     * Add files to the queue, validating each one
+     * @param {Array<File>} files - Files to add
+     * @returns {number} Number of files accepted for analysis
+     */
+    add(files) {
+        let accepted = 0;
+
+        for (const file of files) {
+            const validation = this.validate(file);
+            this.items.push({
+                id: Utils.generateId('batch'),
+                order: this.items.length,
+                file,
+                status: validation.valid ? 'queued' : 'invalid',
+                progress: 0,
+                results: null,
+                error: validation.valid ? null : `${validation.error}: ${validation.details}`
+            });
+
+            if (validation.valid) accepted++;
+        }
+
+        this.container.classList.remove('hidden');
+        this.render();
+        return accepted;
+    }
+
+    /**
+     * Analyze queued items one at a time until the queue is empty or stopped
+     */
+    async start() {
+        if (this.running || !this.items.some(item => item.status === 'queued' || item.status === 'cancelled')) {
+            return;
+        }
+
+        if (this.onStart && this.onStart() === false) {
+            return;
+        }
+
+        // A stopped item is picked up again on the next run
+        for (const item of this.items) {
+            if (item.status === 'cancelled') item.status = 'queued';
+        }
+
+        this.running = true;
+        this.setRunning(true);
+
+        let item;
+        while (!this.stopping && (item = this.items.find(candidate => candidate.status === 'queued'))) {
+            this.controller = new AbortController();
+            item.status = 'analyzing';
+            item.progress = 0;
+            this.render();
+
+            try {
+                item.results = await this.analyze(item.file, {
+                    onProgress: (progress) => this.updateProgress(item, progress.percent),
+                    signal: this.controller.signal
+                });
+                item.status = 'done';
+            } catch (error) {
+                if (Utils.isAbortError(error)) {
+                    item.status = 'cancelled';
+                } else {
+                    console.error(`Batch analysis failed for ${item.file.name}:`, error);
+                    item.status = 'failed';
+                    item.error = error.message;
+                }
+            }
+
+            this.controller = null;
+            this.render();
+        }
+
+        this.running = false;
+        this.stopping = false;
+        this.setRunning(false);
+        this.render();
+    }
+
+    /**
+     * Stop after cancelling the item being analyzed
+     */
+    stop() {
+        if (!this.running) return;
+
+        this.stopping = true;
+        if (this.controller) {
+            this.controller.abort();
+        }
+    }
+
+    /**
+     * Stop and remove every item
+     */
+    clear() {
+        this.stop();
+        this.items = [];
+        this.render();
+        this.container.classList.add('hidden');
+    }
+
+    /**
+     * Toggle between the start and stop buttons
+     * @param {boolean} running - Whether the queue is running
+     */
+    setRunning(running) {
+        this.startBtn.classList.toggle('hidden', running);
+        this.stopBtn.classList.toggle('hidden', !running);
+    }
+
+    /**
+     * Update one row's progress without rebuilding the table
+     * @param {Object} item - Queue item
+     * @param {number} percent - Overall progress 0-100
+     */
+    updateProgress(item, percent) {
+        item.progress = percent;
+
+        const row = this.body.querySelector(`[data-id="${item.id}"]`);
+        if (row) {
+            row.querySelector('.batch-status').innerHTML = this.formatStatus(item);
+        }
+    }
+
+    /**
+     * Sort by a column; clicking the same column again reverses the order
+     * @param {string} key - Column key
+     */
+    sortBy(key) {
+        this.sort = {
+            key,
+            direction: this.sort.key === key ? -this.sort.direction : 1
+        };
+        this.renderHeader();
+        this.render();
+    }
+
+    /**
+     * Items in display order; items without a value sort last either way
+     * @returns {Array<Object>} Sorted items
+     */
+    getSortedItems() {
+        const column = BatchQueue.columns.find(candidate => candidate.key === this.sort.key);
+        if (!column) {
+            return this.items.slice().sort((a, b) => a.order - b.order);
+        }
+
+        return this.items.slice().sort((a, b) => {
+            const valueA = column.value(a);
+            const valueB = column.value(b);
+
+            if (valueA === valueB) return a.order - b.order;
+            if (valueA === null) return 1;
+            if (valueB === null) return -1;
+            return (valueA < valueB ? -1 : 1) * this.sort.direction;
+        });
+    }
+
+    /**
+     * Draw the sortable column headers
+     */
+    renderHeader() {
+        this.headRow.innerHTML = '';
+
+        for (const column of BatchQueue.columns) {
+            const th = document.createElement('th');
+            const arrow = this.sort.key === column.key ? (this.sort.direction > 0 ? ' ▲' : ' ▼') : '';
+            th.textContent = column.label + arrow;
+            th.className = 'batch-sortable';
+            th.addEventListener('click', () => this.sortBy(column.key));
+            this.headRow.appendChild(th);
+        }
+    }
+
+    /**
+     * Rebuild the table body and summary line
+     */
+    render() {
+        this.body.innerHTML = '';
+
+        for (const item of this.getSortedItems()) {
+            const row = document.createElement('tr');
+            row.dataset.id = item.id;
+            row.className = `batch-row ${item.status}`;
+
+            const results = item.results;
+            const cells = [
+                this.escape(item.file.name),
+                `<span class="batch-status">${this.formatStatus(item)}</span>`,
+                results ? (results.isAIGenerated ? '<span class="batch-verdict ai">AI</span>' : '<span class="batch-verdict real">Real</span>') : '',
+                results ? `${Math.round(results.confidence)}%` : '',
+                ...BatchQueue.columns.slice(4).map(column => {
+                    const value = column.value(item);
+                    return value === null ? '' : `${Math.round(value * 100)}%`;
+                })
+            ];
+            row.innerHTML = cells.map(cell => `<td>${cell}</td>`).join('');
+
+            if (item.error) {
+                row.title = item.error;
+            }
+
+            if (item.status === 'done') {
+                row.classList.add('openable');
+                row.addEventListener('click', () => this.onOpen(item));
+            }
+
+            this.body.appendChild(row);
+        }
+
+        const done = this.items.filter(item => item.status === 'done');
+        const flagged = done.filter(item => item.results.isAIGenerated).length;
+        const rejected = this.items.filter(item => item.status === 'invalid').length;
+        this.summary.textContent = `${done.length} of ${this.items.length - rejected} analyzed · ${flagged} flagged as AI` +
+            (rejected > 0 ? ` · ${rejected} rejected` : '');
+        this.exportBtn.disabled = done.length === 0;
+    }
+
+    /**
+     * Status cell content
+     * @param {Object} item - Queue item
+     * @returns {string} HTML
+     */
+    formatStatus(item) {
+        switch (item.status) {
+            case 'analyzing':
+                return `Analyzing ${Math.round(item.progress)}%` +
+                    `<span class="batch-progress"><span style="width: ${Math.round(item.progress)}%"></span></span>`;
+            case 'queued':
+                return 'Queued';
+            case 'done':
+                return 'Done';
+            case 'cancelled':
+                return 'Stopped';
+            case 'failed':
+                return 'Failed';
+            default:
+                return 'Rejected';
+        }
+    }
+
+    /**
+     * Escape text for table cells
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escape(text) {
+        const span = document.createElement('span');
+        span.textContent = text;
+        return span.innerHTML;
+    }
+
+    /**
+     * Download one CSV row per finished file
+     */
+    exportCSV() {
+        const generatedAt = new Date();
+        const reports = this.items
+            .filter(item => item.status === 'done')
+            .map(item => AnalysisReport.build(item.results, {
+                source: 'file',
+                name: item.file.name,
+                type: item.file.type,
+                size: item.file.size,
+                width: item.results.frames[0].tileGrid.frameWidth,
+                height: item.results.frames[0].tileGrid.frameHeight
+            }, generatedAt));
+
+        if (reports.length === 0) return;
+
+        const stamp = generatedAt.toISOString().replace(/[:.]/g, '-').replace(/-\d+Z$/, 'Z');
+        AnalysisReport.download(AnalysisReport.toCSV(reports), `fft-batch-${stamp}.csv`, 'text/csv');
+    }
+}
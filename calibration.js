@@ -0,0 +1,52 @@
+/**
+ * Calibration Profiles
+ * Map the raw ensemble score to a probability of AI generation and a decision threshold fitted on labeled data
+ */
+
+const Calibration = {
+    format: 'fft-calibration',
+    version: 1,
+
+    /**
+     * Validate a calibration profile, e.g. one loaded from JSON
+     * @param {Object} profile - Parsed profile
+     * @returns {Object} The profile, safe to attach to an analyzer
+     */
+    normalize(profile) {
+        if (!profile || profile.format !== this.format) {
+            throw new Error('Not a calibration profile: expected format "fft-calibration"');
+        }
+        if (profile.version !== this.version) {
+            throw new Error(`Unsupported calibration profile version: ${profile.version}`);
+        }
+        if (profile.method !== 'platt') {
+            throw new Error(`Unknown calibration method: ${profile.method}`);
+        }
+
+        for (const key of ['a', 'b', 'threshold']) {
+            if (!Number.isFinite(profile[key])) {
+                throw new Error(`Calibration profile field "${key}" must be a number`);
+            }
+        }
+        if (profile.threshold <= 0 || profile.threshold >= 1) {
+            throw new Error('Calibration threshold must be between 0 and 1');
+        }
+
+        return profile;
+    },
+
+    /**
+     * Calibrated probability that the input is AI generated
+     * Platt scaling: a logistic curve over the ensemble score.
+     * @param {Object} profile - Calibration profile
+     * @param {number} score - Raw ensemble score 0-1
+     * @returns {number} Probability 0-1
+     */
+    probability(profile, score) {
+        return 1 / (1 + Math.exp(-(profile.a * score + profile.b)));
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Calibration;
+}
@@ -0,0 +1,257 @@
+/**
+ * Channel Spectra
+ * Splits frames into color planes, correlates their spectra band by band, and looks for the period-2 traces of camera demosaicing
+ */
+
+const ChannelSpectra = {
+    // Color spaces a frame can be analyzed in besides luma
+    spaces: {
+        rgb: { label: 'RGB', channels: ['R', 'G', 'B'] },
+        ycbcr: { label: 'YCbCr', channels: ['Y', 'Cb', 'Cr'] }
+    },
+
+    // Radial frequency bands for cross-channel correlation, in cycles per pixel
+    bands: {
+        low: [0, 0.125],
+        mid: [0.125, 0.25],
+        high: [0.25, 0.5]
+    },
+
+    // Green-channel quincunx contrast above which a Bayer demosaicing trace counts as found
+    cfaThreshold: 0.1,
+
+    /**
+     * Split an image into the planes of a color space
+     * @param {ImageData} imageData - RGBA pixels
+     * @param {string} space - Key of `spaces`
+     * @returns {Object} Channel name -> Float32Array plane
+     */
+    split(imageData, space) {
+        if (!this.spaces[space]) {
+            throw new Error(`Unknown color space: ${space}`);
+        }
+
+        const { data, width, height } = imageData;
+        const names = this.spaces[space].channels;
+        const planes = names.map(() => new Float32Array(width * height));
+
+        for (let i = 0, p = 0; i < data.length; i += 4, p++) {
+            const r = data[i];
+            const g = data[i + 1];
+            const b = data[i + 2];
+
+            if (space === 'rgb') {
+                planes[0][p] = r;
+                planes[1][p] = g;
+                planes[2][p] = b;
+            } else {
+                // BT.601 full range, as in JPEG; Y matches Utils.rgbToGrayscale
+                planes[0][p] = 0.299 * r + 0.587 * g + 0.114 * b;
+                planes[1][p] = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+                planes[2][p] = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+            }
+        }
+
+        return Object.fromEntries(names.map((name, i) => [name, planes[i]]));
+    },
+
+    /**
+     * Empty accumulator for the spectral correlation of every channel pair
+     * @param {Array<string>} names - Channel names
+     * @param {number} size - Tile size of the spectra to be added
+     * @returns {Object} Accumulator for accumulate and finishCorrelation
+     */
+    createCorrelation(names, size) {
+        const bandTotals = () => Object.fromEntries(Object.keys(this.bands).map(band => [band, 0]));
+        const pairs = [];
+        for (let i = 0; i < names.length; i++) {
+            for (let j = i + 1; j < names.length; j++) {
+                pairs.push({ a: names[i], b: names[j], cross: bandTotals() });
+            }
+        }
+
+        return {
+            names,
+            bandOf: this.bandIndex(size),
+            pairs,
+            power: Object.fromEntries(names.map(name => [name, bandTotals()]))
+        };
+    },
+
+    /**
+     * Add one tile's channel spectra to the correlation sums
+     * Per band, the real part of the cross-spectrum X_a·conj(X_b) summed over
+     * bins is the correlation of the band-passed planes; phases that disagree
+     * between the channels cancel.
+     * @param {Object} accumulator - Output of createCorrelation
+     * @param {Object} spectra - Channel name -> { real, imag }, unshifted, at the accumulator's tile size
+     */
+    accumulate(accumulator, spectra) {
+        const bandNames = Object.keys(this.bands);
+        const { bandOf } = accumulator;
+
+        for (let i = 0; i < bandOf.length; i++) {
+            const band = bandOf[i];
+            if (band < 0) continue;
+            const name = bandNames[band];
+
+            for (const channel of accumulator.names) {
+                const { real, imag } = spectra[channel];
+                accumulator.power[channel][name] += real[i] * real[i] + imag[i] * imag[i];
+            }
+            for (const pair of accumulator.pairs) {
+                const a = spectra[pair.a];
+                const b = spectra[pair.b];
+                pair.cross[name] += a.real[i] * b.real[i] + a.imag[i] * b.imag[i];
+            }
+        }
+    },
+
+    /**
+     * Band of every bin of an unshifted size × size spectrum
+     * @param {number} size - Spectrum size
+     * @returns {Int8Array} Index into `bands`, -1 for DC and for corners beyond Nyquist
+     */
+    bandIndex(size) {
+        const ranges = Object.values(this.bands);
+        const index = new Int8Array(size * size).fill(-1);
+
+        for (let y = 0; y < size; y++) {
+            const fy = (y <= size / 2 ? y : y - size) / size;
+            for (let x = 0; x < size; x++) {
+                const fx = (x <= size / 2 ? x : x - size) / size;
+                const radius = Math.sqrt(fx * fx + fy * fy);
+                if (radius === 0) continue;
+                index[y * size + x] = ranges.findIndex(([low, high]) => radius > low && radius <= high);
+            }
+        }
+
+        return index;
+    },
+
+    /**
+     * Normalize the correlation sums
+     * @param {Object} accumulator - Accumulated sums
+     * @returns {Object} { pairs: [{ pair, low, mid, high }], high, power }; correlations -1..1,
+     *     `high` the mean strength (absolute value) over pairs in the high band, power the
+     *     channels' share of each band
+     */
+    finishCorrelation(accumulator) {
+        const bandNames = Object.keys(this.bands);
+        const pairs = accumulator.pairs.map(({ a, b, cross }) => {
+            const entry = { pair: `${a}-${b}` };
+            for (const band of bandNames) {
+                const norm = Math.sqrt(accumulator.power[a][band] * accumulator.power[b][band]);
+                entry[band] = norm > 0 ? cross[band] / norm : 0;
+            }
+            return entry;
+        });
+
+        const power = {};
+        for (const band of bandNames) {
+            const total = accumulator.names.reduce((sum, name) => sum + accumulator.power[name][band], 0);
+            for (const name of accumulator.names) {
+                power[name] = power[name] || {};
+                power[name][band] = total > 0 ? accumulator.power[name][band] / total : 0;
+            }
+        }
+
+        return {
+            pairs,
+            high: pairs.reduce((sum, entry) => sum + Math.abs(entry.high), 0) / pairs.length,
+            power
+        };
+    },
+
+    /**
+     * Look for the period-2 trace of Bayer demosaicing
+     * Interpolated samples are close to the mean of their four neighbours,
+     * camera samples are not. In green, the camera samples form a quincunx,
+     * so the two diagonal phases of the 2×2 lattice differ from the other two;
+     * red and blue stand out on one phase each, which gives the layout.
+     * Resizing, rotation and heavy compression erase the trace.
+     * @param {ImageData} imageData - RGBA pixels at native resolution
+     * @returns {Object} { strength, layout }: strength is the green quincunx contrast 0-1;
+     *     layout ('RGGB', 'GRBG', 'GBRG' or 'BGGR') is null below cfaThreshold
+     */
+    cfaPeriodicity(imageData) {
+        const phases = [0, 1, 2].map(channel => this.residualPhases(imageData, channel));
+        const [red, green, blue] = phases;
+
+        const total = green[0] + green[1] + green[2] + green[3];
+        const strength = total > 0 ? Math.abs(green[0] + green[3] - green[1] - green[2]) / total : 0;
+
+        let layout = null;
+        if (strength > this.cfaThreshold) {
+            // Phase index is (y % 2) * 2 + (x % 2); the layout names the top-left 2×2 block
+            const strongest = (values) => values.indexOf(Math.max(...values));
+            const cells = ['G', 'G', 'G', 'G'];
+            cells[strongest(red)] = 'R';
+            cells[strongest(blue)] = 'B';
+            layout = ['RGGB', 'GRBG', 'GBRG', 'BGGR'].includes(cells.join('')) ? cells.join('') : null;
+        }
+
+        return { strength, layout };
+    },
+
+    /**
+     * Mean absolute four-neighbour prediction residual on each phase of the 2×2 lattice
+     * @param {ImageData} imageData - RGBA pixels
+     * @param {number} channel - 0 red, 1 green, 2 blue
+     * @returns {Array<number>} Means for phases (0,0), (1,0), (0,1), (1,1) as (x, y)
+     */
+    residualPhases(imageData, channel) {
+        const { data, width, height } = imageData;
+        const sums = [0, 0, 0, 0];
+        const counts = [0, 0, 0, 0];
+        const at = (x, y) => data[(y * width + x) * 4 + channel];
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const residual = Math.abs(4 * at(x, y) - at(x - 1, y) - at(x + 1, y) - at(x, y - 1) - at(x, y + 1));
+                const phase = (y & 1) * 2 + (x & 1);
+                sums[phase] += residual;
+                counts[phase]++;
+            }
+        }
+
+        return sums.map((sum, phase) => counts[phase] > 0 ? sum / counts[phase] : 0);
+    },
+
+    /**
+     * Summarize per-frame channel analyses: mean correlations, high-band power
+     * shares and CFA strength, and the layout of the frame with the strongest trace
+     * @param {Array<Object>} estimates - Per-frame { space, correlation, cfa }
+     * @returns {Object|null} { space, correlation: { pairs, high }, highPower, cfa: { strength, layout } }, or null
+     */
+    summarize(estimates) {
+        if (estimates.length === 0) return null;
+
+        const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const bandNames = Object.keys(this.bands);
+        const pairs = estimates[0].correlation.pairs.map((entry, i) => {
+            const summary = { pair: entry.pair };
+            for (const band of bandNames) {
+                summary[band] = mean(estimates.map(estimate => estimate.correlation.pairs[i][band]));
+            }
+            return summary;
+        });
+        const strongest = estimates.reduce((best, estimate) => estimate.cfa.strength > best.cfa.strength ? estimate : best);
+        const highPower = Object.fromEntries(Object.keys(estimates[0].correlation.power).map(name =>
+            [name, mean(estimates.map(estimate => estimate.correlation.power[name].high))]));
+
+        return {
+            space: estimates[0].space,
+            correlation: { pairs, high: mean(estimates.map(estimate => estimate.correlation.high)) },
+            highPower,
+            cfa: {
+                strength: mean(estimates.map(estimate => estimate.cfa.strength)),
+                layout: strongest.cfa.layout
+            }
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ChannelSpectra;
+}
@@ -0,0 +1,477 @@
+/**
+ * Comparison View
+ * Analyzes two files under the same settings and shows their spectra, difference and score deltas side by side
+ * A is the suspect file, B the known-real reference it is checked against.
+ */
+
+class ComparisonView {
+    /**
+     * @param {string} containerId - Element that hosts the view
+     * @param {Object} options - View callbacks
+     * @param {Function} options.validate - (file) => { valid, error, details }
+     * @param {Function} options.analyze - async (file, { onProgress, signal }) => analysis results
+     * @param {Function} options.onStart - Called before a run starts; returning false cancels it
+     */
+    constructor(containerId, options) {
+        this.container = document.getElementById(containerId);
+        this.validate = options.validate;
+        this.analyze = options.analyze;
+        this.onStart = options.onStart || null;
+
+        this.slots = {
+            a: { name: 'A', role: 'Suspect', file: null, url: null, media: null, results: null, summary: null },
+            b: { name: 'B', role: 'Reference', file: null, url: null, media: null, results: null, summary: null }
+        };
+        this.running = false;
+        this.controller = null; // AbortController for the file being analyzed
+
+        this.container.innerHTML = `
+            <div class="comparison-header">
+                <div>
+                    <h3 class="comparison-title">Compare Two Files</h3>
+                    <p class="comparison-summary">Pick a suspect file (A) and a known-real reference from the same source (B).</p>
+                </div>
+                <div class="comparison-actions">
+                    <button class="btn btn-primary comparison-start" disabled>
+                        <span class="btn-icon">▶</span>
+                        <span>Analyze Both</span>
+                    </button>
+                    <button class="btn btn-danger comparison-stop hidden">
+                        <span class="btn-icon">⏹</span>
+                        <span>Stop</span>
+                    </button>
+                    <button class="btn btn-secondary comparison-close">
+                        <span class="btn-icon">✕</span>
+                        <span>Close</span>
+                    </button>
+                </div>
+            </div>
+            <div class="comparison-inputs">
+                ${['a', 'b'].map(key => `
+                    <div class="comparison-slot" data-slot="${key}">
+                        <div class="comparison-slot-header">
+                            <span class="comparison-slot-label">${this.slots[key].name} · ${this.slots[key].role}</span>
+                            <button type="button" class="btn btn-secondary comparison-pick">Choose File</button>
+                            <input type="file" class="comparison-input" accept="video/*,image/jpeg,image/png,image/webp,image/avif">
+                        </div>
+                        <div class="comparison-media"><p class="comparison-placeholder">Drop a video or image here</p></div>
+                        <p class="comparison-file"></p>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="comparison-playback hidden">
+                <button type="button" class="btn btn-secondary comparison-play">▶ Play</button>
+                <input type="range" class="comparison-seek" min="0" max="0" step="0.01" value="0" aria-label="Seek both videos">
+                <span class="comparison-time">0:00.0</span>
+            </div>
+            <div class="comparison-results hidden">
+                <canvas id="comparisonCanvas" class="comparison-canvas"></canvas>
+                <div class="comparison-details">
+                    <canvas id="comparisonProfileCanvas" class="comparison-profile-canvas"></canvas>
+                    <table class="batch-table comparison-table">
+                        <thead><tr><th>Measure</th><th>A</th><th>B</th><th>A − B</th></tr></thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+
+        this.summaryText = this.container.querySelector('.comparison-summary');
+        this.startBtn = this.container.querySelector('.comparison-start');
+        this.stopBtn = this.container.querySelector('.comparison-stop');
+        this.closeBtn = this.container.querySelector('.comparison-close');
+        this.playback = this.container.querySelector('.comparison-playback');
+        this.playBtn = this.container.querySelector('.comparison-play');
+        this.seekInput = this.container.querySelector('.comparison-seek');
+        this.timeText = this.container.querySelector('.comparison-time');
+        this.results = this.container.querySelector('.comparison-results');
+        this.tableBody = this.container.querySelector('.comparison-table tbody');
+        this.visualizer = new FFTVisualizer('comparisonCanvas', 'comparisonProfileCanvas', { square: false });
+
+        for (const [key, slot] of Object.entries(this.slots)) {
+            const element = this.container.querySelector(`[data-slot="${key}"]`);
+            const input = element.querySelector('.comparison-input');
+            slot.element = element;
+            slot.mediaBox = element.querySelector('.comparison-media');
+            slot.fileText = element.querySelector('.comparison-file');
+
+            element.querySelector('.comparison-pick').addEventListener('click', () => input.click());
+            input.addEventListener('change', () => {
+                if (input.files[0]) this.setFile(key, input.files[0]);
+                input.value = '';
+            });
+            element.addEventListener('dragover', (e) => {
+                e.preventDefault();
+                element.classList.add('drag-over');
+            });
+            element.addEventListener('dragleave', () => element.classList.remove('drag-over'));
+            element.addEventListener('drop', (e) => {
+                e.preventDefault();
+                element.classList.remove('drag-over');
+                if (e.dataTransfer.files[0]) this.setFile(key, e.dataTransfer.files[0]);
+            });
+        }
+
+        this.startBtn.addEventListener('click', () => this.start());
+        this.stopBtn.addEventListener('click', () => this.stop());
+        this.closeBtn.addEventListener('click', () => this.close());
+        this.playBtn.addEventListener('click', () => this.togglePlayback());
+        this.seekInput.addEventListener('input', () => this.seek(parseFloat(this.seekInput.value)));
+
+        // The canvases follow the width of the view; redraw once resizing settles
+        window.addEventListener('resize', Utils.debounce(() => {
+            if (!this.results.classList.contains('hidden')) this.render();
+        }, 250));
+    }
+
+    /**
+     * Rows of the delta table as { label, unit, value(results, summary) }
+     * Scores are 0-1 and shown in percent; profile features are in dB.
+     */
+    static get measures() {
+        const pattern = (key) => (results) => results.patterns[key];
+        const feature = (key) => (results, summary) => summary.profile ? summary.profile.features[key] : null;
+
+        return [
+            { label: 'Ensemble Score', unit: '%', value: results => results.score },
+            { label: 'Grid Pattern', unit: '%', value: pattern('gridPattern') },
+            { label: 'Bright Dots', unit: '%', value: pattern('brightDots') },
+            { label: 'Cross Shape', unit: '%', value: pattern('crossShape') },
+            { label: 'Checkerboard', unit: '%', value: pattern('checkerboard') },
+            { label: 'Smooth Gradient', unit: '%', value: pattern('smoothGradient') },
+            { label: 'Falloff Deviation', unit: '%', value: pattern('falloffDeviation') },
+            { label: 'High-Freq Tail', unit: '%', value: pattern('tailAnomaly') },
+            { label: 'Compression', unit: '%', value: pattern('compression') },
+            { label: 'Tail Slope', unit: 'dB/dec', value: feature('tailSlope') },
+            { label: 'Tail Residual', unit: 'dB', value: feature('tailResidual') },
+            { label: 'Angular Peak', unit: 'dB', value: feature('angularPeak') }
+        ];
+    }
+
+    /**
+     * Mean spectrum and profile over a result's sampled frames
+     * A single frame of a clip is noisy; averaging in dB steadies the comparison.
+     * @param {Object} results - Analysis results
+     * @returns {Object} { magnitude, width, height, profile, frames }
+     */
+    static summarize(results) {
+        const { width, height } = results.frames[0].fftData;
+        const frames = results.frames.filter(frame => frame.fftData.width === width && frame.fftData.height === height);
+        const magnitude = new Float32Array(width * height);
+        for (const frame of frames) {
+            for (let i = 0; i < magnitude.length; i++) {
+                magnitude[i] += frame.fftData.magnitude[i] / frames.length;
+            }
+        }
+
+        const profiles = frames.map(frame => frame.profile).filter(Boolean);
+        const meanOf = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+        const meanCurve = (key) => Float32Array.from(profiles[0][key], (_, i) => meanOf(profiles.map(profile => profile[key][i])));
+        const profile = profiles.length > 0 ? {
+            radial: meanCurve('radial'),
+            angular: meanCurve('angular'),
+            features: Object.fromEntries(['tailSlope', 'tailResidual', 'angularPeak', 'falloffDeviation']
+                .map(key => [key, meanOf(profiles.map(entry => entry.features[key]))]))
+        } : null;
+
+        return { magnitude, width, height, profile, frames: frames.length };
+    }
+
+    /**
+     * Show the view
+     */
+    show() {
+        this.container.classList.remove('hidden');
+    }
+
+    /**
+     * Put a file in slot A or B and preview it
+     * @param {string} key - 'a' or 'b'
+     * @param {File} file - Video or image file
+     */
+    setFile(key, file) {
+        if (this.running) return;
+
+        const validation = this.validate(file);
+        if (!validation.valid) {
+            this.summaryText.textContent = `${this.slots[key].name}: ${validation.error}. ${validation.details}`;
+            return;
+        }
+
+        const slot = this.slots[key];
+        if (slot.url) {
+            URL.revokeObjectURL(slot.url);
+        }
+        slot.file = file;
+        slot.url = URL.createObjectURL(file);
+        slot.results = null;
+        slot.summary = null;
+
+        if (file.type.startsWith('image/')) {
+            slot.media = document.createElement('img');
+            slot.media.alt = file.name;
+        } else {
+            slot.media = document.createElement('video');
+            slot.media.muted = true;
+            slot.media.playsInline = true;
+            slot.media.preload = 'auto';
+            slot.media.addEventListener('loadedmetadata', () => this.updatePlayback());
+            slot.media.addEventListener('timeupdate', () => this.syncPlayback(slot.media));
+            slot.media.addEventListener('ended', () => {
+                // A shorter video holds its last frame until the longer one ends
+                if (this.videos().every(video => video.paused)) this.pauseAll();
+            });
+            slot.media.addEventListener('click', () => this.togglePlayback());
+        }
+        slot.media.className = 'comparison-preview';
+        slot.media.src = slot.url;
+        slot.mediaBox.replaceChildren(slot.media);
+        slot.fileText.textContent = `${file.name} · ${Utils.formatFileSize(file.size)}`;
+
+        this.results.classList.add('hidden');
+        this.startBtn.disabled = !(this.slots.a.file && this.slots.b.file);
+        this.summaryText.textContent = this.startBtn.disabled
+            ? `Now pick ${this.slots.a.file ? 'a reference file (B)' : 'a suspect file (A)'}.`
+            : 'Both files picked. Analyze both to compare them.';
+        this.updatePlayback();
+    }
+
+    /**
+     * Analyze A, then B, with the same settings, then show the comparison
+     */
+    async start() {
+        if (this.running || !this.slots.a.file || !this.slots.b.file) return;
+
+        if (this.onStart && this.onStart() === false) {
+            return;
+        }
+
+        this.pauseAll();
+        this.running = true;
+        this.setRunning(true);
+        this.results.classList.add('hidden');
+
+        let failure = null;
+        for (const slot of Object.values(this.slots)) {
+            this.controller = new AbortController();
+            const describe = (percent) => {
+                this.summaryText.textContent = `Analyzing ${slot.name}: ${slot.file.name} (${Math.round(percent)}%)`;
+            };
+            describe(0);
+
+            try {
+                slot.results = await this.analyze(slot.file, {
+                    onProgress: (progress) => describe(progress.percent),
+                    signal: this.controller.signal
+                });
+                slot.summary = ComparisonView.summarize(slot.results);
+            } catch (error) {
+                slot.results = null;
+                slot.summary = null;
+                if (Utils.isAbortError(error)) {
+                    failure = 'Comparison stopped';
+                } else {
+                    console.error(`Comparison analysis failed for ${slot.file.name}:`, error);
+                    failure = `${slot.name} failed: ${error.message}`;
+                }
+                break;
+            }
+        }
+
+        this.controller = null;
+        this.running = false;
+        this.setRunning(false);
+
+        if (failure) {
+            this.summaryText.textContent = failure;
+            return;
+        }
+        this.render();
+    }
+
+    /**
+     * Cancel the file being analyzed
+     */
+    stop() {
+        if (this.controller) {
+            this.controller.abort();
+        }
+    }
+
+    /**
+     * Stop and hide the view
+     */
+    close() {
+        this.stop();
+        this.pauseAll();
+        this.container.classList.add('hidden');
+    }
+
+    /**
+     * Toggle between the start and stop buttons
+     * @param {boolean} running - Whether the files are being analyzed
+     */
+    setRunning(running) {
+        this.startBtn.classList.toggle('hidden', running);
+        this.stopBtn.classList.toggle('hidden', !running);
+    }
+
+    /**
+     * Draw the spectra, profiles and delta table of the two analyzed files
+     */
+    render() {
+        const { a, b } = this.slots;
+        const verdict = (results) => `${results.isAIGenerated ? 'AI' : 'Real'} (${Math.round(results.confidence)}%)`;
+
+        this.summaryText.textContent = `A: ${verdict(a.results)} · B: ${verdict(b.results)} · ` +
+            `spectra averaged over ${a.summary.frames} and ${b.summary.frames} sampled frames`;
+        this.results.classList.remove('hidden');
+
+        this.visualizer.renderComparison(
+            { ...a.summary, label: a.file.name },
+            { ...b.summary, label: b.file.name }
+        );
+        if (a.summary.profile && b.summary.profile) {
+            this.visualizer.renderProfileComparison(
+                { profile: a.summary.profile, label: 'A' },
+                { profile: b.summary.profile, label: 'B' }
+            );
+        }
+        this.renderTable();
+    }
+
+    /**
+     * Fill the delta table; large differences are highlighted
+     */
+    renderTable() {
+        const { a, b } = this.slots;
+        this.tableBody.innerHTML = '';
+
+        for (const measure of ComparisonView.measures) {
+            const valueA = measure.value(a.results, a.summary);
+            const valueB = measure.value(b.results, b.summary);
+            if (valueA === null || valueA === undefined || valueB === null || valueB === undefined) continue;
+
+            const percent = measure.unit === '%';
+            const delta = valueA - valueB;
+            const format = (value) => percent ? `${Math.round(value * 100)}%` : `${value.toFixed(1)} ${measure.unit}`;
+            const formatDelta = percent
+                ? `${delta >= 0 ? '+' : ''}${Math.round(delta * 100)} pts`
+                : `${delta >= 0 ? '+' : ''}${delta.toFixed(1)} ${measure.unit}`;
+
+            const row = document.createElement('tr');
+            row.innerHTML = `<td>${measure.label}</td><td>${format(valueA)}</td><td>${format(valueB)}</td>` +
+                `<td class="comparison-delta">${formatDelta}</td>`;
+            // A fifth of the score range, or 3 dB, is worth a look
+            row.classList.toggle('large', Math.abs(delta) >= (percent ? 0.2 : 3));
+            this.tableBody.appendChild(row);
+        }
+    }
+
+    /**
+     * Loaded videos, in slot order
+     * @returns {Array<HTMLVideoElement>} Videos
+     */
+    videos() {
+        return Object.values(this.slots)
+            .map(slot => slot.media)
+            .filter(media => media && media.tagName === 'VIDEO');
+    }
+
+    /**
+     * Longest loaded video, which the other follows
+     * @returns {HTMLVideoElement|null} Video, or null when none is loaded
+     */
+    leadVideo() {
+        const videos = this.videos();
+        if (videos.length === 0) return null;
+
+        const length = (video) => (Number.isFinite(video.duration) ? video.duration : 0);
+        return videos.reduce((longest, video) => (length(video) > length(longest) ? video : longest));
+    }
+
+    /**
+     * Show the shared transport when a video is loaded and size the seek bar to the longest one
+     */
+    updatePlayback() {
+        const videos = this.videos();
+        this.playback.classList.toggle('hidden', videos.length === 0);
+
+        const duration = Math.max(0, ...videos.map(video => video.duration).filter(Number.isFinite));
+        this.seekInput.max = duration;
+        this.updateTime();
+    }
+
+    /**
+     * Play both videos from the same time, or pause both
+     */
+    togglePlayback() {
+        const videos = this.videos();
+        if (videos.length === 0) return;
+
+        if (videos.every(video => video.paused)) {
+            // Start over once the longer video has ended
+            const lead = this.leadVideo();
+            const time = lead.ended ? 0 : lead.currentTime;
+            for (const video of videos) {
+                if (time < (video.duration || Infinity)) {
+                    video.currentTime = time;
+                    video.play().catch(error => console.warn('Comparison playback failed:', error.message));
+                }
+            }
+            this.playBtn.textContent = '⏸ Pause';
+        } else {
+            this.pauseAll();
+        }
+    }
+
+    /**
+     * Pause every video
+     */
+    pauseAll() {
+        for (const video of this.videos()) {
+            video.pause();
+        }
+        this.playBtn.textContent = '▶ Play';
+    }
+
+    /**
+     * Move both videos to one time; a shorter video holds its last frame
+     * @param {number} time - Seconds
+     */
+    seek(time) {
+        for (const video of this.videos()) {
+            video.currentTime = Math.min(time, Number.isFinite(video.duration) ? video.duration : time);
+        }
+        this.updateTime();
+    }
+
+    /**
+     * Keep the other video within a few frames of the longer one and the seek bar in step
+     * @param {HTMLVideoElement} video - Video whose time changed
+     */
+    syncPlayback(video) {
+        const lead = this.leadVideo();
+        if (video !== lead) return;
+
+        if (!lead.paused) {
+            for (const other of this.videos().filter(entry => entry !== lead)) {
+                const inRange = lead.currentTime < (other.duration || Infinity);
+                if (inRange && !other.seeking && Math.abs(other.currentTime - lead.currentTime) > 0.15) {
+                    other.currentTime = lead.currentTime;
+                }
+            }
+        }
+        this.seekInput.value = lead.currentTime;
+        this.updateTime();
+    }
+
+    /**
+     * Show the shared playback time
+     */
+    updateTime() {
+        const lead = this.leadVideo();
+        const time = lead ? lead.currentTime : 0;
+        this.timeText.textContent = `${Utils.formatTime(time)} / ${Utils.formatTime(parseFloat(this.seekInput.max) || 0)}`;
+    }
+}
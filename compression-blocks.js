@@ -0,0 +1,153 @@
+/**
+ * Compression Blocks
+ * Recognizes the 8×8 / 16×16 block grid left by JPEG and block-based video codecs and estimates how strong it is
+ */
+
+const CompressionBlocks = {
+    // Block sizes to test, smallest first: 8 for JPEG and MPEG-2 DCT blocks, 16 for macroblocks
+    blockSizes: [8, 16],
+
+    // Brightness steps below this many grey levels count as noise, not texture
+    noiseFloor: 0.1,
+
+    /**
+     * Estimate block-compression strength of a grayscale plane
+     * Block boundaries raise the mean absolute step between neighbouring pixels
+     * once every B pixels. Folding the column (and row) step profile at period B
+     * keeps exactly its spectral peaks at multiples of N/B, so a boundary phase
+     * standing out of the fold is a block grid of that size.
+     * A grid of period B also stands out folded at 2B, with two boundary phases
+     * and about the same contrast, while folding a true B grid at B/2 averages
+     * boundary and interior steps and halves it. Block size B is accepted only
+     * when its fold clearly beats the fold at B/2, which also keeps the 2- and
+     * 4-pixel periods of upsampling from passing as compression.
+     * @param {Float32Array} grayscale - Row-major pixel values
+     * @param {number} width - Plane width
+     * @param {number} height - Plane height
+     * @returns {Object} { strength, blockSize, contrast: { horizontal, vertical } }; strength 0-1,
+     *     blockSize null when no block grid stands out
+     */
+    analyze(grayscale, width, height) {
+        const columnSteps = this.stepProfile(grayscale, width, height, 1, width);
+        const rowSteps = this.stepProfile(grayscale, height, width, width, 1);
+        const fold = (period) => {
+            const horizontal = this.foldContrast(columnSteps, period);
+            const vertical = this.foldContrast(rowSteps, period);
+            return { horizontal, vertical, mean: (horizontal + vertical) / 2 };
+        };
+
+        let best = null;
+        for (const blockSize of this.blockSizes) {
+            if (width < blockSize * 4 || height < blockSize * 4) break;
+
+            const contrast = fold(blockSize);
+            if (contrast.mean > 0 && contrast.mean > fold(blockSize / 2).mean * 1.5) {
+                best = { blockSize, contrast };
+            }
+        }
+
+        if (!best) {
+            return { strength: 0, blockSize: null, contrast: { horizontal: 0, vertical: 0 } };
+        }
+        return {
+            strength: best.contrast.mean / (best.contrast.mean + 1),
+            blockSize: best.blockSize,
+            contrast: { horizontal: best.contrast.horizontal, vertical: best.contrast.vertical }
+        };
+    },
+
+    /**
+     * Mean absolute step between neighbours along one axis, per position along it
+     * @param {Float32Array} plane - Row-major pixel values
+     * @param {number} length - Positions along the profile axis
+     * @param {number} lines - Lines averaged into each position
+     * @param {number} step - Index distance between neighbours along the axis
+     * @param {number} lineStep - Index distance between lines
+     * @returns {Float64Array} Profile of length - 1 steps; entry i is between i and i + 1
+     */
+    stepProfile(plane, length, lines, step, lineStep) {
+        const profile = new Float64Array(length - 1);
+
+        for (let line = 0; line < lines; line++) {
+            const base = line * lineStep;
+            for (let i = 0; i < length - 1; i++) {
+                profile[i] += Math.abs(plane[base + (i + 1) * step] - plane[base + i * step]);
+            }
+        }
+        for (let i = 0; i < profile.length; i++) {
+            profile[i] /= lines;
+        }
+
+        return profile;
+    },
+
+    /**
+     * Fold a step profile at a period and compare its strongest phase with the rest
+     * @param {Float64Array} profile - Output of stepProfile
+     * @param {number} period - Block size
+     * @returns {number} Relative excess of the boundary phase; about 0 without blocks
+     */
+    foldContrast(profile, period) {
+        const sums = new Float64Array(period);
+        const counts = new Uint32Array(period);
+        for (let i = 0; i < profile.length; i++) {
+            sums[i % period] += profile[i];
+            counts[i % period]++;
+        }
+
+        let boundary = 0;
+        for (let phase = 1; phase < period; phase++) {
+            if (sums[phase] / counts[phase] > sums[boundary] / counts[boundary]) boundary = phase;
+        }
+
+        let interior = 0;
+        for (let phase = 0; phase < period; phase++) {
+            if (phase !== boundary) interior += sums[phase] / counts[phase];
+        }
+        interior /= period - 1;
+
+        return (sums[boundary] / counts[boundary] - interior) / (interior + this.noiseFloor);
+    },
+
+    /**
+     * Spectrum rows or columns on the block lattice
+     * A block grid of size B puts its energy on the lines at multiples of N/B
+     * from the center of the shifted spectrum; bins within one of a line count.
+     * @param {Object} compression - Output of analyze
+     * @param {number} length - Spectrum width (for columns) or height (for rows)
+     * @returns {Uint8Array} 1 for lines on the lattice; all 0 when no block grid was found
+     */
+    latticeLines(compression, length) {
+        const lines = new Uint8Array(length);
+        if (!compression || !compression.blockSize) return lines;
+
+        const spacing = length / compression.blockSize;
+        for (let i = 0; i < length; i++) {
+            const offset = i - length / 2;
+            if (Math.abs(offset - Math.round(offset / spacing) * spacing) <= 1) {
+                lines[i] = 1;
+            }
+        }
+
+        return lines;
+    },
+
+    /**
+     * Summarize per-frame estimates: mean strength, and the block size of the strongest frame
+     * @param {Array<Object>} estimates - Outputs of analyze
+     * @returns {Object|null} { strength, blockSize }, or null for no estimates
+     */
+    summarize(estimates) {
+        if (estimates.length === 0) return null;
+
+        const strongest = estimates.reduce((best, estimate) => estimate.strength > best.strength ? estimate : best);
+        return {
+            strength: estimates.reduce((sum, estimate) => sum + estimate.strength, 0) / estimates.length,
+            blockSize: strongest.blockSize
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CompressionBlocks;
+}
@@ -0,0 +1,321 @@
+/**
+ * Detectors
+ * Independent detectors vote on the evidence for one input; a weighted ensemble turns the votes into a verdict
+ */
+
+const Detectors = {
+    /**
+     * Detector registry
+     * Each detector maps the evidence { mediaType, patterns, frames, learned, pulse, temporal, spatial, ... } to
+     * { score, confidence }, where score is the 0-1 likelihood of AI generation
+     * and confidence (0-1) scales the detector's weight, or to
+     * Detectors.abstain(reason) when the evidence says nothing either way.
+     */
+    registry: {
+        upsampling: {
+            label: 'Upsampling artifacts',
+            weight: 0.25,
+            run({ patterns, frames, learned }) {
+                if (learned) {
+                    return Detectors.abstain('replaced by the learned spectral model');
+                }
+
+                const score = (p) => (p.gridPattern * 0.25 + p.brightDots * 0.2 + p.crossShape * 0.2 + p.checkerboard * 0.15) / 0.8;
+                // A block codec leaves periodic peaks of its own, beyond the lattice lines
+                // analyzeFFTPattern discounts, so the stronger its block grid the less they tell
+                return {
+                    score: score(patterns),
+                    confidence: Detectors.agreement(frames.map(frame => score(frame.patterns))) * (1 - patterns.compression)
+                };
+            }
+        },
+
+        falloff: {
+            label: 'Radial falloff',
+            weight: 0.1,
+            run({ patterns, frames, learned }) {
+                if (learned) {
+                    return Detectors.abstain('replaced by the learned spectral model');
+                }
+
+                const score = (p) => (p.falloffDeviation + p.tailAnomaly) / 2;
+                return {
+                    score: score(patterns),
+                    confidence: Detectors.agreement(frames.map(frame => score(frame.patterns)))
+                };
+            }
+        },
+
+        natural: {
+            label: 'Natural spectrum',
+            weight: 0.25,
+            run({ patterns, frames, learned }) {
+                if (learned) {
+                    return Detectors.abstain('replaced by the learned spectral model');
+                }
+
+                // Votes for real footage when the spectrum decays smoothly
+                return {
+                    score: 1 - patterns.smoothGradient,
+                    confidence: Detectors.agreement(frames.map(frame => frame.patterns.smoothGradient))
+                };
+            }
+        },
+
+        learned: {
+            label: 'Learned spectral model',
+            weight: 0.6, // The three hand-tuned spectral detectors it stands in for
+            run({ frames, learned }) {
+                if (!learned) {
+                    return Detectors.abstain('no spectral model trained');
+                }
+
+                return {
+                    score: learned.aiProbability,
+                    confidence: Detectors.agreement(frames.map(frame => frame.aiScore))
+                };
+            }
+        },
+
+        pulse: {
+            label: 'Pulse (rPPG)',
+            weight: 0.4, // Biological signal weight from the design doc
+            run({ pulse }) {
+                if (!pulse) {
+                    return Detectors.abstain('not run on this input');
+                }
+                if (pulse.status !== 'ok') {
+                    return Detectors.abstain(pulse.reason);
+                }
+                // A heartbeat votes for real footage as strongly as its signal is clean
+                if (pulse.pulsePresent) {
+                    return {
+                        score: 1 - pulse.pulseScore,
+                        confidence: (pulse.pulseScore - 0.5) * 2
+                    };
+                }
+
+                // A missed pulse is often just a poor recording, so it leans AI only weakly:
+                // at most a quarter confidence, when the readable signal shows no peak at all
+                return {
+                    score: 1 - pulse.pulseScore,
+                    confidence: 0.25 * (1 - pulse.pulseScore * 2)
+                };
+            }
+        },
+
+        temporal: {
+            label: 'Temporal flicker',
+            weight: 0.2,
+            run({ temporal }) {
+                if (!temporal) {
+                    return Detectors.abstain('not run on this input');
+                }
+                if (temporal.status !== 'ok') {
+                    return Detectors.abstain(temporal.reason);
+                }
+
+                return {
+                    score: temporal.flickerScore,
+                    confidence: temporal.reliability
+                };
+            }
+        },
+
+        spatial: {
+            label: 'Spatial classifier',
+            weight: 0.4, // Visual artifact weight from the design doc
+            run({ spatial }) {
+                if (!spatial) {
+                    return Detectors.abstain('not run on this input');
+                }
+
+                return {
+                    score: spatial.aiProbability,
+                    confidence: Detectors.agreement(spatial.frames.map(frame => frame.aiProbability))
+                };
+            }
+        }
+    },
+
+    // Ensemble score above which the verdict is "AI generated"
+    threshold: 0.5,
+
+    /**
+     * Add a detector to the registry
+     * @param {string} id - Short identifier, used in the voting text form
+     * @param {Object} detector - { label, weight, run(evidence) }
+     */
+    register(id, detector) {
+        if (!/^[A-Za-z]+$/.test(id)) {
+            throw new Error(`Detector id "${id}" must be letters only`);
+        }
+        if (!detector || typeof detector.run !== 'function' || !detector.label) {
+            throw new Error(`Detector "${id}" needs a label and a run function`);
+        }
+
+        this.registry[id] = { weight: 0, ...detector };
+    },
+
+    /**
+     * Vote that skips the ensemble
+     * @param {string} reason - Why the detector has no opinion
+     * @returns {Object} Abstention
+     */
+    abstain(reason) {
+        return { abstain: true, reason };
+    },
+
+    /**
+     * How consistently a score holds across frames: 1 when every frame agrees,
+     * falling to 0 as the spread reaches the full 0-1 range
+     * @param {Array<number>} values - Per-frame scores
+     * @returns {number} Confidence 0-1
+     */
+    agreement(values) {
+        if (values.length < 2) return 1;
+
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => sum + (value - mean) * (value - mean), 0) / values.length;
+        return Math.max(1 - 2 * Math.sqrt(variance), 0);
+    },
+
+    /**
+     * Default voting configuration
+     * @returns {Object} { weights, threshold }
+     */
+    defaults() {
+        const weights = {};
+        for (const [id, detector] of Object.entries(this.registry)) {
+            weights[id] = detector.weight;
+        }
+        return { weights, threshold: this.threshold };
+    },
+
+    /**
+     * Validate a voting configuration and fill in default weights
+     * @param {Object} config - { weights, threshold }
+     * @returns {Object} Complete configuration, safe to record in results
+     */
+    normalize(config = {}) {
+        const defaults = this.defaults();
+        const weights = { ...defaults.weights };
+
+        for (const [id, weight] of Object.entries(config.weights || {})) {
+            if (!this.registry[id]) {
+                throw new Error(`Unknown detector: ${id}`);
+            }
+            if (!Number.isFinite(weight) || weight < 0) {
+                throw new Error(`Detector weight ${id} must be a non-negative number`);
+            }
+            weights[id] = weight;
+        }
+
+        const threshold = config.threshold === undefined ? defaults.threshold : config.threshold;
+        if (!Number.isFinite(threshold) || threshold <= 0 || threshold >= 1) {
+            throw new Error('Voting threshold must be between 0 and 1');
+        }
+
+        return { weights, threshold };
+    },
+
+    /**
+     * Run every detector and combine the votes
+     * The ensemble score is the mean of the detectors' scores, each weighted by
+     * its configured weight times its own confidence; abstentions are left out.
+     * @param {Object} evidence - { mediaType, patterns, frames, pulse, temporal }
+     * @param {Object} config - Voting configuration { weights, threshold }
+     * @returns {Object} { isAI, confidence, score, threshold, votes }
+     */
+    vote(evidence, config = {}) {
+        const { weights, threshold } = this.normalize(config);
+        let weighted = 0;
+        let totalWeight = 0;
+
+        const votes = Object.entries(this.registry).map(([id, detector]) => {
+            const weight = weights[id];
+            let result;
+
+            if (weight === 0) {
+                result = this.abstain('weight is 0');
+            } else {
+                try {
+                    result = detector.run(evidence);
+                } catch (error) {
+                    console.warn(`Detector ${id} failed:`, error);
+                    result = this.abstain(`failed: ${error.message}`);
+                }
+            }
+
+            if (result.abstain) {
+                return { id, label: detector.label, weight, abstain: true, reason: result.reason };
+            }
+
+            const score = Math.min(Math.max(result.score, 0), 1);
+            const confidence = Math.min(Math.max(result.confidence, 0), 1);
+            weighted += weight * confidence * score;
+            totalWeight += weight * confidence;
+
+            return { id, label: detector.label, weight, abstain: false, score, confidence };
+        });
+
+        // Share of the verdict each voting detector actually carried
+        for (const vote of votes) {
+            vote.influence = vote.abstain || totalWeight === 0 ? 0 : vote.weight * vote.confidence / totalWeight;
+        }
+
+        // With no usable vote the ensemble sits on the threshold
+        const score = totalWeight > 0 ? weighted / totalWeight : threshold;
+        const isAI = score > threshold;
+        const margin = isAI ? (score - threshold) / (1 - threshold) : (threshold - score) / threshold;
+
+        return {
+            isAI,
+            confidence: Math.min(margin * 100, 99),
+            score,
+            threshold,
+            votes
+        };
+    },
+
+    /**
+     * Parse the text form, e.g. "upsampling=0.25, pulse=0.4, threshold=0.5"
+     * Detectors left out keep their default weight.
+     * @param {string} text - Voting description
+     * @returns {Object} Validated configuration
+     */
+    parse(text) {
+        const config = { weights: {} };
+
+        for (const assignment of text.split(',').map(part => part.trim()).filter(Boolean)) {
+            const [key, value] = assignment.split('=').map(token => token && token.trim());
+            if (!key || value === undefined || value === '') {
+                throw new Error(`Cannot read voting setting "${assignment}"`);
+            }
+
+            if (key === 'threshold') {
+                config.threshold = Number(value);
+            } else {
+                config.weights[key] = Number(value);
+            }
+        }
+
+        return this.normalize(config);
+    },
+
+    /**
+     * Format a configuration in the text form accepted by parse()
+     * @param {Object} config - { weights, threshold }
+     * @returns {string} Voting description
+     */
+    format(config) {
+        return [
+            ...Object.entries(config.weights).map(([id, weight]) => `${id}=${weight}`),
+            `threshold=${config.threshold}`
+        ].join(', ');
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Detectors;
+}
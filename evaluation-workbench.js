@@ -0,0 +1,408 @@
+/**
+ * Evaluation Workbench
+ * Runs the analyzer over a folder with real/ and fake/ subfolders, reports accuracy and fits a calibration profile
+ */
+
+class EvaluationWorkbench {
+    /**
+     * @param {string} containerId - Element that hosts the workbench
+     * @param {Object} options - Workbench callbacks
+     * @param {Function} options.validate - (file) => { valid, error, details }
+     * @param {Function} options.analyze - async (file, { onProgress, signal }) => analysis results
+     * @param {Function} options.onStart - Called before a run starts; returning false cancels it
+     * @param {Function} options.onUseProfile - Called with a fitted profile the user wants to apply
+     * @param {Function} options.getActiveProfile - Returns the calibration profile in use, or null
+     */
+    constructor(containerId, options) {
+        this.container = document.getElementById(containerId);
+        this.validate = options.validate;
+        this.analyze = options.analyze;
+        this.onStart = options.onStart || null;
+        this.onUseProfile = options.onUseProfile;
+        this.getActiveProfile = options.getActiveProfile || (() => null);
+
+        this.running = false;
+        this.stopping = false; // Set by stop(); the run loop exits after the current file
+        this.controller = null; // AbortController for the file being analyzed
+        this.samples = [];
+        this.failures = [];
+        this.evaluation = null;
+
+        this.container.innerHTML = `
+            <div class="evaluation-header">
+                <div>
+                    <h3 class="evaluation-title">Evaluation</h3>
+                    <p class="evaluation-summary"></p>
+                </div>
+                <div class="evaluation-actions">
+                    <button class="btn btn-danger evaluation-stop hidden">
+                        <span class="btn-icon">⏹</span>
+                        <span>Stop</span>
+                    </button>
+                    <button class="btn btn-primary evaluation-use" disabled>
+                        <span class="btn-icon">✓</span>
+                        <span>Use Profile</span>
+                    </button>
+                    <button class="btn btn-secondary evaluation-download" disabled>
+                        <span class="btn-icon">📄</span>
+                        <span>Download Profile</span>
+                    </button>
+                    <button class="btn btn-secondary evaluation-close">
+                        <span class="btn-icon">✕</span>
+                        <span>Close</span>
+                    </button>
+                </div>
+            </div>
+            <div class="evaluation-results hidden">
+                <div class="evaluation-metrics"></div>
+                <div class="evaluation-charts">
+                    <canvas class="evaluation-chart evaluation-roc"></canvas>
+                    <canvas class="evaluation-chart evaluation-reliability"></canvas>
+                </div>
+                <table class="evaluation-confusion"></table>
+                <p class="evaluation-note"></p>
+            </div>
+        `;
+
+        this.summary = this.container.querySelector('.evaluation-summary');
+        this.stopBtn = this.container.querySelector('.evaluation-stop');
+        this.useBtn = this.container.querySelector('.evaluation-use');
+        this.downloadBtn = this.container.querySelector('.evaluation-download');
+        this.closeBtn = this.container.querySelector('.evaluation-close');
+        this.results = this.container.querySelector('.evaluation-results');
+        this.metrics = this.container.querySelector('.evaluation-metrics');
+        this.rocCanvas = this.container.querySelector('.evaluation-roc');
+        this.reliabilityCanvas = this.container.querySelector('.evaluation-reliability');
+        this.confusionTable = this.container.querySelector('.evaluation-confusion');
+        this.note = this.container.querySelector('.evaluation-note');
+
+        this.stopBtn.addEventListener('click', () => this.stop());
+        this.useBtn.addEventListener('click', () => this.onUseProfile(this.evaluation.profile));
+        this.downloadBtn.addEventListener('click', () => this.downloadProfile());
+        this.closeBtn.addEventListener('click', () => this.close());
+    }
+
+    /**
+     * Ground-truth label from the file's folder path
+     * The innermost folder named real or fake decides.
+     * @param {File} file - File picked from a folder
+     * @returns {number|null} 1 for fake, 0 for real, null when unlabeled
+     */
+    static labelFor(file) {
+        const folders = (file.webkitRelativePath || '').split('/').slice(0, -1).reverse();
+        for (const folder of folders) {
+            const name = folder.toLowerCase();
+            if (name === 'fake') return 1;
+            if (name === 'real') return 0;
+        }
+        return null;
+    }
+
+    /**
+     * Analyze every labeled file, then evaluate and fit a profile
+     * @param {Array<File>} files - Files from the picked folder
+     */
+    async run(files) {
+        if (this.running) return;
+
+        if (this.onStart && this.onStart() === false) {
+            return;
+        }
+
+        const labeled = [];
+        let unlabeled = 0;
+        let rejected = 0;
+        for (const file of files) {
+            if (file.name.startsWith('.')) continue;
+
+            const label = EvaluationWorkbench.labelFor(file);
+            if (label === null) {
+                unlabeled++;
+            } else if (!this.validate(file).valid) {
+                rejected++;
+            } else {
+                labeled.push({ file, label });
+            }
+        }
+
+        this.samples = [];
+        this.failures = [];
+        this.evaluation = null;
+        this.context = null;
+        this.skipped = { unlabeled, rejected };
+        this.running = true;
+        this.setRunning(true);
+        this.results.classList.add('hidden');
+        this.container.classList.remove('hidden');
+
+        for (let i = 0; i < labeled.length && !this.stopping; i++) {
+            const { file, label } = labeled[i];
+            const name = file.webkitRelativePath || file.name;
+            this.controller = new AbortController();
+
+            const describe = (percent) => {
+                this.summary.textContent = `Analyzing ${i + 1} of ${labeled.length}: ${name} (${Math.round(percent)}%)`;
+            };
+            describe(0);
+
+            try {
+                const results = await this.analyze(file, {
+                    onProgress: (progress) => describe(progress.percent),
+                    signal: this.controller.signal
+                });
+
+                // Every file runs under the same settings; the profile records them
+                if (!this.context) {
+                    this.context = {
+                        voting: results.voting,
+                        preprocessing: results.preprocessing,
+                        sampling: { strategy: results.sampling.strategy, ...results.sampling.settings }
+                    };
+                }
+                this.samples.push({ name, label, score: results.score });
+            } catch (error) {
+                if (Utils.isAbortError(error)) break;
+
+                console.error(`Evaluation failed for ${name}:`, error);
+                this.failures.push({ name, error: error.message });
+            }
+        }
+
+        this.controller = null;
+        this.running = false;
+        this.stopping = false;
+        this.setRunning(false);
+        this.report(labeled.length);
+    }
+
+    /**
+     * Stop after cancelling the file being analyzed; finished files are still evaluated
+     */
+    stop() {
+        if (!this.running) return;
+
+        this.stopping = true;
+        if (this.controller) {
+            this.controller.abort();
+        }
+    }
+
+    /**
+     * Stop and hide the workbench
+     */
+    close() {
+        this.stop();
+        this.container.classList.add('hidden');
+    }
+
+    /**
+     * Toggle the stop button and disable profile actions while running
+     * @param {boolean} running - Whether files are being analyzed
+     */
+    setRunning(running) {
+        this.stopBtn.classList.toggle('hidden', !running);
+        this.useBtn.disabled = running || !this.evaluation;
+        this.downloadBtn.disabled = running || !this.evaluation;
+    }
+
+    /**
+     * Compute metrics over the analyzed files and show them
+     * @param {number} total - Number of labeled files that were queued
+     */
+    report(total) {
+        const real = this.samples.filter(sample => sample.label === 0).length;
+        const fake = this.samples.length - real;
+        const notes = [
+            `${this.samples.length} of ${total} labeled files analyzed (${real} real, ${fake} fake)`,
+            this.failures.length > 0 ? `${this.failures.length} failed` : '',
+            this.skipped.unlabeled > 0 ? `${this.skipped.unlabeled} outside real/ and fake/ skipped` : '',
+            this.skipped.rejected > 0 ? `${this.skipped.rejected} unsupported` : ''
+        ].filter(Boolean);
+        this.summary.textContent = notes.join(' · ');
+        this.summary.title = this.failures.map(failure => `${failure.name}: ${failure.error}`).join('\n');
+
+        try {
+            this.evaluation = Evaluation.evaluate(this.samples, this.context);
+        } catch (error) {
+            this.evaluation = null;
+            this.summary.textContent += ` · ${error.message}`;
+            this.setRunning(false);
+            return;
+        }
+
+        this.setRunning(false);
+        this.results.classList.remove('hidden');
+        this.renderMetrics();
+        this.renderConfusion();
+        this.drawROC();
+        this.drawReliability();
+    }
+
+    /**
+     * Headline figures, before and after calibration
+     */
+    renderMetrics() {
+        const { roc, confusion, reliability, uncalibrated, profile } = this.evaluation;
+        const percent = (value) => `${Math.round(value * 1000) / 10}%`;
+
+        const tiles = [
+            ['AUC', roc.auc.toFixed(3)],
+            ['Accuracy', `${percent(uncalibrated.confusion.accuracy)} → ${percent(confusion.accuracy)}`],
+            ['Balanced accuracy', `${percent(uncalibrated.confusion.balancedAccuracy)} → ${percent(confusion.balancedAccuracy)}`],
+            ['Calibration error (ECE)', `${percent(uncalibrated.reliability.ece)} → ${percent(reliability.ece)}`],
+            ['Fitted threshold', percent(profile.threshold)]
+        ];
+
+        this.metrics.innerHTML = tiles
+            .map(([label, value]) => `<div class="evaluation-metric"><span class="evaluation-metric-label">${label}</span>` +
+                `<span class="evaluation-metric-value">${value}</span></div>`)
+            .join('');
+
+        // A profile already in use can be checked on this folder as held-out data
+        const active = this.getActiveProfile();
+        let note = 'Arrows compare the ensemble score at the voting threshold with the fitted calibration. ' +
+            'Figures after calibration are measured on the files it was fitted to.';
+        if (roc.auc < 0.5) {
+            note += ' The ensemble scores these real files higher than the fake ones, so the fitted curve is inverted;' +
+                ' check the folder labels before using the profile.';
+        }
+        if (active) {
+            const calibrate = (sample) => Calibration.probability(active, sample.score);
+            const held = Evaluation.confusion(this.samples, active.threshold, calibrate);
+            const heldReliability = Evaluation.reliability(this.samples, calibrate);
+            note += ` The profile currently in use scores ${percent(held.accuracy)} accuracy` +
+                ` and ${percent(heldReliability.ece)} ECE on this folder.`;
+        }
+        this.note.textContent = note;
+    }
+
+    /**
+     * Confusion matrix at the fitted threshold
+     */
+    renderConfusion() {
+        const { confusion } = this.evaluation;
+
+        this.confusionTable.innerHTML = `
+            <tr><th></th><th>Called AI</th><th>Called real</th></tr>
+            <tr><th>Fake</th><td class="correct">${confusion.truePositive}</td><td class="wrong">${confusion.falseNegative}</td></tr>
+            <tr><th>Real</th><td class="wrong">${confusion.falsePositive}</td><td class="correct">${confusion.trueNegative}</td></tr>
+        `;
+    }
+
+    /**
+     * Size a chart canvas, draw its frame and return the plot area
+     * @param {HTMLCanvasElement} canvas - Chart canvas
+     * @param {string} title - Chart title
+     * @param {string} caption - Readout under the title
+     * @returns {Object} { ctx, toX, toY } mapping 0-1 values to canvas pixels
+     */
+    setupChart(canvas, title, caption) {
+        const dpr = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        const ctx = canvas.getContext('2d');
+
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+        ctx.fillStyle = '#12121a';
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.textAlign = 'left';
+        ctx.font = '12px Inter, sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillText(title, 12, 16);
+        ctx.font = '11px Inter, sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillText(caption, 12, 31);
+
+        const plot = { x: 36, y: 42, width: width - 48, height: height - 66 };
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(plot.x, plot.y, plot.width, plot.height);
+
+        // Shared 0-1 axes with the diagonal as reference
+        ctx.font = '10px Inter, sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.textAlign = 'center';
+        for (const tick of [0, 0.5, 1]) {
+            ctx.fillText(String(tick), plot.x + tick * plot.width, plot.y + plot.height + 12);
+        }
+        ctx.textAlign = 'right';
+        for (const tick of [0, 0.5, 1]) {
+            ctx.fillText(String(tick), plot.x - 4, plot.y + (1 - tick) * plot.height + 3);
+        }
+
+        const toX = (value) => plot.x + value * plot.width;
+        const toY = (value) => plot.y + (1 - value) * plot.height;
+
+        ctx.setLineDash([4, 4]);
+        this.drawLine(ctx, [[toX(0), toY(0)], [toX(1), toY(1)]], 'rgba(255, 255, 255, 0.3)');
+        ctx.setLineDash([]);
+
+        return { ctx, toX, toY };
+    }
+
+    /**
+     * Stroke a polyline
+     * @param {CanvasRenderingContext2D} ctx - Drawing context
+     * @param {Array<Array<number>>} points - [x, y] pairs in canvas pixels
+     * @param {string} color - Stroke color
+     */
+    drawLine(ctx, points, color) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach(([x, y], i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+        ctx.stroke();
+    }
+
+    /**
+     * ROC curve of the ensemble score
+     */
+    drawROC() {
+        const { roc } = this.evaluation;
+        const { ctx, toX, toY } = this.setupChart(this.rocCanvas, 'ROC (false vs. true positive rate)',
+            `AUC ${roc.auc.toFixed(3)}`);
+
+        this.drawLine(ctx, roc.points.map(point => [toX(point.fpr), toY(point.tpr)]), 'rgba(168, 85, 247, 0.95)');
+    }
+
+    /**
+     * Reliability diagram: predicted probability against the observed share of fakes
+     */
+    drawReliability() {
+        const { reliability, uncalibrated } = this.evaluation;
+        const { ctx, toX, toY } = this.setupChart(this.reliabilityCanvas, 'Reliability (predicted vs. observed)',
+            'Grey: raw ensemble score · Pink: calibrated');
+
+        const series = [
+            [uncalibrated.reliability.bins, 'rgba(255, 255, 255, 0.5)'],
+            [reliability.bins, 'rgba(236, 72, 153, 0.95)']
+        ];
+
+        for (const [bins, color] of series) {
+            const filled = bins.filter(bin => bin.count > 0);
+            this.drawLine(ctx, filled.map(bin => [toX(bin.predicted), toY(bin.observed)]), color);
+
+            ctx.fillStyle = color;
+            for (const bin of filled) {
+                ctx.beginPath();
+                ctx.arc(toX(bin.predicted), toY(bin.observed), 3, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+    }
+
+    /**
+     * Save the fitted profile as JSON
+     */
+    downloadProfile() {
+        if (!this.evaluation) return;
+
+        const stamp = this.evaluation.profile.createdAt.replace(/[:.]/g, '-').replace(/-\d+Z$/, 'Z');
+        AnalysisReport.download(JSON.stringify(this.evaluation.profile, null, 2),
+            `fft-calibration-${stamp}.json`, 'application/json');
+    }
+}
@@ -0,0 +1,245 @@
+/**
+ * Evaluation Metrics
+ * ROC, confusion matrix, reliability and calibration fitting over labeled samples
+ * A sample is { name, label, score } with label 1 for fake (AI) and 0 for real.
+ */
+
+const Evaluation = {
+    reliabilityBins: 10,
+
+    /**
+     * ROC curve over every distinct score, and the area under it
+     * Equal scores form a single step, so ties count as half right.
+     * @param {Array<Object>} samples - Labeled samples
+     * @param {Function} getScore - Score to rank by
+     * @returns {Object} { points: [{ threshold, fpr, tpr }], auc }
+     */
+    roc(samples, getScore = sample => sample.score) {
+        const positives = samples.filter(sample => sample.label === 1).length;
+        const negatives = samples.length - positives;
+        const sorted = samples.slice().sort((a, b) => getScore(b) - getScore(a));
+
+        const points = [{ threshold: Infinity, fpr: 0, tpr: 0 }];
+        let truePositives = 0;
+        let falsePositives = 0;
+        let auc = 0;
+
+        for (let i = 0; i < sorted.length;) {
+            const threshold = getScore(sorted[i]);
+            for (; i < sorted.length && getScore(sorted[i]) === threshold; i++) {
+                if (sorted[i].label === 1) truePositives++;
+                else falsePositives++;
+            }
+
+            const previous = points[points.length - 1];
+            const point = {
+                threshold,
+                fpr: negatives > 0 ? falsePositives / negatives : 0,
+                tpr: positives > 0 ? truePositives / positives : 0
+            };
+            auc += (point.fpr - previous.fpr) * (point.tpr + previous.tpr) / 2;
+            points.push(point);
+        }
+
+        return { points, auc };
+    },
+
+    /**
+     * Confusion matrix and accuracy figures at a threshold
+     * @param {Array<Object>} samples - Labeled samples
+     * @param {number} threshold - Values above it are called AI, as in Detectors.vote
+     * @param {Function} getScore - Value compared with the threshold
+     * @returns {Object} { truePositive, falsePositive, trueNegative, falseNegative, accuracy, balancedAccuracy, precision, recall }
+     */
+    confusion(samples, threshold, getScore = sample => sample.score) {
+        const matrix = { truePositive: 0, falsePositive: 0, trueNegative: 0, falseNegative: 0 };
+
+        for (const sample of samples) {
+            const predicted = getScore(sample) > threshold;
+            if (sample.label === 1) {
+                matrix[predicted ? 'truePositive' : 'falseNegative']++;
+            } else {
+                matrix[predicted ? 'falsePositive' : 'trueNegative']++;
+            }
+        }
+
+        const ratio = (a, b) => (a + b > 0 ? a / (a + b) : 0);
+        const recall = ratio(matrix.truePositive, matrix.falseNegative);
+        const specificity = ratio(matrix.trueNegative, matrix.falsePositive);
+
+        return {
+            ...matrix,
+            accuracy: samples.length > 0 ? (matrix.truePositive + matrix.trueNegative) / samples.length : 0,
+            balancedAccuracy: (recall + specificity) / 2,
+            precision: ratio(matrix.truePositive, matrix.falsePositive),
+            recall
+        };
+    },
+
+    /**
+     * Reliability diagram: mean predicted probability against the observed
+     * share of fakes in equal-width bins, plus the expected calibration error
+     * @param {Array<Object>} samples - Labeled samples
+     * @param {Function} getProbability - Predicted probability of AI
+     * @returns {Object} { bins: [{ from, to, count, predicted, observed }], ece }
+     */
+    reliability(samples, getProbability) {
+        const count = this.reliabilityBins;
+        const bins = Array.from({ length: count }, (_, i) => ({
+            from: i / count,
+            to: (i + 1) / count,
+            count: 0,
+            predicted: 0,
+            observed: 0
+        }));
+
+        for (const sample of samples) {
+            const probability = Math.min(Math.max(getProbability(sample), 0), 1);
+            const bin = bins[Math.min(Math.floor(probability * count), count - 1)];
+            bin.count++;
+            bin.predicted += probability;
+            bin.observed += sample.label;
+        }
+
+        let ece = 0;
+        for (const bin of bins) {
+            if (bin.count === 0) continue;
+            bin.predicted /= bin.count;
+            bin.observed /= bin.count;
+            ece += bin.count / samples.length * Math.abs(bin.predicted - bin.observed);
+        }
+
+        return { bins, ece };
+    },
+
+    /**
+     * Fit Platt scaling, p = 1 / (1 + exp(-(a * score + b))), by Newton's method
+     * Targets are smoothed as in Platt (1999) so a separable set does not
+     * drive the slope to infinity.
+     * @param {Array<Object>} samples - Labeled samples
+     * @returns {Object} { a, b }
+     */
+    fitPlatt(samples) {
+        const positives = samples.filter(sample => sample.label === 1).length;
+        const negatives = samples.length - positives;
+        const high = (positives + 1) / (positives + 2);
+        const low = 1 / (negatives + 2);
+
+        let a = 0;
+        let b = Math.log((positives + 1) / (negatives + 1));
+
+        for (let iteration = 0; iteration < 100; iteration++) {
+            let gradientA = 0;
+            let gradientB = 0;
+            let hessianAA = 1e-6; // Small ridge keeps the system solvable
+            let hessianAB = 0;
+            let hessianBB = 1e-6;
+
+            for (const sample of samples) {
+                const target = sample.label === 1 ? high : low;
+                const p = Calibration.probability({ a, b }, sample.score);
+                const weight = p * (1 - p);
+
+                gradientA += (p - target) * sample.score;
+                gradientB += p - target;
+                hessianAA += weight * sample.score * sample.score;
+                hessianAB += weight * sample.score;
+                hessianBB += weight;
+            }
+
+            const determinant = hessianAA * hessianBB - hessianAB * hessianAB;
+            const stepA = (hessianBB * gradientA - hessianAB * gradientB) / determinant;
+            const stepB = (hessianAA * gradientB - hessianAB * gradientA) / determinant;
+            a -= stepA;
+            b -= stepB;
+
+            if (Math.abs(stepA) < 1e-9 && Math.abs(stepB) < 1e-9) break;
+        }
+
+        return { a, b };
+    },
+
+    /**
+     * Threshold that maximizes balanced accuracy; ties go to the one nearest 0.5
+     * Candidates sit midway between neighbouring probabilities, so no sample
+     * lies on the boundary.
+     * @param {Array<Object>} samples - Labeled samples
+     * @param {Function} getProbability - Calibrated probability of AI
+     * @returns {number} Decision threshold
+     */
+    chooseThreshold(samples, getProbability) {
+        const values = Array.from(new Set(samples.map(getProbability))).sort((a, b) => a - b);
+        const candidates = values.slice(1).map((value, i) => (values[i] + value) / 2);
+        let best = { threshold: 0.5, balancedAccuracy: -1 };
+
+        for (const threshold of candidates) {
+            const { balancedAccuracy } = this.confusion(samples, threshold, getProbability);
+            const better = balancedAccuracy > best.balancedAccuracy + 1e-12 ||
+                (Math.abs(balancedAccuracy - best.balancedAccuracy) <= 1e-12 &&
+                    Math.abs(threshold - 0.5) < Math.abs(best.threshold - 0.5));
+            if (better) {
+                best = { threshold, balancedAccuracy };
+            }
+        }
+
+        // Keep the threshold strictly inside (0, 1) so the profile validates
+        return Math.min(Math.max(best.threshold, 1e-6), 1 - 1e-6);
+    },
+
+    /**
+     * Evaluate samples and fit a calibration profile from them
+     * Metrics are measured on the same samples the calibration is fitted to.
+     * @param {Array<Object>} samples - Labeled samples with at least one of each class
+     * @param {Object} context - Analyzer settings the scores came from { voting, preprocessing, sampling }
+     * @returns {Object} { roc, confusion, reliability, uncalibrated, profile }
+     */
+    evaluate(samples, context) {
+        const real = samples.filter(sample => sample.label === 0).length;
+        const fake = samples.length - real;
+        if (real === 0 || fake === 0) {
+            throw new Error('Evaluation needs at least one real and one fake file');
+        }
+
+        const { a, b } = this.fitPlatt(samples);
+        const calibrate = (sample) => Calibration.probability({ a, b }, sample.score);
+        const threshold = this.chooseThreshold(samples, calibrate);
+
+        const roc = this.roc(samples);
+        const confusion = this.confusion(samples, threshold, calibrate);
+        const reliability = this.reliability(samples, calibrate);
+        const uncalibrated = {
+            confusion: this.confusion(samples, context.voting.threshold),
+            reliability: this.reliability(samples, sample => sample.score)
+        };
+
+        const profile = {
+            format: Calibration.format,
+            version: Calibration.version,
+            createdAt: new Date().toISOString(),
+            method: 'platt',
+            a,
+            b,
+            threshold,
+            fittedOn: {
+                real,
+                fake,
+                voting: Detectors.format(context.voting),
+                preprocessing: Preprocessing.format(context.preprocessing),
+                sampling: context.sampling
+            },
+            metrics: {
+                auc: roc.auc,
+                accuracy: confusion.accuracy,
+                balancedAccuracy: confusion.balancedAccuracy,
+                ece: reliability.ece,
+                uncalibratedEce: uncalibrated.reliability.ece
+            }
+        };
+
+        return { roc, confusion, reliability, uncalibrated, profile };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Evaluation;
+}
@@ -0,0 +1,339 @@
+/**
+ * Face Detector
+ * Finds frontal faces with MediaPipe's BlazeFace short-range model, tracks them across sampled frames and cuts them out as eye-aligned patches
+ * The model (models/blazeface.onnx, converted from MediaPipe's Apache-2.0 face_detection_front) ships with the app and runs
+ * on the bundled ONNX Runtime Web, like SpatialClassifier.
+ */
+
+class FaceDetector {
+    /**
+     * Use FaceDetector.create or FaceDetector.load, which also load the model
+     * @param {Object} session - ort.InferenceSession
+     * @param {Object} settings - Detector settings
+     * @param {number} settings.maxFaces - Most faces reported per frame, best first
+     * @param {number} settings.minScore - Lowest detection confidence kept, 0-1
+     * @param {number} settings.patchSize - Side of the aligned face patches, in pixels
+     */
+    constructor(session, settings = {}) {
+        this.session = session;
+        this.settings = {
+            maxFaces: 4,
+            minScore: 0.5,
+            patchSize: 128,
+            ...settings
+        };
+
+        this.inputSize = 128; // The model sees the frame letterboxed into this square
+        this.anchors = this.createAnchors();
+        this.overlap = 0.3; // Box overlap (IoU) above which two detections are the same face
+        this.eyeLine = 0.4; // Height of the eye line in aligned patches, as a share of the patch
+        this.eyeSpacing = 0.4; // Distance between the eyes in aligned patches, as a share of the patch
+        this.pending = Promise.resolve(); // Runs are queued; a session takes one at a time
+    }
+
+    // The bundled model, relative to the app
+    static get modelPath() {
+        return 'models/blazeface.onnx';
+    }
+
+    /**
+     * Load the model
+     * @param {ArrayBuffer|Uint8Array} model - ONNX model bytes
+     * @param {Object} settings - Detector settings, see the constructor
+     * @returns {Promise<FaceDetector>} Ready detector
+     */
+    static async create(model, settings = {}) {
+        SpatialClassifier.configureRuntime();
+
+        try {
+            const session = await ort.InferenceSession.create(model instanceof Uint8Array ? model : new Uint8Array(model), {
+                executionProviders: ['wasm'],
+                graphOptimizationLevel: 'all'
+            });
+            return new FaceDetector(session, settings);
+        } catch (error) {
+            throw new Error(`Unable to load the face detection model: ${error.message}`);
+        }
+    }
+
+    /**
+     * Load the bundled model from next to the app
+     * @param {Object} settings - Detector settings, see the constructor
+     * @returns {Promise<FaceDetector>} Ready detector
+     */
+    static async load(settings = {}) {
+        return this.create(await SpatialClassifier.fetchFile(this.modelPath, 'arrayBuffer'), settings);
+    }
+
+    /**
+     * Anchor centers of the model's two output grids, in the order of its outputs
+     * Every 8 input pixels hold 2 anchors and every 16 pixels 6; boxes are offsets from them.
+     * @returns {Array<Object>} { x, y } per anchor, as fractions of the input
+     */
+    createAnchors() {
+        const anchors = [];
+        for (const [stride, perCell] of [[8, 2], [16, 6]]) {
+            const cells = this.inputSize / stride;
+            for (let y = 0; y < cells; y++) {
+                for (let x = 0; x < cells; x++) {
+                    for (let i = 0; i < perCell; i++) {
+                        anchors.push({ x: (x + 0.5) / cells, y: (y + 0.5) / cells });
+                    }
+                }
+            }
+        }
+        return anchors;
+    }
+
+    /**
+     * Find faces in a frame
+     * @param {ImageData} imageData - RGBA pixels
+     * @returns {Promise<Array<Object>>} { box, eyes: { left, right }, score } per face, best first;
+     *     box and eye points are fractions of the frame, score 0-1
+     */
+    detect(imageData) {
+        const input = this.preprocess(imageData);
+        const run = this.pending.then(() => this.run(input));
+        this.pending = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Letterbox a frame into the model's square input, scaled to -1..1
+     * The frame is centered on its longer side so faces keep their shape.
+     * @param {ImageData} imageData - RGBA pixels
+     * @returns {Object} { data, scaleX, scaleY, offsetX, offsetY }: NCHW input data, and the mapping
+     *     from input fractions to frame fractions (frame = input * scale - offset)
+     */
+    preprocess(imageData) {
+        const { data, width, height } = imageData;
+        const size = this.inputSize;
+        const side = Math.max(width, height);
+        const left = (side - width) / 2;
+        const top = (side - height) / 2;
+        const tensor = new Float32Array(size * size * 3).fill(-1);
+
+        for (let y = 0; y < size; y++) {
+            const sy = (y + 0.5) * side / size - 0.5 - top;
+            if (sy < -0.5 || sy > height - 0.5) continue;
+            const cy = Math.min(Math.max(sy, 0), height - 1);
+            const y0 = Math.floor(cy);
+            const y1 = Math.min(y0 + 1, height - 1);
+            const fy = cy - y0;
+
+            for (let x = 0; x < size; x++) {
+                const sx = (x + 0.5) * side / size - 0.5 - left;
+                if (sx < -0.5 || sx > width - 0.5) continue;
+                const cx = Math.min(Math.max(sx, 0), width - 1);
+                const x0 = Math.floor(cx);
+                const x1 = Math.min(x0 + 1, width - 1);
+                const fx = cx - x0;
+
+                for (let c = 0; c < 3; c++) {
+                    const upper = data[(y0 * width + x0) * 4 + c] * (1 - fx) + data[(y0 * width + x1) * 4 + c] * fx;
+                    const lower = data[(y1 * width + x0) * 4 + c] * (1 - fx) + data[(y1 * width + x1) * 4 + c] * fx;
+                    tensor[c * size * size + y * size + x] = (upper * (1 - fy) + lower * fy) / 127.5 - 1;
+                }
+            }
+        }
+
+        return {
+            data: tensor,
+            scaleX: side / width,
+            scaleY: side / height,
+            offsetX: left / width,
+            offsetY: top / height
+        };
+    }
+
+    /**
+     * Run the model on preprocessed input and decode its detections
+     * Input and output tensors are disposed as soon as they are read.
+     * @param {Object} input - Output of preprocess
+     * @returns {Promise<Array<Object>>} Faces, as from detect
+     */
+    async run(input) {
+        const size = this.inputSize;
+        const tensor = new ort.Tensor('float32', input.data, [1, 3, size, size]);
+        let outputs = null;
+
+        try {
+            outputs = await this.session.run({ input: tensor });
+            return this.decode(outputs.regressors.data, outputs.classificators.data, input);
+        } finally {
+            tensor.dispose();
+            if (outputs) {
+                for (const value of Object.values(outputs)) value.dispose();
+            }
+        }
+    }
+
+    /**
+     * Turn raw anchor outputs into faces, dropping weak and overlapping detections
+     * Each anchor has 16 regressors: box center offset and size, then six keypoints
+     * (the eyes first, subject's right eye first), all in input pixels.
+     * @param {Float32Array} regressors - 16 values per anchor
+     * @param {Float32Array} classificators - Face logit per anchor
+     * @param {Object} input - Output of preprocess, for mapping back to the frame
+     * @returns {Array<Object>} Faces, as from detect
+     */
+    decode(regressors, classificators, input) {
+        const size = this.inputSize;
+        const point = (x, y) => ({
+            x: x * input.scaleX - input.offsetX,
+            y: y * input.scaleY - input.offsetY
+        });
+
+        const candidates = [];
+        for (let i = 0; i < this.anchors.length; i++) {
+            const score = 1 / (1 + Math.exp(-Math.min(Math.max(classificators[i], -100), 100)));
+            if (score < this.settings.minScore) continue;
+
+            const anchor = this.anchors[i];
+            const r = i * 16;
+            const centerX = anchor.x + regressors[r] / size;
+            const centerY = anchor.y + regressors[r + 1] / size;
+            const boxWidth = regressors[r + 2] / size;
+            const boxHeight = regressors[r + 3] / size;
+            const topLeft = point(centerX - boxWidth / 2, centerY - boxHeight / 2);
+            const bottomRight = point(centerX + boxWidth / 2, centerY + boxHeight / 2);
+            const x0 = Math.max(topLeft.x, 0);
+            const y0 = Math.max(topLeft.y, 0);
+            const x1 = Math.min(bottomRight.x, 1);
+            const y1 = Math.min(bottomRight.y, 1);
+            if (x1 <= x0 || y1 <= y0) continue;
+
+            candidates.push({
+                box: { x: x0, y: y0, width: x1 - x0, height: y1 - y0 },
+                eyes: {
+                    left: point(anchor.x + regressors[r + 4] / size, anchor.y + regressors[r + 5] / size),
+                    right: point(anchor.x + regressors[r + 6] / size, anchor.y + regressors[r + 7] / size)
+                },
+                score
+            });
+        }
+        candidates.sort((a, b) => b.score - a.score);
+
+        const faces = [];
+        for (const candidate of candidates) {
+            if (faces.length >= this.settings.maxFaces) break;
+            if (faces.some(face => this.intersectionOverUnion(face.box, candidate.box) > this.overlap)) continue;
+            faces.push(candidate);
+        }
+
+        return faces;
+    }
+
+    /**
+     * Overlap of two boxes
+     * @param {Object} a - Box { x, y, width, height }
+     * @param {Object} b - Box { x, y, width, height }
+     * @returns {number} Intersection over union, 0-1
+     */
+    intersectionOverUnion(a, b) {
+        const width = Math.min(a.x + a.width, b.x + b.width) - Math.max(a.x, b.x);
+        const height = Math.min(a.y + a.height, b.y + b.height) - Math.max(a.y, b.y);
+        if (width <= 0 || height <= 0) return 0;
+
+        const intersection = width * height;
+        return intersection / (a.width * a.height + b.width * b.height - intersection);
+    }
+
+    /**
+     * Continue face tracks with the detections of the next sampled frame
+     * Pairs of detection and track are taken by decreasing overlap with the
+     * track's latest box; detections left over start new tracks.
+     * @param {Array<Object>} tracks - Tracks { id, detections: [{ frameIndex, box }] }, extended in place
+     * @param {Array<Object>} faces - Output of detect
+     * @param {number} frameIndex - Index of the sampled frame
+     * @returns {Array<Object>} The faces, each with the id of its track
+     */
+    track(tracks, faces, frameIndex) {
+        const pairs = [];
+        faces.forEach((face, f) => {
+            tracks.forEach((track, t) => {
+                const latest = track.detections[track.detections.length - 1];
+                const overlap = this.intersectionOverUnion(latest.box, face.box);
+                if (overlap > this.overlap) pairs.push({ f, t, overlap });
+            });
+        });
+        pairs.sort((a, b) => b.overlap - a.overlap);
+
+        const trackOf = new Array(faces.length).fill(-1);
+        const taken = new Set();
+        for (const { f, t } of pairs) {
+            if (trackOf[f] >= 0 || taken.has(t)) continue;
+            trackOf[f] = t;
+            taken.add(t);
+        }
+
+        return faces.map((face, f) => {
+            let track = tracks[trackOf[f]];
+            if (!track) {
+                track = { id: tracks.length + 1, detections: [] };
+                tracks.push(track);
+            }
+            track.detections.push({ frameIndex, box: face.box });
+            return { ...face, id: track.id };
+        });
+    }
+
+    /**
+     * Cut out a face, rotated so the eyes are level and scaled to a fixed eye distance
+     * @param {ImageData} imageData - RGBA pixels
+     * @param {Object} face - Face from detect
+     * @returns {Object} ImageData-like { width, height, data } of patchSize × patchSize
+     */
+    alignPatch(imageData, face) {
+        const { data, width, height } = imageData;
+        const size = this.settings.patchSize;
+        const left = { x: face.eyes.left.x * width, y: face.eyes.left.y * height };
+        const right = { x: face.eyes.right.x * width, y: face.eyes.right.y * height };
+
+        const centerX = (left.x + right.x) / 2;
+        const centerY = (left.y + right.y) / 2;
+        const angle = Math.atan2(right.y - left.y, right.x - left.x);
+        const scale = Math.hypot(right.x - left.x, right.y - left.y) / (this.eyeSpacing * size);
+        const cos = Math.cos(angle) * scale;
+        const sin = Math.sin(angle) * scale;
+
+        const patch = new Uint8ClampedArray(size * size * 4);
+        for (let v = 0; v < size; v++) {
+            for (let u = 0; u < size; u++) {
+                const dx = u + 0.5 - size / 2;
+                const dy = v + 0.5 - this.eyeLine * size;
+                // Bilinear sample, clamped to the frame
+                const sx = Math.min(Math.max(centerX + cos * dx - sin * dy - 0.5, 0), width - 1);
+                const sy = Math.min(Math.max(centerY + sin * dx + cos * dy - 0.5, 0), height - 1);
+                const x0 = Math.floor(sx);
+                const y0 = Math.floor(sy);
+                const x1 = Math.min(x0 + 1, width - 1);
+                const y1 = Math.min(y0 + 1, height - 1);
+                const fx = sx - x0;
+                const fy = sy - y0;
+
+                const out = (v * size + u) * 4;
+                for (let c = 0; c < 4; c++) {
+                    const top = data[(y0 * width + x0) * 4 + c] * (1 - fx) + data[(y0 * width + x1) * 4 + c] * fx;
+                    const bottom = data[(y1 * width + x0) * 4 + c] * (1 - fx) + data[(y1 * width + x1) * 4 + c] * fx;
+                    patch[out + c] = top * (1 - fy) + bottom * fy;
+                }
+            }
+        }
+
+        return { width: size, height: size, data: patch };
+    }
+
+    /**
+     * Free the session's WASM memory; the detector cannot run afterwards
+     * @returns {Promise<void>}
+     */
+    async dispose() {
+        await this.pending;
+        await this.session.release();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FaceDetector;
+}
@@ -0,0 +1,91 @@
+/**
+ * Feedback Store
+ * Keeps the user's verdict corrections and the spectral model fitted to them in IndexedDB
+ */
+
+class FeedbackStore {
+    /**
+     * @param {string} name - IndexedDB database name
+     */
+    constructor(name = 'fft-feedback') {
+        this.database = new IndexedDatabase({
+            name,
+            version: 1,
+            label: 'feedback',
+            upgrade: (db) => {
+                // Labeled examples, see SpectralModel.describeResults
+                db.createObjectStore('examples', { keyPath: 'id', autoIncrement: true });
+                // The active spectral model under the key 'active'
+                db.createObjectStore('models', { keyPath: 'id' });
+            }
+        });
+    }
+
+    /**
+     * Run one request in its own transaction
+     * @param {string} storeName - Object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (store) => IDBRequest
+     * @returns {Promise<*>} The request's result, once the transaction has committed
+     */
+    run(storeName, mode, operation) {
+        return this.database.run([storeName], mode, transaction => operation(transaction.objectStore(storeName)));
+    }
+
+    /**
+     * Store a labeled example, or relabel one stored earlier
+     * @param {Object} example - { label, name, mediaType, createdAt, patterns, frames, features }; with
+     *     an id it replaces that example
+     * @returns {Promise<number>} Example id
+     */
+    save(example) {
+        return this.run('examples', 'readwrite', store => store.put(example));
+    }
+
+    /**
+     * All stored examples, oldest first
+     * @returns {Promise<Array<Object>>} Examples
+     */
+    list() {
+        return this.run('examples', 'readonly', store => store.getAll());
+    }
+
+    /**
+     * Remove one example
+     * @param {number} id - Example id
+     * @returns {Promise<void>}
+     */
+    remove(id) {
+        return this.run('examples', 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * Remove every example; the active model stays
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.run('examples', 'readwrite', store => store.clear());
+    }
+
+    /**
+     * Remember the active spectral model for the next visit
+     * @param {Object|null} model - Model, or null to go back to the hand-tuned weights
+     * @returns {Promise<void>}
+     */
+    saveModel(model) {
+        return this.run('models', 'readwrite', store => (model ? store.put({ id: 'active', model }) : store.delete('active')));
+    }
+
+    /**
+     * The active spectral model saved by saveModel
+     * @returns {Promise<Object|null>} Model, or null
+     */
+    async loadModel() {
+        const entry = await this.run('models', 'readonly', store => store.get('active'));
+        return entry ? entry.model : null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FeedbackStore;
+}
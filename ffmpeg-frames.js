@@ -0,0 +1,189 @@
+/**
+ * FFmpeg Frames
+ * Decodes video frames and still images through a locally installed ffmpeg; the Node.js frame source for FFTAnalyzer.analyzeVideo
+ */
+
+const { spawn } = require('child_process');
+
+const FFmpegFrames = {
+    // Binaries to run; fft-cli.js overrides them from --ffmpeg / --ffprobe
+    ffmpeg: process.env.FFMPEG_PATH || 'ffmpeg',
+    ffprobe: process.env.FFPROBE_PATH || 'ffprobe',
+
+    /**
+     * Frame source over a video file
+     * @param {string} file - Video path
+     * @returns {Promise<Object>} { duration, width, height, capture(time, size, keepAspect) }
+     */
+    async source(file) {
+        const info = await this.probe(file);
+        return {
+            ...info,
+            capture: (time, size, keepAspect) => this.capture(file, time, size, keepAspect)
+        };
+    },
+
+    /**
+     * Read duration and dimensions of the first video stream
+     * @param {string} file - Video path
+     * @returns {Promise<Object>} { duration, width, height }
+     */
+    async probe(file) {
+        const output = await this.run(this.ffprobe, [
+            '-v', 'error',
+            '-select_streams', 'v:0',
+            '-show_entries', 'format=duration:stream=width,height',
+            '-of', 'json',
+            file
+        ]);
+        const info = JSON.parse(output.toString('utf8'));
+        const stream = info.streams && info.streams[0];
+
+        if (!stream) {
+            throw new Error('No video stream found');
+        }
+
+        return {
+            duration: parseFloat(info.format && info.format.duration),
+            width: stream.width || null,
+            height: stream.height || null
+        };
+    },
+
+    /**
+     * Decode the frame shown at a time
+     * Matches VideoFrames.seekAndExtract: native resolution, or squashed to a
+     * size × size square when a size is given, or fit within it with keepAspect.
+     * @param {string} file - Video path
+     * @param {number} time - Time in seconds
+     * @param {number} size - Square capture size; native resolution when omitted
+     * @param {boolean} keepAspect - Make size the longest side and keep the video's aspect ratio instead
+     * @returns {Promise<Object>} ImageData-like { width, height, data }
+     */
+    async capture(file, time, size = null, keepAspect = false) {
+        const fit = keepAspect ? ':force_original_aspect_ratio=decrease' : '';
+        const frame = await this.decode([
+            '-ss', String(time),
+            '-i', file,
+            ...(size ? ['-vf', `scale=${size}:${size}${fit}`] : [])
+        ]);
+
+        if (!frame) {
+            throw new Error(`Unable to extract frame at ${Utils.formatTime(time)}`);
+        }
+        return frame;
+    },
+
+    /**
+     * Decode a still image at its native resolution
+     * @param {string} file - Image path
+     * @returns {Promise<Object>} ImageData-like { width, height, data }
+     */
+    async decodeImage(file) {
+        const frame = await this.decode(['-i', file]);
+
+        if (!frame) {
+            throw new Error(`Unable to decode image "${file}"`);
+        }
+        return frame;
+    },
+
+    /**
+     * Run ffmpeg for a single frame piped out as binary PPM
+     * PPM carries its own dimensions, so rotated videos need no extra probing.
+     * @param {Array<string>} inputArgs - Input and filter arguments
+     * @returns {Promise<Object|null>} Decoded frame, or null when ffmpeg produced none
+     */
+    async decode(inputArgs) {
+        const output = await this.run(this.ffmpeg, [
+            '-v', 'error',
+            ...inputArgs,
+            '-frames:v', '1',
+            '-pix_fmt', 'rgb24',
+            '-f', 'image2pipe',
+            '-c:v', 'ppm',
+            '-'
+        ]);
+
+        return output.length > 0 ? this.parsePPM(output) : null;
+    },
+
+    /**
+     * Convert a binary (P6) PPM with 8-bit samples to RGBA
+     * @param {Buffer} buffer - PPM file contents
+     * @returns {Object} ImageData-like { width, height, data }
+     */
+    parsePPM(buffer) {
+        // Header: magic, width, height and maximum value, separated by whitespace
+        // and optional comments, then a single whitespace byte before the samples
+        const fields = [];
+        let offset = 0;
+        while (fields.length < 4) {
+            while (offset < buffer.length && /\s/.test(String.fromCharCode(buffer[offset]))) offset++;
+            if (buffer[offset] === 0x23) {
+                while (offset < buffer.length && buffer[offset] !== 0x0A) offset++;
+                continue;
+            }
+
+            const start = offset;
+            while (offset < buffer.length && !/\s/.test(String.fromCharCode(buffer[offset]))) offset++;
+            if (start === offset) {
+                throw new Error('Truncated PPM header');
+            }
+            fields.push(buffer.toString('latin1', start, offset));
+        }
+        offset++;
+
+        const [magic, width, height, maxValue] = [fields[0], ...fields.slice(1).map(Number)];
+        if (magic !== 'P6' || maxValue !== 255) {
+            throw new Error(`Unsupported PPM frame (${magic}, maximum value ${maxValue})`);
+        }
+        if (buffer.length - offset < width * height * 3) {
+            throw new Error('Truncated PPM frame');
+        }
+
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let i = 0, j = offset; i < data.length; i += 4, j += 3) {
+            data[i] = buffer[j];
+            data[i + 1] = buffer[j + 1];
+            data[i + 2] = buffer[j + 2];
+            data[i + 3] = 255;
+        }
+
+        return { width, height, data };
+    },
+
+    /**
+     * Run a command and collect its standard output
+     * @param {string} command - Executable
+     * @param {Array<string>} args - Arguments
+     * @returns {Promise<Buffer>} Standard output
+     */
+    run(command, args) {
+        return new Promise((resolve, reject) => {
+            const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+            const chunks = [];
+            let stderr = '';
+
+            child.stdout.on('data', chunk => chunks.push(chunk));
+            child.stderr.on('data', chunk => {
+                stderr += chunk;
+            });
+            child.on('error', (error) => {
+                reject(error.code === 'ENOENT'
+                    ? new Error(`${command} not found; install ffmpeg or pass its path with --ffmpeg / --ffprobe`)
+                    : error);
+            });
+            child.on('close', (code) => {
+                if (code === 0) {
+                    resolve(Buffer.concat(chunks));
+                } else {
+                    const message = stderr.trim().split('\n').pop();
+                    reject(new Error(`${command} exited with code ${code}${message ? `: ${message}` : ''}`));
+                }
+            });
+        });
+    }
+};
+
+module.exports = FFmpegFrames;
@@ -5,252 +5,1095 @@
 
 class FFTAnalyzer {
     constructor() {
-        this.frameSize = 256; // Power of 2 for efficient FFT
-        this.sampleFrames = 5; // Number of frames to analyze
+        this.backend = null; // Optional FFTWorkerClient; spectra are computed in-thread when unset
+        this.pulseAnalyzer = null; // Optional PulseAnalyzer; videos are also checked for a heartbeat when set
+        this.temporalAnalyzer = null; // Optional TemporalAnalyzer; videos are also checked for texture flicker when set
+        this.faceDetector = null; // Optional FaceDetector; faces are then analyzed apart from the background
+        this.spatialClassifier = null; // Optional SpatialClassifier; sampled frames are also scored by an ONNX model
+        this.spectralModel = null; // Optional model from SpectralModel.fit; replaces the hand-tuned pattern weights when set
+
+        // Detector weights and verdict threshold, see Detectors
+        this.voting = Detectors.defaults();
+        this.calibration = null; // Optional profile from Calibration; replaces the voting threshold when set
+        this.fftEngine = new FFTEngine(); // Keeps FFT plans and scratch buffers between frames
+
+        // Frame sampling settings, see FrameSampler
+        this.sampling = {
+            strategy: 'budget',
+            frameCount: 5,
+            interval: 0.5,
+            seed: 1
+        };
+
+        // Frames are read at native resolution and split into overlapping tiles
+        this.tiling = {
+            tileSize: 256, // Power of 2 for efficient FFT; shrunk for small frames
+            overlap: 0.5, // Fraction of a tile shared with its neighbour
+            maxTiles: 96 // Stride widens on large frames to stay under this count
+        };
+
+        // Ordered stages applied before the FFT, see Preprocessing. The window
+        // keeps the frame's edges from drawing a cross through every spectrum.
+        this.preprocessing = Preprocessing.presets.windowed.stages;
+
+        // 'luma', or a key of ChannelSpectra.spaces to also analyze each color channel
+        this.colorSpace = 'luma';
+
+        // Boxes { x, y, width, height } as fractions of the frame; each is cropped
+        // out of every sampled frame and analyzed on its own next to the whole frame
+        this.regions = [];
+        this.minRegionSize = 32; // Smallest region side that still holds one FFT tile, see planTiles
+
+        // Score at which each pattern counts as present, used to explain verdicts
+        // and by the synthetic self-test (self-test.html)
+        this.patternThresholds = {
+            gridPattern: 0.5,
+            brightDots: 0.5,
+            crossShape: 0.5,
+            checkerboard: 0.4,
+            falloffDeviation: 0.5,
+            tailAnomaly: 0.5,
+            compression: 0.3
+        };
+
+        // Share of the overall progress bar given to each analysis stage
+        this.stageWeights = {
+            sample: 0.1,
+            extract: 0.3,
+            fft: 0.5,
+            pulse: 0.3,
+            temporal: 0.2,
+            detect: 0.1
+        };
     }
 
     /**
      * Analyze video for AI generation artifacts
-     * @param {HTMLVideoElement} video - Video element to analyze
-     * @param {Function} progressCallback - Progress update callback
+     * Frames are captured on the calling thread; spectra and pattern detection
+     * run on `this.backend` (the FFT worker) when one is attached. With a
+     * `pulseAnalyzer` set, a densely sampled stretch is also checked for a heartbeat;
+     * with `temporalAnalyzer` set, a run of consecutive frames is checked for flicker;
+     * with `faceDetector` set, faces are tracked through the sampled frames;
+     * with `spatialClassifier` set, each sampled frame is also scored by the model.
+     * The source hides where frames come from: VideoFrames.source() in the
+     * browser, FFmpegFrames.source() in Node.
+     * @param {Object} source - Frame source { duration, capture(time, size, keepAspect) }; capture
+     *     resolves to ImageData-like { width, height, data }, at native resolution when size is omitted
+     * @param {Object} options - Analysis options
+     * @param {Function} options.onProgress - Receives { stage, current, total, percent, stages }
+     * @param {AbortSignal} options.signal - Aborting it cancels the analysis
      * @returns {Promise<Object>} Analysis results
      */
-    async analyzeVideo(video, progressCallback = null) {
+    async analyzeVideo(source, options = {}) {
+        const { onProgress = null, signal = null } = options;
+        const backend = this.backend || this;
+        const jobId = Utils.generateId('job');
+        const stages = Object.keys(this.stageWeights).filter(stage =>
+            (stage !== 'pulse' || this.pulseAnalyzer) && (stage !== 'temporal' || this.temporalAnalyzer));
+        const report = this.createProgressReporter(onProgress, stages);
+
         try {
-            const frames = await this.extractFrames(video, this.sampleFrames, progressCallback);
-            const fftResults = [];
+            // Decide which moments of the video to analyze
+            const sampler = new FrameSampler(this.sampling);
+            report('sample', 0, 1);
+            const sampling = await sampler.plan(source.duration, {
+                capture: source.capture,
+                onProgress: (current, total) => report('sample', current, total),
+                signal
+            });
+            report('sample', 1, 1);
+
+            // Capture and analyze one frame at a time so full-resolution
+            // frames never pile up in memory
+            const preprocessing = Preprocessing.normalize(this.preprocessing);
+            const frameSettings = {
+                tiling: { ...this.tiling },
+                preprocessing,
+                colorSpace: this.colorSpace,
+                spectralModel: this.spectralModelFor(preprocessing)
+            };
+            const timestamps = sampling.timestamps;
+            const regions = this.regions.map(region => ({ ...region }));
+            const frameAnalyses = [];
+            const regionAnalyses = [];
+            const faceTracks = [];
+            const faceAnalyses = [];
+            const classifications = [];
+            let captured = 0;
 
-            for (let i = 0; i < frames.length; i++) {
-                const fftData = await this.computeFFT(frames[i]);
-                fftResults.push(fftData);
+            for await (const frame of this.extractFrames(source, timestamps, signal)) {
+                report('extract', ++captured, timestamps.length);
 
-                if (progressCallback) {
-                    progressCallback((i + 1) / frames.length * 100);
+                // Regions and faces are cut out, and the classifier run, before the frame's buffer goes to the worker
+                const crops = regions.map(region => Utils.cropImageData(frame, region));
+                const faces = this.faceDetector ? await this.detectFaces(frame, faceTracks, frameAnalyses.length) : null;
+                const classification = this.spatialClassifier ? await this.spatialClassifier.classify(frame) : null;
+                const frameAnalysis = await backend.analyzeFrame(frame, frameSettings, { jobId, signal });
+                regionAnalyses.push(await this.analyzeRegionCrops(backend, crops, frameSettings, { jobId, signal }));
+                if (faces) {
+                    faceAnalyses.push(await this.analyzeFacePatches(backend, faces, frameAnalysis, frameSettings, { jobId, signal }));
                 }
+                if (classification) {
+                    classifications.push(classification);
+                }
+                frameAnalyses.push(frameAnalysis);
+
+                report('fft', frameAnalyses.length, timestamps.length);
+            }
+
+            // Look for a heartbeat in skin color
+            let pulse = null;
+            if (this.pulseAnalyzer) {
+                report('pulse', 0, 1);
+                pulse = await this.pulseAnalyzer.analyze(source.duration, {
+                    capture: source.capture,
+                    onProgress: (current, total) => report('pulse', current, total),
+                    signal
+                });
+                report('pulse', 1, 1);
+            }
+
+            // Look for texture that flickers from frame to frame
+            let temporal = null;
+            if (this.temporalAnalyzer) {
+                report('temporal', 0, 1);
+                temporal = await this.temporalAnalyzer.analyze(source.duration, {
+                    capture: source.capture,
+                    onProgress: (current, total) => report('temporal', current, total),
+                    signal
+                });
+                report('temporal', 1, 1);
             }
 
             // Analyze patterns across all frames
-            const analysis = this.detectAIPatterns(fftResults);
+            Utils.throwIfAborted(signal);
+            report('detect', 0, 1);
+            const analysis = await backend.detectAIPatterns(
+                frameAnalyses.map(frameAnalysis => ({ patterns: frameAnalysis.patterns })),
+                frameSettings,
+                { jobId, signal }
+            );
+            const regionDetections = await this.detectRegionPatterns(backend, regions, regionAnalyses, frameSettings, { jobId, signal });
+            const faceDetections = this.faceDetector
+                ? await this.detectFacePatterns(backend, faceTracks, faceAnalyses, frameSettings, { jobId, signal })
+                : null;
+            const spatial = this.spatialClassifier ? this.spatialClassifier.summarize(classifications, timestamps) : null;
+            report('detect', 1, 1);
 
-            return {
-                isAIGenerated: analysis.isAI,
-                confidence: analysis.confidence,
-                patterns: analysis.patterns,
-                fftData: fftResults[0], // Return first frame's FFT for visualization
-                details: analysis.details
+            return this.assembleResults(analysis, frameAnalyses, {
+                mediaType: 'video',
+                duration: source.duration,
+                sampling,
+                frameSettings,
+                pulse,
+                temporal,
+                regions: regionDetections,
+                faces: faceDetections,
+                spatial
+            });
+        } catch (error) {
+            if (!Utils.isAbortError(error)) {
+                console.error('Analysis error:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Analyze a still image through the same tile, spectrum and verdict pipeline
+     * @param {ImageData} imageData - Decoded image at native resolution; its buffer
+     *     is handed to the worker and must not be reused
+     * @param {Object} options - Analysis options
+     * @param {Function} options.onProgress - Receives { stage, current, total, percent, stages }
+     * @param {AbortSignal} options.signal - Aborting it cancels the analysis
+     * @returns {Promise<Object>} Analysis results with a single frame at time 0
+     */
+    async analyzeImage(imageData, options = {}) {
+        const { onProgress = null, signal = null } = options;
+        const backend = this.backend || this;
+        const jobId = Utils.generateId('job');
+        const stages = Object.keys(this.stageWeights).filter(stage => stage !== 'pulse' && stage !== 'temporal');
+        const report = this.createProgressReporter(onProgress, stages);
+
+        try {
+            // A still has exactly one "frame"; nothing to sample or capture
+            report('sample', 1, 1);
+            report('extract', 1, 1);
+
+            const preprocessing = Preprocessing.normalize(this.preprocessing);
+            const frameSettings = {
+                tiling: { ...this.tiling },
+                preprocessing,
+                colorSpace: this.colorSpace,
+                spectralModel: this.spectralModelFor(preprocessing)
             };
+            const regions = this.regions.map(region => ({ ...region }));
+            const crops = regions.map(region => Utils.cropImageData(imageData, region));
+            const faceTracks = [];
+            const faces = this.faceDetector ? await this.detectFaces(imageData, faceTracks, 0) : null;
+            const classification = this.spatialClassifier ? await this.spatialClassifier.classify(imageData) : null;
+            const frameAnalysis = await backend.analyzeFrame(imageData, frameSettings, { jobId, signal });
+            const regionAnalysis = await this.analyzeRegionCrops(backend, crops, frameSettings, { jobId, signal });
+            const faceAnalysis = faces
+                ? await this.analyzeFacePatches(backend, faces, frameAnalysis, frameSettings, { jobId, signal })
+                : null;
+            report('fft', 1, 1);
+
+            Utils.throwIfAborted(signal);
+            report('detect', 0, 1);
+            const analysis = await backend.detectAIPatterns(
+                [{ patterns: frameAnalysis.patterns }],
+                frameSettings,
+                { jobId, signal }
+            );
+            const regionDetections = await this.detectRegionPatterns(backend, regions, [regionAnalysis], frameSettings, { jobId, signal });
+            const faceDetections = faceAnalysis
+                ? await this.detectFacePatterns(backend, faceTracks, [faceAnalysis], frameSettings, { jobId, signal })
+                : null;
+            const spatial = classification ? this.spatialClassifier.summarize([classification], [0]) : null;
+            report('detect', 1, 1);
+
+            return this.assembleResults(analysis, [frameAnalysis], {
+                mediaType: 'image',
+                duration: 0,
+                sampling: { strategy: 'still', settings: {}, timestamps: [0] },
+                frameSettings,
+                regions: regionDetections,
+                faces: faceDetections,
+                spatial
+            });
         } catch (error) {
-            console.error('Analysis error:', error);
+            if (!Utils.isAbortError(error)) {
+                console.error('Analysis error:', error);
+            }
             throw error;
         }
     }
 
     /**
-     * Extract frames from video at regular intervals
-     * @param {HTMLVideoElement} video - Video element
-     * @param {number} numFrames - Number of frames to extract
-     * @param {Function} progressCallback - Progress callback
-     * @returns {Promise<Array>} Array of ImageData objects
+     * Spectral analysis of each region's crop of one frame
+     * Regions are analyzed in luma only; their channel spectra would add cost, not comparison.
+     * @param {Object} backend - Analyzer or FFT worker client
+     * @param {Array<Object>} crops - ImageData-like crops, one per region
+     * @param {Object} frameSettings - Settings the whole frame was analyzed with
+     * @param {Object} options - { jobId, signal } for the backend
+     * @returns {Promise<Array<Object>>} { patterns, width, height } per region; patterns is null
+     *     for regions too small for a tile
      */
-    async extractFrames(video, numFrames, progressCallback) {
-        const frames = [];
-        const duration = video.duration;
-        const interval = duration / (numFrames + 1);
+    async analyzeRegionCrops(backend, crops, frameSettings, options) {
+        const analyses = [];
+
+        for (const crop of crops) {
+            const { width, height } = crop;
+            if (Math.min(width, height) < this.minRegionSize) {
+                analyses.push({ patterns: null, width, height });
+                continue;
+            }
+
+            const frameAnalysis = await backend.analyzeFrame(crop, { ...frameSettings, colorSpace: 'luma' }, options);
+            analyses.push({ patterns: frameAnalysis.patterns, width, height });
+        }
+
+        return analyses;
+    }
+
+    /**
+     * Pattern detection across frames for each region
+     * @param {Object} backend - Analyzer or FFT worker client
+     * @param {Array<Object>} regions - Boxes as fractions of the frame
+     * @param {Array<Array>} regionAnalyses - Per frame, the output of analyzeRegionCrops
+     * @param {Object} frameSettings - Settings the whole frame was analyzed with
+     * @param {Object} options - { jobId, signal } for the backend
+     * @returns {Promise<Array<Object>>} { box, width, height, analysis } per region; analysis
+     *     (output of detectAIPatterns) is null for regions too small to analyze
+     */
+    async detectRegionPatterns(backend, regions, regionAnalyses, frameSettings, options) {
+        const detections = [];
+
+        for (let r = 0; r < regions.length; r++) {
+            const analyses = regionAnalyses.map(frame => frame[r]);
+            const analysis = analyses.every(frame => frame.patterns)
+                ? await backend.detectAIPatterns(analyses.map(frame => ({ patterns: frame.patterns })), frameSettings, options)
+                : null;
+
+            detections.push({ box: regions[r], width: analyses[0].width, height: analyses[0].height, analysis });
+        }
+
+        return detections;
+    }
+
+    /**
+     * Find faces in a frame, continue their tracks and cut out aligned patches
+     * @param {ImageData} frame - Captured frame, still on this thread
+     * @param {Array<Object>} tracks - Face tracks so far, extended in place
+     * @param {number} frameIndex - Index of the frame among the sampled frames
+     * @returns {Promise<Array<Object>>} Faces from FaceDetector.track, each with its patch
+     */
+    async detectFaces(frame, tracks, frameIndex) {
+        const faces = this.faceDetector.track(tracks, await this.faceDetector.detect(frame), frameIndex);
+        return faces.map(face => ({ ...face, patch: this.faceDetector.alignPatch(frame, face) }));
+    }
+
+    /**
+     * Spectral analysis of one frame's face patches, and of its background
+     * The background is the frame's tiles that overlap no face; faces are
+     * analyzed in luma only, like regions.
+     * @param {Object} backend - Analyzer or FFT worker client
+     * @param {Array<Object>} faces - Output of detectFaces
+     * @param {Object} frameAnalysis - The whole frame's analyzeFrame output
+     * @param {Object} frameSettings - Settings the whole frame was analyzed with
+     * @param {Object} options - { jobId, signal } for the backend
+     * @returns {Promise<Object>} { faces: [{ id, box, eyes, score, patterns }], background }; background
+     *     holds the mean patterns of the clear tiles, null when every tile touches a face
+     */
+    async analyzeFacePatches(backend, faces, frameAnalysis, frameSettings, options) {
+        const analyzed = [];
+        for (const { patch, ...face } of faces) {
+            const patchAnalysis = await backend.analyzeFrame(patch, { ...frameSettings, colorSpace: 'luma' }, options);
+            analyzed.push({ ...face, patterns: patchAnalysis.patterns });
+        }
+
+        const { tileSize, frameWidth, frameHeight } = frameAnalysis.tileGrid;
+        const clear = frameAnalysis.tiles.filter(tile => faces.every(({ box }) =>
+            tile.x + tileSize <= box.x * frameWidth || tile.x >= (box.x + box.width) * frameWidth ||
+            tile.y + tileSize <= box.y * frameHeight || tile.y >= (box.y + box.height) * frameHeight));
 
-        for (let i = 1; i <= numFrames; i++) {
-            const time = interval * i;
-            const frameData = await this.seekAndExtract(video, time);
-            frames.push(frameData);
+        return {
+            faces: analyzed,
+            background: clear.length > 0 ? this.averagePatterns(clear.map(tile => tile.patterns)) : null
+        };
+    }
 
-            if (progressCallback) {
-                progressCallback((i / numFrames) * 50); // First 50% is frame extraction
+    /**
+     * Pattern detection across frames for the background and for each face track
+     * @param {Object} backend - Analyzer or FFT worker client
+     * @param {Array<Object>} tracks - Face tracks from FaceDetector.track
+     * @param {Array<Object>} faceAnalyses - Per frame, the output of analyzeFacePatches
+     * @param {Object} frameSettings - Settings the whole frame was analyzed with
+     * @param {Object} options - { jobId, signal } for the backend
+     * @returns {Promise<Object>} { background, faces }: background is { frameIndices, analysis } or null,
+     *     each face { id, detections, analysis }, analysis being the output of detectAIPatterns
+     */
+    async detectFacePatterns(backend, tracks, faceAnalyses, frameSettings, options) {
+        const frameIndices = faceAnalyses.map((frame, i) => frame.background ? i : -1).filter(i => i >= 0);
+        const background = frameIndices.length > 0
+            ? {
+                frameIndices,
+                analysis: await backend.detectAIPatterns(
+                    frameIndices.map(i => ({ patterns: faceAnalyses[i].background })),
+                    frameSettings,
+                    options
+                )
             }
+            : null;
+
+        const faces = [];
+        for (const track of tracks) {
+            const detections = faceAnalyses.flatMap((frame, frameIndex) => frame.faces
+                .filter(face => face.id === track.id)
+                .map(({ box, score, patterns }) => ({ frameIndex, box, score, patterns })));
+            const analysis = await backend.detectAIPatterns(
+                detections.map(detection => ({ patterns: detection.patterns })),
+                frameSettings,
+                options
+            );
+            faces.push({ id: track.id, detections, analysis });
         }
 
-        return frames;
+        return { background, faces };
     }
 
     /**
-     * Seek to time and extract frame
-     * @param {HTMLVideoElement} video - Video element
-     * @param {number} time - Time in seconds
-     * @returns {Promise<ImageData>} Frame data
+     * Score each face track against the background, on the spectral detectors only
+     * @param {Object} detections - Output of detectFacePatterns
+     * @param {Object} context - { mediaType, timestamps, voting }
+     * @returns {Object} { background: { score, isAI, patterns, frames } or null, faces, sampledFrames }
      */
-    seekAndExtract(video, time) {
-        return new Promise((resolve) => {
-            const onSeeked = () => {
-                video.removeEventListener('seeked', onSeeked);
-                const frameData = Utils.extractFrame(video, this.frameSize);
-                resolve(frameData);
-            };
+    compareFaces(detections, context) {
+        const { mediaType, timestamps, voting } = context;
+        const vote = (analysis) => Detectors.vote(
+            { mediaType, patterns: analysis.patterns, frames: analysis.frames, learned: analysis.learned },
+            voting
+        );
+        const background = detections.background ? vote(detections.background.analysis) : null;
 
-            video.addEventListener('seeked', onSeeked);
-            video.currentTime = time;
-        });
+        return {
+            background: background ? {
+                score: background.score,
+                isAI: background.isAI,
+                patterns: detections.background.analysis.patterns,
+                frames: detections.background.frameIndices.length
+            } : null,
+            faces: detections.faces.map(face => {
+                const result = vote(face.analysis);
+                return {
+                    id: face.id,
+                    score: result.score,
+                    isAI: result.isAI,
+                    difference: background ? result.score - background.score : null,
+                    patterns: face.analysis.patterns,
+                    detections: face.detections.map((detection, j) => ({
+                        frameIndex: detection.frameIndex,
+                        time: timestamps[detection.frameIndex],
+                        box: detection.box,
+                        score: detection.score,
+                        aiScore: face.analysis.frames[j].aiScore,
+                        realScore: face.analysis.frames[j].realScore
+                    }))
+                };
+            }),
+            sampledFrames: timestamps.length
+        };
     }
 
     /**
-     * Compute 2D FFT on image data
-     * @param {ImageData} imageData - Frame image data
-     * @returns {Object} FFT result with magnitude spectrum
+     * Score each region against a whole-frame baseline
+     * Both use only the spectral detectors, so a region and the background
+     * are judged on the same evidence; pulse and temporal checks abstain.
+     * @param {Array<Object>} detections - Output of detectRegionPatterns
+     * @param {Object} analysis - Whole-frame output of detectAIPatterns
+     * @param {Object} context - { mediaType, timestamps, voting }
+     * @returns {Object|null} { baseline: { score, isAI, patterns }, regions }, or null without regions
      */
-    async computeFFT(imageData) {
-        // Convert to grayscale
-        let grayscale = Utils.rgbToGrayscale(imageData);
+    compareRegions(detections, analysis, context) {
+        if (detections.length === 0) return null;
 
-        // Apply high-pass filter to isolate texture
-        grayscale = Utils.applyHighPassFilter(grayscale, this.frameSize, this.frameSize);
+        const { mediaType, timestamps, voting } = context;
+        const baseline = Detectors.vote(
+            { mediaType, patterns: analysis.patterns, frames: analysis.frames, learned: analysis.learned },
+            voting
+        );
 
-        // Compute 2D FFT
-        const fftResult = this.fft2D(grayscale, this.frameSize, this.frameSize);
+        return {
+            baseline: { score: baseline.score, isAI: baseline.isAI, patterns: analysis.patterns },
+            regions: detections.map(({ box, width, height, analysis: regionAnalysis }, i) => {
+                if (!regionAnalysis) {
+                    return {
+                        index: i + 1,
+                        box,
+                        width,
+                        height,
+                        status: 'skipped',
+                        reason: `smaller than ${this.minRegionSize} px`
+                    };
+                }
 
-        // Calculate magnitude spectrum
-        const magnitude = Utils.calculateMagnitude(fftResult.real, fftResult.imag);
+                const vote = Detectors.vote(
+                    { mediaType, patterns: regionAnalysis.patterns, frames: regionAnalysis.frames, learned: regionAnalysis.learned },
+                    voting
+                );
+                return {
+                    index: i + 1,
+                    box,
+                    width,
+                    height,
+                    status: 'ok',
+                    score: vote.score,
+                    isAI: vote.isAI,
+                    difference: vote.score - baseline.score,
+                    patterns: regionAnalysis.patterns,
+                    frames: regionAnalysis.frames.map((frame, j) => ({
+                        time: timestamps[j],
+                        aiScore: frame.aiScore,
+                        realScore: frame.realScore
+                    }))
+                };
+            })
+        };
+    }
 
-        // Convert to log scale (dB)
-        const logMagnitude = Utils.toLogScale(magnitude);
+    /**
+     * Combine per-frame analyses and the overall verdict into the results object
+     * @param {Object} analysis - Output of detectAIPatterns
+     * @param {Array<Object>} frameAnalyses - Outputs of analyzeFrame, in timestamp order
+     * @param {Object} context - { mediaType, duration, sampling, frameSettings, pulse, temporal, regions, faces, spatial }
+     * @returns {Object} Analysis results
+     */
+    assembleResults(analysis, frameAnalyses, context) {
+        const {
+            mediaType,
+            duration,
+            sampling,
+            frameSettings,
+            pulse = null,
+            temporal = null,
+            regions = [],
+            faces = null,
+            spatial = null
+        } = context;
+        const voting = Detectors.normalize(this.voting);
+        const compression = CompressionBlocks.summarize(frameAnalyses.map(frameAnalysis => frameAnalysis.compression));
+        const channels = ChannelSpectra.summarize(frameAnalyses.map(frameAnalysis => frameAnalysis.channels).filter(Boolean));
+        const regionComparison = this.compareRegions(regions, analysis, { mediaType, timestamps: sampling.timestamps, voting });
+        const faceComparison = faces ? this.compareFaces(faces, { mediaType, timestamps: sampling.timestamps, voting }) : null;
+        const verdict = this.decideVerdict(
+            {
+                mediaType,
+                patterns: analysis.patterns,
+                frames: analysis.frames,
+                learned: analysis.learned,
+                pulse,
+                temporal,
+                compression,
+                channels,
+                regions: regionComparison,
+                faces: faceComparison,
+                spatial,
+                preprocessing: frameSettings.preprocessing
+            },
+            voting
+        );
 
-        // Shift to center low frequencies
-        const shifted = Utils.fftShift(logMagnitude, this.frameSize, this.frameSize);
+        // Keep every sampled frame so the verdict can be traced to a moment in the video
+        const frameResults = frameAnalyses.map((frameAnalysis, i) => ({
+            index: i,
+            time: sampling.timestamps[i],
+            patterns: analysis.frames[i].patterns,
+            aiScore: analysis.frames[i].aiScore,
+            realScore: analysis.frames[i].realScore,
+            fftData: frameAnalysis.fftData,
+            tiles: frameAnalysis.tiles,
+            tileGrid: frameAnalysis.tileGrid,
+            profile: frameAnalysis.profile,
+            compression: frameAnalysis.compression,
+            channels: frameAnalysis.channels,
+            // Face boxes in this frame, for drawing over the video
+            faces: faceComparison
+                ? faceComparison.faces.flatMap(face => face.detections
+                    .filter(detection => detection.frameIndex === i)
+                    .map(({ box, aiScore, realScore }) => ({ id: face.id, box, aiScore, realScore })))
+                : null
+        }));
 
         return {
-            magnitude: shifted,
-            width: this.frameSize,
-            height: this.frameSize
+            isAIGenerated: verdict.isAI,
+            confidence: verdict.confidence,
+            score: verdict.score,
+            votes: verdict.votes,
+            voting,
+            calibrated: verdict.calibrated || null,
+            patterns: analysis.patterns,
+            fftData: frameResults[0].fftData, // Return first frame's spectrum for visualization
+            frames: frameResults,
+            mediaType,
+            duration,
+            sampling,
+            tiling: frameSettings.tiling,
+            preprocessing: frameSettings.preprocessing,
+            colorSpace: frameSettings.colorSpace,
+            pulse,
+            temporal,
+            compression,
+            channels,
+            regions: regionComparison,
+            faces: faceComparison,
+            spatial,
+            learned: analysis.learned,
+            details: verdict.details
         };
     }
 
     /**
-     * 2D FFT implementation using row-column algorithm
-     * @param {Float32Array} data - Input data
-     * @param {number} width - Data width
-     * @param {number} height - Data height
-     * @returns {Object} Real and imaginary components
+     * Let the registered detectors vote on the gathered evidence
+     * @param {Object} evidence - { mediaType, patterns, frames, learned, pulse, temporal, compression, channels, regions, faces,
+     *     spatial, preprocessing }
+     * @param {Object} voting - Voting configuration { weights, threshold }
+     * @returns {Object} Ensemble result from Detectors.vote, plus detail lines
      */
-    fft2D(data, width, height) {
-        // Initialize real and imaginary arrays
-        const real = new Float32Array(data.length);
-        const imag = new Float32Array(data.length);
+    decideVerdict(evidence, voting) {
+        const verdict = Detectors.vote(evidence, voting);
 
-        // Copy input to real part
-        for (let i = 0; i < data.length; i++) {
-            real[i] = data[i];
+        // A fitted profile turns the score into a probability, so confidence
+        // becomes the calibrated probability of the reported verdict
+        if (this.calibration) {
+            const probability = Calibration.probability(this.calibration, verdict.score);
+            verdict.isAI = probability > this.calibration.threshold;
+            verdict.confidence = Math.min((verdict.isAI ? probability : 1 - probability) * 100, 99);
+            verdict.calibrated = {
+                probability,
+                threshold: this.calibration.threshold,
+                createdAt: this.calibration.createdAt || null
+            };
         }
 
-        // FFT on rows
-        for (let y = 0; y < height; y++) {
-            const rowReal = real.slice(y * width, (y + 1) * width);
-            const rowImag = imag.slice(y * width, (y + 1) * width);
+        const details = this.describePatterns(evidence.patterns, verdict.isAI);
 
-            this.fft1D(rowReal, rowImag);
+        if (evidence.learned) {
+            details.push(this.describeLearned(evidence.learned));
+        } else if (this.spectralModel && evidence.preprocessing) {
+            details.push(`Learned spectral model was trained with preprocessing ${this.spectralModel.trainedOn.preprocessing}` +
+                `, not ${Preprocessing.format(evidence.preprocessing)}, so the hand-tuned weights were used instead`);
+        }
+        if (evidence.compression && evidence.compression.strength > this.patternThresholds.compression) {
+            details.push(this.describeCompression(evidence.compression));
+        }
+        if (evidence.channels) {
+            details.push(...this.describeChannels(evidence.channels));
+        }
+        if (evidence.regions) {
+            details.push(...this.describeRegions(evidence.regions));
+        }
+        if (evidence.faces) {
+            details.push(...this.describeFaces(evidence.faces));
+        }
+        if (evidence.spatial) {
+            details.push(this.describeSpatial(evidence.spatial));
+        }
+        if (evidence.pulse) {
+            details.push(this.describePulse(evidence.pulse));
+        }
+        if (evidence.temporal) {
+            details.push(this.describeTemporal(evidence.temporal));
+        }
+        if (verdict.calibrated) {
+            details.push(`Calibrated probability of AI generation: ${Math.round(verdict.calibrated.probability * 100)}%` +
+                ` (decision threshold ${Math.round(verdict.calibrated.threshold * 100)}%)`);
 
-            for (let x = 0; x < width; x++) {
-                real[y * width + x] = rowReal[x];
-                imag[y * width + x] = rowImag[x];
+            const fittedOn = this.calibration.fittedOn;
+            if (fittedOn && fittedOn.voting !== Detectors.format(voting)) {
+                details.push(`Calibration profile was fitted with different detector voting (${fittedOn.voting})`);
             }
         }
 
-        // FFT on columns
-        for (let x = 0; x < width; x++) {
-            const colReal = new Float32Array(height);
-            const colImag = new Float32Array(height);
+        return { ...verdict, details };
+    }
 
-            for (let y = 0; y < height; y++) {
-                colReal[y] = real[y * width + x];
-                colImag[y] = imag[y * width + x];
-            }
+    /**
+     * One-line summary of block-compression artifacts
+     * @param {Object} compression - Output of CompressionBlocks.summarize
+     * @returns {string} Detail line
+     */
+    describeCompression(compression) {
+        const strength = Math.round(compression.strength * 100);
+        const level = compression.strength > 0.7 ? 'heavy' : compression.strength > 0.5 ? 'moderate' : 'light';
+        return `Compression artifacts: ${compression.blockSize}×${compression.blockSize} block grid, ${level}` +
+            ` (strength ${strength}%) - discounted from the grid and checkerboard scores`;
+    }
 
-            this.fft1D(colReal, colImag);
+    /**
+     * Detail lines for the per-channel analysis
+     * @param {Object} channels - Output of ChannelSpectra.summarize
+     * @returns {Array<string>} Cross-channel correlation and CFA lines
+     */
+    describeChannels(channels) {
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        const pairs = channels.correlation.pairs.map(entry => `${entry.pair} ${percent(entry.high)}`).join(', ');
+        const shares = Object.entries(channels.highPower).map(([name, share]) => `${name} ${percent(share)}`).join(', ');
+        const lines = [
+            `High-frequency cross-channel correlation (${ChannelSpectra.spaces[channels.space].label}):` +
+                ` ${percent(channels.correlation.high)} (${pairs})`,
+            `High-frequency power by channel: ${shares}`
+        ];
 
-            for (let y = 0; y < height; y++) {
-                real[y * width + x] = colReal[y];
-                imag[y * width + x] = colImag[y];
+        if (channels.cfa.strength > ChannelSpectra.cfaThreshold) {
+            lines.push(`Demosaicing periodicity found: ${channels.cfa.layout || 'Bayer'} color filter array` +
+                ` (strength ${percent(channels.cfa.strength)}) - a trace of a camera sensor`);
+        } else {
+            lines.push(`No demosaicing (CFA) periodicity (strength ${percent(channels.cfa.strength)})` +
+                ' - expected after resizing or compression, and in generated images');
+        }
+
+        return lines;
+    }
+
+    /**
+     * One line per analyzed region, compared with the whole frame
+     * @param {Object} comparison - Output of compareRegions
+     * @returns {Array<string>} Detail lines
+     */
+    describeRegions(comparison) {
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        const lines = [`Whole frame (baseline for regions): ${percent(comparison.baseline.score)} AI on the spectral detectors`];
+
+        for (const region of comparison.regions) {
+            if (region.status !== 'ok') {
+                lines.push(`Region ${region.index} skipped: ${region.reason}`);
+                continue;
             }
+
+            const difference = Math.round(region.difference * 100);
+            const line = `Region ${region.index} (${region.width}×${region.height} px): ${percent(region.score)} AI,` +
+                ` ${difference >= 0 ? '+' : ''}${difference} points against the whole frame`;
+            lines.push(region.isAI && !comparison.baseline.isAI
+                ? `${line} - looks generated while the rest of the frame does not`
+                : line);
         }
 
-        return { real, imag };
+        return lines;
     }
 
     /**
-     * 1D FFT using Cooley-Tukey algorithm
-     * @param {Float32Array} real - Real components (modified in place)
-     * @param {Float32Array} imag - Imaginary components (modified in place)
+     * One line per face track, compared with the background
+     * @param {Object} comparison - Output of compareFaces
+     * @returns {Array<string>} Detail lines
      */
-    fft1D(real, imag) {
-        const n = real.length;
+    describeFaces(comparison) {
+        const percent = (value) => `${Math.round(value * 100)}%`;
+        if (comparison.faces.length === 0) {
+            return ['Face analysis: no faces found in the sampled frames'];
+        }
 
-        if (n <= 1) return;
+        const { background } = comparison;
+        const lines = [background
+            ? `Background (tiles clear of faces): ${percent(background.score)} AI on the spectral detectors`
+            : 'Background: faces cover the whole frame, nothing to compare them with'];
 
-        // Bit-reversal permutation
-        let j = 0;
-        for (let i = 0; i < n - 1; i++) {
-            if (i < j) {
-                [real[i], real[j]] = [real[j], real[i]];
-                [imag[i], imag[j]] = [imag[j], imag[i]];
+        for (const face of comparison.faces) {
+            let line = `Face ${face.id} (in ${face.detections.length} of ${comparison.sampledFrames} frames):` +
+                ` ${percent(face.score)} AI`;
+            if (background) {
+                const difference = Math.round(face.difference * 100);
+                line += `, ${difference >= 0 ? '+' : ''}${difference} points against the background`;
             }
+            lines.push(face.isAI && background && !background.isAI
+                ? `${line} - the face looks generated while the background does not`
+                : line);
+        }
+
+        return lines;
+    }
+
+    /**
+     * One-line summary of the pulse check
+     * @param {Object} pulse - Output of PulseAnalyzer.analyze
+     * @returns {string} Detail line
+     */
+    describePulse(pulse) {
+        if (pulse.status !== 'ok') {
+            return `Pulse check ${pulse.status}: ${pulse.reason}`;
+        }
+
+        const quality = Math.round(pulse.quality * 100);
+        return pulse.pulsePresent
+            ? `Heartbeat found in skin color: ~${Math.round(pulse.heartRate)} BPM (signal quality ${quality}%)`
+            : `No clear heartbeat in skin color (signal quality ${quality}%) - counted weakly toward AI`;
+    }
+
+    /**
+     * One-line summary of the temporal flicker check
+     * @param {Object} temporal - Output of TemporalAnalyzer.analyze
+     * @returns {string} Detail line
+     */
+    describeTemporal(temporal) {
+        if (temporal.status !== 'ok') {
+            return `Temporal check ${temporal.status}: ${temporal.reason}`;
+        }
+
+        const consistency = Math.round(temporal.consistency * 100);
+        const coherence = Math.round(temporal.coherence * 100);
+        return temporal.flickerScore > 0.5
+            ? `Fine texture flickers between frames: temporal consistency ${consistency}%` +
+                ` (frame-to-frame coherence ${coherence}%) - generated video often re-synthesizes detail every frame`
+            : `Fine texture is temporally consistent: ${consistency}% (frame-to-frame coherence ${coherence}%)`;
+    }
+
+    /**
+     * One-line summary of the learned spectral model
+     * @param {Object} learned - `learned` from detectAIPatterns
+     * @returns {string} Detail line
+     */
+    describeLearned(learned) {
+        const { real, fake } = learned.trainedOn;
+        return `Learned spectral model (trained on ${real} real and ${fake} AI labels):` +
+            ` ${Math.round(learned.aiProbability * 100)}% probability of AI generation`;
+    }
+
+    /**
+     * One-line summary of the spatial classifier
+     * @param {Object} spatial - Output of SpatialClassifier.summarize
+     * @returns {string} Detail line
+     */
+    describeSpatial(spatial) {
+        const probability = Math.round(spatial.aiProbability * 100);
+        const frames = spatial.frames.length === 1 ? '' : ` (mean over ${spatial.frames.length} frames)`;
+        return `Spatial classifier (${spatial.model}): ${probability}% probability of AI generation${frames}`;
+    }
+
+    /**
+     * Create a reporter that turns per-stage counts into overall progress
+     * Capture and spectrum stages alternate frame by frame, so each stage's
+     * completed fraction is tracked separately.
+     * @param {Function} onProgress - Receives { stage, current, total, percent, stages }
+     * @param {Array<string>} stageNames - Stages this analysis runs; their weights are rescaled to fill the bar
+     * @returns {Function} report(stage, current, total)
+     */
+    createProgressReporter(onProgress, stageNames = Object.keys(this.stageWeights)) {
+        const stages = {};
+        const totalWeight = stageNames.reduce((sum, name) => sum + this.stageWeights[name], 0);
+
+        return (stage, current, total) => {
+            stages[stage] = total > 0 ? current / total : 0;
+            if (!onProgress) return;
 
-            let k = n >> 1;
-            while (k <= j) {
-                j -= k;
-                k >>= 1;
+            let percent = 0;
+            for (const name of stageNames) {
+                percent += this.stageWeights[name] * (stages[name] || 0);
             }
-            j += k;
+
+            onProgress({ stage, current, total, percent: percent / totalWeight * 100, stages: { ...stages } });
+        };
+    }
+
+    /**
+     * Extract native-resolution frames from video at the given times
+     * Frames are yielded one by one; each should be released before the next is read.
+     * @param {Object} source - Frame source { duration, capture(time, size) }
+     * @param {Array<number>} timestamps - Times in seconds
+     * @param {AbortSignal} signal - Stops extraction when aborted
+     * @yields {ImageData} Frame image data
+     */
+    async *extractFrames(source, timestamps, signal = null) {
+        for (const time of timestamps) {
+            Utils.throwIfAborted(signal);
+            yield await source.capture(time);
         }
+    }
+
+    /**
+     * Analyze a full-resolution frame as overlapping power-of-two tiles
+     * Each tile gets its own spectrum and pattern scores; the frame's spectrum
+     * is the mean of the tile spectra, and its radial/angular profiles are
+     * taken from that mean. Outside luma, each color channel gets its own
+     * mean spectrum over the same tiles.
+     * @param {ImageData} imageData - Frame image data at native resolution
+     * @param {Object} settings - { tiling, preprocessing, colorSpace, spectralModel }; defaults to this analyzer's
+     * @returns {Object} { fftData, patterns, tiles, tileGrid, profile, compression, channels }
+     */
+    async analyzeFrame(imageData, settings = {}) {
+        const {
+            tiling = this.tiling,
+            preprocessing = this.preprocessing,
+            colorSpace = this.colorSpace,
+            spectralModel = this.spectralModel
+        } = settings;
+        const { width, height } = imageData;
+        const grayscale = Utils.rgbToGrayscale(imageData);
+        const grid = this.planTiles(width, height, tiling);
+        const size = grid.tileSize;
 
-        // Cooley-Tukey decimation-in-time radix-2 FFT
-        for (let len = 2; len <= n; len <<= 1) {
-            const halfLen = len >> 1;
-            const angle = -2 * Math.PI / len;
+        const meanSpectrum = new Float32Array(size * size);
+        const tiles = [];
 
-            for (let i = 0; i < n; i += len) {
-                let wReal = 1;
-                let wImag = 0;
+        for (const { x, y } of grid.positions) {
+            const tile = Utils.cropPlane(grayscale, width, x, y, size, size);
+            const spectrum = this.computeSpectrum(tile, size, size, preprocessing);
 
-                for (let j = 0; j < halfLen; j++) {
-                    const evenIdx = i + j;
-                    const oddIdx = i + j + halfLen;
+            for (let i = 0; i < meanSpectrum.length; i++) {
+                meanSpectrum[i] += spectrum.magnitude[i];
+            }
+
+            const patterns = this.analyzeFFTPattern(spectrum.magnitude, size, size, spectrum.compression);
+            tiles.push({ x, y, patterns, ...this.scorePatterns(patterns, spectralModel) });
+        }
+
+        for (let i = 0; i < meanSpectrum.length; i++) {
+            meanSpectrum[i] /= tiles.length;
+        }
+
+        return {
+            fftData: { magnitude: meanSpectrum, width: size, height: size },
+            patterns: this.averagePatterns(tiles.map(tile => tile.patterns)),
+            profile: SpectralProfile.analyze(meanSpectrum, size, size),
+            compression: CompressionBlocks.analyze(grayscale, width, height),
+            channels: colorSpace === 'luma' ? null : this.analyzeChannels(imageData, grid, preprocessing, colorSpace),
+            tiles,
+            tileGrid: {
+                tileSize: size,
+                stride: grid.stride,
+                columns: grid.columns,
+                rows: grid.rows,
+                frameWidth: width,
+                frameHeight: height
+            }
+        };
+    }
 
-                    const tReal = wReal * real[oddIdx] - wImag * imag[oddIdx];
-                    const tImag = wReal * imag[oddIdx] + wImag * real[oddIdx];
+    /**
+     * Spectra of each color channel over a frame's tiles, with their band
+     * correlations and the frame's demosaicing trace
+     * @param {ImageData} imageData - Frame image data at native resolution
+     * @param {Object} grid - Tile grid from planTiles
+     * @param {Array} preprocessing - Preprocessing stages
+     * @param {string} colorSpace - Key of ChannelSpectra.spaces
+     * @returns {Object} { space, spectra, correlation, cfa }; spectra maps channel names to
+     *     centered log-magnitude spectra like fftData.magnitude
+     */
+    analyzeChannels(imageData, grid, preprocessing, colorSpace) {
+        const size = grid.tileSize;
+        const planes = ChannelSpectra.split(imageData, colorSpace);
+        const names = Object.keys(planes);
+        const correlation = ChannelSpectra.createCorrelation(names, size);
+        const spectra = Object.fromEntries(names.map(name => [name, new Float32Array(size * size)]));
 
-                    real[oddIdx] = real[evenIdx] - tReal;
-                    imag[oddIdx] = imag[evenIdx] - tImag;
-                    real[evenIdx] += tReal;
-                    imag[evenIdx] += tImag;
+        for (const { x, y } of grid.positions) {
+            const tileSpectra = {};
+            for (const name of names) {
+                const tile = Utils.cropPlane(planes[name], imageData.width, x, y, size, size);
+                const fftResult = this.fft2D(Preprocessing.run(tile, size, size, preprocessing), size, size);
+                const magnitude = Utils.fftShift(
+                    Utils.toLogScale(Utils.calculateMagnitude(fftResult.real, fftResult.imag)), size, size);
 
-                    const nextWReal = wReal * Math.cos(angle) - wImag * Math.sin(angle);
-                    const nextWImag = wReal * Math.sin(angle) + wImag * Math.cos(angle);
-                    wReal = nextWReal;
-                    wImag = nextWImag;
+                for (let i = 0; i < magnitude.length; i++) {
+                    spectra[name][i] += magnitude[i];
                 }
+                tileSpectra[name] = fftResult;
+            }
+            ChannelSpectra.accumulate(correlation, tileSpectra);
+        }
+
+        for (const spectrum of Object.values(spectra)) {
+            for (let i = 0; i < spectrum.length; i++) {
+                spectrum[i] /= grid.positions.length;
+            }
+        }
+
+        return {
+            space: colorSpace,
+            spectra,
+            correlation: ChannelSpectra.finishCorrelation(correlation),
+            cfa: ChannelSpectra.cfaPeriodicity(imageData)
+        };
+    }
+
+    /**
+     * Lay out a centered grid of overlapping square tiles over a frame
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {Object} tiling - { tileSize, overlap, maxTiles }
+     * @returns {Object} { tileSize, stride, columns, rows, positions }
+     */
+    planTiles(width, height, tiling) {
+        const minTileSize = 32;
+        let tileSize = tiling.tileSize;
+
+        // Shrink tiles (staying a power of two) for frames smaller than one tile
+        while (tileSize > Math.min(width, height) && tileSize > minTileSize) {
+            tileSize >>= 1;
+        }
+        if (tileSize > Math.min(width, height)) {
+            throw new Error(`Frame of ${width}x${height} is too small for FFT tiles`);
+        }
+
+        let stride = Math.max(1, Math.round(tileSize * (1 - tiling.overlap)));
+        const countAlong = (length) => Math.floor((length - tileSize) / stride) + 1;
+        let columns = countAlong(width);
+        let rows = countAlong(height);
+
+        // Large frames: widen the stride rather than analyzing hundreds of tiles
+        while (columns * rows > tiling.maxTiles) {
+            stride = Math.ceil(stride * Math.sqrt((columns * rows) / tiling.maxTiles));
+            columns = countAlong(width);
+            rows = countAlong(height);
+        }
+
+        const offsetX = Math.floor((width - ((columns - 1) * stride + tileSize)) / 2);
+        const offsetY = Math.floor((height - ((rows - 1) * stride + tileSize)) / 2);
+        const positions = [];
+
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                positions.push({ x: offsetX + column * stride, y: offsetY + row * stride });
             }
         }
+
+        return { tileSize, stride, columns, rows, positions };
+    }
+
+    /**
+     * Compute 2D FFT on image data
+     * @param {ImageData} imageData - Image data of any size
+     * @returns {Object} FFT result with magnitude spectrum
+     */
+    async computeFFT(imageData) {
+        // Convert to grayscale
+        const grayscale = Utils.rgbToGrayscale(imageData);
+
+        return this.computeSpectrum(grayscale, imageData.width, imageData.height);
+    }
+
+    /**
+     * Compute the centered log-magnitude spectrum of a grayscale plane
+     * The plane's block-compression estimate rides along; it is taken before
+     * preprocessing, which would smear the block edges.
+     * @param {Float32Array} grayscale - Grayscale pixel values
+     * @param {number} width - Plane width
+     * @param {number} height - Plane height
+     * @param {Array} preprocessing - Preprocessing stages; defaults to this analyzer's
+     * @returns {Object} FFT result with magnitude spectrum and compression estimate
+     */
+    computeSpectrum(grayscale, width, height, preprocessing = this.preprocessing) {
+        // Isolate texture (high-pass, windowing, ...) as configured
+        const filtered = Preprocessing.run(grayscale, width, height, preprocessing);
+
+        // Compute 2D FFT
+        const fftResult = this.fft2D(filtered, width, height);
+
+        // Calculate magnitude spectrum
+        const magnitude = Utils.calculateMagnitude(fftResult.real, fftResult.imag);
+
+        // Convert to log scale (dB)
+        const logMagnitude = Utils.toLogScale(magnitude);
+
+        // Shift to center low frequencies
+        const shifted = Utils.fftShift(logMagnitude, width, height);
+
+        return {
+            magnitude: shifted,
+            width,
+            height,
+            compression: CompressionBlocks.analyze(grayscale, width, height)
+        };
+    }
+
+    /**
+     * 2D FFT of a real plane of any size, see FFTEngine
+     * @param {Float32Array} data - Input data
+     * @param {number} width - Data width
+     * @param {number} height - Data height
+     * @returns {Object} Real and imaginary components
+     */
+    fft2D(data, width, height) {
+        return this.fftEngine.transform2D(data, width, height);
     }
 
     /**
      * Detect AI generation patterns in FFT data
-     * @param {Array} fftResults - Array of FFT results from multiple frames
-     * @returns {Object} Detection results
+     * The verdict itself is left to the detector ensemble, see decideVerdict.
+     * @param {Array} fftResults - FFT results, or frame analyses carrying `patterns`
+     * @param {Object} settings - { spectralModel }; defaults to this analyzer's
+     * @returns {Object} { patterns, frames, learned }: pattern scores averaged and per frame;
+     *     learned is the spectral model's verdict on the averaged scores, null without a model
      */
-    detectAIPatterns(fftResults) {
+    detectAIPatterns(fftResults, settings = {}) {
+        const { spectralModel = this.spectralModel } = settings;
         const patterns = {
             gridPattern: 0,
             brightDots: 0,
             crossShape: 0,
             checkerboard: 0,
-            smoothGradient: 0
+            smoothGradient: 0,
+            falloffDeviation: 0,
+            tailAnomaly: 0,
+            compression: 0
         };
 
-        const details = [];
+        const frames = [];
 
         for (const fftData of fftResults) {
-            const analysis = this.analyzeFFTPattern(fftData.magnitude, fftData.width, fftData.height);
+            // Tiled frame analyses arrive already scored
+            const analysis = fftData.patterns ||
+                this.analyzeFFTPattern(fftData.magnitude, fftData.width, fftData.height, fftData.compression);
 
             patterns.gridPattern += analysis.gridPattern;
             patterns.brightDots += analysis.brightDots;
             patterns.crossShape += analysis.crossShape;
             patterns.checkerboard += analysis.checkerboard;
             patterns.smoothGradient += analysis.smoothGradient;
+            patterns.falloffDeviation += analysis.falloffDeviation;
+            patterns.tailAnomaly += analysis.tailAnomaly;
+            patterns.compression += analysis.compression;
+
+            frames.push({ patterns: analysis, ...this.scorePatterns(analysis, spectralModel) });
         }
 
         // Average across frames
@@ -259,58 +1102,175 @@ class FFTAnalyzer {
             patterns[key] /= numFrames;
         }
 
-        // Calculate AI likelihood
-        const aiScore = (
-            patterns.gridPattern * 0.3 +
-            patterns.brightDots * 0.25 +
-            patterns.crossShape * 0.25 +
-            patterns.checkerboard * 0.2
-        );
+        const learned = spectralModel
+            ? {
+                aiProbability: SpectralModel.probability(spectralModel, patterns),
+                createdAt: spectralModel.createdAt || null,
+                trainedOn: spectralModel.trainedOn
+            }
+            : null;
 
-        const realScore = patterns.smoothGradient;
+        return { patterns, frames, learned };
+    }
 
-        const isAI = aiScore > realScore;
-        const confidence = Math.min(Math.abs(aiScore - realScore) * 100, 99);
+    /**
+     * Explain a verdict in terms of the pattern scores behind it
+     * @param {Object} patterns - Averaged pattern scores
+     * @param {boolean} isAI - Verdict being explained
+     * @returns {Array<string>} Detail lines
+     */
+    describePatterns(patterns, isAI) {
+        const details = [];
 
-        // Generate detailed explanation
         if (isAI) {
-            if (patterns.gridPattern > 0.5) {
+            const detected = new Set(this.detectedPatterns(patterns));
+            if (detected.has('gridPattern')) {
                 details.push('Strong grid pattern detected - characteristic of CNN upsampling');
             }
-            if (patterns.brightDots > 0.5) {
+            if (detected.has('brightDots')) {
                 details.push('Regular bright dots found - indicates periodic artifacts');
             }
-            if (patterns.crossShape > 0.5) {
+            if (detected.has('crossShape')) {
                 details.push('Cross/plus shape pattern - common in GAN-generated content');
             }
-            if (patterns.checkerboard > 0.4) {
+            if (detected.has('checkerboard')) {
                 details.push('Checkerboard effect visible - typical of diffusion models');
             }
+            if (detected.has('falloffDeviation')) {
+                details.push('Radial power spectrum departs from natural power-law falloff');
+            }
+            if (detected.has('tailAnomaly')) {
+                details.push('Raised high-frequency tail in radial spectrum - typical of upsampling');
+            }
         } else {
             details.push('Smooth, natural frequency distribution detected');
             details.push('No geometric patterns or regular artifacts found');
             details.push('Frequency spectrum matches real camera footage');
         }
 
+        return details;
+    }
+
+    /**
+     * Patterns whose score is above its threshold in `patternThresholds`
+     * @param {Object} patterns - Pattern scores
+     * @returns {Array<string>} Pattern names
+     */
+    detectedPatterns(patterns) {
+        return Object.keys(this.patternThresholds).filter(name => patterns[name] > this.patternThresholds[name]);
+    }
+
+    /**
+     * Average a list of pattern score objects
+     * @param {Array<Object>} patternList - Pattern scores from analyzeFFTPattern
+     * @returns {Object} Mean score per pattern
+     */
+    averagePatterns(patternList) {
+        const average = {};
+
+        for (const patterns of patternList) {
+            for (const [key, value] of Object.entries(patterns)) {
+                average[key] = (average[key] || 0) + value / patternList.length;
+            }
+        }
+
+        return average;
+    }
+
+    /**
+     * The learned spectral model, if it fits spectra from a preprocessing pipeline
+     * Pattern scores depend on the pipeline, so a model trained under another one
+     * would read features it never saw; models that do not record theirs are trusted.
+     * @param {Array<Object>} preprocessing - Normalized pipeline the frames go through
+     * @returns {Object|null} The model, or null without one or when it was trained under another pipeline
+     */
+    spectralModelFor(preprocessing) {
+        const model = this.spectralModel;
+        if (!model || !model.trainedOn.preprocessing) {
+            return model;
+        }
+        return model.trainedOn.preprocessing === Preprocessing.format(preprocessing) ? model : null;
+    }
+
+    /**
+     * Weigh pattern scores into AI and real likelihoods
+     * A learned spectral model, when given, takes the place of the hand-tuned weights.
+     * @param {Object} patterns - Pattern scores from analyzeFFTPattern
+     * @param {Object} spectralModel - Model from SpectralModel.fit; defaults to this analyzer's
+     * @returns {Object} { aiScore, realScore }
+     */
+    scorePatterns(patterns, spectralModel = this.spectralModel) {
+        if (spectralModel) {
+            const probability = SpectralModel.probability(spectralModel, patterns);
+            return { aiScore: probability, realScore: 1 - probability };
+        }
+
+        const aiScore = (
+            patterns.gridPattern * 0.25 +
+            patterns.brightDots * 0.2 +
+            patterns.crossShape * 0.2 +
+            patterns.checkerboard * 0.15 +
+            patterns.falloffDeviation * 0.1 +
+            patterns.tailAnomaly * 0.1
+        );
+
+        const realScore = patterns.smoothGradient;
+
+        return { aiScore, realScore };
+    }
+
+    /**
+     * Bins that analyzeFFTPattern reads selectively, for display in the spectrum explorer
+     * Peaks (grid, checkerboard, bright dots) are looked for in every bin outside
+     * `coreRadius`, and smoothness reads every bin; the spectral profile features
+     * read the rings of `tailBand`.
+     * @param {number} width - Spectrum width
+     * @param {number} height - Spectrum height
+     * @param {Object} compression - Block estimate from CompressionBlocks.analyze, or null
+     * @returns {Object} { peakExcess, crossRow, crossColumn, coreRadius, crossScale, tailBand, lattice }
+     */
+    detectorRegions(width, height, compression = null) {
+        const size = Math.min(width, height);
         return {
-            isAI,
-            confidence,
-            patterns,
-            details
+            // dB above the median of its ring for a bin to count as a peak. Natural
+            // texture stays within about 13 dB of it (the self-test's natural noise
+            // at 128-512 px); periodic artifacts put bins 20-80 dB above it.
+            peakExcess: 20,
+            crossRow: Math.floor(height / 2),
+            crossColumn: Math.floor(width / 2),
+            // Bins closer to DC than this hold the image's own low frequencies
+            // in rings too small for a steady median, and are left out
+            coreRadius: Math.max(2, Math.round(0.05 * size)),
+            // Mean dB of the axes above the median of their rings that scores 1
+            crossScale: 8,
+            // Radii in bins, as SpectralProfile.extractFeatures rounds them
+            tailBand: [
+                Math.max(1, Math.round(SpectralProfile.tailBand[0] * size)),
+                Math.min(Math.floor(size / 2), Math.round(SpectralProfile.tailBand[1] * size))
+            ],
+            lattice: {
+                blockSize: compression ? compression.blockSize : null,
+                columns: CompressionBlocks.latticeLines(compression, width),
+                rows: CompressionBlocks.latticeLines(compression, height)
+            }
         };
     }
 
     /**
      * Analyze FFT magnitude spectrum for specific patterns
+     * Grid, checkerboard and bright-dot evidence are peaks: bins that rise
+     * `peakExcess` dB above the median of their ring (SpectralProfile.ringExcess).
+     * Unlike values normalized to the spectrum's min-max range, that does not
+     * swing with the deepest null or the brightest bin. With a compression
+     * estimate, grid and checkerboard evidence on the block lattice is scaled by
+     * (1 - strength): that share is explained by the codec.
      * @param {Float32Array} magnitude - FFT magnitude data
      * @param {number} width - Data width
      * @param {number} height - Data height
+     * @param {Object} compression - Block estimate from CompressionBlocks.analyze, or null
      * @returns {Object} Pattern scores
      */
-    analyzeFFTPattern(magnitude, width, height) {
-        const centerX = width / 2;
-        const centerY = height / 2;
-
+    analyzeFFTPattern(magnitude, width, height, compression = null) {
         let gridPattern = 0;
         let brightDots = 0;
         let crossShape = 0;
@@ -319,65 +1279,72 @@ class FFTAnalyzer {
 
         // Normalize magnitude for analysis
         const normalized = Utils.normalize(magnitude);
+        const excess = SpectralProfile.ringExcess(magnitude, width, height);
 
-        // Detect grid pattern (periodic peaks)
-        const gridSize = 16;
-        for (let y = gridSize; y < height; y += gridSize) {
-            for (let x = gridSize; x < width; x += gridSize) {
-                const idx = y * width + x;
-                if (normalized[idx] > 200) {
-                    gridPattern += 1;
-                }
-            }
-        }
-        gridPattern = Math.min(gridPattern / 100, 1);
+        const regions = this.detectorRegions(width, height, compression);
+        const { peakExcess, crossRow, crossColumn, coreRadius } = regions;
 
-        // Detect bright dots (high-intensity isolated points)
+        // Weight of each bin: reduced on the codec's block lattice
+        const blockWeight = compression ? 1 - compression.strength : 1;
+        const weightAt = (x, y) => regions.lattice.columns[x] || regions.lattice.rows[y] ? blockWeight : 1;
+
+        // Detect grid pattern (periodic peaks), checkerboard (the peaks off the axes:
+        // an artifact periodic along both axes at once, as transposed convolutions
+        // leave, has them there, while lines along one axis put theirs on the axes)
+        // and bright dots (peaks brighter than all 8 neighbours, i.e. isolated points)
+        let peakCount = 0;
+        let offAxisCount = 0;
         let brightCount = 0;
-        for (let i = 0; i < normalized.length; i++) {
-            if (normalized[i] > 240) {
-                brightCount++;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const dx = x - crossColumn;
+                const dy = y - crossRow;
+                const value = excess[y * width + x];
+                if (value <= peakExcess || dx * dx + dy * dy < coreRadius * coreRadius) continue;
+
+                const weight = weightAt(x, y);
+                peakCount += weight;
+                if (Math.abs(dx) > 1 && Math.abs(dy) > 1) {
+                    offAxisCount += weight;
+                }
+                if (this.isLocalMaximum(excess, width, height, x, y)) {
+                    brightCount++;
+                }
             }
         }
-        brightDots = Math.min(brightCount / 500, 1);
+        gridPattern = Math.min(peakCount / 100, 1);
+        checkerboard = Math.min(offAxisCount / 100, 1);
+        brightDots = Math.min(brightCount / 50, 1);
 
-        // Detect cross shape (high values along axes)
-        let crossCount = 0;
-        const threshold = 180;
-        for (let i = 0; i < width; i++) {
-            if (normalized[Math.floor(centerY) * width + i] > threshold) crossCount++;
-            if (normalized[i * width + Math.floor(centerX)] > threshold) crossCount++;
+        // Detect cross shape: power on the axes above the median of the ring each
+        // axis bin sits on. The median follows the falloff, so a spectrum that is
+        // merely bright near DC has no excess, while horizontal and vertical
+        // structure of any width (thin lines, or the broad band of block edges) has.
+        let crossExcess = 0;
+        let crossBins = 0;
+        for (let x = 0; x < width; x++) {
+            if (Math.abs(x - crossColumn) < coreRadius) continue;
+            crossExcess += excess[crossRow * width + x];
+            crossBins++;
         }
-        crossShape = Math.min(crossCount / (width * 2), 1);
-
-        // Detect checkerboard (alternating pattern)
-        let checkerCount = 0;
-        for (let y = 0; y < height - 1; y++) {
-            for (let x = 0; x < width - 1; x++) {
-                const current = normalized[y * width + x];
-                const right = normalized[y * width + (x + 1)];
-                const down = normalized[(y + 1) * width + x];
-
-                if (Math.abs(current - right) > 100 || Math.abs(current - down) > 100) {
-                    checkerCount++;
-                }
-            }
+        for (let y = 0; y < height; y++) {
+            if (Math.abs(y - crossRow) < coreRadius) continue;
+            crossExcess += excess[y * width + crossColumn];
+            crossBins++;
         }
-        checkerboard = Math.min(checkerCount / (width * height), 1);
+        crossShape = crossBins > 0 ? Math.min(Math.max(crossExcess / crossBins / regions.crossScale, 0), 1) : 0;
 
         // Detect smooth gradient (natural pattern)
         let gradientSmooth = 0;
         for (let y = 1; y < height - 1; y++) {
             for (let x = 1; x < width - 1; x++) {
                 const current = normalized[y * width + x];
-                const neighbors = [
-                    normalized[(y - 1) * width + x],
-                    normalized[(y + 1) * width + x],
-                    normalized[y * width + (x - 1)],
-                    normalized[y * width + (x + 1)]
-                ];
-
-                const avgDiff = neighbors.reduce((sum, n) => sum + Math.abs(current - n), 0) / 4;
+                const avgDiff = (
+                    Math.abs(current - normalized[(y - 1) * width + x]) +
+                    Math.abs(current - normalized[(y + 1) * width + x]) +
+                    Math.abs(current - normalized[y * width + (x - 1)]) +
+                    Math.abs(current - normalized[y * width + (x + 1)])
+                ) / 4;
                 if (avgDiff < 30) {
                     gradientSmooth++;
                 }
@@ -385,12 +1352,40 @@ class FFTAnalyzer {
         }
         smoothGradient = gradientSmooth / (width * height);
 
+        // Falloff of the azimuthally averaged power spectrum
+        const { features } = SpectralProfile.analyze(magnitude, width, height);
+
         return {
             gridPattern,
             brightDots,
             crossShape,
             checkerboard,
-            smoothGradient
+            smoothGradient,
+            ...SpectralProfile.toPatternScores(features),
+            compression: compression ? compression.strength : 0
         };
     }
+
+    /**
+     * Whether a bin is brighter than all of its (up to 8) neighbours
+     * @param {Float32Array} values - Row-major values
+     * @param {number} width - Width in bins
+     * @param {number} height - Height in bins
+     * @param {number} x - Bin column
+     * @param {number} y - Bin row
+     * @returns {boolean} True for a strict local maximum
+     */
+    isLocalMaximum(values, width, height, x, y) {
+        const value = values[y * width + x];
+        for (let ny = Math.max(0, y - 1); ny <= Math.min(height - 1, y + 1); ny++) {
+            for (let nx = Math.max(0, x - 1); nx <= Math.min(width - 1, x + 1); nx++) {
+                if ((nx !== x || ny !== y) && values[ny * width + nx] >= value) return false;
+            }
+        }
+        return true;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FFTAnalyzer;
 }
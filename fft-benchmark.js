@@ -0,0 +1,290 @@
+/**
+ * FFT Benchmark
+ * Times FFTEngine against the analyzer's previous radix-2 FFT and spot-checks both against a direct DFT
+ */
+
+/**
+ * The FFTAnalyzer implementation before FFTEngine, kept as the benchmark
+ * baseline: twiddles recomputed in the butterfly loop, new arrays for every
+ * row and column, powers of two only
+ */
+const ReferenceFFT = {
+    /**
+     * 2D FFT implementation using row-column algorithm
+     * @param {Float32Array} data - Input data
+     * @param {number} width - Data width
+     * @param {number} height - Data height
+     * @returns {Object} Real and imaginary components
+     */
+    fft2D(data, width, height) {
+        // Initialize real and imaginary arrays
+        const real = new Float32Array(data.length);
+        const imag = new Float32Array(data.length);
+
+        // Copy input to real part
+        for (let i = 0; i < data.length; i++) {
+            real[i] = data[i];
+        }
+
+        // FFT on rows
+        for (let y = 0; y < height; y++) {
+            const rowReal = real.slice(y * width, (y + 1) * width);
+            const rowImag = imag.slice(y * width, (y + 1) * width);
+
+            this.fft1D(rowReal, rowImag);
+
+            for (let x = 0; x < width; x++) {
+                real[y * width + x] = rowReal[x];
+                imag[y * width + x] = rowImag[x];
+            }
+        }
+
+        // FFT on columns
+        for (let x = 0; x < width; x++) {
+            const colReal = new Float32Array(height);
+            const colImag = new Float32Array(height);
+
+            for (let y = 0; y < height; y++) {
+                colReal[y] = real[y * width + x];
+                colImag[y] = imag[y * width + x];
+            }
+
+            this.fft1D(colReal, colImag);
+
+            for (let y = 0; y < height; y++) {
+                real[y * width + x] = colReal[y];
+                imag[y * width + x] = colImag[y];
+            }
+        }
+
+        return { real, imag };
+    },
+
+    /**
+     * 1D FFT using Cooley-Tukey algorithm
+     * @param {Float32Array} real - Real components (modified in place)
+     * @param {Float32Array} imag - Imaginary components (modified in place)
+     */
+    fft1D(real, imag) {
+        const n = real.length;
+
+        if (n <= 1) return;
+
+        // Bit-reversal permutation
+        let j = 0;
+        for (let i = 0; i < n - 1; i++) {
+            if (i < j) {
+                // Plain swaps; destructuring here is several times slower
+                let temp = real[i];
+                real[i] = real[j];
+                real[j] = temp;
+                temp = imag[i];
+                imag[i] = imag[j];
+                imag[j] = temp;
+            }
+
+            let k = n >> 1;
+            while (k <= j) {
+                j -= k;
+                k >>= 1;
+            }
+            j += k;
+        }
+
+        // Cooley-Tukey decimation-in-time radix-2 FFT
+        for (let len = 2; len <= n; len <<= 1) {
+            const halfLen = len >> 1;
+            const angle = -2 * Math.PI / len;
+
+            for (let i = 0; i < n; i += len) {
+                let wReal = 1;
+                let wImag = 0;
+
+                for (let j = 0; j < halfLen; j++) {
+                    const evenIdx = i + j;
+                    const oddIdx = i + j + halfLen;
+
+                    const tReal = wReal * real[oddIdx] - wImag * imag[oddIdx];
+                    const tImag = wReal * imag[oddIdx] + wImag * real[oddIdx];
+
+                    real[oddIdx] = real[evenIdx] - tReal;
+                    imag[oddIdx] = imag[evenIdx] - tImag;
+                    real[evenIdx] += tReal;
+                    imag[evenIdx] += tImag;
+
+                    const nextWReal = wReal * Math.cos(angle) - wImag * Math.sin(angle);
+                    const nextWImag = wReal * Math.sin(angle) + wImag * Math.cos(angle);
+                    wReal = nextWReal;
+                    wImag = nextWImag;
+                }
+            }
+        }
+    }
+};
+
+class FFTBenchmark {
+    constructor() {
+        this.engine = new FFTEngine();
+        this.running = false;
+
+        // Square powers of two the old FFT handled, then sizes only the engine can do
+        this.sizes = [
+            [256, 256],
+            [512, 512],
+            [1024, 1024],
+            [360, 360],
+            [720, 720],
+            [1280, 720]
+        ];
+
+        this.runBtn = document.getElementById('benchmarkRun');
+        this.sizeList = document.getElementById('benchmarkSizes');
+        this.runsInput = document.getElementById('benchmarkRuns');
+        this.summary = document.getElementById('benchmarkSummary');
+        this.resultsBody = document.getElementById('benchmarkResults');
+
+        this.sizeList.innerHTML = this.sizes.map(([width, height], i) =>
+            `<label><input type="checkbox" value="${i}" checked> ${width}×${height}</label>`).join('');
+
+        this.runBtn.addEventListener('click', () => this.run());
+    }
+
+    /**
+     * Benchmark every selected size
+     */
+    async run() {
+        if (this.running) return;
+
+        const selected = Array.from(this.sizeList.querySelectorAll('input:checked'))
+            .map(input => this.sizes[parseInt(input.value, 10)]);
+        const runs = Math.max(1, parseInt(this.runsInput.value, 10) || 1);
+        if (selected.length === 0) {
+            this.summary.textContent = 'Select at least one size.';
+            return;
+        }
+
+        this.running = true;
+        this.runBtn.disabled = true;
+        this.resultsBody.innerHTML = '';
+
+        for (const [width, height] of selected) {
+            this.summary.textContent = `Timing ${width}×${height}...`;
+
+            // Let the page repaint between sizes
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            this.renderRow(this.measure(width, height, runs));
+        }
+
+        this.summary.textContent = `Median of ${runs} run${runs === 1 ? '' : 's'} per size, after one warm-up run`;
+        this.running = false;
+        this.runBtn.disabled = false;
+    }
+
+    /**
+     * Time both implementations on one random plane
+     * @param {number} width - Plane width
+     * @param {number} height - Plane height
+     * @param {number} runs - Timed runs
+     * @returns {Object} { width, height, referenceTime, engineTime, referenceError, engineError }
+     */
+    measure(width, height, runs) {
+        const random = Utils.createRandom(width * height);
+        const data = Float32Array.from({ length: width * height }, () => random() - 0.5);
+        const supported = FFTEngine.isPowerOfTwo(width) && FFTEngine.isPowerOfTwo(height);
+
+        const engineTime = this.time(() => this.engine.transform2D(data, width, height), runs);
+        const referenceTime = supported ? this.time(() => ReferenceFFT.fft2D(data, width, height), runs) : null;
+
+        return {
+            width,
+            height,
+            engineTime,
+            referenceTime,
+            engineError: this.spotCheck(this.engine.transform2D(data, width, height), data, width, height),
+            referenceError: supported ? this.spotCheck(ReferenceFFT.fft2D(data, width, height), data, width, height) : null
+        };
+    }
+
+    /**
+     * Median run time after one warm-up run
+     * @param {Function} task - Work to time
+     * @param {number} runs - Timed runs
+     * @returns {number} Milliseconds
+     */
+    time(task, runs) {
+        task();
+
+        const times = [];
+        for (let i = 0; i < runs; i++) {
+            const start = performance.now();
+            task();
+            times.push(performance.now() - start);
+        }
+
+        times.sort((a, b) => a - b);
+        return times[Math.floor(times.length / 2)];
+    }
+
+    /**
+     * Largest error at a few fixed bins against a direct 2D DFT, relative to
+     * the largest direct magnitude among them
+     * @param {Object} spectrum - { real, imag } to check
+     * @param {Float32Array} data - Input plane
+     * @param {number} width - Plane width
+     * @param {number} height - Plane height
+     * @returns {number} Relative error
+     */
+    spotCheck(spectrum, data, width, height) {
+        const bins = [[1, 0], [0, 1], [3, 5], [width >> 1, height >> 1], [width - 2, 7], [5, height - 3]];
+        let maxError = 0;
+        let maxMagnitude = 0;
+
+        for (const [u, v] of bins) {
+            let real = 0;
+            let imag = 0;
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const angle = -2 * Math.PI * ((u * x) / width + (v * y) / height);
+                    real += data[y * width + x] * Math.cos(angle);
+                    imag += data[y * width + x] * Math.sin(angle);
+                }
+            }
+
+            const index = v * width + u;
+            maxError = Math.max(maxError, Math.hypot(spectrum.real[index] - real, spectrum.imag[index] - imag));
+            maxMagnitude = Math.max(maxMagnitude, Math.hypot(real, imag));
+        }
+
+        return maxError / (maxMagnitude || 1);
+    }
+
+    /**
+     * Append one result row
+     * @param {Object} result - Result of measure
+     */
+    renderRow(result) {
+        const unsupported = 'n/a (powers of two only)';
+        const cells = [
+            `${result.width}×${result.height}`,
+            result.referenceTime === null ? unsupported : result.referenceTime.toFixed(1),
+            result.engineTime.toFixed(1),
+            result.referenceTime === null ? '—' : `${(result.referenceTime / result.engineTime).toFixed(1)}×`,
+            result.referenceError === null ? '—' : result.referenceError.toExponential(1),
+            result.engineError.toExponential(1)
+        ];
+
+        const row = document.createElement('tr');
+        for (const text of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+        this.resultsBody.appendChild(row);
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.fftBenchmark = new FFTBenchmark();
+});
@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+/**
+ * FFT Command-Line Analyzer
+ * Analyzes image and video files headlessly and prints the same reports as the browser's JSON and CSV exports
+ * Videos and images are decoded by a locally installed ffmpeg.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+// The core modules reach each other through globals, as they do in the page and the FFT worker
+Object.assign(globalThis, {
+    Utils: require('./utils.js'),
+    Preprocessing: require('./preprocessing.js'),
+    ImageLoader: require('./image-loader.js'),
+    SpectralProfile: require('./spectral-profile.js'),
+    CompressionBlocks: require('./compression-blocks.js'),
+    ChannelSpectra: require('./channel-spectra.js'),
+    FrameSampler: require('./frame-sampler.js'),
+    PulseAnalyzer: require('./pulse-analyzer.js'),
+    TemporalAnalyzer: require('./temporal-analyzer.js'),
+    FaceDetector: require('./face-detector.js'),
+    SpatialClassifier: require('./spatial-classifier.js'),
+    Detectors: require('./detectors.js'),
+    SpectralModel: require('./spectral-model.js'),
+    Calibration: require('./calibration.js'),
+    FFTEngine: require('./fft-engine.js'),
+    FFTAnalyzer: require('./fft-analyzer.js'),
+    AnalysisReport: require('./analysis-report.js')
+});
+const FFmpegFrames = require('./ffmpeg-frames.js');
+
+const FFTCli = {
+    usage: `Usage: node fft-cli.js [options] <file...>
+
+Analyzes videos (any format ffmpeg reads) and JPEG, PNG, WebP or AVIF images.
+Prints one JSON report per file (an array for several files), or CSV.
+
+Options:
+  --format <json|csv>       Output format (default json)
+  --sampling <strategy>     budget, interval, random or shots (default budget)
+  --frames <n>              Frame budget for budget, random and shots (default 5)
+  --interval <seconds>      Seconds between frames for interval (default 0.5)
+  --seed <n>                Seed for random (default 1)
+  --preprocessing <text>    Preset name or pipeline, e.g. "laplacian > tukey(alpha=0.25)" (default windowed)
+  --channels <space>        luma, rgb or ycbcr; rgb and ycbcr also analyze each color channel (default luma)
+  --region <x,y,w,h>        Also analyze this box, as fractions of the frame, against the whole frame; repeatable
+  --voting <text>           Detector weights, e.g. "pulse=0, threshold=0.6"
+  --calibration <file>      Calibration profile saved by the evaluation workbench
+  --spectral-model <file>   Spectral model exported after retraining on feedback labels
+  --pulse <method>          off, green, chrom or pos; follows the face found by the bundled
+                            BlazeFace model (default off)
+  --temporal <on|off>       Check a run of consecutive video frames for texture flicker (default on)
+  --faces <on|off>          Track faces with the bundled BlazeFace model and analyze them apart
+                            from the background (default off)
+  --classifier <file>       ONNX model that also scores every sampled frame
+  --descriptor <file>       The model's JSON descriptor (default: the model path with .json)
+  --ffmpeg <path>           ffmpeg binary (default $FFMPEG_PATH or ffmpeg)
+  --ffprobe <path>          ffprobe binary (default $FFPROBE_PATH or ffprobe)
+  -h, --help                Show this help`,
+
+    options: {
+        format: { type: 'string', default: 'json' },
+        sampling: { type: 'string', default: 'budget' },
+        frames: { type: 'string', default: '5' },
+        interval: { type: 'string', default: '0.5' },
+        seed: { type: 'string', default: '1' },
+        preprocessing: { type: 'string' },
+        channels: { type: 'string', default: 'luma' },
+        region: { type: 'string', multiple: true, default: [] },
+        voting: { type: 'string' },
+        calibration: { type: 'string' },
+        'spectral-model': { type: 'string' },
+        pulse: { type: 'string', default: 'off' },
+        temporal: { type: 'string', default: 'on' },
+        faces: { type: 'string', default: 'off' },
+        classifier: { type: 'string' },
+        descriptor: { type: 'string' },
+        ffmpeg: { type: 'string' },
+        ffprobe: { type: 'string' },
+        help: { type: 'boolean', short: 'h', default: false }
+    },
+
+    pulseMethods: ['off', 'green', 'chrom', 'pos'],
+
+    // MIME types reported for common video containers, as a browser would
+    videoTypes: {
+        '.mp4': 'video/mp4',
+        '.m4v': 'video/x-m4v',
+        '.webm': 'video/webm',
+        '.mov': 'video/quicktime',
+        '.mkv': 'video/x-matroska',
+        '.avi': 'video/x-msvideo'
+    },
+
+    /**
+     * Configure an analyzer from the command-line options, like App.prepareBatchAnalyzer
+     * @param {Object} values - Parsed options
+     * @returns {FFTAnalyzer} Analyzer
+     */
+    createAnalyzer(values) {
+        const analyzer = new FFTAnalyzer();
+
+        analyzer.sampling = {
+            strategy: values.sampling,
+            frameCount: parseInt(values.frames, 10) || 5,
+            interval: parseFloat(values.interval) || 0.5,
+            seed: parseInt(values.seed, 10) || 0
+        };
+
+        if (values.preprocessing) {
+            const preset = Preprocessing.presets[values.preprocessing];
+            analyzer.preprocessing = preset ? preset.stages : Preprocessing.parse(values.preprocessing);
+        }
+        if (values.channels !== 'luma' && !ChannelSpectra.spaces[values.channels]) {
+            throw new Error(`Unknown color space: ${values.channels}`);
+        }
+        analyzer.colorSpace = values.channels;
+        analyzer.regions = values.region.map(text => this.parseRegion(text));
+        if (values.voting) {
+            analyzer.voting = Detectors.parse(values.voting);
+        }
+        if (values.calibration) {
+            analyzer.calibration = Calibration.normalize(JSON.parse(fs.readFileSync(values.calibration, 'utf8')));
+        }
+        if (values['spectral-model']) {
+            analyzer.spectralModel = SpectralModel.normalize(JSON.parse(fs.readFileSync(values['spectral-model'], 'utf8')));
+        }
+
+        if (!this.pulseMethods.includes(values.pulse)) {
+            throw new Error(`Unknown pulse method: ${values.pulse}`);
+        }
+        if (values.pulse !== 'off') {
+            analyzer.pulseAnalyzer = new PulseAnalyzer({ method: values.pulse });
+        }
+
+        if (!['on', 'off'].includes(values.temporal)) {
+            throw new Error(`Temporal check must be on or off: ${values.temporal}`);
+        }
+        if (values.temporal === 'on') {
+            analyzer.temporalAnalyzer = new TemporalAnalyzer();
+        }
+
+        if (!['on', 'off'].includes(values.faces)) {
+            throw new Error(`Face analysis must be on or off: ${values.faces}`);
+        }
+
+        return analyzer;
+    },
+
+    /**
+     * Load the bundled face detection model when face analysis or the pulse check needs it
+     * @param {Object} values - Parsed options
+     * @returns {Promise<FaceDetector|null>} Detector, or null with --faces and --pulse off
+     */
+    async loadFaceDetector(values) {
+        if (values.faces !== 'on' && values.pulse === 'off') {
+            return null;
+        }
+
+        globalThis.ort = require('./vendor/onnxruntime-web/ort.wasm.min.js');
+        return FaceDetector.create(await fs.promises.readFile(path.join(__dirname, FaceDetector.modelPath)));
+    },
+
+    /**
+     * Load the spatial classifier named on the command line
+     * @param {Object} values - Parsed options
+     * @returns {Promise<SpatialClassifier|null>} Classifier, or null without --classifier
+     */
+    async loadClassifier(values) {
+        if (!values.classifier) {
+            if (values.descriptor) {
+                throw new Error('--descriptor needs --classifier');
+            }
+            return null;
+        }
+
+        // The runtime is only loaded when a model is used
+        globalThis.ort = require('./vendor/onnxruntime-web/ort.wasm.min.js');
+
+        const descriptorFile = values.descriptor ||
+            path.join(path.dirname(values.classifier), `${path.basename(values.classifier, path.extname(values.classifier))}.json`);
+        const [model, descriptor] = await Promise.all([
+            fs.promises.readFile(values.classifier),
+            fs.promises.readFile(descriptorFile, 'utf8')
+        ]);
+        return SpatialClassifier.create(model, descriptor);
+    },
+
+    /**
+     * Parse a region box given as fractions of the frame
+     * @param {string} text - "x,y,width,height", e.g. "0.25,0.1,0.5,0.5"
+     * @returns {Object} { x, y, width, height }
+     */
+    parseRegion(text) {
+        const parts = text.split(',').map(part => Number(part.trim()));
+        if (parts.length !== 4 || parts.some(part => !Number.isFinite(part))) {
+            throw new Error(`Region must be x,y,width,height: ${text}`);
+        }
+
+        const [x, y, width, height] = parts;
+        if (x < 0 || y < 0 || width <= 0 || height <= 0 || x + width > 1 + 1e-9 || y + height > 1 + 1e-9) {
+            throw new Error(`Region must lie inside the frame, as fractions 0-1: ${text}`);
+        }
+        return { x, y, width, height };
+    },
+
+    /**
+     * Analyze one file and build its report
+     * @param {FFTAnalyzer} analyzer - Configured analyzer
+     * @param {string} file - Image or video path
+     * @param {Function} onProgress - Receives analyzer progress
+     * @returns {Promise<Object>} Report from AnalysisReport.build
+     */
+    async analyzeFile(analyzer, file, onProgress) {
+        const { size } = await fs.promises.stat(file);
+        const metadata = await ImageLoader.readMetadata(await fs.openAsBlob(file));
+        const name = path.basename(file);
+
+        if (metadata.format) {
+            const imageData = await FFmpegFrames.decodeImage(file);
+            const results = await analyzer.analyzeImage(imageData, { onProgress });
+
+            return AnalysisReport.build(results, {
+                source: 'file',
+                name,
+                type: `image/${metadata.format}`,
+                size,
+                width: imageData.width,
+                height: imageData.height,
+                format: metadata.formatName,
+                hasExif: metadata.hasExif
+            });
+        }
+
+        const source = await FFmpegFrames.source(file);
+        const results = await analyzer.analyzeVideo(source, { onProgress });
+
+        return AnalysisReport.build(results, {
+            source: 'file',
+            name,
+            type: this.videoTypes[path.extname(file).toLowerCase()] || null,
+            size,
+            width: source.width,
+            height: source.height
+        });
+    },
+
+    /**
+     * Run the command line
+     * @param {Array<string>} argv - Arguments after the script name
+     * @returns {Promise<number>} Exit code: 0 when every file was analyzed, 1 otherwise, 2 for bad usage
+     */
+    async main(argv) {
+        let values;
+        let files;
+        let analyzer;
+        try {
+            ({ values, positionals: files } = parseArgs({ args: argv, options: this.options, allowPositionals: true }));
+            if (values.help) {
+                console.log(this.usage);
+                return 0;
+            }
+            if (files.length === 0) {
+                throw new Error('No input files');
+            }
+            if (!['json', 'csv'].includes(values.format)) {
+                throw new Error(`Unknown output format: ${values.format}`);
+            }
+            analyzer = this.createAnalyzer(values);
+            analyzer.spatialClassifier = await this.loadClassifier(values);
+            const faceDetector = await this.loadFaceDetector(values);
+            analyzer.faceDetector = values.faces === 'on' ? faceDetector : null;
+            if (analyzer.pulseAnalyzer) {
+                analyzer.pulseAnalyzer.faceDetector = faceDetector;
+            }
+        } catch (error) {
+            console.error(`fft-cli: ${error.message}\n\n${this.usage}`);
+            return 2;
+        }
+
+        if (values.ffmpeg) FFmpegFrames.ffmpeg = values.ffmpeg;
+        if (values.ffprobe) FFmpegFrames.ffprobe = values.ffprobe;
+
+        const reports = [];
+        let failed = 0;
+        for (const file of files) {
+            // Progress goes to stderr, and only to a terminal, so stdout stays parseable
+            const onProgress = process.stderr.isTTY
+                ? (progress) => process.stderr.write(`\r${file}: ${Math.round(progress.percent)}% `)
+                : null;
+
+            try {
+                reports.push(await this.analyzeFile(analyzer, file, onProgress));
+                if (onProgress) process.stderr.write('\n');
+            } catch (error) {
+                if (onProgress) process.stderr.write('\n');
+                console.error(`fft-cli: ${file}: ${error.message}`);
+                failed++;
+            }
+        }
+
+        if (analyzer.spatialClassifier) {
+            await analyzer.spatialClassifier.dispose();
+        }
+        const faceDetector = analyzer.faceDetector || (analyzer.pulseAnalyzer && analyzer.pulseAnalyzer.faceDetector);
+        if (faceDetector) {
+            await faceDetector.dispose();
+        }
+
+        if (values.format === 'csv') {
+            process.stdout.write(AnalysisReport.toCSV(reports));
+        } else if (reports.length > 0) {
+            process.stdout.write((files.length === 1 ? AnalysisReport.toJSON(reports[0]) : JSON.stringify(reports, null, 2)) + '\n');
+        }
+
+        return failed > 0 ? 1 : 0;
+    }
+};
+
+if (require.main === module) {
+    FFTCli.main(process.argv.slice(2)).then((code) => {
+        process.exitCode = code;
+    });
+} else {
+    module.exports = FFTCli;
+}
@@ -0,0 +1,343 @@
+/**
+ * FFT Engine
+ * Planned FFTs of any length: radix-2 with precomputed twiddles for powers of two,
+ * Bluestein's chirp-z algorithm for everything else, and a half-length transform for real input
+ */
+
+class FFTEngine {
+    constructor() {
+        this.plans = new Map(); // Transform length -> plan
+        this.realTwiddles = new Map(); // Real transform length -> { cos, sin }
+        this.buffers = new Map(); // Scratch name -> Float64Array, reused between calls
+    }
+
+    /**
+     * Plan for a transform length, created on first use
+     * @param {number} n - Transform length
+     * @returns {Object} Radix-2 or Bluestein plan
+     */
+    plan(n) {
+        let plan = this.plans.get(n);
+        if (!plan) {
+            plan = FFTEngine.isPowerOfTwo(n) ? this.createRadix2Plan(n) : this.createBluesteinPlan(n);
+            this.plans.set(n, plan);
+        }
+        return plan;
+    }
+
+    /**
+     * @param {number} n - Length
+     * @returns {boolean} True for 1, 2, 4, 8, ...
+     */
+    static isPowerOfTwo(n) {
+        return n > 0 && (n & (n - 1)) === 0;
+    }
+
+    /**
+     * Bit-reversal permutation and twiddle factors e^(-2πik/n) for k < n/2
+     * @param {number} n - Power-of-two length
+     * @returns {Object} Plan
+     */
+    createRadix2Plan(n) {
+        const bits = Math.log2(n);
+        const reverse = new Uint32Array(n);
+        for (let i = 0; i < n; i++) {
+            let reversed = 0;
+            for (let bit = 0; bit < bits; bit++) {
+                reversed = (reversed << 1) | ((i >> bit) & 1);
+            }
+            reverse[i] = reversed;
+        }
+
+        const half = Math.max(n >> 1, 1);
+        const cos = new Float64Array(half);
+        const sin = new Float64Array(half);
+        for (let k = 0; k < half; k++) {
+            cos[k] = Math.cos(2 * Math.PI * k / n);
+            sin[k] = Math.sin(2 * Math.PI * k / n);
+        }
+
+        return { kind: 'radix2', n, reverse, cos, sin };
+    }
+
+    /**
+     * Bluestein plan: the length-n DFT becomes a circular convolution with a
+     * chirp, done with power-of-two transforms of length m >= 2n - 1
+     * @param {number} n - Any length
+     * @returns {Object} Plan
+     */
+    createBluesteinPlan(n) {
+        let m = 1;
+        while (m < 2 * n - 1) m <<= 1;
+
+        // Chirp w_k = e^(-iπk²/n); k² is reduced mod 2n to keep the angle exact
+        const chirpReal = new Float64Array(n);
+        const chirpImag = new Float64Array(n);
+        for (let k = 0; k < n; k++) {
+            const angle = Math.PI * ((k * k) % (2 * n)) / n;
+            chirpReal[k] = Math.cos(angle);
+            chirpImag[k] = -Math.sin(angle);
+        }
+
+        // Transformed convolution kernel: conj(w) at ±k, wrapped to length m
+        const kernelReal = new Float64Array(m);
+        const kernelImag = new Float64Array(m);
+        kernelReal[0] = chirpReal[0];
+        kernelImag[0] = -chirpImag[0];
+        for (let k = 1; k < n; k++) {
+            kernelReal[k] = kernelReal[m - k] = chirpReal[k];
+            kernelImag[k] = kernelImag[m - k] = -chirpImag[k];
+        }
+        const inner = this.plan(m);
+        this.radix2(inner, kernelReal, kernelImag, false);
+
+        return {
+            kind: 'bluestein',
+            n,
+            m,
+            inner,
+            chirpReal,
+            chirpImag,
+            kernelReal,
+            kernelImag,
+            workReal: new Float64Array(m),
+            workImag: new Float64Array(m)
+        };
+    }
+
+    /**
+     * Reusable scratch array
+     * @param {string} name - Purpose; callers that may be active at once use different names
+     * @param {number} length - Required length
+     * @returns {Float64Array} Array of exactly `length` elements (contents undefined)
+     */
+    scratch(name, length) {
+        let buffer = this.buffers.get(name);
+        if (!buffer || buffer.length < length) {
+            buffer = new Float64Array(length);
+            this.buffers.set(name, buffer);
+        }
+        return buffer.length === length ? buffer : buffer.subarray(0, length);
+    }
+
+    /**
+     * In-place complex FFT of any length; the inverse is not scaled by 1/n
+     * @param {Float32Array|Float64Array} real - Real parts
+     * @param {Float32Array|Float64Array} imag - Imaginary parts
+     * @param {boolean} inverse - Compute the inverse transform
+     */
+    transform(real, imag, inverse = false) {
+        const plan = this.plan(real.length);
+
+        if (plan.kind === 'radix2') {
+            this.radix2(plan, real, imag, inverse);
+        } else {
+            this.bluestein(plan, real, imag, inverse);
+        }
+    }
+
+    /**
+     * Iterative decimation-in-time radix-2 FFT using the plan's tables
+     * @param {Object} plan - Radix-2 plan
+     * @param {Float32Array|Float64Array} real - Real parts, transformed in place
+     * @param {Float32Array|Float64Array} imag - Imaginary parts, transformed in place
+     * @param {boolean} inverse - Use conjugate twiddles
+     */
+    radix2(plan, real, imag, inverse) {
+        const { n, reverse, cos, sin } = plan;
+        const sign = inverse ? 1 : -1;
+
+        for (let i = 0; i < n; i++) {
+            const j = reverse[i];
+            if (i < j) {
+                let temp = real[i];
+                real[i] = real[j];
+                real[j] = temp;
+                temp = imag[i];
+                imag[i] = imag[j];
+                imag[j] = temp;
+            }
+        }
+
+        for (let len = 2; len <= n; len <<= 1) {
+            const half = len >> 1;
+            const step = n / len;
+
+            for (let start = 0; start < n; start += len) {
+                for (let j = 0, k = 0; j < half; j++, k += step) {
+                    const wReal = cos[k];
+                    const wImag = sign * sin[k];
+                    const even = start + j;
+                    const odd = even + half;
+
+                    const tReal = wReal * real[odd] - wImag * imag[odd];
+                    const tImag = wReal * imag[odd] + wImag * real[odd];
+
+                    real[odd] = real[even] - tReal;
+                    imag[odd] = imag[even] - tImag;
+                    real[even] += tReal;
+                    imag[even] += tImag;
+                }
+            }
+        }
+    }
+
+    /**
+     * Bluestein's algorithm: X_k = w_k · Σ (x_j w_j) conj(w_(k-j))
+     * @param {Object} plan - Bluestein plan
+     * @param {Float32Array|Float64Array} real - Real parts, transformed in place
+     * @param {Float32Array|Float64Array} imag - Imaginary parts, transformed in place
+     * @param {boolean} inverse - Compute the inverse transform
+     */
+    bluestein(plan, real, imag, inverse) {
+        const { n, m, inner, chirpReal, chirpImag, kernelReal, kernelImag, workReal, workImag } = plan;
+
+        // The inverse is the forward transform of the conjugate, conjugated
+        const sign = inverse ? -1 : 1;
+
+        for (let k = 0; k < n; k++) {
+            const xImag = sign * imag[k];
+            workReal[k] = real[k] * chirpReal[k] - xImag * chirpImag[k];
+            workImag[k] = real[k] * chirpImag[k] + xImag * chirpReal[k];
+        }
+        workReal.fill(0, n);
+        workImag.fill(0, n);
+
+        this.radix2(inner, workReal, workImag, false);
+        for (let k = 0; k < m; k++) {
+            const a = workReal[k];
+            const b = workImag[k];
+            workReal[k] = a * kernelReal[k] - b * kernelImag[k];
+            workImag[k] = a * kernelImag[k] + b * kernelReal[k];
+        }
+        this.radix2(inner, workReal, workImag, true);
+
+        for (let k = 0; k < n; k++) {
+            const a = workReal[k] / m;
+            const b = workImag[k] / m;
+            real[k] = a * chirpReal[k] - b * chirpImag[k];
+            imag[k] = sign * (a * chirpImag[k] + b * chirpReal[k]);
+        }
+    }
+
+    /**
+     * FFT of real input, bins 0..⌊n/2⌋; the rest follow from X_(n-k) = conj(X_k)
+     * Even lengths pack the samples into a complex signal of half the length.
+     * @param {Float32Array|Float64Array} input - Real samples
+     * @param {Float32Array|Float64Array} outReal - Receives real parts (length >= ⌊n/2⌋ + 1)
+     * @param {Float32Array|Float64Array} outImag - Receives imaginary parts
+     */
+    realTransform(input, outReal, outImag) {
+        const n = input.length;
+
+        if (n % 2 === 1) {
+            const real = this.scratch('realOdd', n);
+            const imag = this.scratch('realOddImag', n);
+            real.set(input);
+            imag.fill(0);
+            this.transform(real, imag);
+            for (let k = 0; k <= n >> 1; k++) {
+                outReal[k] = real[k];
+                outImag[k] = imag[k];
+            }
+            return;
+        }
+
+        const half = n >> 1;
+        const zReal = this.scratch('realPacked', half);
+        const zImag = this.scratch('realPackedImag', half);
+        for (let k = 0; k < half; k++) {
+            zReal[k] = input[2 * k];
+            zImag[k] = input[2 * k + 1];
+        }
+        this.transform(zReal, zImag);
+
+        const { cos, sin } = this.getRealTwiddles(n);
+        for (let k = 0; k <= half; k++) {
+            const a = k % half;
+            const b = (half - k) % half;
+
+            // Even samples: (Z_k + conj Z_(N-k)) / 2; odd: (Z_k - conj Z_(N-k)) / 2i
+            const evenReal = (zReal[a] + zReal[b]) / 2;
+            const evenImag = (zImag[a] - zImag[b]) / 2;
+            const oddReal = (zImag[a] + zImag[b]) / 2;
+            const oddImag = -(zReal[a] - zReal[b]) / 2;
+
+            outReal[k] = evenReal + cos[k] * oddReal + sin[k] * oddImag;
+            outImag[k] = evenImag + cos[k] * oddImag - sin[k] * oddReal;
+        }
+    }
+
+    /**
+     * cos and sin of 2πk/n for k <= n/2, for recombining real transforms
+     * @param {number} n - Real transform length
+     * @returns {Object} { cos, sin }
+     */
+    getRealTwiddles(n) {
+        let twiddles = this.realTwiddles.get(n);
+        if (!twiddles) {
+            const half = n >> 1;
+            twiddles = { cos: new Float64Array(half + 1), sin: new Float64Array(half + 1) };
+            for (let k = 0; k <= half; k++) {
+                twiddles.cos[k] = Math.cos(2 * Math.PI * k / n);
+                twiddles.sin[k] = Math.sin(2 * Math.PI * k / n);
+            }
+            this.realTwiddles.set(n, twiddles);
+        }
+        return twiddles;
+    }
+
+    /**
+     * 2D FFT of a real plane, any width and height
+     * Rows use the real transform; only the non-redundant half of the columns
+     * is transformed, and the other half is filled in by Hermitian symmetry.
+     * @param {Float32Array} data - Row-major samples
+     * @param {number} width - Plane width
+     * @param {number} height - Plane height
+     * @returns {Object} { real, imag } full spectra, unshifted
+     */
+    transform2D(data, width, height) {
+        const real = new Float32Array(width * height);
+        const imag = new Float32Array(width * height);
+        const columns = (width >> 1) + 1;
+
+        const rowReal = this.scratch('rowReal', columns);
+        const rowImag = this.scratch('rowImag', columns);
+        for (let y = 0; y < height; y++) {
+            this.realTransform(data.subarray(y * width, (y + 1) * width), rowReal, rowImag);
+            real.set(rowReal, y * width);
+            imag.set(rowImag, y * width);
+        }
+
+        const columnReal = this.scratch('columnReal', height);
+        const columnImag = this.scratch('columnImag', height);
+        for (let x = 0; x < columns; x++) {
+            for (let y = 0; y < height; y++) {
+                columnReal[y] = real[y * width + x];
+                columnImag[y] = imag[y * width + x];
+            }
+
+            this.transform(columnReal, columnImag);
+
+            for (let y = 0; y < height; y++) {
+                real[y * width + x] = columnReal[y];
+                imag[y * width + x] = columnImag[y];
+            }
+        }
+
+        // X(y, x) = conj X(-y, -x) for real input
+        for (let y = 0; y < height; y++) {
+            const mirrorRow = ((height - y) % height) * width;
+            for (let x = columns; x < width; x++) {
+                real[y * width + x] = real[mirrorRow + width - x];
+                imag[y * width + x] = -imag[mirrorRow + width - x];
+            }
+        }
+
+        return { real, imag };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FFTEngine;
+}
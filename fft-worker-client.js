@@ -0,0 +1,208 @@
+/**
+ * FFT Worker Client
+ * Page-side interface to fft-worker.js with cancellation support
+ */
+
+class FFTWorkerClient {
+    constructor(scriptUrl = 'fft-worker.js') {
+        this.scriptUrl = scriptUrl;
+        this.worker = null;
+        this.ready = null;
+        this.fallback = null; // In-thread analyzer used when workers are unavailable
+        this.pending = new Map();
+        this.nextRequestId = 1;
+    }
+
+    /**
+     * Start the worker on first use
+     * @returns {Promise<boolean>} Whether the worker is available
+     */
+    start() {
+        if (this.ready) return this.ready;
+
+        this.ready = new Promise((resolve) => {
+            try {
+                this.worker = new Worker(this.scriptUrl);
+            } catch (error) {
+                // e.g. pages opened from file://
+                console.warn('FFT worker unavailable, analyzing on the main thread:', error);
+                resolve(false);
+                return;
+            }
+
+            this.worker.onmessage = (event) => {
+                if (event.data.type === 'ready') {
+                    resolve(true);
+                    return;
+                }
+                this.handleResponse(event.data);
+            };
+
+            this.worker.onerror = (event) => {
+                console.warn('FFT worker failed, analyzing on the main thread:', event.message);
+                this.worker.terminate();
+                this.worker = null;
+                this.rejectAll(new Error('FFT worker stopped unexpectedly'));
+                resolve(false);
+            };
+        });
+
+        return this.ready;
+    }
+
+    /**
+     * Invoke an FFTAnalyzer method inside the worker
+     * @param {string} method - Method name
+     * @param {Array} args - Method arguments
+     * @param {Object} options - Call options
+     * @param {string} options.jobId - Job the call belongs to (for cancellation)
+     * @param {AbortSignal} options.signal - Aborting it cancels the job in the worker
+     * @param {Array<ArrayBuffer>} options.transfer - Buffers to transfer rather than copy
+     * @returns {Promise<*>} Method result
+     */
+    async call(method, args, options = {}) {
+        const { jobId = null, signal = null, transfer = [] } = options;
+
+        Utils.throwIfAborted(signal);
+        const available = await this.start();
+        Utils.throwIfAborted(signal);
+
+        if (!available || !this.worker) {
+            return this.getFallback()[method](...args);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+
+            const onAbort = () => {
+                this.cancel(jobId);
+                this.settle(id);
+                reject(Utils.createAbortError());
+            };
+
+            this.pending.set(id, {
+                resolve,
+                reject,
+                cleanup: () => {
+                    if (signal) signal.removeEventListener('abort', onAbort);
+                }
+            });
+
+            if (signal) {
+                signal.addEventListener('abort', onAbort, { once: true });
+            }
+
+            this.worker.postMessage({ type: 'call', id, jobId, method, args }, transfer);
+        });
+    }
+
+    /**
+     * Compute a frame's spectrum in the worker
+     * The frame's pixel buffer is transferred and unusable afterwards.
+     * @param {ImageData} frame - Frame image data
+     * @param {Object} options - Call options ({ jobId, signal })
+     * @returns {Promise<Object>} FFT result with magnitude spectrum
+     */
+    computeFFT(frame, options = {}) {
+        const payload = { data: frame.data, width: frame.width, height: frame.height };
+        return this.call('computeFFT', [payload], { ...options, transfer: [frame.data.buffer] });
+    }
+
+    /**
+     * Analyze a full-resolution frame as spectrum tiles in the worker
+     * The frame's pixel buffer is transferred and unusable afterwards.
+     * @param {ImageData} frame - Frame image data
+     * @param {Object} settings - Frame settings from FFTAnalyzer ({ tiling, preprocessing })
+     * @param {Object} options - Call options ({ jobId, signal })
+     * @returns {Promise<Object>} Frame analysis
+     */
+    analyzeFrame(frame, settings, options = {}) {
+        const payload = { data: frame.data, width: frame.width, height: frame.height };
+        return this.call('analyzeFrame', [payload, settings], { ...options, transfer: [frame.data.buffer] });
+    }
+
+    /**
+     * Run pattern detection in the worker
+     * @param {Array} fftResults - FFT results from computeFFT
+     * @param {Object} settings - Frame settings from FFTAnalyzer ({ spectralModel })
+     * @param {Object} options - Call options ({ jobId, signal })
+     * @returns {Promise<Object>} Detection results
+     */
+    detectAIPatterns(fftResults, settings, options = {}) {
+        return this.call('detectAIPatterns', [fftResults, settings], options);
+    }
+
+    /**
+     * Tell the worker to drop all remaining work for a job
+     * @param {string} jobId - Job identifier
+     */
+    cancel(jobId) {
+        if (this.worker && jobId !== null) {
+            this.worker.postMessage({ type: 'cancel', jobId });
+        }
+    }
+
+    /**
+     * Resolve or reject a pending request from a worker response
+     * @param {Object} response - Message posted by the worker
+     */
+    handleResponse(response) {
+        const request = this.settle(response.id);
+        if (!request) return;
+
+        if (response.cancelled) {
+            request.reject(Utils.createAbortError());
+        } else if (response.error) {
+            request.reject(new Error(response.error));
+        } else {
+            request.resolve(response.result);
+        }
+    }
+
+    /**
+     * Remove a pending request and detach its abort listener
+     * @param {number} id - Request identifier
+     * @returns {Object|undefined} The removed request
+     */
+    settle(id) {
+        const request = this.pending.get(id);
+        if (request) {
+            request.cleanup();
+            this.pending.delete(id);
+        }
+        return request;
+    }
+
+    /**
+     * Reject every pending request
+     * @param {Error} error - Rejection reason
+     */
+    rejectAll(error) {
+        for (const id of Array.from(this.pending.keys())) {
+            this.settle(id).reject(error);
+        }
+    }
+
+    /**
+     * Get the in-thread analyzer used when no worker is available
+     * @returns {FFTAnalyzer} Fallback analyzer
+     */
+    getFallback() {
+        if (!this.fallback) {
+            this.fallback = new FFTAnalyzer();
+        }
+        return this.fallback;
+    }
+
+    /**
+     * Stop the worker and reject outstanding requests
+     */
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.rejectAll(Utils.createAbortError());
+        this.ready = null;
+    }
+}
@@ -0,0 +1,63 @@
+/**
+ * FFT Worker
+ * Runs spectrum computation and pattern detection off the main thread
+ */
+
+importScripts('utils.js', 'preprocessing.js', 'spectral-profile.js', 'compression-blocks.js', 'channel-spectra.js', 'detectors.js', 'spectral-model.js', 'fft-engine.js', 'fft-analyzer.js');
+
+const workerAnalyzer = new FFTAnalyzer();
+
+// Analyzer methods the page is allowed to invoke
+const workerMethods = ['computeFFT', 'analyzeFrame', 'detectAIPatterns'];
+
+// Jobs the page has stopped; their queued and in-flight requests are dropped
+const cancelledJobs = new Set();
+
+// Requests still running per job. Messages arrive in order, so once a job's last
+// running request ends no more of it can come, and its cancellation is forgotten.
+const runningJobs = new Map();
+
+self.onmessage = async (event) => {
+    const { type, id, jobId, method, args } = event.data;
+
+    if (type === 'cancel') {
+        if (runningJobs.has(jobId)) {
+            cancelledJobs.add(jobId);
+        }
+        return;
+    }
+
+    if (cancelledJobs.has(jobId)) {
+        self.postMessage({ id, cancelled: true });
+        return;
+    }
+
+    runningJobs.set(jobId, (runningJobs.get(jobId) || 0) + 1);
+    try {
+        if (!workerMethods.includes(method)) {
+            throw new Error(`Unknown worker method: ${method}`);
+        }
+
+        const result = await workerAnalyzer[method](...args);
+
+        // The job may have been stopped while this request was running
+        if (cancelledJobs.has(jobId)) {
+            self.postMessage({ id, cancelled: true });
+            return;
+        }
+
+        self.postMessage({ id, result }, Utils.collectTransferables(result));
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    } finally {
+        const running = runningJobs.get(jobId) - 1;
+        if (running > 0) {
+            runningJobs.set(jobId, running);
+        } else {
+            runningJobs.delete(jobId);
+            cancelledJobs.delete(jobId);
+        }
+    }
+};
+
+self.postMessage({ type: 'ready' });
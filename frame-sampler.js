@@ -0,0 +1,299 @@
+/**
+ * Frame Sampler
+ * Decides which timestamps of a video are analyzed
+ */
+
+class FrameSampler {
+    /**
+     * @param {Object} settings - Sampling settings
+     * @param {string} settings.strategy - 'budget', 'interval', 'random' or 'shots'
+     * @param {number} settings.frameCount - Frame budget for budget/random/shots
+     * @param {number} settings.interval - Seconds between frames for 'interval'
+     * @param {number} settings.seed - Seed for 'random'
+     */
+    constructor(settings = {}) {
+        this.settings = {
+            strategy: 'budget',
+            frameCount: 5,
+            interval: 0.5,
+            seed: 1,
+            ...settings
+        };
+
+        this.maxFrames = 120; // Upper bound on analyzed frames, regardless of strategy
+        this.probeInterval = 0.5; // Seconds between shot-detection probes
+        this.maxProbes = 120;
+        this.probeSize = 32; // Probe thumbnails are tiny; only their histogram matters
+        this.cutThreshold = 0.4; // Histogram distance (0-1) that counts as a cut
+        this.cutPrecision = 0.1; // Seconds a used cut is narrowed down to before its frames are picked
+    }
+
+    /**
+     * Strategy labels for display
+     */
+    static get strategyNames() {
+        return {
+            budget: 'Frame budget',
+            interval: 'Fixed interval',
+            random: 'Random (seeded)',
+            shots: 'Shot-change aware'
+        };
+    }
+
+    /**
+     * Plan the sample timestamps for a video
+     * @param {number} duration - Video duration in seconds
+     * @param {Object} options - Planning options
+     * @param {Function} options.capture - async (time, size) => ImageData; needed for 'shots'
+     * @param {Function} options.onProgress - Called with (probed, totalProbes) during shot detection and cut refinement
+     * @param {AbortSignal} options.signal - Stops shot detection when aborted
+     * @returns {Promise<Object>} Sampling record: { strategy, settings, timestamps, ... }
+     */
+    async plan(duration, options = {}) {
+        const { strategy } = this.settings;
+
+        if (!Number.isFinite(duration) || duration <= 0) {
+            throw new Error('Cannot sample frames: video duration is unknown');
+        }
+
+        let plan;
+        switch (strategy) {
+            case 'budget':
+                plan = { timestamps: this.evenlySpaced(duration, this.clampCount(this.settings.frameCount)) };
+                break;
+            case 'interval':
+                plan = this.fixedInterval(duration, this.settings.interval);
+                break;
+            case 'random':
+                plan = { timestamps: this.seededRandom(duration, this.clampCount(this.settings.frameCount), this.settings.seed) };
+                break;
+            case 'shots':
+                plan = await this.shotAware(duration, this.clampCount(this.settings.frameCount), options);
+                break;
+            default:
+                throw new Error(`Unknown frame sampling strategy: ${strategy}`);
+        }
+
+        return {
+            strategy,
+            settings: { ...this.settings },
+            ...plan
+        };
+    }
+
+    /**
+     * Limit a requested frame count to [1, maxFrames]
+     * @param {number} count - Requested count
+     * @returns {number} Usable count
+     */
+    clampCount(count) {
+        return Math.max(1, Math.min(Math.floor(count) || 1, this.maxFrames));
+    }
+
+    /**
+     * Evenly spaced times, excluding the very first and last frame
+     * @param {number} duration - Video duration in seconds
+     * @param {number} count - Number of frames
+     * @returns {Array<number>} Timestamps in seconds
+     */
+    evenlySpaced(duration, count) {
+        const interval = duration / (count + 1);
+        const timestamps = [];
+
+        for (let i = 1; i <= count; i++) {
+            timestamps.push(interval * i);
+        }
+
+        return timestamps;
+    }
+
+    /**
+     * One frame every `interval` seconds starting at t=0
+     * Long clips widen the interval so the whole clip fits in maxFrames.
+     * @param {number} duration - Video duration in seconds
+     * @param {number} interval - Requested seconds between frames
+     * @returns {Object} { timestamps, effectiveInterval }
+     */
+    fixedInterval(duration, interval) {
+        if (!(interval > 0)) {
+            throw new Error('Sampling interval must be greater than zero');
+        }
+
+        const effectiveInterval = Math.max(interval, duration / this.maxFrames);
+        const timestamps = [];
+
+        for (let i = 0; i < this.maxFrames && i * effectiveInterval < duration; i++) {
+            timestamps.push(i * effectiveInterval);
+        }
+
+        return { timestamps, effectiveInterval };
+    }
+
+    /**
+     * Uniformly random times from a seeded generator, so a run can be reproduced
+     * @param {number} duration - Video duration in seconds
+     * @param {number} count - Number of frames
+     * @param {number} seed - Generator seed
+     * @returns {Array<number>} Sorted timestamps in seconds
+     */
+    seededRandom(duration, count, seed) {
+        const random = Utils.createRandom(seed);
+        const timestamps = [];
+
+        for (let i = 0; i < count; i++) {
+            timestamps.push(random() * duration);
+        }
+
+        return timestamps.sort((a, b) => a - b);
+    }
+
+    /**
+     * Frames on both sides of detected cuts, topped up with evenly spaced frames
+     * @param {number} duration - Video duration in seconds
+     * @param {number} count - Frame budget
+     * @param {Object} options - { capture, onProgress, signal }
+     * @returns {Promise<Object>} { timestamps, cuts }
+     */
+    async shotAware(duration, count, options) {
+        const { onProgress = null } = options;
+
+        // One progress scale for the scan and the refinement, sized for the most cuts the budget can use
+        const scanProbes = this.probeCount(duration);
+        const refineProbes = 2 + Math.max(0, Math.ceil(Math.log2(duration / scanProbes / this.cutPrecision)));
+        const totalProbes = scanProbes + Math.floor(count / 2) * refineProbes;
+        let probed = scanProbes;
+
+        const cuts = await this.detectCuts(duration, {
+            ...options,
+            onProgress: onProgress ? (current) => onProgress(current, totalProbes) : null
+        });
+
+        // Strongest cuts first; each one spends two frames of the budget
+        const strongest = cuts
+            .slice()
+            .sort((a, b) => b.strength - a.strength)
+            .slice(0, Math.floor(count / 2));
+
+        // Probes of a long clip lie far apart, so pin each used cut down before taking the frames around it
+        const usedCuts = [];
+        for (const cut of strongest) {
+            usedCuts.push(await this.refineCut(cut, options, () => {
+                if (onProgress) onProgress(++probed, totalProbes);
+            }));
+        }
+        if (onProgress) {
+            onProgress(totalProbes, totalProbes);
+        }
+
+        const timestamps = [];
+        for (const cut of usedCuts) {
+            timestamps.push(cut.before, cut.after);
+        }
+
+        // Fill the rest of the budget evenly
+        const remaining = count - timestamps.length;
+        if (remaining > 0) {
+            timestamps.push(...this.evenlySpaced(duration, remaining));
+        }
+
+        return {
+            timestamps: Array.from(new Set(timestamps)).sort((a, b) => a - b),
+            cuts: usedCuts.map(cut => ({ ...cut })).sort((a, b) => a.time - b.time)
+        };
+    }
+
+    /**
+     * Scan the video with tiny probes and flag large histogram jumps as cuts
+     * @param {number} duration - Video duration in seconds
+     * @param {Object} options - { capture, onProgress, signal }
+     * @returns {Promise<Array>} Cuts as { time, before, after, strength }
+     */
+    async detectCuts(duration, options) {
+        const { capture, onProgress = null, signal = null } = options;
+
+        if (!capture) {
+            throw new Error('Shot-change sampling needs a frame capture function');
+        }
+
+        const probeCount = this.probeCount(duration);
+        const step = duration / probeCount;
+        const cuts = [];
+        let previous = null;
+
+        for (let i = 0; i < probeCount; i++) {
+            Utils.throwIfAborted(signal);
+
+            const time = step * (i + 0.5);
+            const histogram = Utils.lumaHistogram(await capture(time, this.probeSize));
+
+            if (previous) {
+                const strength = Utils.histogramDistance(previous.histogram, histogram);
+                if (strength >= this.cutThreshold) {
+                    cuts.push({
+                        time: (previous.time + time) / 2,
+                        before: previous.time,
+                        after: time,
+                        strength
+                    });
+                }
+            }
+
+            previous = { time, histogram };
+
+            if (onProgress) {
+                onProgress(i + 1, probeCount);
+            }
+        }
+
+        return cuts;
+    }
+
+    /**
+     * Number of shot-detection probes for a video
+     * @param {number} duration - Video duration in seconds
+     * @returns {number} Probes, one per probeInterval up to maxProbes
+     */
+    probeCount(duration) {
+        return Math.max(2, Math.min(this.maxProbes, Math.ceil(duration / this.probeInterval)));
+    }
+
+    /**
+     * Narrow a cut down by bisecting between the probes on either side of it
+     * The half whose ends differ more holds the cut.
+     * @param {Object} cut - { time, before, after, strength } from detectCuts
+     * @param {Object} options - { capture, signal }
+     * @param {Function} onProbe - Called after each probe
+     * @returns {Promise<Object>} Cut whose before and after are at most cutPrecision apart
+     */
+    async refineCut(cut, options, onProbe) {
+        const { capture, signal = null } = options;
+        const probe = async (time) => {
+            Utils.throwIfAborted(signal);
+            const histogram = Utils.lumaHistogram(await capture(time, this.probeSize));
+            onProbe();
+            return { time, histogram };
+        };
+
+        let before = await probe(cut.before);
+        let after = await probe(cut.after);
+        while (after.time - before.time > this.cutPrecision) {
+            const middle = await probe((before.time + after.time) / 2);
+            if (Utils.histogramDistance(before.histogram, middle.histogram) >= Utils.histogramDistance(middle.histogram, after.histogram)) {
+                after = middle;
+            } else {
+                before = middle;
+            }
+        }
+
+        return {
+            time: (before.time + after.time) / 2,
+            before: before.time,
+            after: after.time,
+            strength: Utils.histogramDistance(before.histogram, after.histogram)
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrameSampler;
+}
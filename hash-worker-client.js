@@ -0,0 +1,102 @@
+/**
+ * Hash Worker Client
+ * Page-side interface to hash-worker.js; hashes on the main thread where workers are unavailable
+ */
+
+class HashWorkerClient {
+    constructor(scriptUrl = 'hash-worker.js') {
+        this.scriptUrl = scriptUrl;
+        this.worker = null;
+        this.ready = null;
+        this.pending = new Map();
+        this.nextRequestId = 1;
+    }
+
+    /**
+     * Start the worker on first use
+     * @returns {Promise<boolean>} Whether the worker is available
+     */
+    start() {
+        if (this.ready) return this.ready;
+
+        this.ready = new Promise((resolve) => {
+            try {
+                this.worker = new Worker(this.scriptUrl);
+            } catch (error) {
+                // e.g. pages opened from file://
+                console.warn('Hash worker unavailable, hashing on the main thread:', error);
+                resolve(false);
+                return;
+            }
+
+            this.worker.onmessage = (event) => {
+                if (event.data.type === 'ready') {
+                    resolve(true);
+                    return;
+                }
+                this.handleResponse(event.data);
+            };
+
+            this.worker.onerror = (event) => {
+                console.warn('Hash worker failed, hashing on the main thread:', event.message);
+                this.worker.terminate();
+                this.worker = null;
+                this.rejectAll(new Error('Hash worker stopped unexpectedly'));
+                resolve(false);
+            };
+        });
+
+        return this.ready;
+    }
+
+    /**
+     * SHA-256 of a file
+     * The worker reads the file itself; only the File handle crosses over, not its bytes.
+     * @param {Blob} file - File to hash
+     * @returns {Promise<string>} Lowercase hex digest
+     */
+    async hash(file) {
+        const available = await this.start();
+
+        if (!available || !this.worker) {
+            return Sha256.hashBlob(file);
+        }
+
+        return new Promise((resolve, reject) => {
+            const id = this.nextRequestId++;
+            this.pending.set(id, { resolve, reject });
+            this.worker.postMessage({ id, file });
+        });
+    }
+
+    /**
+     * Resolve or reject a pending request from a worker response
+     * @param {Object} response - Message posted by the worker
+     */
+    handleResponse(response) {
+        const request = this.pending.get(response.id);
+        if (!request) return;
+        this.pending.delete(response.id);
+
+        if (response.error) {
+            request.reject(new Error(response.error));
+        } else {
+            request.resolve(response.hash);
+        }
+    }
+
+    /**
+     * Reject every pending request
+     * @param {Error} error - Rejection reason
+     */
+    rejectAll(error) {
+        for (const request of this.pending.values()) {
+            request.reject(error);
+        }
+        this.pending.clear();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HashWorkerClient;
+}
@@ -0,0 +1,18 @@
+/**
+ * Hash Worker
+ * Hashes files for the history off the main thread, so a long video does not freeze the page
+ */
+
+importScripts('sha256.js');
+
+self.onmessage = async (event) => {
+    const { id, file } = event.data;
+
+    try {
+        self.postMessage({ id, hash: await Sha256.hashBlob(file) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+};
+
+self.postMessage({ type: 'ready' });
@@ -0,0 +1,247 @@
+/**
+ * History Panel
+ * Lists the analyses kept by HistoryStore, with search, a verdict filter, reopening and deletion
+ */
+
+class HistoryPanel {
+    /**
+     * @param {string} containerId - Element that hosts the panel
+     * @param {Object} options - Panel callbacks
+     * @param {HistoryStore} options.store - Where the analyses are kept
+     * @param {Function} options.onOpen - Called with (entry, results) when an entry is reopened
+     */
+    constructor(containerId, options) {
+        this.container = document.getElementById(containerId);
+        this.store = options.store;
+        this.onOpen = options.onOpen;
+
+        this.entries = [];
+        this.storage = null; // { usage, quota } from the last refresh
+        this.notice = ''; // Last save or load problem, shown under the summary
+
+        this.container.innerHTML = `
+            <div class="history-header">
+                <div>
+                    <h3 class="history-title">History</h3>
+                    <p class="history-summary"></p>
+                    <p class="history-notice hidden"></p>
+                </div>
+                <div class="history-actions">
+                    <input type="search" class="setting-input history-search" placeholder="Search by name or hash">
+                    <select class="setting-input history-verdict">
+                        <option value="all">All verdicts</option>
+                        <option value="ai">AI generated</option>
+                        <option value="real">Real</option>
+                    </select>
+                    <button class="btn btn-secondary history-clear">
+                        <span class="btn-icon">🗑</span>
+                        <span>Clear History</span>
+                    </button>
+                </div>
+            </div>
+            <div class="batch-table-wrapper history-table-wrapper">
+                <table class="batch-table history-table">
+                    <thead>
+                        <tr>
+                            <th>Preview</th>
+                            <th>Spectrum</th>
+                            <th>File</th>
+                            <th>Analyzed</th>
+                            <th>Verdict</th>
+                            <th>Confidence</th>
+                            <th></th>
+                        </tr>
+                    </thead>
+                    <tbody></tbody>
+                </table>
+                <p class="history-empty hidden">No saved analyses match.</p>
+            </div>
+        `;
+
+        this.summary = this.container.querySelector('.history-summary');
+        this.noticeText = this.container.querySelector('.history-notice');
+        this.searchInput = this.container.querySelector('.history-search');
+        this.verdictSelect = this.container.querySelector('.history-verdict');
+        this.clearBtn = this.container.querySelector('.history-clear');
+        this.body = this.container.querySelector('tbody');
+        this.emptyText = this.container.querySelector('.history-empty');
+
+        this.searchInput.addEventListener('input', Utils.debounce(() => this.render(), 150));
+        this.verdictSelect.addEventListener('change', () => this.render());
+        this.clearBtn.addEventListener('click', () => this.clear());
+    }
+
+    /**
+     * Reload the entries and storage figures, then redraw
+     */
+    async refresh() {
+        try {
+            this.entries = await this.store.list();
+            this.storage = await this.store.estimate();
+        } catch (error) {
+            this.entries = [];
+            this.storage = null;
+            this.notice = `History unavailable: ${error.message}`;
+        }
+        this.render();
+    }
+
+    /**
+     * Keep a finished analysis
+     * @param {Object} entry - { createdAt, hash, thumbnail, spectrumImage, report }
+     * @param {Object} results - Full analysis results
+     */
+    async add(entry, results) {
+        try {
+            const { evicted } = await this.store.save(entry, results);
+            this.notice = evicted.length > 0
+                ? `Storage full: removed the ${evicted.length === 1 ? 'oldest analysis' : `${evicted.length} oldest analyses`} to save this one`
+                : '';
+        } catch (error) {
+            this.notice = `Not saved to history: ${error.message}`;
+        }
+        await this.refresh();
+    }
+
+    /**
+     * Load an entry's full results and hand them to onOpen
+     * @param {Object} entry - History entry
+     */
+    async open(entry) {
+        try {
+            const results = await this.store.loadResults(entry.id);
+            if (!results) {
+                throw new Error('its results are missing from storage');
+            }
+            this.onOpen(entry, results);
+        } catch (error) {
+            this.notice = `Unable to reopen ${entry.report.input.name || 'the analysis'}: ${error.message}`;
+            this.render();
+        }
+    }
+
+    /**
+     * Delete one entry
+     * @param {Object} entry - History entry
+     */
+    async remove(entry) {
+        try {
+            await this.store.remove(entry.id);
+        } catch (error) {
+            this.notice = `Not deleted: ${error.message}`;
+        }
+        await this.refresh();
+    }
+
+    /**
+     * Delete every entry after asking
+     */
+    async clear() {
+        if (!window.confirm(`Delete all ${this.entries.length} saved analyses? This cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            await this.store.clear();
+            this.notice = '';
+        } catch (error) {
+            this.notice = `Not cleared: ${error.message}`;
+        }
+        await this.refresh();
+    }
+
+    /**
+     * Entries matching the search text and verdict filter
+     * @returns {Array<Object>} Entries, newest first
+     */
+    getVisibleEntries() {
+        const query = this.searchInput.value.trim().toLowerCase();
+        const verdict = this.verdictSelect.value;
+
+        return this.entries.filter((entry) => {
+            const isAI = entry.report.verdict.isAIGenerated;
+            if (verdict === 'ai' && !isAI) return false;
+            if (verdict === 'real' && isAI) return false;
+            if (!query) return true;
+
+            return (entry.report.input.name || '').toLowerCase().includes(query) ||
+                Boolean(entry.hash && entry.hash.startsWith(query));
+        });
+    }
+
+    /**
+     * Rebuild the list, summary and notice
+     */
+    render() {
+        this.body.innerHTML = '';
+        const visible = this.getVisibleEntries();
+
+        for (const entry of visible) {
+            const { input, verdict } = entry.report;
+            const row = document.createElement('tr');
+            row.className = 'batch-row openable history-row';
+            row.dataset.id = entry.id;
+
+            const meta = [
+                input.size === null ? null : Utils.formatFileSize(input.size),
+                input.mediaType,
+                entry.hash ? `SHA-256 ${entry.hash.slice(0, 12)}…` : null,
+                `${Utils.formatFileSize(entry.bytes)} stored`
+            ].filter(Boolean).join(' · ');
+
+            row.innerHTML = `
+                <td>${this.image(entry.thumbnail, 'history-thumbnail')}</td>
+                <td>${this.image(entry.spectrumImage, 'history-spectrum')}</td>
+                <td><div class="history-name">${this.escape(input.name || 'Untitled')}</div><div class="history-meta">${this.escape(meta)}</div></td>
+                <td>${this.escape(new Date(entry.createdAt).toLocaleString())}</td>
+                <td>${verdict.isAIGenerated ? '<span class="batch-verdict ai">AI</span>' : '<span class="batch-verdict real">Real</span>'}</td>
+                <td>${Math.round(verdict.confidence)}%</td>
+                <td><button class="btn btn-secondary history-delete" title="Delete from history">🗑</button></td>
+            `;
+            if (entry.hash) {
+                row.querySelector('.history-meta').title = `SHA-256 ${entry.hash}`;
+            }
+
+            row.addEventListener('click', () => this.open(entry));
+            row.querySelector('.history-delete').addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.remove(entry);
+            });
+
+            this.body.appendChild(row);
+        }
+
+        const flagged = this.entries.filter(entry => entry.report.verdict.isAIGenerated).length;
+        this.summary.textContent = `${this.entries.length} saved ${this.entries.length === 1 ? 'analysis' : 'analyses'}` +
+            ` · ${flagged} flagged as AI` +
+            (this.storage ? ` · ${Utils.formatFileSize(this.storage.usage)} of ${Utils.formatFileSize(this.storage.quota)} storage used` : '');
+        this.noticeText.textContent = this.notice;
+        this.noticeText.classList.toggle('hidden', !this.notice);
+        this.emptyText.classList.toggle('hidden', visible.length > 0);
+        this.clearBtn.disabled = this.entries.length === 0;
+
+        // Nothing to show until something is saved or goes wrong
+        this.container.classList.toggle('hidden', this.entries.length === 0 && !this.notice);
+    }
+
+    /**
+     * Image cell content
+     * @param {string|null} source - Data URL
+     * @param {string} className - Image class
+     * @returns {string} HTML
+     */
+    image(source, className) {
+        return source ? `<img class="${className}" src="${this.escape(source)}" alt="">` : '';
+    }
+
+    /**
+     * Escape text for table cells
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escape(text) {
+        const span = document.createElement('span');
+        span.textContent = text;
+        return span.innerHTML;
+    }
+}
@@ -0,0 +1,146 @@
+/**
+ * History Store
+ * Keeps every finished analysis in IndexedDB so it survives a reset or a reload
+ * Entries hold the report and two small images for the history list; the full
+ * results, spectra included, live in a second store and are only read to reopen one.
+ */
+
+class HistoryStore {
+    /**
+     * @param {string} name - IndexedDB database name
+     */
+    constructor(name = 'fft-history') {
+        this.database = new IndexedDatabase({
+            name,
+            version: 1,
+            label: 'history',
+            upgrade: (db) => {
+                // { id, createdAt, hash, thumbnail, spectrumImage, report, bytes }; ids grow with time
+                db.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+                // { id, results } under the id of their entry
+                db.createObjectStore('results', { keyPath: 'id' });
+            }
+        });
+    }
+
+    /**
+     * Whether an error means the browser's storage quota is used up
+     * @param {Error} error - Caught error
+     * @returns {boolean} True for quota errors
+     */
+    static isQuotaError(error) {
+        return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    }
+
+    /**
+     * Rough number of bytes a value takes in storage
+     * @param {*} value - Cloneable value
+     * @returns {number} Bytes, counting typed arrays exactly and strings as UTF-16
+     */
+    static measure(value) {
+        if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) return value.byteLength;
+        if (typeof value === 'string') return value.length * 2;
+        if (value === null || typeof value !== 'object') return 8;
+
+        let bytes = 0;
+        for (const key of Object.keys(value)) {
+            bytes += key.length * 2 + this.measure(value[key]);
+        }
+        return bytes;
+    }
+
+    /**
+     * Store an analysis, making room by dropping the oldest entries when the quota is reached
+     * An analysis bigger than the whole history is refused outright rather
+     * than emptying the history in a vain attempt to fit it.
+     * @param {Object} entry - { createdAt, hash, thumbnail, spectrumImage, report }
+     * @param {Object} results - Full analysis results, reopened as they were
+     * @returns {Promise<Object>} { id, evicted } with the entries dropped to make room
+     */
+    async save(entry, results) {
+        const record = { ...entry, bytes: HistoryStore.measure(entry) + HistoryStore.measure(results) };
+        const evicted = [];
+
+        for (;;) {
+            try {
+                const id = await this.database.run(['entries', 'results'], 'readwrite', (transaction) => {
+                    const request = transaction.objectStore('entries').add(record);
+                    request.onsuccess = () => transaction.objectStore('results').put({ id: request.result, results });
+                    return request;
+                });
+                return { id, evicted };
+            } catch (error) {
+                if (!HistoryStore.isQuotaError(error)) throw error;
+
+                const entries = await this.list();
+                const stored = entries.reduce((sum, candidate) => sum + candidate.bytes, 0);
+                if (entries.length === 0 || stored < record.bytes) {
+                    throw new Error(`The browser has no room for this analysis (${Utils.formatFileSize(record.bytes)}), even without the older ones`);
+                }
+
+                const oldest = entries[entries.length - 1];
+                await this.remove(oldest.id);
+                evicted.push(oldest);
+            }
+        }
+    }
+
+    /**
+     * All entries, newest first
+     * @returns {Promise<Array<Object>>} Entries without their results
+     */
+    async list() {
+        const entries = await this.database.run(['entries'], 'readonly', transaction => transaction.objectStore('entries').getAll());
+        return entries.reverse();
+    }
+
+    /**
+     * Full results of one entry
+     * @param {number} id - Entry id
+     * @returns {Promise<Object|null>} Results, or null if they are gone
+     */
+    async loadResults(id) {
+        const record = await this.database.run(['results'], 'readonly', transaction => transaction.objectStore('results').get(id));
+        return record ? record.results : null;
+    }
+
+    /**
+     * Remove one entry and its results
+     * @param {number} id - Entry id
+     * @returns {Promise<void>}
+     */
+    remove(id) {
+        return this.database.run(['entries', 'results'], 'readwrite', (transaction) => {
+            transaction.objectStore('results').delete(id);
+            return transaction.objectStore('entries').delete(id);
+        });
+    }
+
+    /**
+     * Remove every entry
+     * @returns {Promise<void>}
+     */
+    clear() {
+        return this.database.run(['entries', 'results'], 'readwrite', (transaction) => {
+            transaction.objectStore('results').clear();
+            return transaction.objectStore('entries').clear();
+        });
+    }
+
+    /**
+     * Storage used by the page and the quota the browser grants it
+     * @returns {Promise<Object|null>} { usage, quota } in bytes, or null where the browser does not say
+     */
+    async estimate() {
+        if (typeof navigator === 'undefined' || !navigator.storage || !navigator.storage.estimate) {
+            return null;
+        }
+
+        const { usage, quota } = await navigator.storage.estimate();
+        return Number.isFinite(usage) && Number.isFinite(quota) ? { usage, quota } : null;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HistoryStore;
+}
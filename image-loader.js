@@ -0,0 +1,191 @@
+/**
+ * Image Loader
+ * Decodes still images to ImageData and reads format and EXIF presence from their headers
+ */
+
+const ImageLoader = {
+    // MIME types accepted for still-image analysis
+    supportedFormats: ['image/jpeg', 'image/png', 'image/webp', 'image/avif'],
+
+    formatNames: {
+        jpeg: 'JPEG',
+        png: 'PNG',
+        webp: 'WebP',
+        avif: 'AVIF'
+    },
+
+    // Header bytes read for format and EXIF detection; EXIF lives near the start
+    headerBytes: 256 * 1024,
+
+    /**
+     * Decode an image file at its native resolution
+     * Color management is disabled so the spectrum sees the stored pixels.
+     * @param {Blob} file - Image file
+     * @returns {Promise<ImageData>} Decoded pixels
+     */
+    async decode(file) {
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(file, {
+                colorSpaceConversion: 'none',
+                premultiplyAlpha: 'none',
+                imageOrientation: 'from-image' // Match the rotation the viewer displays
+            });
+        } catch (error) {
+            throw new Error(`Unable to decode image "${file.name}": the browser cannot read this format`);
+        }
+
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+
+            const ctx = canvas.getContext('2d', { willReadFrequently: true });
+            ctx.imageSmoothingEnabled = false;
+            ctx.drawImage(bitmap, 0, 0);
+
+            return ctx.getImageData(0, 0, bitmap.width, bitmap.height);
+        } finally {
+            bitmap.close();
+        }
+    },
+
+    /**
+     * Read image metadata from the file header
+     * @param {Blob} file - Image file
+     * @returns {Promise<Object>} { format, formatName, hasExif }
+     */
+    async readMetadata(file) {
+        const bytes = new Uint8Array(await file.slice(0, this.headerBytes).arrayBuffer());
+        const format = this.detectFormat(bytes);
+
+        return {
+            format,
+            formatName: format ? this.formatNames[format] : 'Unknown',
+            hasExif: format ? this.hasExif(bytes, format) : false
+        };
+    },
+
+    /**
+     * Identify the container from its magic bytes
+     * @param {Uint8Array} bytes - File header
+     * @returns {string|null} 'jpeg', 'png', 'webp', 'avif' or null
+     */
+    detectFormat(bytes) {
+        if (bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF) {
+            return 'jpeg';
+        }
+        if (this.readAscii(bytes, 1, 3) === 'PNG' && bytes[0] === 0x89) {
+            return 'png';
+        }
+        if (this.readAscii(bytes, 0, 4) === 'RIFF' && this.readAscii(bytes, 8, 4) === 'WEBP') {
+            return 'webp';
+        }
+        if (this.readAscii(bytes, 4, 4) === 'ftyp') {
+            // Brand list of the ISO-BMFF ftyp box
+            const boxSize = this.readUint32(bytes, 0);
+            for (let offset = 8; offset + 4 <= Math.min(boxSize, bytes.length); offset += 4) {
+                const brand = this.readAscii(bytes, offset, 4);
+                if (brand === 'avif' || brand === 'avis') {
+                    return 'avif';
+                }
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Check whether the header carries an EXIF block
+     * @param {Uint8Array} bytes - File header
+     * @param {string} format - Format from detectFormat
+     * @returns {boolean} True when EXIF data is embedded
+     */
+    hasExif(bytes, format) {
+        switch (format) {
+            case 'jpeg': {
+                // APP1 segment starting with "Exif\0\0"; stop at start of scan
+                let offset = 2;
+                while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+                    const marker = bytes[offset + 1];
+                    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+                    if (marker === 0xDA) break;
+                    if (marker === 0xE1 && this.readAscii(bytes, offset + 4, 4) === 'Exif') {
+                        return true;
+                    }
+                    offset += 2 + length;
+                }
+                return false;
+            }
+            case 'png': {
+                // eXIf chunk, before the image data
+                let offset = 8;
+                while (offset + 8 <= bytes.length) {
+                    const length = this.readUint32(bytes, offset);
+                    const type = this.readAscii(bytes, offset + 4, 4);
+                    if (type === 'eXIf') return true;
+                    if (type === 'IDAT' || type === 'IEND') break;
+                    offset += 12 + length;
+                }
+                return false;
+            }
+            case 'webp': {
+                // RIFF chunk named "EXIF"
+                let offset = 12;
+                while (offset + 8 <= bytes.length) {
+                    const type = this.readAscii(bytes, offset, 4);
+                    const length = (bytes[offset + 4] | (bytes[offset + 5] << 8) |
+                        (bytes[offset + 6] << 16) | (bytes[offset + 7] << 24)) >>> 0;
+                    if (type === 'EXIF') return true;
+                    offset += 8 + length + (length % 2);
+                }
+                return false;
+            }
+            case 'avif':
+                // An item of type "Exif" declared in the meta box's item info
+                return this.indexOfAscii(bytes, 'infe') !== -1 && this.indexOfAscii(bytes, 'Exif') !== -1;
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Read an ASCII string
+     * @param {Uint8Array} bytes - Source bytes
+     * @param {number} offset - Start offset
+     * @param {number} length - Number of characters
+     * @returns {string} Decoded text
+     */
+    readAscii(bytes, offset, length) {
+        let text = '';
+        for (let i = offset; i < offset + length && i < bytes.length; i++) {
+            text += String.fromCharCode(bytes[i]);
+        }
+        return text;
+    },
+
+    /**
+     * Read a big-endian unsigned 32-bit integer
+     * @param {Uint8Array} bytes - Source bytes
+     * @param {number} offset - Start offset
+     * @returns {number} Value
+     */
+    readUint32(bytes, offset) {
+        return ((bytes[offset] << 24) | (bytes[offset + 1] << 16) | (bytes[offset + 2] << 8) | bytes[offset + 3]) >>> 0;
+    },
+
+    /**
+     * Find an ASCII string in a byte array
+     * @param {Uint8Array} bytes - Haystack
+     * @param {string} text - Needle
+     * @returns {number} Offset, or -1
+     */
+    indexOfAscii(bytes, text) {
+        // Single-byte decoding keeps offsets aligned with the bytes
+        return new TextDecoder('latin1').decode(bytes).indexOf(text);
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageLoader;
+}
@@ -0,0 +1,71 @@
+/**
+ * Indexed Database
+ * Opens an IndexedDB database once and runs requests in transactions on it
+ * Shared by the stores that keep the user's data between visits (FeedbackStore, HistoryStore).
+ */
+
+class IndexedDatabase {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - IndexedDB database name
+     * @param {number} options.version - Schema version
+     * @param {string} options.label - What the database holds, for error messages (e.g. 'history')
+     * @param {Function} options.upgrade - (db) => void, creates the object stores on first use
+     */
+    constructor({ name, version, label, upgrade }) {
+        this.name = name;
+        this.version = version;
+        this.label = label;
+        this.upgrade = upgrade;
+        this.opening = null; // Promise of the open database, shared by every call
+    }
+
+    /**
+     * Open the database, creating its stores on first use
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    open() {
+        if (!this.opening) {
+            this.opening = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available in this browser'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.name, this.version);
+                request.onupgradeneeded = () => this.upgrade(request.result);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error(`The ${this.label} database is in use by another tab`));
+            });
+            // A failed open may succeed later, e.g. once the other tab closes
+            this.opening.catch(() => {
+                this.opening = null;
+            });
+        }
+        return this.opening;
+    }
+
+    /**
+     * Run requests in one transaction
+     * @param {Array<string>} storeNames - Object stores the transaction covers
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - (transaction) => IDBRequest whose result is wanted
+     * @returns {Promise<*>} The request's result, once the transaction has committed
+     */
+    async run(storeNames, mode, operation) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const request = operation(transaction);
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error(`The ${this.label} transaction was aborted`));
+        });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndexedDatabase;
+}
@@ -0,0 +1,263 @@
+/**
+ * Preprocessing Pipeline
+ * Named stages applied, in order, to a grayscale plane before the FFT
+ */
+
+const Preprocessing = {
+    /**
+     * Stage registry
+     * Each stage maps (data, width, height, params) to a new Float32Array.
+     */
+    stages: {
+        linearize: {
+            label: 'Linear light',
+            defaults: {},
+            apply(data) {
+                // Undo the sRGB transfer curve so the spectrum reflects scene light
+                return data.map(value => {
+                    const c = value / 255;
+                    const linear = c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+                    return linear * 255;
+                });
+            }
+        },
+
+        gamma: {
+            label: 'Gamma',
+            defaults: { gamma: 2.2 },
+            apply(data, width, height, params) {
+                return data.map(value => Math.pow(value / 255, params.gamma) * 255);
+            }
+        },
+
+        meanRemoval: {
+            label: 'Mean removal',
+            defaults: {},
+            apply(data) {
+                let mean = 0;
+                for (let i = 0; i < data.length; i++) {
+                    mean += data[i];
+                }
+                mean /= data.length;
+
+                return data.map(value => value - mean);
+            }
+        },
+
+        laplacian: {
+            label: 'Laplacian high-pass',
+            defaults: {},
+            apply(data, width, height) {
+                return Utils.applyHighPassFilter(data, width, height);
+            }
+        },
+
+        gaussianResidual: {
+            label: 'Gaussian residual',
+            defaults: { sigma: 3 },
+            apply(data, width, height, params) {
+                // Original minus its blur, as in the design doc's forensic script
+                const blurred = Utils.gaussianBlur(data, width, height, params.sigma);
+                return data.map((value, i) => value - blurred[i]);
+            }
+        },
+
+        medianResidual: {
+            label: 'Median denoise residual',
+            defaults: {},
+            apply(data, width, height) {
+                const denoised = Utils.medianFilter3x3(data, width, height);
+                return data.map((value, i) => value - denoised[i]);
+            }
+        },
+
+        hann: {
+            label: 'Hann window',
+            defaults: {},
+            apply(data, width, height) {
+                return Preprocessing.applyWindow(data, width, height, (t) => 0.5 - 0.5 * Math.cos(2 * Math.PI * t));
+            }
+        },
+
+        tukey: {
+            label: 'Tukey window',
+            defaults: { alpha: 0.5 },
+            apply(data, width, height, params) {
+                const alpha = Math.min(Math.max(params.alpha, 0), 1);
+                return Preprocessing.applyWindow(data, width, height, (t) => {
+                    // Flat top with cosine tapers covering `alpha` of the span
+                    if (alpha === 0) return 1;
+                    const edge = Math.min(t, 1 - t);
+                    if (edge >= alpha / 2) return 1;
+                    return 0.5 - 0.5 * Math.cos((2 * Math.PI * edge) / alpha);
+                });
+            }
+        },
+
+        blackman: {
+            label: 'Blackman window',
+            defaults: {},
+            apply(data, width, height) {
+                return Preprocessing.applyWindow(data, width, height, (t) =>
+                    0.42 - 0.5 * Math.cos(2 * Math.PI * t) + 0.08 * Math.cos(4 * Math.PI * t)
+                );
+            }
+        }
+    },
+
+    /**
+     * Ready-made pipelines
+     */
+    presets: {
+        legacy: {
+            label: 'Laplacian (original)',
+            stages: [{ name: 'laplacian', params: {} }]
+        },
+        windowed: {
+            label: 'Laplacian + Hann window',
+            stages: [
+                { name: 'meanRemoval', params: {} },
+                { name: 'laplacian', params: {} },
+                { name: 'hann', params: {} }
+            ]
+        },
+        residual: {
+            label: 'Gaussian residual + Tukey',
+            stages: [
+                { name: 'linearize', params: {} },
+                { name: 'gaussianResidual', params: { sigma: 3 } },
+                { name: 'tukey', params: { alpha: 0.25 } }
+            ]
+        },
+        denoise: {
+            label: 'Median residual + Blackman',
+            stages: [
+                { name: 'medianResidual', params: {} },
+                { name: 'blackman', params: {} }
+            ]
+        }
+    },
+
+    /**
+     * Validate a pipeline and fill in default parameters
+     * @param {Array} config - Stages as { name, params }
+     * @returns {Array} Complete stage list, safe to record in results
+     */
+    normalize(config) {
+        if (!Array.isArray(config) || config.length === 0) {
+            throw new Error('Preprocessing pipeline must contain at least one stage');
+        }
+
+        return config.map(({ name, params = {} }) => {
+            const stage = this.stages[name];
+            if (!stage) {
+                throw new Error(`Unknown preprocessing stage: ${name}`);
+            }
+
+            for (const [key, value] of Object.entries(params)) {
+                if (!(key in stage.defaults)) {
+                    throw new Error(`Preprocessing stage "${name}" has no parameter "${key}"`);
+                }
+                if (!Number.isFinite(value)) {
+                    throw new Error(`Preprocessing parameter ${name}.${key} must be a number`);
+                }
+            }
+
+            return { name, params: { ...stage.defaults, ...params } };
+        });
+    },
+
+    /**
+     * Run a pipeline over a grayscale plane
+     * @param {Float32Array} data - Grayscale pixel values
+     * @param {number} width - Plane width
+     * @param {number} height - Plane height
+     * @param {Array} config - Stages as { name, params }
+     * @returns {Float32Array} Processed plane
+     */
+    run(data, width, height, config) {
+        let result = data;
+
+        for (const { name, params } of this.normalize(config)) {
+            result = this.stages[name].apply(result, width, height, params);
+        }
+
+        return result;
+    },
+
+    /**
+     * Multiply a plane by a separable 2D window
+     * @param {Float32Array} data - Input plane
+     * @param {number} width - Plane width
+     * @param {number} height - Plane height
+     * @param {Function} windowFn - Maps position t in [0, 1] to a weight
+     * @returns {Float32Array} Windowed plane
+     */
+    applyWindow(data, width, height, windowFn) {
+        const column = new Float32Array(width);
+        const row = new Float32Array(height);
+
+        for (let x = 0; x < width; x++) {
+            column[x] = windowFn(width > 1 ? x / (width - 1) : 0.5);
+        }
+        for (let y = 0; y < height; y++) {
+            row[y] = windowFn(height > 1 ? y / (height - 1) : 0.5);
+        }
+
+        const windowed = new Float32Array(data.length);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                windowed[y * width + x] = data[y * width + x] * row[y] * column[x];
+            }
+        }
+
+        return windowed;
+    },
+
+    /**
+     * Parse the text form, e.g. "meanRemoval > laplacian > tukey(alpha=0.25)"
+     * @param {string} text - Pipeline description
+     * @returns {Array} Validated stages
+     */
+    parse(text) {
+        const stages = text.split('>').map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^([A-Za-z]+)\s*(?:\((.*)\))?$/);
+            if (!match) {
+                throw new Error(`Cannot read preprocessing stage "${part}"`);
+            }
+
+            const params = {};
+            if (match[2] && match[2].trim()) {
+                for (const assignment of match[2].split(',')) {
+                    const [key, value] = assignment.split('=').map(token => token && token.trim());
+                    if (!key || value === undefined || value === '') {
+                        throw new Error(`Cannot read parameter "${assignment.trim()}" of stage ${match[1]}`);
+                    }
+                    params[key] = Number(value);
+                }
+            }
+
+            return { name: match[1], params };
+        });
+
+        return this.normalize(stages);
+    },
+
+    /**
+     * Format a pipeline in the text form accepted by parse()
+     * @param {Array} config - Stages as { name, params }
+     * @returns {string} Pipeline description
+     */
+    format(config) {
+        return config.map(({ name, params = {} }) => {
+            const entries = Object.entries(params);
+            return entries.length > 0
+                ? `${name}(${entries.map(([key, value]) => `${key}=${value}`).join(', ')})`
+                : name;
+        }).join(' > ');
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Preprocessing;
+}
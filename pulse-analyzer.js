@@ -0,0 +1,419 @@
+/**
+ * Pulse Analyzer
+ * Remote photoplethysmography (rPPG): looks for a heartbeat in the color of skin across densely sampled frames
+ */
+
+class PulseAnalyzer {
+    /**
+     * @param {Object} settings - Pulse settings
+     * @param {string} settings.method - 'green', 'chrom' or 'pos'
+     * @param {Object} settings.region - Box { x, y, width, height } as fractions of the frame;
+     *     null follows the skin of the face found by `faceDetector`
+     * @param {number} settings.fps - Frames sampled per second
+     * @param {number} settings.windowSeconds - Length of the analyzed stretch
+     */
+    constructor(settings = {}) {
+        this.settings = {
+            method: 'pos',
+            region: null,
+            fps: 15,
+            windowSeconds: 10,
+            ...settings
+        };
+
+        this.faceDetector = null; // Optional FaceDetector; without a box, clips are skipped unless it finds a face
+
+        this.captureSize = 128; // Longest side of captured frames; only region means matter, so they are small
+        this.minSeconds = 4; // Shortest stretch that still holds a few beats at 42 BPM
+        this.band = [0.7, 4]; // Hz; human heart rates of 42-240 BPM
+        this.brightnessGuard = 0.1; // Frame-brightness std/mean above this disables the check
+        this.faceInterval = 1; // Seconds between face detections; the box is held in between
+        this.minSkinFraction = 0.3; // Share of the face box that must be skin for a frame to count
+        this.minSkinFrames = 0.8; // Share of frames that must show the face
+        this.minQuality = 0.25; // Signal quality below which no heart rate is read
+        this.presenceQuality = [0.25, 0.55]; // Quality range mapped onto a 0-1 pulse score
+    }
+
+    /**
+     * Sample the video densely, extract the pulse signal and estimate heart rate
+     * @param {number} duration - Video duration in seconds
+     * @param {Object} options - Analysis options
+     * @param {Function} options.capture - async (time, size, keepAspect) => ImageData
+     * @param {Function} options.onProgress - Called with (captured, total)
+     * @param {AbortSignal} options.signal - Stops sampling when aborted
+     * @returns {Promise<Object>} Pulse result; status is 'ok', 'disabled' or 'skipped'
+     */
+    async analyze(duration, options = {}) {
+        const { capture, onProgress = null, signal = null } = options;
+        const { fps, windowSeconds, region, method } = this.settings;
+
+        if (!(duration >= this.minSeconds)) {
+            return this.abstain('skipped', `clip is shorter than ${this.minSeconds} s`);
+        }
+        if (!region && !this.faceDetector) {
+            return this.abstain('skipped', 'no face detector to find the subject');
+        }
+
+        // The middle of the clip, where subjects are most likely settled in frame
+        const length = Math.min(windowSeconds, duration);
+        const start = (duration - length) / 2;
+        const count = Math.floor(length * fps);
+
+        const red = new Float64Array(count);
+        const green = new Float64Array(count);
+        const blue = new Float64Array(count);
+        const brightness = new Float64Array(count);
+        const faceEvery = Math.max(Math.round(this.faceInterval * fps), 1);
+        let framesWithSkin = 0;
+        let previous = null;
+        let face = null;
+
+        for (let i = 0; i < count; i++) {
+            Utils.throwIfAborted(signal);
+
+            // At the video's own aspect ratio, so faces reach the detector undistorted
+            const frame = await capture(start + i / fps, this.captureSize, true);
+            if (!region && i % faceEvery === 0) {
+                face = (await this.faceDetector.detect(frame))[0] || null;
+            }
+            const sample = region
+                ? this.measureFrame(frame, region, false)
+                : this.measureFrame(frame, face && face.box, true);
+            brightness[i] = sample.brightness;
+
+            // Hold the last reading through frames where the region was lost
+            const reading = sample.pixels > 0 ? sample : previous;
+            if (sample.coverage >= this.minSkinFraction) framesWithSkin++;
+            if (reading) {
+                red[i] = reading.red;
+                green[i] = reading.green;
+                blue[i] = reading.blue;
+                previous = reading;
+            }
+
+            if (onProgress) {
+                onProgress(i + 1, count);
+            }
+        }
+
+        // Flashing or changing light swamps the tiny color changes of blood flow
+        const brightnessVariation = this.standardDeviation(brightness) / (this.mean(brightness) || 1);
+        if (brightnessVariation > this.brightnessGuard) {
+            return this.abstain('disabled', 'brightness varies too much (flashing or changing light)', { brightnessVariation });
+        }
+
+        const skinFrames = framesWithSkin / count;
+        if (!region && skinFrames < this.minSkinFrames) {
+            return this.abstain('skipped', 'no face with visible skin through the analyzed stretch', { brightnessVariation, skinFrames });
+        }
+
+        // Fill any leading frames that had no region yet
+        const first = green.findIndex(value => value > 0);
+        if (first === -1) {
+            return this.abstain('skipped', 'the selected region is empty', { brightnessVariation, skinFrames });
+        }
+        for (let i = 0; i < first; i++) {
+            red[i] = red[first];
+            green[i] = green[first];
+            blue[i] = blue[first];
+        }
+
+        const pulseSignal = this.bandpass(this.extractSignal(red, green, blue, method), fps);
+        const spectrum = this.powerSpectrum(pulseSignal, fps);
+        const estimate = this.estimateHeartRate(spectrum);
+        if (estimate.quality < this.minQuality) {
+            return this.abstain('skipped', 'the skin-color signal is too weak or noisy to read a pulse', {
+                brightnessVariation,
+                skinFrames,
+                quality: estimate.quality,
+                snr: estimate.snr
+            });
+        }
+        const [low, high] = this.presenceQuality;
+        const pulseScore = Math.min(Math.max((estimate.quality - low) / (high - low), 0), 1);
+
+        return {
+            status: 'ok',
+            reason: null,
+            method,
+            regionSource: region ? 'box' : 'face',
+            window: { start, end: start + length, fps, frames: count },
+            heartRate: estimate.heartRate,
+            quality: estimate.quality,
+            snr: estimate.snr,
+            pulseScore,
+            pulsePresent: pulseScore >= 0.5,
+            brightnessVariation,
+            skinFrames,
+            signal: Float32Array.from(pulseSignal),
+            spectrum
+        };
+    }
+
+    /**
+     * Result for a clip the check cannot judge
+     * @param {string} status - 'disabled' or 'skipped'
+     * @param {string} reason - Why the check did not run
+     * @param {Object} extra - Measurements taken before giving up
+     * @returns {Object} Pulse result without an estimate
+     */
+    abstain(status, reason, extra = {}) {
+        return {
+            status,
+            reason,
+            method: this.settings.method,
+            regionSource: this.settings.region ? 'box' : 'face',
+            heartRate: null,
+            quality: null,
+            pulseScore: null,
+            pulsePresent: null,
+            ...extra
+        };
+    }
+
+    /**
+     * Mean color of the region and mean brightness of the whole frame
+     * @param {ImageData} imageData - Captured frame
+     * @param {Object} region - Fractional box, or null when the frame has none
+     * @param {boolean} skinOnly - Count only the box's skin-colored pixels
+     * @returns {Object} { red, green, blue, pixels, coverage, brightness }; coverage is the
+     *     share of the box that counted
+     */
+    measureFrame(imageData, region, skinOnly) {
+        const { data, width, height } = imageData;
+        const x0 = region ? Math.floor(region.x * width) : 0;
+        const y0 = region ? Math.floor(region.y * height) : 0;
+        const x1 = region ? Math.ceil((region.x + region.width) * width) : 0;
+        const y1 = region ? Math.ceil((region.y + region.height) * height) : 0;
+
+        let red = 0;
+        let green = 0;
+        let blue = 0;
+        let pixels = 0;
+        let brightness = 0;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = (y * width + x) * 4;
+                const r = data[i];
+                const g = data[i + 1];
+                const b = data[i + 2];
+                brightness += 0.299 * r + 0.587 * g + 0.114 * b;
+
+                const inRegion = x >= x0 && x < x1 && y >= y0 && y < y1 && (!skinOnly || Utils.isSkin(r, g, b));
+                if (inRegion) {
+                    red += r;
+                    green += g;
+                    blue += b;
+                    pixels++;
+                }
+            }
+        }
+
+        const regionArea = Math.max((x1 - x0) * (y1 - y0), 1);
+
+        return {
+            red: pixels > 0 ? red / pixels : 0,
+            green: pixels > 0 ? green / pixels : 0,
+            blue: pixels > 0 ? blue / pixels : 0,
+            pixels,
+            coverage: pixels / regionArea,
+            brightness: brightness / (width * height)
+        };
+    }
+
+
+    /**
+     * Turn the region's color traces into a single pulse signal
+     * @param {Float64Array} red - Mean red per frame
+     * @param {Float64Array} green - Mean green per frame
+     * @param {Float64Array} blue - Mean blue per frame
+     * @param {string} method - 'green', 'chrom' or 'pos'
+     * @returns {Float64Array} Pulse signal
+     */
+    extractSignal(red, green, blue, method) {
+        const rn = this.normalizeTrace(red);
+        const gn = this.normalizeTrace(green);
+        const bn = this.normalizeTrace(blue);
+        const fps = this.settings.fps;
+
+        switch (method) {
+            case 'green':
+                return gn.map(value => value - 1);
+
+            case 'chrom': {
+                // de Haan & Jeanne (2013): two chrominance signals, tuned to cancel specular change
+                const x = this.bandpass(rn.map((value, i) => 3 * value - 2 * gn[i]), fps);
+                const y = this.bandpass(rn.map((value, i) => 1.5 * value + gn[i] - 1.5 * bn[i]), fps);
+                const alpha = this.standardDeviation(x) / (this.standardDeviation(y) || 1);
+                return x.map((value, i) => value - alpha * y[i]);
+            }
+
+            case 'pos': {
+                // Wang et al. (2017): projection onto the plane orthogonal to skin tone,
+                // over sliding 1.6 s windows joined by overlap-add
+                const length = red.length;
+                const windowLength = Math.min(Math.round(1.6 * fps), length);
+                const result = new Float64Array(length);
+
+                for (let start = 0; start + windowLength <= length; start++) {
+                    const end = start + windowLength;
+                    const r = this.normalizeTrace(red.subarray(start, end));
+                    const g = this.normalizeTrace(green.subarray(start, end));
+                    const b = this.normalizeTrace(blue.subarray(start, end));
+
+                    const s1 = g.map((value, i) => value - b[i]);
+                    const s2 = g.map((value, i) => value + b[i] - 2 * r[i]);
+                    const alpha = this.standardDeviation(s1) / (this.standardDeviation(s2) || 1);
+                    const h = s1.map((value, i) => value + alpha * s2[i]);
+                    const hMean = this.mean(h);
+
+                    for (let i = 0; i < windowLength; i++) {
+                        result[start + i] += h[i] - hMean;
+                    }
+                }
+
+                return result;
+            }
+
+            default:
+                throw new Error(`Unknown pulse extraction method: ${method}`);
+        }
+    }
+
+    /**
+     * Keep only frequencies inside the heart-rate band
+     * The stretch is short, so an exact DFT-domain filter is cheap.
+     * @param {Float64Array} signal - Input signal
+     * @param {number} fps - Sample rate in Hz
+     * @returns {Float64Array} Filtered signal
+     */
+    bandpass(signal, fps) {
+        const n = signal.length;
+        const mean = this.mean(signal);
+        const real = new Float64Array(n);
+        const imag = new Float64Array(n);
+
+        for (let k = 0; k < n; k++) {
+            const frequency = Math.min(k, n - k) * fps / n;
+            if (frequency < this.band[0] || frequency > this.band[1]) continue;
+
+            for (let t = 0; t < n; t++) {
+                const angle = -2 * Math.PI * k * t / n;
+                real[k] += (signal[t] - mean) * Math.cos(angle);
+                imag[k] += (signal[t] - mean) * Math.sin(angle);
+            }
+        }
+
+        const filtered = new Float64Array(n);
+        for (let t = 0; t < n; t++) {
+            let sum = 0;
+            for (let k = 0; k < n; k++) {
+                if (real[k] === 0 && imag[k] === 0) continue;
+                const angle = 2 * Math.PI * k * t / n;
+                sum += real[k] * Math.cos(angle) - imag[k] * Math.sin(angle);
+            }
+            filtered[t] = sum / n;
+        }
+
+        return filtered;
+    }
+
+    /**
+     * Power of the signal at 1 BPM steps across the heart-rate band
+     * @param {Float64Array} signal - Filtered pulse signal
+     * @param {number} fps - Sample rate in Hz
+     * @returns {Object} { frequencies, power }
+     */
+    powerSpectrum(signal, fps) {
+        const steps = Math.round((this.band[1] - this.band[0]) * 60) + 1;
+        const frequencies = new Float32Array(steps);
+        const power = new Float32Array(steps);
+
+        for (let i = 0; i < steps; i++) {
+            const frequency = this.band[0] + i / 60;
+            let real = 0;
+            let imag = 0;
+            for (let t = 0; t < signal.length; t++) {
+                const angle = -2 * Math.PI * frequency * t / fps;
+                real += signal[t] * Math.cos(angle);
+                imag += signal[t] * Math.sin(angle);
+            }
+            frequencies[i] = frequency;
+            power[i] = real * real + imag * imag;
+        }
+
+        return { frequencies, power };
+    }
+
+    /**
+     * Heart rate from the spectral peak; quality is the share of band power
+     * around the peak and its first harmonic
+     * @param {Object} spectrum - { frequencies, power }
+     * @returns {Object} { heartRate, quality, snr }
+     */
+    estimateHeartRate(spectrum) {
+        const { frequencies, power } = spectrum;
+
+        let peak = 0;
+        let total = 0;
+        for (let i = 0; i < power.length; i++) {
+            total += power[i];
+            if (power[i] > power[peak]) peak = i;
+        }
+
+        const peakFrequency = frequencies[peak];
+        let inPeak = 0;
+        for (let i = 0; i < power.length; i++) {
+            const frequency = frequencies[i];
+            if (Math.abs(frequency - peakFrequency) <= 0.1 || Math.abs(frequency - 2 * peakFrequency) <= 0.2) {
+                inPeak += power[i];
+            }
+        }
+
+        return {
+            heartRate: peakFrequency * 60,
+            quality: total > 0 ? inPeak / total : 0,
+            snr: 10 * Math.log10((inPeak + 1e-12) / (total - inPeak + 1e-12))
+        };
+    }
+
+    /**
+     * Divide a trace by its mean
+     * @param {ArrayLike<number>} trace - Color trace
+     * @returns {Float64Array} Trace around 1
+     */
+    normalizeTrace(trace) {
+        const mean = this.mean(trace) || 1;
+        return Float64Array.from(trace, value => value / mean);
+    }
+
+    /**
+     * @param {ArrayLike<number>} values - Samples
+     * @returns {number} Mean
+     */
+    mean(values) {
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+        }
+        return values.length > 0 ? sum / values.length : 0;
+    }
+
+    /**
+     * @param {ArrayLike<number>} values - Samples
+     * @returns {number} Population standard deviation
+     */
+    standardDeviation(values) {
+        const mean = this.mean(values);
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += (values[i] - mean) * (values[i] - mean);
+        }
+        return values.length > 0 ? Math.sqrt(sum / values.length) : 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PulseAnalyzer;
+}
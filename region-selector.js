@@ -0,0 +1,239 @@
+/**
+ * Region Selector
+ * Lets the user drag boxes over the video or image; boxes are kept as fractions of the frame
+ */
+
+class RegionSelector {
+    /**
+     * @param {string} canvasId - Canvas stacked on the media that receives the drag
+     * @param {string} mediaId - Video or image element the boxes refer to
+     * @param {Function} onChange - Called after each drag with the region, or with all regions when multiple
+     * @param {Object} options - Selector options
+     * @param {boolean} options.multiple - Each drag adds a box instead of replacing the one box
+     * @param {number} options.maxRegions - Most boxes kept when multiple; the oldest is dropped
+     * @param {string} options.color - Box color as 'r, g, b'
+     * @param {boolean} options.persistent - Keep the boxes visible while drawing is off
+     */
+    constructor(canvasId, mediaId, onChange = null, options = {}) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+        this.media = document.getElementById(mediaId);
+        this.onChange = onChange;
+        this.options = {
+            multiple: false,
+            maxRegions: 8,
+            color: '16, 185, 129',
+            persistent: false,
+            ...options
+        };
+        this.regions = []; // { x, y, width, height } as fractions of the frame, in drawing order
+        this.preview = null; // Box being dragged
+        this.drag = null; // Frame-fraction start point while dragging
+        this.active = false;
+
+        this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.canvas.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.canvas.addEventListener('pointercancel', () => {
+            this.drag = null;
+            this.preview = null;
+            this.draw();
+        });
+    }
+
+    /**
+     * Point the selector at another media element, e.g. the image viewer instead of the video
+     * @param {string} mediaId - Video or image element the boxes refer to
+     */
+    setMedia(mediaId) {
+        this.media = document.getElementById(mediaId);
+        this.draw();
+    }
+
+    /**
+     * Enable or disable drawing; unless persistent, boxes stay visible only while active
+     * @param {boolean} active - Whether the canvas takes pointer input
+     */
+    setActive(active) {
+        this.active = active;
+        this.canvas.classList.toggle('active', active);
+        this.draw();
+    }
+
+    /**
+     * @returns {Object|null} Most recent region as fractions of the frame
+     */
+    getRegion() {
+        return this.regions.length > 0 ? this.regions[this.regions.length - 1] : null;
+    }
+
+    /**
+     * @returns {Array<Object>} All regions as fractions of the frame, in drawing order
+     */
+    getRegions() {
+        return this.regions.map(region => ({ ...region }));
+    }
+
+    /**
+     * Remove the most recent box
+     */
+    removeLast() {
+        this.regions.pop();
+        this.draw();
+        this.notify();
+    }
+
+    /**
+     * Remove all boxes, e.g. when a new video is loaded
+     */
+    clear() {
+        this.regions = [];
+        this.preview = null;
+        this.drag = null;
+        this.draw();
+    }
+
+    /**
+     * Displayed picture position, or null before the media has dimensions
+     * @returns {Object|null} { x, y, scale, width, height } in CSS pixels
+     */
+    getPictureRect() {
+        const isImage = this.media.tagName === 'IMG';
+        const mediaWidth = isImage ? this.media.naturalWidth : this.media.videoWidth;
+        const mediaHeight = isImage ? this.media.naturalHeight : this.media.videoHeight;
+        if (!mediaWidth || !mediaHeight) return null;
+
+        const rect = Utils.getContainRect(mediaWidth, mediaHeight, {
+            width: this.canvas.clientWidth,
+            height: this.canvas.clientHeight
+        });
+        return { ...rect, width: mediaWidth * rect.scale, height: mediaHeight * rect.scale };
+    }
+
+    /**
+     * Pointer position as fractions of the frame, clamped to the picture
+     * @param {PointerEvent} e - Pointer event
+     * @returns {Object|null} { x, y }
+     */
+    toFramePoint(e) {
+        const picture = this.getPictureRect();
+        if (!picture) return null;
+
+        const bounds = this.canvas.getBoundingClientRect();
+        const clamp = (value) => Math.min(Math.max(value, 0), 1);
+        return {
+            x: clamp((e.clientX - bounds.left - picture.x) / picture.width),
+            y: clamp((e.clientY - bounds.top - picture.y) / picture.height)
+        };
+    }
+
+    handlePointerDown(e) {
+        if (!this.active) return;
+
+        const point = this.toFramePoint(e);
+        if (!point) return;
+
+        this.drag = point;
+        this.canvas.setPointerCapture(e.pointerId);
+        e.preventDefault();
+    }
+
+    handlePointerMove(e) {
+        if (!this.drag) return;
+
+        const point = this.toFramePoint(e);
+        if (!point) return;
+
+        this.preview = this.boxFrom(this.drag, point);
+        this.draw();
+    }
+
+    handlePointerUp(e) {
+        if (!this.drag) return;
+
+        const point = this.toFramePoint(e) || this.drag;
+        const region = this.boxFrom(this.drag, point);
+        this.drag = null;
+        this.preview = null;
+
+        // A click without a drag keeps the previous boxes
+        if (region.width > 0.01 && region.height > 0.01) {
+            if (this.options.multiple) {
+                this.regions.push(region);
+                if (this.regions.length > this.options.maxRegions) this.regions.shift();
+            } else {
+                this.regions = [region];
+            }
+        }
+        this.draw();
+        this.notify();
+    }
+
+    /**
+     * Report the current selection to onChange
+     */
+    notify() {
+        if (this.onChange) {
+            this.onChange(this.options.multiple ? this.getRegions() : this.getRegion());
+        }
+    }
+
+    /**
+     * Box spanned by two corners
+     * @param {Object} a - First corner { x, y }
+     * @param {Object} b - Opposite corner { x, y }
+     * @returns {Object} { x, y, width, height }
+     */
+    boxFrom(a, b) {
+        return {
+            x: Math.min(a.x, b.x),
+            y: Math.min(a.y, b.y),
+            width: Math.abs(a.x - b.x),
+            height: Math.abs(a.y - b.y)
+        };
+    }
+
+    /**
+     * Draw the boxes over the displayed picture, numbered when multiple
+     */
+    draw() {
+        const dpr = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+
+        this.canvas.width = width * dpr;
+        this.canvas.height = height * dpr;
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        this.ctx.clearRect(0, 0, width, height);
+
+        const picture = this.getPictureRect();
+        if (!picture || !(this.active || this.options.persistent)) return;
+
+        // While dragging in single mode, the new box stands in for the old one
+        const boxes = this.options.multiple || !this.preview ? [...this.regions] : [];
+        if (this.preview) boxes.push(this.preview);
+
+        const { color } = this.options;
+        boxes.forEach((region, i) => {
+            const x = picture.x + region.x * picture.width;
+            const y = picture.y + region.y * picture.height;
+            const boxWidth = region.width * picture.width;
+            const boxHeight = region.height * picture.height;
+
+            this.ctx.fillStyle = `rgba(${color}, 0.15)`;
+            this.ctx.fillRect(x, y, boxWidth, boxHeight);
+            this.ctx.strokeStyle = `rgba(${color}, 0.9)`;
+            this.ctx.lineWidth = 2;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.strokeRect(x, y, boxWidth, boxHeight);
+            this.ctx.setLineDash([]);
+
+            if (this.options.multiple) {
+                this.ctx.fillStyle = `rgba(${color}, 0.9)`;
+                this.ctx.font = '600 12px Inter, sans-serif';
+                this.ctx.textBaseline = 'top';
+                this.ctx.fillText(String(i + 1), x + 4, y + 4);
+            }
+        });
+    }
+}
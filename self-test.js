@@ -0,0 +1,190 @@
+/**
+ * Detector Self-Test
+ * Runs the synthetic cases through computeFFT / detectAIPatterns and compares the patterns found with the ones expected
+ */
+
+class SelfTest {
+    constructor() {
+        this.analyzer = new FFTAnalyzer();
+        this.running = false;
+
+        this.runBtn = document.getElementById('selfTestRun');
+        this.sizeInputs = Array.from(document.querySelectorAll('input[name="selfTestSize"]'));
+        this.seedInput = document.getElementById('selfTestSeed');
+        this.repeatsInput = document.getElementById('selfTestRepeats');
+        this.presetSelect = document.getElementById('selfTestPreset');
+        this.summary = document.getElementById('selfTestSummary');
+        this.casesBody = document.getElementById('selfTestCases');
+        this.timingBody = document.getElementById('selfTestTiming');
+
+        for (const [key, preset] of Object.entries(Preprocessing.presets)) {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = preset.label;
+            this.presetSelect.appendChild(option);
+        }
+        // Start on the analyzer's default pipeline
+        this.presetSelect.value = 'windowed';
+
+        this.runBtn.addEventListener('click', () => this.run());
+    }
+
+    /**
+     * Run every case at every selected frame size
+     */
+    async run() {
+        if (this.running) return;
+
+        const sizes = this.sizeInputs.filter(input => input.checked).map(input => parseInt(input.value, 10));
+        const seed = parseInt(this.seedInput.value, 10) || 1;
+        const repeats = Math.max(1, parseInt(this.repeatsInput.value, 10) || 1);
+        if (sizes.length === 0) {
+            this.summary.textContent = 'Select at least one frame size.';
+            return;
+        }
+
+        this.analyzer.preprocessing = Preprocessing.presets[this.presetSelect.value].stages;
+        this.running = true;
+        this.runBtn.disabled = true;
+        this.casesBody.innerHTML = '';
+        this.timingBody.innerHTML = '';
+
+        const records = [];
+        const total = sizes.length * SyntheticMedia.cases.length;
+        for (const size of sizes) {
+            for (const testCase of SyntheticMedia.cases) {
+                this.summary.textContent = `Running ${records.length + 1} of ${total}: ${testCase.label} at ${size}×${size}`;
+
+                // Let the page repaint between cases
+                await new Promise(resolve => setTimeout(resolve, 0));
+
+                const record = await this.runCase(testCase, size, seed, repeats);
+                records.push(record);
+                this.renderCase(record);
+            }
+        }
+
+        const passed = records.filter(record => record.passed).length;
+        this.summary.textContent = `${passed} of ${records.length} cases detected as expected` +
+            ` (seed ${seed}, ${repeats} run${repeats === 1 ? '' : 's'} per case)`;
+        this.renderTiming(records, sizes);
+
+        this.running = false;
+        this.runBtn.disabled = false;
+    }
+
+    /**
+     * Analyze one synthetic image and time the two stages
+     * @param {Object} testCase - Case from SyntheticMedia.cases
+     * @param {number} size - Frame width and height (power of 2)
+     * @param {number} seed - Random seed
+     * @param {number} repeats - Timed runs; the times are averaged
+     * @returns {Promise<Object>} { testCase, size, patterns, detected, missing, unexpected, passed, fftTime, detectTime }
+     */
+    async runCase(testCase, size, seed, repeats) {
+        const image = testCase.build(size, seed);
+        let fftTime = 0;
+        let detectTime = 0;
+        let patterns = null;
+
+        for (let i = 0; i < repeats; i++) {
+            const start = performance.now();
+            const fftData = await this.analyzer.computeFFT(image);
+            const computed = performance.now();
+            patterns = this.analyzer.detectAIPatterns([fftData]).patterns;
+            const detected = performance.now();
+
+            fftTime += computed - start;
+            detectTime += detected - computed;
+        }
+
+        const detected = this.analyzer.detectedPatterns(patterns);
+        const missing = testCase.expected.filter(name => !detected.includes(name));
+        const unexpected = detected.filter(name => !testCase.expected.includes(name));
+
+        return {
+            testCase,
+            size,
+            patterns,
+            detected,
+            missing,
+            unexpected,
+            // Extra patterns on an artifact image are reported but tolerated;
+            // an artifact-free image must stay clean
+            passed: missing.length === 0 && (testCase.expected.length > 0 || unexpected.length === 0),
+            fftTime: fftTime / repeats,
+            detectTime: detectTime / repeats
+        };
+    }
+
+    /**
+     * Append one result row
+     * @param {Object} record - Result of runCase
+     */
+    renderCase(record) {
+        const { testCase, patterns } = record;
+        const describe = (names) => names.length > 0
+            ? names.map(name => `${name} ${patterns[name].toFixed(2)}`).join(', ')
+            : 'none';
+
+        let result = 'As expected';
+        if (record.missing.length > 0) {
+            result = `Missed ${record.missing.join(', ')}`;
+        } else if (!record.passed) {
+            result = 'False positive';
+        } else if (record.unexpected.length > 0) {
+            result = `As expected, also ${record.unexpected.join(', ')}`;
+        }
+
+        const row = document.createElement('tr');
+        row.className = record.passed ? 'self-test-pass' : 'self-test-fail';
+
+        const cells = [
+            testCase.period ? `${testCase.label} (period ${testCase.period})` : testCase.label,
+            `${record.size}×${record.size}`,
+            testCase.expected.length > 0 ? testCase.expected.join(', ') : 'none',
+            describe(record.detected),
+            result,
+            record.fftTime.toFixed(1),
+            record.detectTime.toFixed(1)
+        ];
+        for (const text of cells) {
+            const cell = document.createElement('td');
+            cell.textContent = text;
+            row.appendChild(cell);
+        }
+
+        this.casesBody.appendChild(row);
+    }
+
+    /**
+     * Mean time per frame for each size
+     * @param {Array<Object>} records - Results of runCase
+     * @param {Array<number>} sizes - Frame sizes that ran
+     */
+    renderTiming(records, sizes) {
+        for (const size of sizes) {
+            const sized = records.filter(record => record.size === size);
+            const fftTime = sized.reduce((sum, record) => sum + record.fftTime, 0) / sized.length;
+            const detectTime = sized.reduce((sum, record) => sum + record.detectTime, 0) / sized.length;
+
+            const row = document.createElement('tr');
+            for (const text of [
+                `${size}×${size}`,
+                fftTime.toFixed(1),
+                detectTime.toFixed(1),
+                (1000 / (fftTime + detectTime)).toFixed(1)
+            ]) {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            }
+            this.timingBody.appendChild(row);
+        }
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.selfTest = new SelfTest();
+});
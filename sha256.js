@@ -0,0 +1,156 @@
+/**
+ * SHA-256
+ * Incremental SHA-256 (FIPS 180-4), fed a chunk at a time
+ * Web Crypto only digests a whole buffer at once, which would mean reading a
+ * multi-gigabyte video into memory; this hashes it slice by slice instead.
+ */
+
+class Sha256 {
+    constructor() {
+        this.state = Int32Array.from(Sha256.initialState);
+        this.block = new Uint8Array(64); // Bytes waiting for a full block
+        this.blockLength = 0;
+        this.length = 0; // Total bytes fed
+        this.words = new Int32Array(64); // Message schedule, reused for every block
+        this.constants = Int32Array.from(Sha256.roundConstants);
+    }
+
+    // First 32 bits of the fractional parts of the square roots of the first 8 primes
+    static get initialState() {
+        return [
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ];
+    }
+
+    // First 32 bits of the fractional parts of the cube roots of the first 64 primes
+    static get roundConstants() {
+        return [
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ];
+    }
+
+    /**
+     * Hash a file or other Blob a slice at a time
+     * @param {Blob} blob - Data to hash
+     * @param {number} chunkSize - Bytes read at a time
+     * @returns {Promise<string>} Lowercase hex digest
+     */
+    static async hashBlob(blob, chunkSize = 8 * 1024 * 1024) {
+        const hash = new Sha256();
+        for (let offset = 0; offset < blob.size; offset += chunkSize) {
+            hash.update(await blob.slice(offset, offset + chunkSize).arrayBuffer());
+        }
+        return hash.digest();
+    }
+
+    /**
+     * Feed the next bytes
+     * @param {Uint8Array|ArrayBuffer} data - Next chunk
+     * @returns {Sha256} This hash, for chaining
+     */
+    update(data) {
+        const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+        let offset = 0;
+        this.length += bytes.length;
+
+        // Top up a partial block first
+        if (this.blockLength > 0) {
+            const take = Math.min(64 - this.blockLength, bytes.length);
+            this.block.set(bytes.subarray(0, take), this.blockLength);
+            this.blockLength += take;
+            offset = take;
+            if (this.blockLength < 64) return this;
+            this.compress(this.block, 0);
+            this.blockLength = 0;
+        }
+
+        for (; offset + 64 <= bytes.length; offset += 64) {
+            this.compress(bytes, offset);
+        }
+
+        this.block.set(bytes.subarray(offset), 0);
+        this.blockLength = bytes.length - offset;
+        return this;
+    }
+
+    /**
+     * Finish the hash; the object is spent afterwards
+     * @returns {string} Lowercase hex digest
+     */
+    digest() {
+        const bits = this.length * 8;
+        const padding = new Uint8Array((this.blockLength < 56 ? 56 : 120) - this.blockLength + 8);
+        padding[0] = 0x80;
+        // Message length in bits, big-endian; Math.floor keeps the high word exact past 4 GB
+        const view = new DataView(padding.buffer);
+        view.setUint32(padding.length - 8, Math.floor(bits / 0x100000000));
+        view.setUint32(padding.length - 4, bits >>> 0);
+        this.update(padding);
+
+        return Array.from(this.state, word => (word >>> 0).toString(16).padStart(8, '0')).join('');
+    }
+
+    /**
+     * Run one 64-byte block through the compression function
+     * @param {Uint8Array} bytes - Source
+     * @param {number} offset - Start of the block
+     */
+    compress(bytes, offset) {
+        const w = this.words;
+        const k = this.constants;
+
+        for (let i = 0; i < 16; i++) {
+            const j = offset + i * 4;
+            w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+        }
+        for (let i = 16; i < 64; i++) {
+            const a = w[i - 15];
+            const b = w[i - 2];
+            const s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3);
+            const s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        const state = this.state;
+        let a = state[0], b = state[1], c = state[2], d = state[3];
+        let e = state[4], f = state[5], g = state[6], h = state[7];
+
+        for (let i = 0; i < 64; i++) {
+            const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+            const choice = (e & f) ^ (~e & g);
+            const t1 = (h + s1 + choice + k[i] + w[i]) | 0;
+            const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+            const majority = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (s0 + majority) | 0;
+
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+
+        state[0] = (state[0] + a) | 0;
+        state[1] = (state[1] + b) | 0;
+        state[2] = (state[2] + c) | 0;
+        state[3] = (state[3] + d) | 0;
+        state[4] = (state[4] + e) | 0;
+        state[5] = (state[5] + f) | 0;
+        state[6] = (state[6] + g) | 0;
+        state[7] = (state[7] + h) | 0;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Sha256;
+}
@@ -0,0 +1,333 @@
+/**
+ * Spatial Classifier
+ * Runs an ONNX image classifier on sampled frames with ONNX Runtime Web on its WASM (CPU) backend
+ * The runtime (onnxruntime-web 1.30.0, ort.wasm.min.js and its WASM build) is bundled in vendor/onnxruntime-web.
+ */
+
+class SpatialClassifier {
+    /**
+     * Use SpatialClassifier.create, which also loads the model
+     * @param {Object} session - ort.InferenceSession
+     * @param {Object} descriptor - Output of SpatialClassifier.parseDescriptor
+     */
+    constructor(session, descriptor) {
+        this.session = session;
+        this.descriptor = descriptor;
+        this.inputName = descriptor.input.name || session.inputNames[0];
+        this.outputName = descriptor.output.name || session.outputNames[0];
+        this.pending = Promise.resolve(); // Runs are queued; a session takes one at a time
+    }
+
+    // Where the page finds the runtime's .wasm and .mjs files
+    static get runtimePath() {
+        return 'vendor/onnxruntime-web/';
+    }
+
+    // Bundled models, see models/classifiers.json
+    static get manifestPath() {
+        return 'models/classifiers.json';
+    }
+
+    /**
+     * Check a model descriptor and fill in its defaults
+     * A descriptor tells how frames become the model's input and how its output reads:
+     *   {
+     *     "name": "My classifier",
+     *     "input": { "name": "input", "width": 224, "height": 224, "layout": "NCHW", "channels": "RGB", "resize": "stretch" },
+     *     "normalization": { "scale": 255, "mean": [0.485, 0.456, 0.406], "std": [0.229, 0.224, 0.225] },
+     *     "output": { "name": "logits", "activation": "softmax", "labels": ["real", "ai"], "aiLabels": ["ai"] }
+     *   }
+     * Pixels are divided by scale, then have mean subtracted and are divided by std, per channel.
+     * Input and output names default to the model's first; width and height to the model's input shape.
+     * @param {Object|string} descriptor - Descriptor object or its JSON text
+     * @returns {Object} Normalized descriptor
+     */
+    static parseDescriptor(descriptor) {
+        const source = typeof descriptor === 'string' ? JSON.parse(descriptor) : descriptor;
+        if (!source || typeof source !== 'object') {
+            throw new Error('Model descriptor must be a JSON object');
+        }
+
+        const input = { layout: 'NCHW', channels: 'RGB', resize: 'stretch', ...source.input };
+        const normalization = { scale: 255, mean: [0, 0, 0], std: [1, 1, 1], ...source.normalization };
+        const output = { activation: 'softmax', aiLabels: ['ai'], ...source.output };
+
+        if (!['NCHW', 'NHWC'].includes(input.layout)) {
+            throw new Error(`Input layout must be NCHW or NHWC: ${input.layout}`);
+        }
+        if (!['RGB', 'BGR'].includes(input.channels)) {
+            throw new Error(`Input channels must be RGB or BGR: ${input.channels}`);
+        }
+        if (!['stretch', 'crop'].includes(input.resize)) {
+            throw new Error(`Input resize must be stretch or crop: ${input.resize}`);
+        }
+        for (const key of ['width', 'height']) {
+            if (input[key] !== undefined && !(Number.isInteger(input[key]) && input[key] > 0)) {
+                throw new Error(`Input ${key} must be a positive integer`);
+            }
+        }
+        for (const key of ['mean', 'std']) {
+            const values = normalization[key];
+            if (!Array.isArray(values) || values.length !== 3 || values.some(value => !Number.isFinite(value))) {
+                throw new Error(`Normalization ${key} must list three numbers`);
+            }
+        }
+        if (normalization.std.some(value => value === 0) || !(normalization.scale > 0)) {
+            throw new Error('Normalization scale and std must be non-zero');
+        }
+        if (!['softmax', 'sigmoid', 'none'].includes(output.activation)) {
+            throw new Error(`Output activation must be softmax, sigmoid or none: ${output.activation}`);
+        }
+        if (!Array.isArray(output.labels) || output.labels.length === 0) {
+            throw new Error('Output labels must list one label per model output');
+        }
+        if (!output.aiLabels.some(label => output.labels.includes(label))) {
+            throw new Error(`None of the AI labels (${output.aiLabels.join(', ')}) is an output label`);
+        }
+
+        return { name: source.name || 'ONNX classifier', input, normalization, output };
+    }
+
+    /**
+     * Point ONNX Runtime at its bundled files and keep it on one CPU thread
+     * Threads would need a cross-origin isolated page, which static hosting does not give.
+     */
+    static configureRuntime() {
+        if (typeof document !== 'undefined') {
+            // Absolute, since the runtime imports its loader with import(), which would take a bare path for a package
+            ort.env.wasm.wasmPaths = new URL(this.runtimePath, document.baseURI).href;
+        }
+        ort.env.wasm.numThreads = 1;
+    }
+
+    /**
+     * Load a model and its descriptor
+     * @param {ArrayBuffer|Uint8Array} model - ONNX model bytes
+     * @param {Object|string} descriptor - Descriptor object or its JSON text
+     * @returns {Promise<SpatialClassifier>} Ready classifier
+     */
+    static async create(model, descriptor) {
+        const parsed = this.parseDescriptor(descriptor);
+        this.configureRuntime();
+
+        let session;
+        try {
+            session = await ort.InferenceSession.create(model instanceof Uint8Array ? model : new Uint8Array(model), {
+                executionProviders: ['wasm'],
+                graphOptimizationLevel: 'all'
+            });
+        } catch (error) {
+            throw new Error(`Unable to load the ONNX model: ${error.message}`);
+        }
+
+        const classifier = new SpatialClassifier(session, parsed);
+        try {
+            classifier.resolveInputSize();
+        } catch (error) {
+            await session.release();
+            throw error;
+        }
+        return classifier;
+    }
+
+    /**
+     * List the models shipped with the app
+     * The manifest lists them as { "models": [{ "id": "mobilenet", "label": "MobileNetV3-Small",
+     * "model": "models/mobilenet.onnx", "descriptor": "models/mobilenet.json" }] }.
+     * @returns {Promise<Array<Object>>} { id, label, model, descriptor } per model, paths relative to the app
+     */
+    static async loadManifest() {
+        const manifest = JSON.parse(await this.fetchFile(this.manifestPath, 'text'));
+        const models = Array.isArray(manifest.models) ? manifest.models : [];
+        return models.filter(entry => entry && entry.id && entry.model && entry.descriptor);
+    }
+
+    /**
+     * Load a model listed in the manifest
+     * @param {Object} entry - Manifest entry { id, label, model, descriptor }
+     * @returns {Promise<SpatialClassifier>} Ready classifier
+     */
+    static async loadBundled(entry) {
+        const [model, descriptor] = await Promise.all([
+            this.fetchFile(entry.model, 'arrayBuffer'),
+            this.fetchFile(entry.descriptor, 'text')
+        ]);
+        return this.create(model, descriptor);
+    }
+
+    /**
+     * Fetch a file served next to the app
+     * @param {string} path - Relative path
+     * @param {string} as - 'text' or 'arrayBuffer'
+     * @returns {Promise<string|ArrayBuffer>} File contents
+     */
+    static async fetchFile(path, as) {
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`Unable to load ${path}: HTTP ${response.status}`);
+        }
+        return response[as]();
+    }
+
+    /**
+     * Take width and height from the model's input shape where the descriptor leaves them out
+     */
+    resolveInputSize() {
+        const { input } = this.descriptor;
+        const metadata = (this.session.inputMetadata || []).find(entry => entry.name === this.inputName);
+        const shape = metadata && metadata.shape ? metadata.shape : [];
+        const [heightAxis, widthAxis] = input.layout === 'NCHW' ? [2, 3] : [1, 2];
+
+        input.width = input.width || (Number.isInteger(shape[widthAxis]) ? shape[widthAxis] : undefined);
+        input.height = input.height || (Number.isInteger(shape[heightAxis]) ? shape[heightAxis] : undefined);
+        if (!input.width || !input.height) {
+            throw new Error('The model input has no fixed size; give input width and height in the descriptor');
+        }
+    }
+
+    /**
+     * Resize and normalize a frame into the model's input layout
+     * Resizing is bilinear; 'crop' first cuts the largest centered box of the input's aspect ratio.
+     * @param {ImageData} imageData - RGBA pixels
+     * @returns {Float32Array} Input tensor data, batch of one
+     */
+    preprocess(imageData) {
+        const { input, normalization } = this.descriptor;
+        const { data, width, height } = imageData;
+        const size = input.width * input.height;
+        const tensor = new Float32Array(size * 3);
+
+        let boxX = 0;
+        let boxY = 0;
+        let boxWidth = width;
+        let boxHeight = height;
+        if (input.resize === 'crop') {
+            const aspect = input.width / input.height;
+            boxWidth = Math.min(width, height * aspect);
+            boxHeight = boxWidth / aspect;
+            boxX = (width - boxWidth) / 2;
+            boxY = (height - boxHeight) / 2;
+        }
+
+        const order = input.channels === 'RGB' ? [0, 1, 2] : [2, 1, 0];
+        const { scale, mean, std } = normalization;
+
+        for (let y = 0; y < input.height; y++) {
+            const sy = Math.min(Math.max(boxY + (y + 0.5) * boxHeight / input.height - 0.5, 0), height - 1);
+            const y0 = Math.floor(sy);
+            const y1 = Math.min(y0 + 1, height - 1);
+            const fy = sy - y0;
+
+            for (let x = 0; x < input.width; x++) {
+                const sx = Math.min(Math.max(boxX + (x + 0.5) * boxWidth / input.width - 0.5, 0), width - 1);
+                const x0 = Math.floor(sx);
+                const x1 = Math.min(x0 + 1, width - 1);
+                const fx = sx - x0;
+                const pixel = y * input.width + x;
+
+                for (let c = 0; c < 3; c++) {
+                    const channel = order[c];
+                    const top = data[(y0 * width + x0) * 4 + channel] * (1 - fx) + data[(y0 * width + x1) * 4 + channel] * fx;
+                    const bottom = data[(y1 * width + x0) * 4 + channel] * (1 - fx) + data[(y1 * width + x1) * 4 + channel] * fx;
+                    const value = ((top * (1 - fy) + bottom * fy) / scale - mean[c]) / std[c];
+
+                    tensor[input.layout === 'NCHW' ? c * size + pixel : pixel * 3 + c] = value;
+                }
+            }
+        }
+
+        return tensor;
+    }
+
+    /**
+     * Classify one frame
+     * Input and output tensors are disposed as soon as the scores are read.
+     * @param {ImageData} imageData - RGBA pixels
+     * @returns {Promise<Object>} { probabilities: { label: p }, aiProbability }
+     */
+    classify(imageData) {
+        const data = this.preprocess(imageData);
+        const run = this.pending.then(() => this.run(data));
+        this.pending = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Run the session on preprocessed input
+     * @param {Float32Array} data - Output of preprocess
+     * @returns {Promise<Object>} { probabilities, aiProbability }
+     */
+    async run(data) {
+        const { input, output } = this.descriptor;
+        const dims = input.layout === 'NCHW' ? [1, 3, input.height, input.width] : [1, input.height, input.width, 3];
+        const tensor = new ort.Tensor('float32', data, dims);
+        let outputs = null;
+
+        try {
+            outputs = await this.session.run({ [this.inputName]: tensor });
+            const scores = Array.from(outputs[this.outputName].data, Number);
+            if (scores.length !== output.labels.length) {
+                throw new Error(`The model gives ${scores.length} outputs for ${output.labels.length} labels`);
+            }
+
+            const probabilities = this.activate(scores, output.activation);
+            const byLabel = Object.fromEntries(output.labels.map((label, i) => [label, probabilities[i]]));
+            const aiProbability = output.aiLabels
+                .filter(label => label in byLabel)
+                .reduce((sum, label) => sum + byLabel[label], 0);
+
+            return { probabilities: byLabel, aiProbability: Math.min(Math.max(aiProbability, 0), 1) };
+        } finally {
+            tensor.dispose();
+            if (outputs) {
+                for (const value of Object.values(outputs)) value.dispose();
+            }
+        }
+    }
+
+    /**
+     * Turn raw outputs into probabilities
+     * @param {Array<number>} scores - Model outputs
+     * @param {string} activation - 'softmax', 'sigmoid' or 'none'
+     * @returns {Array<number>} Probabilities
+     */
+    activate(scores, activation) {
+        if (activation === 'sigmoid') {
+            return scores.map(score => 1 / (1 + Math.exp(-score)));
+        }
+        if (activation === 'softmax') {
+            const max = Math.max(...scores);
+            const exps = scores.map(score => Math.exp(score - max));
+            const total = exps.reduce((sum, value) => sum + value, 0);
+            return exps.map(value => value / total);
+        }
+        return scores;
+    }
+
+    /**
+     * Summarize per-frame classifications
+     * @param {Array<Object>} classifications - Outputs of classify, in timestamp order
+     * @param {Array<number>} timestamps - Frame times in seconds
+     * @returns {Object} { model, aiProbability, frames: [{ time, aiProbability, probabilities }] }
+     */
+    summarize(classifications, timestamps) {
+        return {
+            model: this.descriptor.name,
+            aiProbability: classifications.reduce((sum, entry) => sum + entry.aiProbability, 0) / classifications.length,
+            frames: classifications.map((entry, i) => ({ time: timestamps[i], ...entry }))
+        };
+    }
+
+    /**
+     * Free the session's WASM memory; the classifier cannot run afterwards
+     * @returns {Promise<void>}
+     */
+    async dispose() {
+        await this.pending;
+        await this.session.release();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpatialClassifier;
+}
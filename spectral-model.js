@@ -0,0 +1,231 @@
+/**
+ * Spectral Model
+ * Logistic regression over the pattern scores of analyzeFFTPattern, fitted on the user's labeled feedback
+ * An attached model replaces the hand-tuned pattern weights of FFTAnalyzer.scorePatterns and the spectral detectors.
+ */
+
+const SpectralModel = {
+    format: 'fft-spectral-model',
+    version: 1,
+
+    // Pattern scores the model reads; every tile, frame, region and face has them
+    features: [
+        'gridPattern',
+        'brightDots',
+        'crossShape',
+        'checkerboard',
+        'smoothGradient',
+        'falloffDeviation',
+        'tailAnomaly',
+        'compression'
+    ],
+
+    // Ridge penalty on the standardized weights; few labels would otherwise be fitted exactly
+    l2: 1,
+
+    /**
+     * Validate a model, e.g. one loaded from JSON
+     * @param {Object} model - Parsed model
+     * @returns {Object} The model, safe to attach to an analyzer
+     */
+    normalize(model) {
+        if (!model || model.format !== this.format) {
+            throw new Error('Not a spectral model: expected format "fft-spectral-model"');
+        }
+        if (model.version !== this.version) {
+            throw new Error(`Unsupported spectral model version: ${model.version}`);
+        }
+        if (model.method !== 'logistic') {
+            throw new Error(`Unknown spectral model method: ${model.method}`);
+        }
+
+        const count = this.features.length;
+        if (!Array.isArray(model.features) || model.features.join() !== this.features.join()) {
+            throw new Error(`Spectral model features must be ${this.features.join(', ')}`);
+        }
+        for (const key of ['mean', 'scale', 'weights']) {
+            if (!Array.isArray(model[key]) || model[key].length !== count || !model[key].every(Number.isFinite)) {
+                throw new Error(`Spectral model field "${key}" must list ${count} numbers`);
+            }
+        }
+        if (model.scale.some(value => value <= 0)) {
+            throw new Error('Spectral model scales must be positive');
+        }
+        if (!Number.isFinite(model.bias)) {
+            throw new Error('Spectral model field "bias" must be a number');
+        }
+        if (!model.trainedOn || !Number.isInteger(model.trainedOn.real) || !Number.isInteger(model.trainedOn.fake)) {
+            throw new Error('Spectral model field "trainedOn" must give the real and fake label counts');
+        }
+
+        return model;
+    },
+
+    /**
+     * Probability of AI generation for one set of pattern scores
+     * @param {Object} model - Spectral model
+     * @param {Object} patterns - Pattern scores from analyzeFFTPattern
+     * @returns {number} Probability 0-1
+     */
+    probability(model, patterns) {
+        let logit = model.bias;
+        for (let i = 0; i < model.features.length; i++) {
+            logit += model.weights[i] * ((patterns[model.features[i]] || 0) - model.mean[i]) / model.scale[i];
+        }
+        return 1 / (1 + Math.exp(-logit));
+    },
+
+    /**
+     * Fit a model to labeled examples by Newton's method (IRLS)
+     * Features are standardized first, so the ridge penalty treats them
+     * alike; the classes are weighted to count equally, so a pile of
+     * labels of one kind does not move the decision point.
+     * @param {Array<Object>} examples - { label, patterns }, label 1 for AI and 0 for real
+     * @param {Object} context - Analyzer settings the examples came from { preprocessing }
+     * @returns {Object} Spectral model
+     */
+    fit(examples, context = {}) {
+        const fake = examples.filter(example => example.label === 1).length;
+        const real = examples.length - fake;
+        if (real === 0 || fake === 0) {
+            throw new Error('Retraining needs at least one example labeled real and one labeled AI');
+        }
+
+        const count = this.features.length;
+        const rows = examples.map(example => this.features.map(name => example.patterns[name] || 0));
+        const mean = this.features.map((_, j) => rows.reduce((sum, row) => sum + row[j], 0) / rows.length);
+        const scale = this.features.map((_, j) => {
+            const variance = rows.reduce((sum, row) => sum + (row[j] - mean[j]) ** 2, 0) / rows.length;
+            return Math.sqrt(variance) || 1; // A constant feature keeps weight 0 under the penalty
+        });
+
+        // Standardized rows with a trailing 1 for the bias
+        const inputs = rows.map(row => [...row.map((value, j) => (value - mean[j]) / scale[j]), 1]);
+        const sampleWeights = examples.map(example => examples.length / (2 * (example.label === 1 ? fake : real)));
+        const beta = new Array(count + 1).fill(0);
+
+        for (let iteration = 0; iteration < 100; iteration++) {
+            const gradient = beta.map((value, j) => (j < count ? this.l2 * value : 0));
+            const hessian = beta.map((_, j) => beta.map((__, k) => (j === k ? (j < count ? this.l2 : 1e-9) : 0)));
+
+            inputs.forEach((input, i) => {
+                const logit = input.reduce((sum, value, j) => sum + value * beta[j], 0);
+                const p = 1 / (1 + Math.exp(-logit));
+                const residual = sampleWeights[i] * (p - examples[i].label);
+                const curvature = sampleWeights[i] * p * (1 - p);
+
+                for (let j = 0; j <= count; j++) {
+                    gradient[j] += residual * input[j];
+                    for (let k = 0; k <= count; k++) {
+                        hessian[j][k] += curvature * input[j] * input[k];
+                    }
+                }
+            });
+
+            const step = this.solve(hessian, gradient);
+            let largest = 0;
+            for (let j = 0; j <= count; j++) {
+                beta[j] -= step[j];
+                largest = Math.max(largest, Math.abs(step[j]));
+            }
+            if (largest < 1e-9) break;
+        }
+
+        const model = {
+            format: this.format,
+            version: this.version,
+            createdAt: new Date().toISOString(),
+            method: 'logistic',
+            features: this.features.slice(),
+            mean,
+            scale,
+            weights: beta.slice(0, count),
+            bias: beta[count],
+            trainedOn: {
+                real,
+                fake,
+                preprocessing: context.preprocessing ? Preprocessing.format(context.preprocessing) : null
+            }
+        };
+
+        // Figures on the training labels themselves, so they flatter the model
+        const probabilities = examples.map(example => this.probability(model, example.patterns));
+        const correct = probabilities.filter((p, i) => (p >= 0.5 ? 1 : 0) === examples[i].label).length;
+        model.metrics = {
+            accuracy: correct / examples.length,
+            logLoss: -probabilities.reduce((sum, p, i) => {
+                const q = Math.min(Math.max(examples[i].label === 1 ? p : 1 - p, 1e-12), 1);
+                return sum + Math.log(q);
+            }, 0) / examples.length
+        };
+
+        return model;
+    },
+
+    /**
+     * Solve a small symmetric positive-definite system by Gaussian elimination with partial pivoting
+     * @param {Array<Array<number>>} matrix - Square matrix; left unchanged
+     * @param {Array<number>} vector - Right-hand side
+     * @returns {Array<number>} Solution
+     */
+    solve(matrix, vector) {
+        const n = vector.length;
+        const rows = matrix.map((row, i) => [...row, vector[i]]);
+
+        for (let column = 0; column < n; column++) {
+            let pivot = column;
+            for (let row = column + 1; row < n; row++) {
+                if (Math.abs(rows[row][column]) > Math.abs(rows[pivot][column])) pivot = row;
+            }
+            [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+            for (let row = column + 1; row < n; row++) {
+                const factor = rows[row][column] / rows[column][column];
+                for (let k = column; k <= n; k++) {
+                    rows[row][k] -= factor * rows[column][k];
+                }
+            }
+        }
+
+        const solution = new Array(n).fill(0);
+        for (let row = n - 1; row >= 0; row--) {
+            let sum = rows[row][n];
+            for (let k = row + 1; k < n; k++) sum -= rows[row][k] * solution[k];
+            solution[row] = sum / rows[row][row];
+        }
+        return solution;
+    },
+
+    /**
+     * Everything worth keeping about an analysis for later retraining
+     * The model reads the pattern scores; the other measurements ride along
+     * so a richer model can be fitted to the same labels later.
+     * @param {Object} results - Analysis results from FFTAnalyzer
+     * @returns {Object} { patterns, frames, features }
+     */
+    describeResults(results) {
+        const mean = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+        const profiles = results.frames.map(frame => frame.profile).filter(Boolean).map(profile => profile.features);
+        const profileMean = (key) => mean(profiles.map(features => features[key]).filter(Number.isFinite));
+
+        return {
+            patterns: { ...results.patterns },
+            frames: results.frames.map(frame => ({ ...frame.patterns })),
+            features: {
+                tailSlope: profileMean('tailSlope'),
+                tailResidual: profileMean('tailResidual'),
+                angularPeak: profileMean('angularPeak'),
+                compressionBlock: results.compression ? results.compression.blockSize : null,
+                channelCorrelation: results.channels ? results.channels.correlation.high : null,
+                cfaStrength: results.channels ? results.channels.cfa.strength : null,
+                pulseScore: results.pulse && results.pulse.status === 'ok' ? results.pulse.pulseScore : null,
+                temporalConsistency: results.temporal && results.temporal.status === 'ok' ? results.temporal.consistency : null,
+                spatialProbability: results.spatial ? results.spatial.aiProbability : null
+            }
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpectralModel;
+}
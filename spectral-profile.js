@@ -0,0 +1,264 @@
+/**
+ * Spectral Profiles
+ * Azimuthally averaged (radial) and angular power profiles of a centered spectrum
+ */
+
+const SpectralProfile = {
+    // Radial band used to fit the natural power-law falloff (fraction of the spectrum size)
+    fitBand: [0.05, 0.5],
+
+    // High-frequency tail, compared against the falloff extrapolated from below it
+    tailBand: [0.25, 0.5],
+
+    // Annulus used for the angular profile; skips the low-frequency core
+    angularBand: [0.1, 0.5],
+
+    angularBins: 36, // 5 degrees each over [0, 180)
+
+    /**
+     * Compute both profiles and the features derived from them
+     * @param {Float32Array} magnitude - Centered log-magnitude spectrum (dB)
+     * @param {number} width - Spectrum width
+     * @param {number} height - Spectrum height
+     * @returns {Object} { radial, angular, features }
+     */
+    analyze(magnitude, width, height) {
+        const radial = this.radialProfile(magnitude, width, height);
+        const angular = this.angularProfile(magnitude, width, height);
+
+        return {
+            radial,
+            angular,
+            features: this.extractFeatures(radial, angular, Math.min(width, height))
+        };
+    },
+
+    /**
+     * Mean power per integer radius, in dB
+     * Power is averaged linearly, then converted back to dB.
+     * @param {Float32Array} magnitude - Centered log-magnitude spectrum (dB)
+     * @param {number} width - Spectrum width
+     * @param {number} height - Spectrum height
+     * @returns {Float32Array} Profile indexed by radius 0..min(width, height)/2
+     */
+    radialProfile(magnitude, width, height) {
+        const centerX = Math.floor(width / 2);
+        const centerY = Math.floor(height / 2);
+        const maxRadius = Math.floor(Math.min(width, height) / 2);
+        const sums = new Float64Array(maxRadius + 1);
+        const counts = new Uint32Array(maxRadius + 1);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const dx = x - centerX;
+                const dy = y - centerY;
+                const radius = Math.round(Math.sqrt(dx * dx + dy * dy));
+                if (radius > maxRadius) continue;
+
+                sums[radius] += Math.pow(10, magnitude[y * width + x] / 10);
+                counts[radius]++;
+            }
+        }
+
+        const profile = new Float32Array(maxRadius + 1);
+        for (let r = 0; r <= maxRadius; r++) {
+            profile[r] = 10 * Math.log10(sums[r] / Math.max(counts[r], 1) + 1e-10);
+        }
+
+        return profile;
+    },
+
+    /**
+     * How far each bin rises above the median of its ring, in dB
+     * The median follows the spectrum's falloff, so a bin only stands out by being
+     * brighter than others at the same frequency; a few bright peaks do not move it
+     * the way they move the mean of radialProfile. Rings run out to the corners.
+     * @param {Float32Array} magnitude - Centered log-magnitude spectrum (dB)
+     * @param {number} width - Spectrum width
+     * @param {number} height - Spectrum height
+     * @returns {Float32Array} Excess per bin, laid out like magnitude
+     */
+    ringExcess(magnitude, width, height) {
+        const centerX = Math.floor(width / 2);
+        const centerY = Math.floor(height / 2);
+        const radii = new Uint32Array(width * height);
+        let maxRadius = 0;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const dx = x - centerX;
+                const dy = y - centerY;
+                const radius = Math.round(Math.sqrt(dx * dx + dy * dy));
+                radii[y * width + x] = radius;
+                maxRadius = Math.max(maxRadius, radius);
+            }
+        }
+
+        // Group the values ring by ring, then sort each ring for its median
+        const starts = new Uint32Array(maxRadius + 2);
+        for (const radius of radii) starts[radius + 1]++;
+        for (let r = 0; r <= maxRadius; r++) starts[r + 1] += starts[r];
+
+        const grouped = new Float32Array(radii.length);
+        const filled = starts.slice(0, maxRadius + 1);
+        for (let i = 0; i < radii.length; i++) {
+            grouped[filled[radii[i]]++] = magnitude[i];
+        }
+
+        const medians = new Float32Array(maxRadius + 1);
+        for (let r = 0; r <= maxRadius; r++) {
+            const ring = grouped.subarray(starts[r], starts[r + 1]).sort();
+            medians[r] = ring.length > 0 ? ring[ring.length >> 1] : 0;
+        }
+
+        return magnitude.map((value, i) => value - medians[radii[i]]);
+    },
+
+    /**
+     * Mean power per orientation over a mid/high-frequency annulus, in dB
+     * @param {Float32Array} magnitude - Centered log-magnitude spectrum (dB)
+     * @param {number} width - Spectrum width
+     * @param {number} height - Spectrum height
+     * @returns {Float32Array} Profile over [0, 180) degrees
+     */
+    angularProfile(magnitude, width, height) {
+        const centerX = Math.floor(width / 2);
+        const centerY = Math.floor(height / 2);
+        const size = Math.min(width, height);
+        const innerRadius = this.angularBand[0] * size;
+        const outerRadius = this.angularBand[1] * size;
+        const bins = this.angularBins;
+        const sums = new Float64Array(bins);
+        const counts = new Uint32Array(bins);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const dx = x - centerX;
+                const dy = centerY - y;
+                const radius = Math.sqrt(dx * dx + dy * dy);
+                if (radius < innerRadius || radius > outerRadius) continue;
+
+                // The spectrum of a real image is point-symmetric, so fold onto [0, PI)
+                let angle = Math.atan2(dy, dx);
+                if (angle < 0) angle += Math.PI;
+                const bin = Math.min(Math.floor(angle / Math.PI * bins), bins - 1);
+
+                sums[bin] += Math.pow(10, magnitude[y * width + x] / 10);
+                counts[bin]++;
+            }
+        }
+
+        const profile = new Float32Array(bins);
+        for (let i = 0; i < bins; i++) {
+            profile[i] = 10 * Math.log10(sums[i] / Math.max(counts[i], 1) + 1e-10);
+        }
+
+        return profile;
+    },
+
+    /**
+     * Derive falloff and anisotropy features
+     * Natural images fall off as a power law, i.e. a straight line in
+     * dB over log-frequency; generator upsampling adds bumps and a raised tail.
+     * @param {Float32Array} radial - Radial profile (dB)
+     * @param {Float32Array} angular - Angular profile (dB)
+     * @param {number} size - Spectrum size the radii refer to
+     * @returns {Object} Feature values
+     */
+    extractFeatures(radial, angular, size) {
+        const maxRadius = radial.length - 1;
+        const radiusRange = (band) => [
+            Math.max(1, Math.round(band[0] * size)),
+            Math.min(maxRadius, Math.round(band[1] * size))
+        ];
+
+        // Power-law fit over the main band: dB = intercept + slope * log10(frequency)
+        const [fitStart, fitEnd] = radiusRange(this.fitBand);
+        const fit = this.fitLine(radial, fitStart, fitEnd, size);
+
+        let squaredResidual = 0;
+        for (let r = fitStart; r <= fitEnd; r++) {
+            const residual = radial[r] - (fit.intercept + fit.slope * Math.log10(r / size));
+            squaredResidual += residual * residual;
+        }
+        const falloffDeviation = Math.sqrt(squaredResidual / Math.max(fitEnd - fitStart + 1, 1));
+
+        // Tail: its own slope, and how far it strays from the falloff of the
+        // band below it (raised by upsampling, collapsed by smoothing)
+        const [tailStart, tailEnd] = radiusRange(this.tailBand);
+        const tailFit = this.fitLine(radial, tailStart, tailEnd, size);
+        const midFit = this.fitLine(radial, fitStart, Math.max(tailStart - 1, fitStart + 1), size);
+
+        let tailResidual = 0;
+        for (let r = tailStart; r <= tailEnd; r++) {
+            tailResidual += radial[r] - (midFit.intercept + midFit.slope * Math.log10(r / size));
+        }
+        tailResidual /= Math.max(tailEnd - tailStart + 1, 1);
+
+        // Anisotropy: strongest orientation relative to the median one
+        const sortedAngular = Array.from(angular).sort((a, b) => a - b);
+        const angularMedian = sortedAngular[Math.floor(sortedAngular.length / 2)];
+        const angularPeak = sortedAngular[sortedAngular.length - 1] - angularMedian;
+
+        return {
+            fitSlope: fit.slope, // dB per decade
+            fitIntercept: fit.intercept,
+            fitRange: [fitStart, fitEnd],
+            tailSlope: tailFit.slope, // dB per decade
+            tailResidual, // dB above (or below) the extrapolated falloff
+            falloffDeviation, // RMS dB around the fit
+            angularPeak // dB above the median orientation
+        };
+    },
+
+    /**
+     * Least-squares line of profile dB against log10(radius / size)
+     * @param {Float32Array} profile - Radial profile (dB)
+     * @param {number} start - First radius (>= 1)
+     * @param {number} end - Last radius
+     * @param {number} size - Spectrum size
+     * @returns {Object} { slope, intercept }
+     */
+    fitLine(profile, start, end, size) {
+        let sumX = 0;
+        let sumY = 0;
+        let sumXX = 0;
+        let sumXY = 0;
+        let n = 0;
+
+        for (let r = start; r <= end; r++) {
+            const x = Math.log10(r / size);
+            sumX += x;
+            sumY += profile[r];
+            sumXX += x * x;
+            sumXY += x * profile[r];
+            n++;
+        }
+
+        const denominator = n * sumXX - sumX * sumX;
+        if (n < 2 || denominator === 0) {
+            return { slope: 0, intercept: n > 0 ? sumY / n : 0 };
+        }
+
+        const slope = (n * sumXY - sumX * sumY) / denominator;
+        return { slope, intercept: (sumY - slope * sumX) / n };
+    },
+
+    /**
+     * Map features onto 0-1 pattern scores used by the verdict
+     * @param {Object} features - Output of extractFeatures
+     * @returns {Object} { falloffDeviation, tailAnomaly }
+     */
+    toPatternScores(features) {
+        return {
+            // Natural spectra stay within ~1 dB of the power law
+            falloffDeviation: Math.min(Math.max((features.falloffDeviation - 1) / 5, 0), 1),
+            // A tail several dB off the extrapolated falloff, either way, points at resampling
+            tailAnomaly: Math.min(Math.max((Math.abs(features.tailResidual) - 3) / 6, 0), 1)
+        };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpectralProfile;
+}
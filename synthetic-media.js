@@ -0,0 +1,353 @@
+/**
+ * Synthetic Media
+ * Deterministic test images: artifact-free natural noise, and the same noise with injected artifacts of known period
+ */
+
+const SyntheticMedia = {
+    /**
+     * Test cases; `expected` lists the patterns (see FFTAnalyzer.patternThresholds)
+     * that should fire, and an empty list means none should. Expectations follow
+     * from the artifact, not from what the detector currently reports: a period-p
+     * artifact puts spectral peaks every N/p bins, and line-shaped artifacts
+     * concentrate energy on the axes.
+     */
+    cases: [
+        {
+            id: 'natural',
+            label: 'Natural noise',
+            period: null,
+            expected: [],
+            build: (size, seed) => SyntheticMedia.natural(size, seed)
+        },
+        {
+            id: 'naturalAlt',
+            label: 'Natural noise (second seed)',
+            period: null,
+            expected: [],
+            build: (size, seed) => SyntheticMedia.natural(size, seed + 101)
+        },
+        {
+            id: 'nearest2x',
+            label: 'Nearest-neighbour 2× upsampling',
+            period: 2,
+            expected: ['gridPattern'],
+            build: (size, seed) => SyntheticMedia.nearestUpsample(size, seed, 2)
+        },
+        {
+            id: 'nearest4x',
+            label: 'Nearest-neighbour 4× upsampling',
+            period: 4,
+            expected: ['gridPattern'],
+            build: (size, seed) => SyntheticMedia.nearestUpsample(size, seed, 4)
+        },
+        {
+            id: 'transposed2x',
+            label: 'Transposed-convolution 2× upsampling',
+            period: 2,
+            expected: ['gridPattern', 'checkerboard'],
+            build: (size, seed) => SyntheticMedia.transposedConv(size, seed, 2)
+        },
+        {
+            id: 'transposed4x',
+            label: 'Transposed-convolution 4× upsampling',
+            period: 4,
+            expected: ['gridPattern', 'checkerboard'],
+            build: (size, seed) => SyntheticMedia.transposedConv(size, seed, 4)
+        },
+        {
+            id: 'grid16',
+            label: 'Periodic grid, 16 px',
+            period: 16,
+            expected: ['gridPattern', 'crossShape'],
+            build: (size, seed) => SyntheticMedia.grid(size, seed, 16)
+        },
+        {
+            // Beside grid16: 12 px is no codec block size, so none of the
+            // grid's evidence is discounted as compression
+            id: 'grid12',
+            label: 'Periodic grid, 12 px',
+            period: 12,
+            expected: ['gridPattern', 'crossShape'],
+            build: (size, seed) => SyntheticMedia.grid(size, seed, 12)
+        },
+        {
+            id: 'blocks8',
+            label: '8×8 block edges',
+            period: 8,
+            expected: ['gridPattern', 'crossShape'],
+            build: (size, seed) => SyntheticMedia.blockEdges(size, seed, 8)
+        },
+        {
+            id: 'jpeg50',
+            label: 'JPEG-style DCT quantization, quality 50',
+            period: 8,
+            expected: ['compression'],
+            build: (size, seed) => SyntheticMedia.dctQuantize(size, seed, 50)
+        }
+    ],
+
+    // Baseline JPEG luminance quantization table (ITU T.81, Annex K), row-major
+    jpegQuantization: [
+        16, 11, 10, 16, 24, 40, 51, 61,
+        12, 12, 14, 19, 26, 58, 60, 55,
+        14, 13, 16, 24, 40, 57, 69, 56,
+        14, 17, 22, 29, 51, 87, 80, 62,
+        18, 22, 37, 56, 68, 109, 103, 77,
+        24, 35, 55, 64, 81, 104, 113, 92,
+        49, 64, 78, 87, 103, 121, 120, 101,
+        72, 92, 95, 98, 112, 100, 103, 99
+    ],
+
+    /**
+     * Noise with a roughly 1/f amplitude spectrum, like natural scenes
+     * Octaves of Gaussian-blurred white noise, weighted by their scale, so no
+     * interpolation grid leaves a periodic trace.
+     * @param {number} size - Width and height in pixels
+     * @param {number} seed - Random seed
+     * @returns {Float32Array} Plane with values around 0-255
+     */
+    naturalPlane(size, seed) {
+        const random = Utils.createRandom(seed);
+        const plane = new Float32Array(size * size);
+
+        for (let sigma = 1; sigma <= size / 8; sigma *= 2) {
+            const noise = new Float32Array(size * size);
+            for (let i = 0; i < noise.length; i++) {
+                noise[i] = random() - 0.5;
+            }
+
+            // A blurred plane's spread falls as 1/sigma; scaling by sigma² leaves sigma
+            const octave = Utils.gaussianBlur(noise, size, size, sigma);
+            for (let i = 0; i < plane.length; i++) {
+                plane[i] += octave[i] * sigma * sigma;
+            }
+        }
+
+        return this.stretch(plane);
+    },
+
+    /**
+     * Stretch a plane to mid-grey values, leaving headroom for injected artifacts
+     * @param {Float32Array} plane - Plane, modified in place
+     * @returns {Float32Array} The plane, with values in 40-215
+     */
+    stretch(plane) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const value of plane) {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        for (let i = 0; i < plane.length; i++) {
+            plane[i] = 40 + (plane[i] - min) / (max - min || 1) * 175;
+        }
+
+        return plane;
+    },
+
+    /**
+     * Artifact-free natural noise image
+     * @param {number} size - Width and height in pixels
+     * @param {number} seed - Random seed
+     * @returns {Object} ImageData-like { width, height, data }
+     */
+    natural(size, seed) {
+        return this.toImage(this.naturalPlane(size, seed), size);
+    },
+
+    /**
+     * Natural noise rendered at 1/factor size and enlarged by pixel repetition
+     * @param {number} size - Output width and height
+     * @param {number} seed - Random seed
+     * @param {number} factor - Upsampling factor
+     * @returns {Object} ImageData-like { width, height, data }
+     */
+    nearestUpsample(size, seed, factor) {
+        const small = size / factor;
+        const source = this.naturalPlane(small, seed);
+        const plane = new Float32Array(size * size);
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                plane[y * size + x] = source[Math.floor(y / factor) * small + Math.floor(x / factor)];
+            }
+        }
+
+        return this.toImage(plane, size);
+    },
+
+    /**
+     * Natural noise enlarged by a strided transposed convolution
+     * The (factor + 1)-wide box kernel overlaps unevenly between strides, which
+     * leaves the checkerboard known from deconvolution layers.
+     * @param {number} size - Output width and height
+     * @param {number} seed - Random seed
+     * @param {number} factor - Stride
+     * @returns {Object} ImageData-like { width, height, data }
+     */
+    transposedConv(size, seed, factor) {
+        const small = size / factor;
+        const source = this.naturalPlane(small, seed);
+        const kernel = factor + 1;
+        const plane = new Float32Array(size * size);
+
+        for (let i = 0; i < small; i++) {
+            for (let j = 0; j < small; j++) {
+                const value = source[i * small + j];
+                for (let u = 0; u < kernel; u++) {
+                    for (let v = 0; v < kernel; v++) {
+                        const y = i * factor + u;
+                        const x = j * factor + v;
+                        if (y < size && x < size) {
+                            plane[y * size + x] += value;
+                        }
+                    }
+                }
+            }
+        }
+
+        return this.toImage(this.stretch(plane), size);
+    },
+
+    /**
+     * Natural noise overlaid with one-pixel lines every `period` pixels
+     * @param {number} size - Width and height in pixels
+     * @param {number} seed - Random seed
+     * @param {number} period - Line spacing in pixels
+     * @returns {Object} ImageData-like { width, height, data }
+     */
+    grid(size, seed, period) {
+        const plane = this.naturalPlane(size, seed);
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (x % period === 0 || y % period === 0) {
+                    plane[y * size + x] += 30;
+                }
+            }
+        }
+
+        return this.toImage(plane, size);
+    },
+
+    /**
+     * Natural noise with a random brightness step per block, as left by
+     * coarse block-based compression
+     * @param {number} size - Width and height in pixels
+     * @param {number} seed - Random seed
+     * @param {number} blockSize - Block width and height
+     * @returns {Object} ImageData-like { width, height, data }
+     */
+    blockEdges(size, seed, blockSize) {
+        const plane = this.naturalPlane(size, seed);
+        const random = Utils.createRandom(seed + 7);
+        const blocks = Math.ceil(size / blockSize);
+        const offsets = Float32Array.from({ length: blocks * blocks }, () => (random() - 0.5) * 24);
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                plane[y * size + x] += offsets[Math.floor(y / blockSize) * blocks + Math.floor(x / blockSize)];
+            }
+        }
+
+        return this.toImage(plane, size);
+    },
+
+    /**
+     * Natural noise through the lossy step of baseline JPEG: each 8×8 block's
+     * DCT coefficients are rounded to the quality-scaled luminance table
+     * @param {number} size - Width and height in pixels (a multiple of 8)
+     * @param {number} seed - Random seed
+     * @param {number} quality - JPEG quality 1-100, scaled as in libjpeg
+     * @returns {Object} ImageData-like { width, height, data }
+     */
+    dctQuantize(size, seed, quality) {
+        const plane = this.naturalPlane(size, seed);
+        const scale = quality < 50 ? 5000 / quality : 200 - 2 * quality;
+        const steps = this.jpegQuantization.map(value => Math.max(1, Math.floor((value * scale + 50) / 100)));
+
+        // Orthonormal DCT-II basis: basis[u * 8 + x] = c(u) cos((2x + 1)uπ / 16)
+        const basis = new Float64Array(64);
+        for (let u = 0; u < 8; u++) {
+            for (let x = 0; x < 8; x++) {
+                basis[u * 8 + x] = (u === 0 ? Math.SQRT1_2 : 1) / 2 * Math.cos((2 * x + 1) * u * Math.PI / 16);
+            }
+        }
+
+        const block = new Float64Array(64);
+        const temp = new Float64Array(64);
+        for (let by = 0; by < size; by += 8) {
+            for (let bx = 0; bx < size; bx += 8) {
+                for (let y = 0; y < 8; y++) {
+                    for (let x = 0; x < 8; x++) {
+                        block[y * 8 + x] = plane[(by + y) * size + bx + x] - 128;
+                    }
+                }
+
+                // Forward transform (rows, then columns), quantize, inverse transform
+                this.transformBlock(block, temp, basis, false);
+                for (let i = 0; i < 64; i++) {
+                    block[i] = Math.round(block[i] / steps[i]) * steps[i];
+                }
+                this.transformBlock(block, temp, basis, true);
+
+                for (let y = 0; y < 8; y++) {
+                    for (let x = 0; x < 8; x++) {
+                        plane[(by + y) * size + bx + x] = block[y * 8 + x] + 128;
+                    }
+                }
+            }
+        }
+
+        return this.toImage(plane, size);
+    },
+
+    /**
+     * Separable 8×8 DCT, in place
+     * @param {Float64Array} block - 64 values, row-major
+     * @param {Float64Array} temp - 64-value scratch
+     * @param {Float64Array} basis - DCT basis from dctQuantize
+     * @param {boolean} inverse - Inverse transform (the basis transposed)
+     */
+    transformBlock(block, temp, basis, inverse) {
+        const weight = inverse ? (k, n) => basis[n * 8 + k] : (k, n) => basis[k * 8 + n];
+
+        for (let y = 0; y < 8; y++) {
+            for (let k = 0; k < 8; k++) {
+                let sum = 0;
+                for (let n = 0; n < 8; n++) sum += weight(k, n) * block[y * 8 + n];
+                temp[y * 8 + k] = sum;
+            }
+        }
+        for (let x = 0; x < 8; x++) {
+            for (let k = 0; k < 8; k++) {
+                let sum = 0;
+                for (let n = 0; n < 8; n++) sum += weight(k, n) * temp[n * 8 + x];
+                block[k * 8 + x] = sum;
+            }
+        }
+    },
+
+    /**
+     * Grey plane to RGBA pixels
+     * @param {Float32Array} plane - Values around 0-255
+     * @param {number} size - Width and height in pixels
+     * @returns {Object} ImageData-like { width, height, data }
+     */
+    toImage(plane, size) {
+        const data = new Uint8ClampedArray(size * size * 4);
+
+        for (let i = 0; i < plane.length; i++) {
+            data[i * 4] = plane[i];
+            data[i * 4 + 1] = plane[i];
+            data[i * 4 + 2] = plane[i];
+            data[i * 4 + 3] = 255;
+        }
+
+        return { width: size, height: size, data };
+    }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyntheticMedia;
+}
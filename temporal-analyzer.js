@@ -0,0 +1,255 @@
+/**
+ * Temporal Analyzer
+ * Spatio-temporal spectrum of a run of consecutive frames: looks for frame-to-frame texture flicker that single-frame spectra miss
+ */
+
+class TemporalAnalyzer {
+    /**
+     * @param {Object} settings - Temporal settings
+     * @param {number} settings.fps - Frames captured per second; at or above the video's
+     *     frame rate the run is every frame in order
+     * @param {number} settings.frames - Length of the run
+     */
+    constructor(settings = {}) {
+        this.settings = {
+            fps: 24,
+            frames: 32,
+            ...settings
+        };
+
+        this.captureSize = 128; // Texture statistics only, so frames are captured small
+        this.minFrames = 8; // Shortest run with a usable temporal spectrum
+        this.residualSigma = 1.5; // Gaussian blur subtracted to isolate fine texture
+        this.motionSigma = 3; // Blur of the planes used for motion search
+        this.maxShift = 4; // Largest frame-to-frame camera shift searched, in captured pixels
+        this.maxDrift = 0.5; // Share of the frame the camera may travel over the run
+        this.cutGuard = 1.5; // Motion-compensated change of the coarse content, relative to its contrast, that means a cut
+        this.flickerRange = [0.1, 0.4]; // Incoherent-energy range mapped onto a 0-1 flicker score
+        this.fftEngine = new FFTEngine();
+    }
+
+    /**
+     * Capture a run of consecutive frames and measure how their fine texture changes over time
+     * Global camera motion is tracked and compensated, so each pixel series
+     * follows the same scene point; what still changes from frame to frame,
+     * and how erratically, is the temporal signature measured.
+     * @param {number} duration - Video duration in seconds
+     * @param {Object} options - Analysis options
+     * @param {Function} options.capture - async (time, size) => ImageData
+     * @param {Function} options.onProgress - Called with (captured, total)
+     * @param {AbortSignal} options.signal - Stops sampling when aborted
+     * @returns {Promise<Object>} Temporal result; status is 'ok' or 'skipped'
+     */
+    async analyze(duration, options = {}) {
+        const { capture, onProgress = null, signal = null } = options;
+        const { fps, frames } = this.settings;
+        const size = this.captureSize;
+
+        const length = frames / fps;
+        if (!(duration >= length) || frames < this.minFrames) {
+            return this.abstain(`clip is shorter than the ${frames}-frame run (${length.toFixed(1)} s)`);
+        }
+
+        // The middle of the clip, away from intros and fades
+        const start = (duration - length) / 2;
+        const residuals = [];
+        const offsets = [{ x: 0, y: 0 }];
+        let previous = null;
+        let maxChange = 0;
+
+        for (let i = 0; i < frames; i++) {
+            Utils.throwIfAborted(signal);
+
+            const plane = Utils.rgbToGrayscale(await capture(start + i / fps, size));
+            const smooth = Utils.gaussianBlur(plane, size, size, this.residualSigma);
+            residuals.push(plane.map((value, j) => value - smooth[j]));
+
+            const motionPlane = Utils.gaussianBlur(plane, size, size, this.motionSigma);
+            if (previous) {
+                const shift = this.estimateShift(previous, motionPlane, size);
+                const last = offsets[offsets.length - 1];
+                offsets.push({ x: last.x + shift.x, y: last.y + shift.y });
+                maxChange = Math.max(maxChange, shift.change);
+            }
+            previous = motionPlane;
+
+            if (onProgress) {
+                onProgress(i + 1, frames);
+            }
+        }
+
+        const drift = Math.max(...offsets.map(offset => Math.max(Math.abs(offset.x), Math.abs(offset.y))));
+        if (drift > size * this.maxDrift) {
+            return this.abstain('the camera moves too far during the run', { drift: drift / size });
+        }
+        if (maxChange > this.cutGuard) {
+            return this.abstain('a cut breaks the run', { motionChange: maxChange });
+        }
+
+        const statistics = this.measure(residuals, offsets, size, fps);
+        const [low, high] = this.flickerRange;
+        const flickerScore = Math.min(Math.max((statistics.incoherentEnergy - low) / (high - low), 0), 1);
+
+        return {
+            status: 'ok',
+            reason: null,
+            window: { start, end: start + length, fps, frames },
+            ...statistics,
+            consistency: 1 - statistics.incoherentEnergy,
+            flickerScore,
+            // Coarse content that changes even after motion compensation is local motion, which also stirs texture
+            reliability: 1 - maxChange / this.cutGuard,
+            drift: drift / size,
+            motionChange: maxChange
+        };
+    }
+
+    /**
+     * Result for a clip the check cannot judge
+     * @param {string} reason - Why the check did not run
+     * @param {Object} extra - Measurements taken before giving up
+     * @returns {Object} Temporal result without an estimate
+     */
+    abstain(reason, extra = {}) {
+        return {
+            status: 'skipped',
+            reason,
+            consistency: null,
+            flickerScore: null,
+            reliability: null,
+            ...extra
+        };
+    }
+
+    /**
+     * Integer translation from one motion plane to the next
+     * Exhaustive search over ±maxShift. A shift has to beat standing still
+     * clearly, or changing texture alone would pull out one-pixel jitter.
+     * The remaining mean absolute difference, relative to the content's own
+     * contrast, tells how much the shift leaves unexplained.
+     * @param {Float32Array} previous - Blurred plane of the earlier frame
+     * @param {Float32Array} next - Blurred plane of the later frame
+     * @param {number} size - Plane width and height
+     * @returns {Object} { x, y, change }: content moved by (x, y) pixels
+     */
+    estimateShift(previous, next, size) {
+        const margin = this.maxShift;
+        let still = 0;
+        let best = { x: 0, y: 0, difference: Infinity };
+
+        for (let dy = -margin; dy <= margin; dy++) {
+            for (let dx = -margin; dx <= margin; dx++) {
+                let difference = 0;
+                for (let y = margin; y < size - margin; y++) {
+                    for (let x = margin; x < size - margin; x++) {
+                        difference += Math.abs(next[(y + dy) * size + x + dx] - previous[y * size + x]);
+                    }
+                }
+                if (dx === 0 && dy === 0) still = difference;
+                if (difference < best.difference) {
+                    best = { x: dx, y: dy, difference };
+                }
+            }
+        }
+        if (best.difference > still * 0.9) {
+            best = { x: 0, y: 0, difference: still };
+        }
+
+        const inner = (size - 2 * margin) * (size - 2 * margin);
+        let mean = 0;
+        for (let i = 0; i < previous.length; i++) mean += previous[i];
+        mean /= previous.length;
+        let contrast = 0;
+        for (let i = 0; i < previous.length; i++) contrast += Math.abs(previous[i] - mean);
+        contrast /= previous.length;
+
+        return { x: best.x, y: best.y, change: best.difference / inner / (contrast + 1) };
+    }
+
+    /**
+     * Temporal statistics of the motion-compensated residual pixel series
+     * Each series has its temporal mean (the static texture) removed, is
+     * Hann-windowed and transformed; power is averaged over all series.
+     * @param {Array<Float32Array>} residuals - High-pass residual planes, in time order
+     * @param {Array<Object>} offsets - Cumulative camera offset { x, y } of each frame
+     * @param {number} size - Plane width and height
+     * @param {number} fps - Capture rate in Hz
+     * @returns {Object} { variation, coherence, highFrequencyRatio, incoherentEnergy, spectrum }
+     */
+    measure(residuals, offsets, size, fps) {
+        const count = residuals.length;
+        const bins = (count >> 1) + 1;
+        const power = new Float64Array(bins);
+        const series = new Float64Array(count);
+        const real = new Float64Array(bins);
+        const imag = new Float64Array(bins);
+
+        const window = new Float64Array(count);
+        for (let t = 0; t < count; t++) {
+            window[t] = 0.5 - 0.5 * Math.cos(2 * Math.PI * t / count);
+        }
+
+        // Scene points that stay inside every frame
+        const minX = -Math.min(...offsets.map(offset => offset.x), 0);
+        const maxX = size - Math.max(...offsets.map(offset => offset.x), 0);
+        const minY = -Math.min(...offsets.map(offset => offset.y), 0);
+        const maxY = size - Math.max(...offsets.map(offset => offset.y), 0);
+
+        let totalEnergy = 0;
+        let varyingEnergy = 0;
+        let lagProduct = 0;
+
+        for (let y = minY; y < maxY; y++) {
+            for (let x = minX; x < maxX; x++) {
+                let mean = 0;
+                for (let t = 0; t < count; t++) {
+                    const value = residuals[t][(y + offsets[t].y) * size + x + offsets[t].x];
+                    series[t] = value;
+                    mean += value;
+                    totalEnergy += value * value;
+                }
+                mean /= count;
+
+                for (let t = 0; t < count; t++) {
+                    series[t] -= mean;
+                    varyingEnergy += series[t] * series[t];
+                    if (t > 0) lagProduct += series[t] * series[t - 1];
+                    series[t] *= window[t];
+                }
+
+                this.fftEngine.realTransform(series, real, imag);
+                for (let k = 0; k < bins; k++) {
+                    power[k] += real[k] * real[k] + imag[k] * imag[k];
+                }
+            }
+        }
+
+        // Upper half of the temporal band against everything above DC
+        let above = 0;
+        let high = 0;
+        for (let k = 1; k < bins; k++) {
+            above += power[k];
+            if (k > (bins - 1) / 2) high += power[k];
+        }
+
+        const variation = totalEnergy > 0 ? varyingEnergy / totalEnergy : 0;
+        const coherence = varyingEnergy > 0 ? lagProduct / varyingEnergy : 0;
+        const pixels = Math.max((maxX - minX) * (maxY - minY), 1);
+
+        return {
+            variation,
+            coherence,
+            highFrequencyRatio: above > 0 ? high / above : 0,
+            // Share of the texture's energy that changes erratically from frame to frame
+            incoherentEnergy: variation * Math.min(Math.max(1 - coherence, 0), 1),
+            spectrum: {
+                frequencies: Float32Array.from({ length: bins }, (_, k) => k * fps / count),
+                power: Float32Array.from(power, value => value / pixels)
+            }
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TemporalAnalyzer;
+}
@@ -0,0 +1,141 @@
+/**
+ * Tile Heatmap Overlay
+ * Draws per-tile AI likelihood and detected faces over the video frame
+ */
+
+class TileHeatmapOverlay {
+    /**
+     * @param {string} canvasId - Overlay canvas stacked on the video
+     * @param {string} videoId - Video element the tiles were read from
+     */
+    constructor(canvasId, videoId) {
+        this.canvas = document.getElementById(canvasId);
+        this.ctx = this.canvas.getContext('2d');
+        this.video = document.getElementById(videoId);
+        this.frame = null;
+        this.visible = true;
+    }
+
+    /**
+     * Show the tiles and faces of an analyzed frame
+     * @param {Object} frame - Per-frame result with tiles, tileGrid and faces
+     */
+    render(frame) {
+        this.frame = frame;
+        this.draw();
+    }
+
+    /**
+     * Toggle the heatmap without discarding the frame; face boxes stay
+     * @param {boolean} visible - Whether the heatmap is drawn
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        this.draw();
+    }
+
+    /**
+     * Remove the heatmap
+     */
+    clear() {
+        this.frame = null;
+        this.draw();
+    }
+
+    /**
+     * Size the canvas to its element and clear it
+     * @returns {Object} CSS-pixel size { width, height }
+     */
+    setupCanvas() {
+        const dpr = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+
+        this.canvas.width = width * dpr;
+        this.canvas.height = height * dpr;
+        this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        this.ctx.clearRect(0, 0, width, height);
+
+        return { width, height };
+    }
+
+    /**
+     * Draw the heatmap, then the face boxes on top
+     */
+    draw() {
+        const box = this.setupCanvas();
+        if (!this.frame || !this.frame.tileGrid) return;
+
+        const { tileGrid } = this.frame;
+        const rect = Utils.getContainRect(tileGrid.frameWidth, tileGrid.frameHeight, box);
+
+        if (this.visible && this.frame.tiles) {
+            this.drawTiles(rect);
+        }
+        if (this.frame.faces) {
+            this.drawFaces(rect);
+        }
+    }
+
+    /**
+     * Draw each tile's central cell, colored by how AI-like its spectrum is
+     * @param {Object} rect - Displayed frame position from Utils.getContainRect
+     */
+    drawTiles(rect) {
+        const { tileGrid, tiles } = this.frame;
+
+        // Tiles overlap; giving each one only the stride-sized cell around its
+        // center keeps the heatmap readable
+        const cell = tileGrid.stride * rect.scale;
+        const inset = (tileGrid.tileSize - tileGrid.stride) / 2;
+
+        let strongest = null;
+
+        for (const tile of tiles) {
+            const suspicion = tile.aiScore / (tile.aiScore + tile.realScore || 1);
+            const [r, g, b] = Utils.infernoColormap(suspicion);
+            const x = rect.x + (tile.x + inset) * rect.scale;
+            const y = rect.y + (tile.y + inset) * rect.scale;
+
+            this.ctx.fillStyle = `rgba(${r}, ${g}, ${b}, ${(0.6 * suspicion * suspicion).toFixed(3)})`;
+            this.ctx.fillRect(x, y, cell, cell);
+
+            if (!strongest || suspicion > strongest.suspicion) {
+                strongest = { x, y, suspicion };
+            }
+        }
+
+        // Outline the tile that contributes most to an AI verdict
+        if (strongest) {
+            this.ctx.strokeStyle = 'rgba(239, 68, 68, 0.9)';
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(strongest.x, strongest.y, cell, cell);
+        }
+    }
+
+    /**
+     * Outline each detected face with its track number and AI likelihood
+     * @param {Object} rect - Displayed frame position from Utils.getContainRect
+     */
+    drawFaces(rect) {
+        const { tileGrid, faces } = this.frame;
+        const width = tileGrid.frameWidth * rect.scale;
+        const height = tileGrid.frameHeight * rect.scale;
+
+        this.ctx.lineWidth = 2;
+        this.ctx.font = '600 12px Inter, sans-serif';
+        this.ctx.textBaseline = 'bottom';
+
+        for (const face of faces) {
+            const suspicion = face.aiScore / (face.aiScore + face.realScore || 1);
+            const x = rect.x + face.box.x * width;
+            const y = rect.y + face.box.y * height;
+            const color = suspicion > 0.5 ? '239, 68, 68' : '16, 185, 129';
+
+            this.ctx.strokeStyle = `rgba(${color}, 0.9)`;
+            this.ctx.strokeRect(x, y, face.box.width * width, face.box.height * height);
+            this.ctx.fillStyle = `rgba(${color}, 0.9)`;
+            this.ctx.fillText(`Face ${face.id} · ${Math.round(suspicion * 100)}%`, x, Math.max(y - 2, 14));
+        }
+    }
+}
@@ -0,0 +1,92 @@
+/**
+ * Verdict Timeline
+ * Clickable strip of sampled frames, colored by each frame's verdict
+ */
+
+class VerdictTimeline {
+    /**
+     * @param {string} containerId - Element that hosts the timeline
+     * @param {Function} onSelect - Called with the frame result when a marker is clicked
+     */
+    constructor(containerId, onSelect) {
+        this.container = document.getElementById(containerId);
+        this.onSelect = onSelect;
+        this.frames = [];
+        this.markers = [];
+        this.selectedIndex = -1;
+
+        this.container.innerHTML = `
+            <div class="timeline-header">
+                <span class="timeline-title">Frame Timeline</span>
+                <span class="timeline-caption"></span>
+            </div>
+            <div class="timeline-track"></div>
+        `;
+        this.track = this.container.querySelector('.timeline-track');
+        this.caption = this.container.querySelector('.timeline-caption');
+    }
+
+    /**
+     * Draw one marker per analyzed frame
+     * @param {Array} frames - Per-frame results from FFTAnalyzer.analyzeVideo
+     * @param {number} duration - Video duration in seconds
+     */
+    render(frames, duration) {
+        this.frames = frames;
+        this.markers = [];
+        this.track.innerHTML = '';
+
+        frames.forEach((frame, i) => {
+            const isAI = frame.aiScore > frame.realScore;
+            const position = duration > 0 ? (frame.time / duration) * 100 : 0;
+            const height = 20 + Math.min(frame.aiScore, 1) * 80;
+
+            const marker = document.createElement('button');
+            marker.type = 'button';
+            marker.className = `timeline-marker ${isAI ? 'ai' : 'real'}`;
+            marker.style.left = `${position}%`;
+            marker.style.height = `${height}%`;
+            marker.title = `${Utils.formatTime(frame.time)} - AI score ${frame.aiScore.toFixed(2)}`;
+            marker.addEventListener('click', () => this.select(i, true));
+
+            this.track.appendChild(marker);
+            this.markers.push(marker);
+        });
+
+        this.container.classList.remove('hidden');
+        this.select(0, false);
+    }
+
+    /**
+     * Highlight a frame
+     * @param {number} index - Frame index
+     * @param {boolean} notify - Whether to call onSelect
+     */
+    select(index, notify = true) {
+        const frame = this.frames[index];
+        if (!frame) return;
+
+        this.selectedIndex = index;
+        this.markers.forEach((marker, i) => marker.classList.toggle('selected', i === index));
+
+        const verdict = frame.aiScore > frame.realScore ? 'AI-like' : 'natural';
+        this.caption.textContent = `Frame ${index + 1}/${this.frames.length} · ${Utils.formatTime(frame.time)} · ` +
+            `AI ${frame.aiScore.toFixed(2)} / Real ${frame.realScore.toFixed(2)} (${verdict})`;
+
+        if (notify && this.onSelect) {
+            this.onSelect(frame);
+        }
+    }
+
+    /**
+     * Remove all markers and hide the timeline
+     */
+    clear() {
+        this.frames = [];
+        this.markers = [];
+        this.selectedIndex = -1;
+        this.track.innerHTML = '';
+        this.caption.textContent = '';
+        this.container.classList.add('hidden');
+    }
+}
@@ -62,14 +62,94 @@ const Utils = {
         return filtered;
     },
 
+    /**
+     * Separable Gaussian blur with clamped edges
+     * @param {Float32Array} data - Single-channel plane
+     * @param {number} width - Plane width
+     * @param {number} height - Plane height
+     * @param {number} sigma - Standard deviation in pixels
+     * @returns {Float32Array} Blurred plane
+     */
+    gaussianBlur(data, width, height, sigma) {
+        const radius = Math.max(1, Math.ceil(sigma * 3));
+        const kernel = new Float32Array(radius * 2 + 1);
+        let kernelSum = 0;
+
+        for (let i = -radius; i <= radius; i++) {
+            kernel[i + radius] = Math.exp(-(i * i) / (2 * sigma * sigma));
+            kernelSum += kernel[i + radius];
+        }
+        for (let i = 0; i < kernel.length; i++) {
+            kernel[i] /= kernelSum;
+        }
+
+        const clamp = (value, max) => Math.min(Math.max(value, 0), max);
+        const horizontal = new Float32Array(data.length);
+        const blurred = new Float32Array(data.length);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    sum += data[y * width + clamp(x + k, width - 1)] * kernel[k + radius];
+                }
+                horizontal[y * width + x] = sum;
+            }
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    sum += horizontal[clamp(y + k, height - 1) * width + x] * kernel[k + radius];
+                }
+                blurred[y * width + x] = sum;
+            }
+        }
+
+        return blurred;
+    },
+
+    /**
+     * 3x3 median filter; border pixels are copied unchanged
+     * @param {Float32Array} data - Single-channel plane
+     * @param {number} width - Plane width
+     * @param {number} height - Plane height
+     * @returns {Float32Array} Denoised plane
+     */
+    medianFilter3x3(data, width, height) {
+        const filtered = Float32Array.from(data);
+        const window = new Float32Array(9);
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                let n = 0;
+                for (let ky = -1; ky <= 1; ky++) {
+                    for (let kx = -1; kx <= 1; kx++) {
+                        window[n++] = data[(y + ky) * width + (x + kx)];
+                    }
+                }
+                window.sort();
+                filtered[y * width + x] = window[4];
+            }
+        }
+
+        return filtered;
+    },
+
     /**
      * Normalize array values to 0-255 range
      * @param {Float32Array} data - Input data
      * @returns {Uint8ClampedArray} Normalized data
      */
     normalize(data) {
-        const min = Math.min(...data);
-        const max = Math.max(...data);
+        // A loop rather than Math.min(...data): spreading large spectra overflows the stack
+        let min = Infinity;
+        let max = -Infinity;
+        for (let i = 0; i < data.length; i++) {
+            if (data[i] < min) min = data[i];
+            if (data[i] > max) max = data[i];
+        }
         const range = max - min;
         
         const normalized = new Uint8ClampedArray(data.length);
@@ -136,29 +216,73 @@ const Utils = {
     },
 
     /**
-     * Apply inferno colormap for visualization
+     * Colormaps for spectrum display, as evenly spaced RGB stops
+     */
+    colormaps: {
+        // Simplified inferno colormap
+        inferno: {
+            label: 'Inferno',
+            stops: [
+                [0, 0, 4],
+                [40, 11, 84],
+                [101, 21, 110],
+                [159, 42, 99],
+                [212, 72, 66],
+                [245, 125, 21],
+                [250, 193, 39],
+                [252, 255, 164]
+            ]
+        },
+        viridis: {
+            label: 'Viridis',
+            stops: [
+                [68, 1, 84],
+                [70, 50, 126],
+                [54, 92, 141],
+                [39, 127, 142],
+                [31, 161, 135],
+                [74, 193, 109],
+                [160, 218, 57],
+                [253, 231, 37]
+            ]
+        },
+        grayscale: {
+            label: 'Grayscale',
+            stops: [
+                [0, 0, 0],
+                [255, 255, 255]
+            ]
+        },
+        // Blue-white-red, for reading values above and below the middle of the window
+        diverging: {
+            label: 'Diverging',
+            stops: [
+                [59, 76, 192],
+                [124, 159, 249],
+                [192, 212, 245],
+                [242, 242, 242],
+                [242, 203, 183],
+                [238, 132, 104],
+                [180, 4, 38]
+            ]
+        }
+    },
+
+    /**
+     * Look up a value in one of `colormaps`
+     * @param {string} name - Colormap key
      * @param {number} value - Normalized value (0-1)
      * @returns {Array} RGB color [r, g, b]
      */
-    infernoColormap(value) {
-        // Simplified inferno colormap
-        const colormapData = [
-            [0, 0, 4],
-            [40, 11, 84],
-            [101, 21, 110],
-            [159, 42, 99],
-            [212, 72, 66],
-            [245, 125, 21],
-            [250, 193, 39],
-            [252, 255, 164]
-        ];
-        
+    applyColormap(name, value) {
+        const colormapData = this.colormaps[name].stops;
+
         const index = Math.min(Math.floor(value * (colormapData.length - 1)), colormapData.length - 2);
         const t = (value * (colormapData.length - 1)) - index;
-        
+
         const c1 = colormapData[index];
         const c2 = colormapData[index + 1];
-        
+
         return [
             Math.round(c1[0] + (c2[0] - c1[0]) * t),
             Math.round(c1[1] + (c2[1] - c1[1]) * t),
@@ -167,23 +291,136 @@ const Utils = {
     },
 
     /**
-     * Extract a frame from video at current time
-     * @param {HTMLVideoElement} video - Video element
-     * @param {number} targetSize - Target size for analysis (default 256)
-     * @returns {ImageData} Frame image data
+     * Apply inferno colormap for visualization
+     * @param {number} value - Normalized value (0-1)
+     * @returns {Array} RGB color [r, g, b]
      */
-    extractFrame(video, targetSize = 256) {
-        const canvas = document.createElement('canvas');
-        const ctx = canvas.getContext('2d');
-        
-        // Resize to target size for faster FFT
-        canvas.width = targetSize;
-        canvas.height = targetSize;
-        
-        // Draw video frame
-        ctx.drawImage(video, 0, 0, targetSize, targetSize);
-        
-        return ctx.getImageData(0, 0, targetSize, targetSize);
+    infernoColormap(value) {
+        return this.applyColormap('inferno', value);
+    },
+
+    /**
+     * Locate a displayed picture inside its element (object-fit: contain)
+     * @param {number} frameWidth - Native frame width
+     * @param {number} frameHeight - Native frame height
+     * @param {Object} box - Element size { width, height }
+     * @returns {Object} { x, y, scale }
+     */
+    getContainRect(frameWidth, frameHeight, box) {
+        const scale = Math.min(box.width / frameWidth, box.height / frameHeight);
+        return {
+            x: (box.width - frameWidth * scale) / 2,
+            y: (box.height - frameHeight * scale) / 2,
+            scale
+        };
+    },
+
+    /**
+     * Copy a rectangular region out of a single-channel plane
+     * @param {Float32Array} data - Source plane
+     * @param {number} width - Source width
+     * @param {number} x - Region left
+     * @param {number} y - Region top
+     * @param {number} regionWidth - Region width
+     * @param {number} regionHeight - Region height
+     * @returns {Float32Array} Region values
+     */
+    cropPlane(data, width, x, y, regionWidth, regionHeight) {
+        const region = new Float32Array(regionWidth * regionHeight);
+
+        for (let row = 0; row < regionHeight; row++) {
+            const start = (y + row) * width + x;
+            region.set(data.subarray(start, start + regionWidth), row * regionWidth);
+        }
+
+        return region;
+    },
+
+    /**
+     * Copy a box out of an image
+     * @param {ImageData} imageData - Source pixels
+     * @param {Object} box - { x, y, width, height } as fractions of the image
+     * @returns {Object} ImageData-like { width, height, data } covering the box, rounded outward to whole pixels
+     */
+    cropImageData(imageData, box) {
+        const x0 = Math.max(Math.floor(box.x * imageData.width), 0);
+        const y0 = Math.max(Math.floor(box.y * imageData.height), 0);
+        const x1 = Math.min(Math.ceil((box.x + box.width) * imageData.width), imageData.width);
+        const y1 = Math.min(Math.ceil((box.y + box.height) * imageData.height), imageData.height);
+        const width = Math.max(x1 - x0, 0);
+        const height = Math.max(y1 - y0, 0);
+        const data = new Uint8ClampedArray(width * height * 4);
+
+        for (let row = 0; row < height; row++) {
+            const start = ((y0 + row) * imageData.width + x0) * 4;
+            data.set(imageData.data.subarray(start, start + width * 4), row * width * 4);
+        }
+
+        return { width, height, data };
+    },
+
+    /**
+     * Build a normalized luminance histogram
+     * @param {ImageData} imageData - Canvas ImageData object
+     * @param {number} bins - Number of histogram bins
+     * @returns {Float32Array} Bin frequencies summing to 1
+     */
+    lumaHistogram(imageData, bins = 16) {
+        const gray = this.rgbToGrayscale(imageData);
+        const histogram = new Float32Array(bins);
+
+        for (let i = 0; i < gray.length; i++) {
+            histogram[Math.min(Math.floor(gray[i] / 256 * bins), bins - 1)]++;
+        }
+
+        for (let i = 0; i < bins; i++) {
+            histogram[i] /= gray.length;
+        }
+
+        return histogram;
+    },
+
+    /**
+     * Skin-tone test in YCbCr (Chai & Ngan chroma box)
+     * @param {number} r - Red 0-255
+     * @param {number} g - Green 0-255
+     * @param {number} b - Blue 0-255
+     * @returns {boolean} True for skin-colored pixels
+     */
+    isSkin(r, g, b) {
+        const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+        const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+        return cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173;
+    },
+
+    /**
+     * Distance between two normalized histograms
+     * @param {Float32Array} a - First histogram
+     * @param {Float32Array} b - Second histogram
+     * @returns {number} Half the L1 distance (0 = identical, 1 = disjoint)
+     */
+    histogramDistance(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            sum += Math.abs(a[i] - b[i]);
+        }
+        return sum / 2;
+    },
+
+    /**
+     * Create a seeded pseudo-random generator (mulberry32)
+     * @param {number} seed - Integer seed
+     * @returns {Function} Generator returning floats in [0, 1)
+     */
+    createRandom(seed) {
+        let state = seed >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
     },
 
     /**
@@ -197,6 +434,17 @@ const Utils = {
         return (bytes / (1024 * 1024)).toFixed(2) + ' MB';
     },
 
+    /**
+     * Format a media timestamp for display
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Formatted time, e.g. "1:04.2"
+     */
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const remainder = (seconds - minutes * 60).toFixed(1).padStart(4, '0');
+        return `${minutes}:${remainder}`;
+    },
+
     /**
      * Debounce function calls
      * @param {Function} func - Function to debounce
@@ -213,5 +461,68 @@ const Utils = {
             clearTimeout(timeout);
             timeout = setTimeout(later, wait);
         };
+    },
+
+    /**
+     * Generate a short unique identifier
+     * @param {string} prefix - Identifier prefix
+     * @returns {string} Identifier such as "job-lq2x9c-4f8a1b"
+     */
+    generateId(prefix = 'id') {
+        return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    },
+
+    /**
+     * Create the error used to signal a cancelled operation
+     * @param {string} message - Error message
+     * @returns {DOMException} Error with name "AbortError"
+     */
+    createAbortError(message = 'Analysis cancelled') {
+        return new DOMException(message, 'AbortError');
+    },
+
+    /**
+     * Check whether an error represents a cancelled operation
+     * @param {Error} error - Caught error
+     * @returns {boolean} True for AbortError
+     */
+    isAbortError(error) {
+        return Boolean(error) && error.name === 'AbortError';
+    },
+
+    /**
+     * Throw an AbortError if the signal has been aborted
+     * @param {AbortSignal} signal - Optional abort signal
+     */
+    throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw this.createAbortError();
+        }
+    },
+
+    /**
+     * Collect the ArrayBuffers backing typed arrays in a value
+     * Used as the transfer list for postMessage so large spectra move without copying
+     * @param {*} value - Object, array or typed array to scan
+     * @param {Set} buffers - Accumulator (internal)
+     * @returns {Array<ArrayBuffer>} Unique buffers
+     */
+    collectTransferables(value, buffers = new Set()) {
+        if (ArrayBuffer.isView(value)) {
+            buffers.add(value.buffer);
+        } else if (value instanceof ArrayBuffer) {
+            buffers.add(value);
+        } else if (value && typeof value === 'object') {
+            for (const key of Object.keys(value)) {
+                this.collectTransferables(value[key], buffers);
+            }
+        }
+
+        return Array.from(buffers);
     }
 };
+
+// The DOM-free core also loads as CommonJS modules, see fft-cli.js
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Utils;
+}
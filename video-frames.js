@@ -0,0 +1,92 @@
+/**
+ * Video Frames
+ * Captures frames from an HTML video element; the browser's frame source for FFTAnalyzer.analyzeVideo
+ */
+
+const VideoFrames = {
+    /**
+     * Frame source over a loaded video element
+     * @param {HTMLVideoElement} video - Video element with metadata loaded
+     * @returns {Object} { duration, capture(time, size, keepAspect) }
+     */
+    source(video) {
+        return {
+            duration: video.duration,
+            capture: (time, size, keepAspect) => this.seekAndExtract(video, time, size, keepAspect)
+        };
+    },
+
+    /**
+     * Seek to time and extract frame
+     * @param {HTMLVideoElement} video - Video element
+     * @param {number} time - Time in seconds
+     * @param {number} size - Square capture size; native resolution when omitted
+     * @param {boolean} keepAspect - Make size the longest side and keep the video's aspect ratio instead
+     * @returns {Promise<ImageData>} Frame data
+     */
+    seekAndExtract(video, time, size = null, keepAspect = false) {
+        return new Promise((resolve, reject) => {
+            const onSeeked = () => {
+                video.removeEventListener('seeked', onSeeked);
+                try {
+                    const frameData = size ? this.extractFrame(video, size, keepAspect) : this.extractNativeFrame(video);
+                    resolve(frameData);
+                } catch (error) {
+                    reject(error);
+                }
+            };
+
+            video.addEventListener('seeked', onSeeked);
+            video.currentTime = time;
+        });
+    },
+
+    /**
+     * Extract a frame from video at current time
+     * @param {HTMLVideoElement} video - Video element
+     * @param {number} targetSize - Target size for analysis (default 256)
+     * @param {boolean} keepAspect - Scale the longest side to targetSize rather than squashing to a square
+     * @returns {ImageData} Frame image data
+     */
+    extractFrame(video, targetSize = 256, keepAspect = false) {
+        const canvas = document.createElement('canvas');
+        const ctx = canvas.getContext('2d');
+        
+        // Resize to target size for faster FFT
+        const scale = keepAspect && video.videoWidth && video.videoHeight
+            ? targetSize / Math.max(video.videoWidth, video.videoHeight)
+            : null;
+        canvas.width = scale ? Math.max(Math.round(video.videoWidth * scale), 1) : targetSize;
+        canvas.height = scale ? Math.max(Math.round(video.videoHeight * scale), 1) : targetSize;
+        
+        // Draw video frame
+        ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+        
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    },
+
+    /**
+     * Extract the current video frame at its native resolution
+     * No scaling is applied, so high-frequency detail survives intact.
+     * @param {HTMLVideoElement} video - Video element
+     * @returns {ImageData} Frame image data
+     */
+    extractNativeFrame(video) {
+        const width = video.videoWidth;
+        const height = video.videoHeight;
+
+        if (!width || !height) {
+            throw new Error('Unable to extract frame: video has no decoded dimensions');
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+
+        const ctx = canvas.getContext('2d', { willReadFrequently: true });
+        ctx.imageSmoothingEnabled = false;
+        ctx.drawImage(video, 0, 0);
+
+        return ctx.getImageData(0, 0, width, height);
+    }
+};
@@ -1,16 +1,58 @@
 /**
  * FFT Visualization
- * Renders FFT magnitude spectrum as heatmap
+ * Renders FFT magnitude spectrum as heatmap, with zoom, hover readout and display controls
  */
 
 class FFTVisualizer {
-    constructor(canvasId) {
+    /**
+     * @param {string} canvasId - Canvas for the spectrum heatmap
+     * @param {string} profileCanvasId - Optional canvas for the radial/angular profiles
+     * @param {Object} options - Spectrum explorer settings
+     * @param {string} options.explorerId - Element that hosts the display controls; no controls when unset
+     * @param {Function} options.getRegions - (width, height, compression) => FFTAnalyzer.detectorRegions output
+     * @param {string} options.temporalCanvasId - Canvas for the temporal spectrum; its parent is hidden while there is none
+     * @param {boolean} options.square - Size the spectrum canvas to a square that fits its container (default); false keeps the size the stylesheet gives it
+     */
+    constructor(canvasId, profileCanvasId = null, options = {}) {
         this.canvas = document.getElementById(canvasId);
         this.ctx = this.canvas.getContext('2d');
+        this.profileCanvas = profileCanvasId ? document.getElementById(profileCanvasId) : null;
+        this.profileCtx = this.profileCanvas ? this.profileCanvas.getContext('2d') : null;
+        this.temporalCanvas = options.temporalCanvasId ? document.getElementById(options.temporalCanvasId) : null;
+        this.temporalCtx = this.temporalCanvas ? this.temporalCanvas.getContext('2d') : null;
+        this.getRegions = options.getRegions || null;
+        this.square = options.square !== false;
+
+        this.spectrum = null; // { magnitude, width, height, compression, luma, channels } being shown
+        this.channel = 'luma'; // Spectrum shown: 'luma' or a color channel name from the frame's channel spectra
+        this.image = null; // Colored spectrum at one pixel per bin, rebuilt when display settings change
+        this.view = { zoom: 1, x: 0.5, y: 0.5 }; // Zoom factor and view center as a fraction of the spectrum
+        this.display = {
+            colormap: 'inferno',
+            scale: 'log', // 'log' shows dB; 'linear' shows amplitude
+            low: 0, // Contrast window as fractions of the value range
+            high: 1
+        };
+        this.showRegions = false;
+        this.maxZoom = 32;
+
         this.setupCanvas();
+
+        if (options.explorerId) {
+            this.createControls(document.getElementById(options.explorerId));
+            this.attachCanvasEvents();
+        }
     }
 
     setupCanvas() {
+        if (!this.square) {
+            this.fitCanvas(this.canvas, this.ctx);
+            if (this.profileCanvas) {
+                this.setupProfileCanvas();
+            }
+            return;
+        }
+
         // Set canvas size to match container
         const container = this.canvas.parentElement;
         const size = Math.min(container.clientWidth, container.clientHeight);
@@ -25,30 +67,318 @@ class FFTVisualizer {
         this.ctx.scale(dpr, dpr);
         this.canvas.style.width = size + 'px';
         this.canvas.style.height = size + 'px';
+
+        if (this.profileCanvas) {
+            this.setupProfileCanvas();
+        }
+    }
+
+    /**
+     * Size the profile canvas to its element
+     * @returns {Object} CSS-pixel size { width, height }
+     */
+    setupProfileCanvas() {
+        return this.fitCanvas(this.profileCanvas, this.profileCtx);
+    }
+
+    /**
+     * Size a plot canvas to its element at the device pixel ratio
+     * @param {HTMLCanvasElement} canvas - Canvas to size
+     * @param {CanvasRenderingContext2D} ctx - Its context, scaled to CSS pixels
+     * @returns {Object} CSS-pixel size { width, height }
+     */
+    fitCanvas(canvas, ctx) {
+        const dpr = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+
+        canvas.width = width * dpr;
+        canvas.height = height * dpr;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+        return { width, height };
+    }
+
+    /**
+     * Build the colormap, scale, contrast-window and region controls
+     * @param {HTMLElement} container - Element to fill
+     */
+    createControls(container) {
+        const colormapOptions = Object.entries(Utils.colormaps)
+            .map(([key, colormap]) => `<option value="${key}">${colormap.label}</option>`)
+            .join('');
+
+        container.innerHTML = `
+            <label class="spectrum-control">
+                <span class="setting-label">Channel</span>
+                <select class="setting-input spectrum-channel" disabled>
+                    <option value="luma">Luma</option>
+                </select>
+            </label>
+            <label class="spectrum-control">
+                <span class="setting-label">Colormap</span>
+                <select class="setting-input spectrum-colormap">${colormapOptions}</select>
+            </label>
+            <label class="spectrum-control">
+                <span class="setting-label">Scale</span>
+                <select class="setting-input spectrum-scale">
+                    <option value="log">Log (dB)</option>
+                    <option value="linear">Linear</option>
+                </select>
+            </label>
+            <div class="spectrum-control spectrum-window">
+                <span class="setting-label">Contrast window <span class="spectrum-window-value"></span></span>
+                <input type="range" class="spectrum-low" min="0" max="99" step="1" value="0" aria-label="Window low">
+                <input type="range" class="spectrum-high" min="1" max="100" step="1" value="100" aria-label="Window high">
+            </div>
+            <label class="spectrum-control spectrum-toggle">
+                <input type="checkbox" class="spectrum-regions">
+                <span>Show detector regions</span>
+            </label>
+            <button type="button" class="btn btn-secondary spectrum-reset">Reset view</button>
+            <p class="spectrum-hint">Scroll to zoom, drag to pan, double-click to reset.</p>
+            <p class="spectrum-region-legend hidden">
+                <span class="region-key grid">Peaks counted by the grid score</span>
+                <span class="region-key cross">Cross rows</span>
+                <span class="region-key core">Core (skipped)</span>
+                <span class="region-key tail">Tail band</span>
+                <span class="region-key lattice">Codec block lattice</span>
+                Smoothness reads every bin.
+            </p>
+        `;
+
+        this.channelSelect = container.querySelector('.spectrum-channel');
+        const colormapSelect = container.querySelector('.spectrum-colormap');
+        const scaleSelect = container.querySelector('.spectrum-scale');
+        const lowInput = container.querySelector('.spectrum-low');
+        const highInput = container.querySelector('.spectrum-high');
+        const windowValue = container.querySelector('.spectrum-window-value');
+        const regionsInput = container.querySelector('.spectrum-regions');
+        const regionLegend = container.querySelector('.spectrum-region-legend');
+
+        const updateWindow = (changed) => {
+            // Keep the window at least one step wide, moving the other handle if needed
+            let low = parseInt(lowInput.value, 10);
+            let high = parseInt(highInput.value, 10);
+            if (low >= high) {
+                if (changed === lowInput) {
+                    high = low + 1;
+                    highInput.value = high;
+                } else {
+                    low = high - 1;
+                    lowInput.value = low;
+                }
+            }
+            windowValue.textContent = `${low}-${high}%`;
+            this.setDisplay({ low: low / 100, high: high / 100 });
+        };
+
+        this.channelSelect.addEventListener('change', () => this.setChannel(this.channelSelect.value));
+        colormapSelect.addEventListener('change', () => this.setDisplay({ colormap: colormapSelect.value }));
+        scaleSelect.addEventListener('change', () => this.setDisplay({ scale: scaleSelect.value }));
+        lowInput.addEventListener('input', () => updateWindow(lowInput));
+        highInput.addEventListener('input', () => updateWindow(highInput));
+        regionsInput.addEventListener('change', () => {
+            this.showRegions = regionsInput.checked;
+            regionLegend.classList.toggle('hidden', !this.showRegions);
+            this.draw();
+        });
+        container.querySelector('.spectrum-reset').addEventListener('click', () => this.resetView());
+
+        windowValue.textContent = '0-100%';
+        regionsInput.disabled = !this.getRegions;
+    }
+
+    /**
+     * Zoom, pan and hover readout on the spectrum canvas
+     */
+    attachCanvasEvents() {
+        this.readout = document.createElement('div');
+        this.readout.className = 'spectrum-readout hidden';
+        this.canvas.parentElement.appendChild(this.readout);
+
+        this.canvas.addEventListener('wheel', (event) => {
+            if (!this.spectrum) return;
+            event.preventDefault();
+            this.zoomAt(event.offsetX, event.offsetY, event.deltaY < 0 ? 1.25 : 1 / 1.25);
+        }, { passive: false });
+
+        let drag = null;
+        this.canvas.addEventListener('pointerdown', (event) => {
+            if (!this.spectrum || this.view.zoom === 1) return;
+            drag = { x: event.offsetX, y: event.offsetY };
+            this.canvas.setPointerCapture(event.pointerId);
+            this.canvas.classList.add('panning');
+        });
+        this.canvas.addEventListener('pointermove', (event) => {
+            if (!this.spectrum) return;
+
+            if (drag) {
+                this.panBy(event.offsetX - drag.x, event.offsetY - drag.y);
+                drag = { x: event.offsetX, y: event.offsetY };
+            }
+            this.updateReadout(event.offsetX, event.offsetY);
+        });
+        const endDrag = () => {
+            drag = null;
+            this.canvas.classList.remove('panning');
+        };
+        this.canvas.addEventListener('pointerup', endDrag);
+        this.canvas.addEventListener('pointercancel', endDrag);
+        this.canvas.addEventListener('pointerleave', () => this.readout.classList.add('hidden'));
+        this.canvas.addEventListener('dblclick', () => this.resetView());
     }
 
     /**
      * Render FFT magnitude spectrum as heatmap
-     * @param {Float32Array} magnitude - FFT magnitude data
+     * A new spectrum keeps the display settings and resets zoom and pan; the
+     * selected channel stays selected while the new frame has it.
+     * @param {Float32Array} magnitude - Centered log-magnitude spectrum (dB) of luma
      * @param {number} width - Data width
      * @param {number} height - Data height
+     * @param {Object} compression - Block estimate for the detector-region overlay, or null
+     * @param {Object} channels - Channel name -> spectrum like magnitude, from FFTAnalyzer.analyzeChannels, or null
+     */
+    render(magnitude, width, height, compression = null, channels = null) {
+        this.spectrum = { magnitude, width, height, compression, luma: magnitude, channels: channels || {} };
+        if (!this.spectrum.channels[this.channel]) {
+            this.channel = 'luma';
+        }
+        this.spectrum.magnitude = this.channelSpectrum();
+        this.updateChannelOptions();
+
+        this.image = null;
+        this.view = { zoom: 1, x: 0.5, y: 0.5 };
+        this.draw();
+    }
+
+    /**
+     * Show another channel of the current spectrum, keeping zoom and pan for comparison
+     * @param {string} channel - 'luma' or a channel name of the current spectrum
+     */
+    setChannel(channel) {
+        this.channel = channel;
+        if (!this.spectrum) return;
+
+        this.spectrum.magnitude = this.channelSpectrum();
+        this.image = null;
+        this.draw();
+    }
+
+    /**
+     * @returns {Float32Array} Spectrum of the selected channel, luma when the frame lacks it
      */
-    render(magnitude, width, height) {
+    channelSpectrum() {
+        return this.spectrum.channels[this.channel] || this.spectrum.luma;
+    }
+
+    /**
+     * List the current spectrum's channels in the channel switcher
+     */
+    updateChannelOptions() {
+        if (!this.channelSelect) return;
+
+        const names = this.spectrum ? Object.keys(this.spectrum.channels) : [];
+        this.channelSelect.innerHTML = '<option value="luma">Luma</option>' +
+            names.map(name => `<option value="${name}">${name}</option>`).join('');
+        this.channelSelect.value = this.channel;
+        this.channelSelect.disabled = names.length === 0;
+    }
+
+    /**
+     * Change display settings and redraw
+     * @param {Object} changes - Any of { colormap, scale, low, high }
+     */
+    setDisplay(changes) {
+        Object.assign(this.display, changes);
+        this.image = null;
+        this.draw();
+    }
+
+    /**
+     * Show the whole spectrum again
+     */
+    resetView() {
+        this.view = { zoom: 1, x: 0.5, y: 0.5 };
+        this.draw();
+    }
+
+    /**
+     * Redraw the current spectrum with the current view and overlays
+     */
+    draw() {
+        if (!this.spectrum) return;
+
         const canvasSize = this.canvas.width / (window.devicePixelRatio || 1);
+        const { width, height } = this.spectrum;
 
         // Clear canvas
         this.ctx.fillStyle = '#12121a';
         this.ctx.fillRect(0, 0, canvasSize, canvasSize);
 
-        // Normalize magnitude for visualization
-        const normalized = Utils.normalize(magnitude);
+        if (!this.image) {
+            this.image = this.colorize();
+        }
+
+        // Zoomed in far enough to tell bins apart, draw them as sharp squares
+        const visible = this.visibleRect();
+        this.ctx.imageSmoothingEnabled = canvasSize / visible.width < 4;
+        this.ctx.imageSmoothingQuality = 'high';
+        this.ctx.drawImage(this.image, visible.x, visible.y, visible.width, visible.height, 0, 0, canvasSize, canvasSize);
+
+        if (this.showRegions && this.getRegions) {
+            this.drawRegions(this.getRegions(width, height, this.spectrum.compression), canvasSize);
+        }
+
+        // Add center crosshair
+        const center = this.toCanvas(Math.floor(width / 2) + 0.5, Math.floor(height / 2) + 0.5, canvasSize);
+        this.drawCrosshair(center);
+
+        // Add labels
+        this.drawLabels(canvasSize, center);
+    }
+
+    /**
+     * Color a spectrum at one pixel per bin with the current display settings
+     * @param {Object} spectrum - { magnitude, width, height }; defaults to the one shown
+     * @returns {HTMLCanvasElement} Offscreen canvas
+     */
+    colorize(spectrum = this.spectrum) {
+        const { magnitude, width, height } = spectrum;
+        const { colormap, scale, low, high } = this.display;
+
+        // Linear scale undoes the 20·log10 of the magnitude spectrum
+        const values = scale === 'linear'
+            ? magnitude.map(value => Math.pow(10, value / 20))
+            : magnitude;
 
-        // Create image data
+        let min = Infinity;
+        let max = -Infinity;
+        for (const value of values) {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+        const range = max - min || 1;
+
+        return this.paintImage(values, width, height, (value) => {
+            const position = ((value - min) / range - low) / (high - low);
+            return Utils.applyColormap(colormap, Math.min(Math.max(position, 0), 1));
+        });
+    }
+
+    /**
+     * Paint values at one pixel per bin
+     * @param {Float32Array} values - Row-major values
+     * @param {number} width - Width in bins
+     * @param {number} height - Height in bins
+     * @param {Function} colorAt - (value) => [r, g, b]
+     * @returns {HTMLCanvasElement} Offscreen canvas
+     */
+    paintImage(values, width, height, colorAt) {
         const imageData = this.ctx.createImageData(width, height);
 
-        for (let i = 0; i < normalized.length; i++) {
-            const value = normalized[i] / 255;
-            const color = Utils.infernoColormap(value);
+        for (let i = 0; i < values.length; i++) {
+            const color = colorAt(values[i]);
 
             imageData.data[i * 4] = color[0];
             imageData.data[i * 4 + 1] = color[1];
@@ -60,27 +390,199 @@ class FFTVisualizer {
         const tempCanvas = document.createElement('canvas');
         tempCanvas.width = width;
         tempCanvas.height = height;
-        const tempCtx = tempCanvas.getContext('2d');
-        tempCtx.putImageData(imageData, 0, 0);
+        tempCanvas.getContext('2d').putImageData(imageData, 0, 0);
 
-        // Draw scaled image
-        this.ctx.imageSmoothingEnabled = true;
-        this.ctx.imageSmoothingQuality = 'high';
-        this.ctx.drawImage(tempCanvas, 0, 0, canvasSize, canvasSize);
+        return tempCanvas;
+    }
 
-        // Add center crosshair
-        this.drawCrosshair(canvasSize);
+    /**
+     * Part of the spectrum in view, in bins
+     * @returns {Object} { x, y, width, height }
+     */
+    visibleRect() {
+        const { width, height } = this.spectrum;
+        const visibleWidth = width / this.view.zoom;
+        const visibleHeight = height / this.view.zoom;
 
-        // Add labels
-        this.drawLabels(canvasSize);
+        return {
+            x: this.view.x * width - visibleWidth / 2,
+            y: this.view.y * height - visibleHeight / 2,
+            width: visibleWidth,
+            height: visibleHeight
+        };
+    }
+
+    /**
+     * Spectrum position to canvas position
+     * @param {number} binX - Column, fractional for bin centers
+     * @param {number} binY - Row
+     * @param {number} canvasSize - Canvas size in CSS pixels
+     * @returns {Object} { x, y }
+     */
+    toCanvas(binX, binY, canvasSize) {
+        const visible = this.visibleRect();
+        return {
+            x: (binX - visible.x) / visible.width * canvasSize,
+            y: (binY - visible.y) / visible.height * canvasSize
+        };
+    }
+
+    /**
+     * Canvas position to the spectrum bin under it
+     * @param {number} x - CSS pixels from the canvas left edge
+     * @param {number} y - CSS pixels from the canvas top edge
+     * @returns {Object} { x, y } column and row
+     */
+    binAt(x, y) {
+        const canvasSize = this.canvas.width / (window.devicePixelRatio || 1);
+        const visible = this.visibleRect();
+
+        return {
+            x: Math.min(Math.max(Math.floor(visible.x + x / canvasSize * visible.width), 0), this.spectrum.width - 1),
+            y: Math.min(Math.max(Math.floor(visible.y + y / canvasSize * visible.height), 0), this.spectrum.height - 1)
+        };
+    }
+
+    /**
+     * Zoom keeping the point under the cursor in place
+     * @param {number} x - Cursor position in CSS pixels
+     * @param {number} y - Cursor position in CSS pixels
+     * @param {number} factor - Zoom multiplier
+     */
+    zoomAt(x, y, factor) {
+        const canvasSize = this.canvas.width / (window.devicePixelRatio || 1);
+        const zoom = Math.min(Math.max(this.view.zoom * factor, 1), this.maxZoom);
+
+        // Fraction of the spectrum under the cursor, before and after
+        const fractionX = this.view.x + (x / canvasSize - 0.5) / this.view.zoom;
+        const fractionY = this.view.y + (y / canvasSize - 0.5) / this.view.zoom;
+        this.view.zoom = zoom;
+        this.setViewCenter(fractionX - (x / canvasSize - 0.5) / zoom, fractionY - (y / canvasSize - 0.5) / zoom);
+
+        this.draw();
+        this.updateReadout(x, y);
+    }
+
+    /**
+     * Move the view by a drag distance
+     * @param {number} dx - Horizontal drag in CSS pixels
+     * @param {number} dy - Vertical drag in CSS pixels
+     */
+    panBy(dx, dy) {
+        const canvasSize = this.canvas.width / (window.devicePixelRatio || 1);
+        this.setViewCenter(
+            this.view.x - dx / canvasSize / this.view.zoom,
+            this.view.y - dy / canvasSize / this.view.zoom
+        );
+        this.draw();
+    }
+
+    /**
+     * Center the view, keeping it inside the spectrum
+     * @param {number} x - Center as a fraction of the spectrum width
+     * @param {number} y - Center as a fraction of the spectrum height
+     */
+    setViewCenter(x, y) {
+        const half = 0.5 / this.view.zoom;
+        this.view.x = Math.min(Math.max(x, half), 1 - half);
+        this.view.y = Math.min(Math.max(y, half), 1 - half);
+    }
+
+    /**
+     * Show frequency and magnitude of the bin under the cursor
+     * @param {number} x - Cursor position in CSS pixels
+     * @param {number} y - Cursor position in CSS pixels
+     */
+    updateReadout(x, y) {
+        if (!this.readout) return;
+
+        const { magnitude, width, height } = this.spectrum;
+        const bin = this.binAt(x, y);
+
+        // Bins are centered on DC, so offsets from the center are frequencies
+        const frequencyX = (bin.x - Math.floor(width / 2)) / width;
+        const frequencyY = (bin.y - Math.floor(height / 2)) / height;
+        const radius = Math.hypot(frequencyX, frequencyY);
+
+        this.readout.textContent = `fx ${frequencyX.toFixed(4)} · fy ${frequencyY.toFixed(4)} cyc/px` +
+            ` · |f| ${radius.toFixed(4)} · ${magnitude[bin.y * width + bin.x].toFixed(1)} dB` +
+            (this.view.zoom > 1 ? ` · ${this.view.zoom.toFixed(1)}×` : '');
+        this.readout.classList.remove('hidden');
+    }
+
+    /**
+     * Mark the bins analyzeFFTPattern reads selectively, and the peaks it counts
+     * @param {Object} regions - Output of FFTAnalyzer.detectorRegions
+     * @param {number} canvasSize - Canvas size in CSS pixels
+     */
+    drawRegions(regions, canvasSize) {
+        const { magnitude, width, height } = this.spectrum;
+        const ctx = this.ctx;
+        const binSize = canvasSize / this.visibleRect().width;
+        const center = this.toCanvas(Math.floor(width / 2) + 0.5, Math.floor(height / 2) + 0.5, canvasSize);
+
+        ctx.save();
+        ctx.lineWidth = 1;
+
+        // Codec block lattice, where grid and checkerboard evidence is discounted
+        if (regions.lattice.blockSize) {
+            ctx.fillStyle = 'rgba(56, 189, 248, 0.18)';
+            regions.lattice.columns.forEach((onLattice, x) => {
+                if (onLattice) ctx.fillRect(this.toCanvas(x, 0, canvasSize).x, 0, binSize, canvasSize);
+            });
+            regions.lattice.rows.forEach((onLattice, y) => {
+                if (onLattice) ctx.fillRect(0, this.toCanvas(0, y, canvasSize).y, canvasSize, binSize);
+            });
+        }
+
+        // Tail band rings read by the spectral profile
+        ctx.strokeStyle = 'rgba(239, 68, 68, 0.7)';
+        ctx.setLineDash([4, 4]);
+        for (const radius of regions.tailBand) {
+            ctx.beginPath();
+            ctx.arc(center.x, center.y, radius * binSize, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+
+        // Core left out of the peak and cross detectors
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, regions.coreRadius * binSize, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Cross row and column
+        ctx.fillStyle = 'rgba(236, 72, 153, 0.25)';
+        const crossRow = this.toCanvas(0, regions.crossRow, canvasSize).y;
+        const crossColumn = this.toCanvas(regions.crossColumn, 0, canvasSize).x;
+        ctx.fillRect(0, crossRow, canvasSize, Math.max(binSize, 1));
+        ctx.fillRect(crossColumn, 0, Math.max(binSize, 1), canvasSize);
+
+        // Peaks, which count toward the grid score (and off the axes, the checkerboard score)
+        const excess = SpectralProfile.ringExcess(magnitude, width, height);
+        const visible = this.visibleRect();
+        const markerSize = Math.max(binSize, 3);
+        const coreSquared = regions.coreRadius * regions.coreRadius;
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+        for (let y = Math.max(0, Math.floor(visible.y)); y < Math.min(height, Math.ceil(visible.y + visible.height)); y++) {
+            for (let x = Math.max(0, Math.floor(visible.x)); x < Math.min(width, Math.ceil(visible.x + visible.width)); x++) {
+                const dx = x - regions.crossColumn;
+                const dy = y - regions.crossRow;
+                if (excess[y * width + x] <= regions.peakExcess || dx * dx + dy * dy < coreSquared) continue;
+
+                const point = this.toCanvas(x + 0.5, y + 0.5, canvasSize);
+                ctx.fillRect(point.x - markerSize / 2, point.y - markerSize / 2, markerSize, markerSize);
+            }
+        }
+
+        ctx.restore();
     }
 
     /**
      * Draw center crosshair to mark low-frequency center
-     * @param {number} size - Canvas size
+     * @param {Object} center - DC position on the canvas { x, y }
      */
-    drawCrosshair(size) {
-        const center = size / 2;
+    drawCrosshair(center) {
         const crossSize = 20;
 
         this.ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
@@ -88,19 +590,19 @@ class FFTVisualizer {
 
         // Horizontal line
         this.ctx.beginPath();
-        this.ctx.moveTo(center - crossSize, center);
-        this.ctx.lineTo(center + crossSize, center);
+        this.ctx.moveTo(center.x - crossSize, center.y);
+        this.ctx.lineTo(center.x + crossSize, center.y);
         this.ctx.stroke();
 
         // Vertical line
         this.ctx.beginPath();
-        this.ctx.moveTo(center, center - crossSize);
-        this.ctx.lineTo(center, center + crossSize);
+        this.ctx.moveTo(center.x, center.y - crossSize);
+        this.ctx.lineTo(center.x, center.y + crossSize);
         this.ctx.stroke();
 
         // Center circle
         this.ctx.beginPath();
-        this.ctx.arc(center, center, 3, 0, Math.PI * 2);
+        this.ctx.arc(center.x, center.y, 3, 0, Math.PI * 2);
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.7)';
         this.ctx.fill();
     }
@@ -108,28 +610,468 @@ class FFTVisualizer {
     /**
      * Draw frequency labels
      * @param {number} size - Canvas size
+     * @param {Object} center - DC position on the canvas { x, y }
      */
-    drawLabels(size) {
+    drawLabels(size, center) {
         this.ctx.font = '11px Inter, sans-serif';
         this.ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
         this.ctx.textAlign = 'center';
 
         // Center label
-        this.ctx.fillText('Low Freq', size / 2, size / 2 - 30);
+        this.ctx.fillText('Low Freq', center.x, center.y - 30);
+
+        if (this.channel !== 'luma') {
+            this.ctx.save();
+            this.ctx.textAlign = 'left';
+            this.ctx.fillText(`${this.channel} channel`, 10, size - 12);
+            this.ctx.restore();
+        }
 
-        // Edge labels
+        // Edge labels; only the full view reaches the highest frequencies
         this.ctx.save();
         this.ctx.textAlign = 'left';
-        this.ctx.fillText('High Freq', 10, 20);
+        if (this.view.zoom === 1) {
+            this.ctx.fillText('High Freq', 10, 20);
+        } else {
+            this.ctx.textAlign = 'right';
+            this.ctx.fillText(`${this.view.zoom.toFixed(1)}×`, size - 10, 20);
+        }
         this.ctx.restore();
     }
 
+    /**
+     * Plot a frame's radial and angular power profiles
+     * @param {Object} profile - { radial, angular, features } from SpectralProfile.analyze
+     */
+    renderProfiles(profile) {
+        if (!this.profileCanvas) return;
+
+        const { width, height } = this.setupProfileCanvas();
+        const ctx = this.profileCtx;
+
+        ctx.fillStyle = '#12121a';
+        ctx.fillRect(0, 0, width, height);
+
+        const split = Math.round(height * 0.58);
+        this.drawRadialProfile(profile, { x: 0, y: 0, width, height: split });
+        this.drawAngularProfile(profile, { x: 0, y: split, width, height: height - split });
+    }
+
+    /**
+     * Radial power against log frequency, with the fitted power-law falloff
+     * @param {Object} profile - Spectral profile
+     * @param {Object} box - Panel area { x, y, width, height }
+     */
+    drawRadialProfile(profile, box) {
+        const { radial, features } = profile;
+        const size = (radial.length - 1) * 2;
+        const plot = this.drawPanel(box, 'Radial power (dB)',
+            `Tail slope ${features.tailSlope.toFixed(1)} dB/dec · Falloff dev ${features.falloffDeviation.toFixed(1)} dB`);
+
+        // Log frequency axis from one cycle per spectrum to Nyquist
+        const minLog = Math.log10(1 / size);
+        const maxLog = Math.log10(0.5);
+        const toX = (radius) => plot.x + (Math.log10(radius / size) - minLog) / (maxLog - minLog) * plot.width;
+
+        const values = Array.from(radial.subarray(1));
+        const range = this.paddedRange(values);
+        const toY = (value) => plot.y + plot.height - (value - range.min) / (range.max - range.min) * plot.height;
+
+        // Shade the tail band the tail features are measured over
+        const tailStart = Math.max(1, Math.round(SpectralProfile.tailBand[0] * size));
+        this.profileCtx.fillStyle = 'rgba(239, 68, 68, 0.08)';
+        this.profileCtx.fillRect(toX(tailStart), plot.y, plot.x + plot.width - toX(tailStart), plot.height);
+
+        // Frequency ticks
+        this.profileCtx.font = '10px Inter, sans-serif';
+        this.profileCtx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        this.profileCtx.textAlign = 'center';
+        for (const frequency of [0.01, 0.1, 0.5]) {
+            if (frequency < 1 / size) continue;
+            this.profileCtx.fillText(String(frequency), toX(frequency * size), plot.y + plot.height + 12);
+        }
+        this.profileCtx.textAlign = 'right';
+        this.profileCtx.fillText('cyc/px', plot.x + plot.width, plot.y + plot.height + 24);
+
+        this.drawCurve(values.map((value, i) => [toX(i + 1), toY(value)]), 'rgba(168, 85, 247, 0.95)');
+
+        // Fitted power law, a straight line on these axes
+        const [fitStart, fitEnd] = features.fitRange;
+        const fitAt = (radius) => features.fitIntercept + features.fitSlope * Math.log10(radius / size);
+        this.profileCtx.setLineDash([4, 4]);
+        this.drawCurve([
+            [toX(fitStart), toY(fitAt(fitStart))],
+            [toX(fitEnd), toY(fitAt(fitEnd))]
+        ], 'rgba(255, 255, 255, 0.6)');
+        this.profileCtx.setLineDash([]);
+    }
+
+    /**
+     * Angular power over orientation
+     * @param {Object} profile - Spectral profile
+     * @param {Object} box - Panel area { x, y, width, height }
+     */
+    drawAngularProfile(profile, box) {
+        const { angular, features } = profile;
+        const plot = this.drawPanel(box, 'Angular power (dB)',
+            `Peak +${features.angularPeak.toFixed(1)} dB over median`);
+
+        const values = Array.from(angular);
+        const range = this.paddedRange(values);
+        const binWidth = plot.width / values.length;
+        const toY = (value) => plot.y + plot.height - (value - range.min) / (range.max - range.min) * plot.height;
+
+        this.profileCtx.font = '10px Inter, sans-serif';
+        this.profileCtx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        this.profileCtx.textAlign = 'center';
+        for (const degrees of [0, 45, 90, 135, 180]) {
+            this.profileCtx.fillText(`${degrees}°`, plot.x + degrees / 180 * plot.width, plot.y + plot.height + 12);
+        }
+
+        this.drawCurve(values.map((value, i) => [plot.x + (i + 0.5) * binWidth, toY(value)]), 'rgba(236, 72, 153, 0.95)');
+    }
+
+    /**
+     * Plot the temporal power spectrum of a clip's fine texture
+     * Hides the canvas when the temporal check did not run or could not judge the clip.
+     * @param {Object|null} temporal - Output of TemporalAnalyzer.analyze
+     */
+    renderTemporal(temporal) {
+        if (!this.temporalCanvas) return;
+
+        const visible = Boolean(temporal && temporal.status === 'ok');
+        this.temporalCanvas.parentElement.classList.toggle('hidden', !visible);
+        if (!visible) return;
+
+        const ctx = this.temporalCtx;
+        const { width, height } = this.fitCanvas(this.temporalCanvas, ctx);
+        ctx.fillStyle = '#12121a';
+        ctx.fillRect(0, 0, width, height);
+
+        const { frequencies, power } = temporal.spectrum;
+        const nyquist = frequencies[frequencies.length - 1];
+        const plot = this.drawPanel({ x: 0, y: 0, width, height }, 'Temporal power of fine texture (dB)',
+            `Consistency ${Math.round(temporal.consistency * 100)}% · ` +
+            `Coherence ${Math.round(temporal.coherence * 100)}% · ` +
+            `High-band share ${Math.round(temporal.highFrequencyRatio * 100)}%`, ctx);
+
+        // DC is the static texture the temporal mean removed; the plot starts at the first bin
+        const values = Array.from(power.subarray(1), value => 10 * Math.log10(value + 1e-6));
+        const range = this.paddedRange(values);
+        const toX = (frequency) => plot.x + frequency / nyquist * plot.width;
+        const toY = (value) => plot.y + plot.height - (value - range.min) / (range.max - range.min) * plot.height;
+
+        // Shade the upper half of the band, where flicker puts its energy
+        ctx.fillStyle = 'rgba(239, 68, 68, 0.08)';
+        ctx.fillRect(toX(nyquist / 2), plot.y, plot.x + plot.width - toX(nyquist / 2), plot.height);
+
+        ctx.font = '10px Inter, sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        ctx.textAlign = 'center';
+        for (let tick = 0; tick <= 4; tick++) {
+            const frequency = nyquist * tick / 4;
+            ctx.fillText(String(Math.round(frequency * 10) / 10), toX(frequency), plot.y + plot.height + 12);
+        }
+        ctx.textAlign = 'right';
+        ctx.fillText('Hz', plot.x + plot.width, plot.y + plot.height + 24);
+
+        this.drawCurve(values.map((value, i) => [toX(frequencies[i + 1]), toY(value)]), 'rgba(6, 182, 212, 0.95)', ctx);
+    }
+
+    /**
+     * Draw two spectra side by side and their difference A − B
+     * A and B share one dB range, so a color means the same power in both.
+     * When the sizes differ, B is resampled to A's frequencies before subtracting.
+     * @param {Object} a - { magnitude, width, height, label } centered spectrum in dB
+     * @param {Object} b - The same for the input A is compared with
+     * @returns {Object} { difference, range } with A − B on A's grid and the ± dB its colors span
+     */
+    renderComparison(a, b) {
+        const ctx = this.ctx;
+        const { width, height } = this.fitCanvas(this.canvas, ctx);
+        ctx.fillStyle = '#12121a';
+        ctx.fillRect(0, 0, width, height);
+
+        const reference = b.width === a.width && b.height === a.height
+            ? b.magnitude
+            : this.resampleSpectrum(b, a.width, a.height);
+        const difference = a.magnitude.map((value, i) => value - reference[i]);
+
+        // The difference scale spans the 99th percentile of |A − B|, so a few extreme bins do not flatten the rest
+        const sorted = Float32Array.from(difference, Math.abs).sort();
+        const range = Math.max(sorted[Math.floor((sorted.length - 1) * 0.99)], 1);
+
+        let min = Infinity;
+        let max = -Infinity;
+        for (const values of [a.magnitude, b.magnitude]) {
+            for (const value of values) {
+                if (value < min) min = value;
+                if (value > max) max = value;
+            }
+        }
+        const span = max - min || 1;
+        const spectrumColor = (value) => Utils.applyColormap(this.display.colormap, (value - min) / span);
+        const differenceColor = (value) => Utils.applyColormap('diverging', Math.min(Math.max(0.5 + value / (2 * range), 0), 1));
+
+        const panels = [
+            { title: `A · ${a.label}`, image: this.paintImage(a.magnitude, a.width, a.height, spectrumColor) },
+            { title: `B · ${b.label}`, image: this.paintImage(b.magnitude, b.width, b.height, spectrumColor) },
+            { title: 'A − B (dB)', image: this.paintImage(difference, a.width, a.height, differenceColor) }
+        ];
+
+        // Three square panels, with a title above and a scale below each
+        const gap = 16;
+        const top = 24;
+        const size = Math.max(Math.min((width - gap * 2) / 3, height - top - 24), 0);
+        const left = (width - size * 3 - gap * 2) / 2;
+
+        ctx.imageSmoothingEnabled = true;
+        ctx.imageSmoothingQuality = 'high';
+        ctx.textBaseline = 'alphabetic';
+        panels.forEach((panel, i) => {
+            const x = left + i * (size + gap);
+            ctx.drawImage(panel.image, x, top, size, size);
+
+            ctx.font = '12px Inter, sans-serif';
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+            ctx.textAlign = 'left';
+            let title = panel.title;
+            while (title.length > 8 && ctx.measureText(title).width > size) {
+                title = title.slice(0, -2) + '…';
+            }
+            ctx.fillText(title, x, top - 8);
+        });
+
+        ctx.font = '10px Inter, sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.textAlign = 'left';
+        ctx.fillText(`A and B: ${Math.round(min)} to ${Math.round(max)} dB`, left, top + size + 14);
+        ctx.fillText(`−${range.toFixed(1)} B stronger`, left + 2 * (size + gap), top + size + 14);
+        ctx.textAlign = 'right';
+        ctx.fillText(`A stronger +${range.toFixed(1)}`, left + 3 * size + 2 * gap, top + size + 14);
+
+        return { difference, range };
+    }
+
+    /**
+     * Resample a centered spectrum to another size at the same frequencies
+     * Bin x of a spectrum w bins wide sits at (x − ⌊w/2⌋) / w cycles per pixel; values are interpolated bilinearly.
+     * @param {Object} spectrum - { magnitude, width, height }
+     * @param {number} width - Target width
+     * @param {number} height - Target height
+     * @returns {Float32Array} Resampled magnitude
+     */
+    resampleSpectrum(spectrum, width, height) {
+        const { magnitude } = spectrum;
+        const sourceWidth = spectrum.width;
+        const sourceHeight = spectrum.height;
+        const result = new Float32Array(width * height);
+
+        // Source position and interpolation weight of each target bin along one axis
+        const positions = (size, sourceSize) => Array.from({ length: size }, (_, i) => {
+            const source = (i - Math.floor(size / 2)) / size * sourceSize + Math.floor(sourceSize / 2);
+            const clamped = Math.min(Math.max(source, 0), sourceSize - 1);
+            const low = Math.floor(clamped);
+            return { low, high: Math.min(low + 1, sourceSize - 1), weight: clamped - low };
+        });
+        const columns = positions(width, sourceWidth);
+        const rows = positions(height, sourceHeight);
+
+        for (let y = 0; y < height; y++) {
+            const row = rows[y];
+            for (let x = 0; x < width; x++) {
+                const column = columns[x];
+                const top = magnitude[row.low * sourceWidth + column.low] * (1 - column.weight) +
+                    magnitude[row.low * sourceWidth + column.high] * column.weight;
+                const bottom = magnitude[row.high * sourceWidth + column.low] * (1 - column.weight) +
+                    magnitude[row.high * sourceWidth + column.high] * column.weight;
+                result[y * width + x] = top * (1 - row.weight) + bottom * row.weight;
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Overlay the radial and angular profiles of two inputs
+     * @param {Object} a - { profile, label } with profile { radial, angular, features }; drawn in purple
+     * @param {Object} b - The same for the input A is compared with; drawn in cyan
+     */
+    renderProfileComparison(a, b) {
+        if (!this.profileCanvas) return;
+
+        const { width, height } = this.setupProfileCanvas();
+        this.profileCtx.fillStyle = '#12121a';
+        this.profileCtx.fillRect(0, 0, width, height);
+
+        const series = [
+            { ...a, color: 'rgba(168, 85, 247, 0.95)' },
+            { ...b, color: 'rgba(6, 182, 212, 0.95)' }
+        ];
+        const split = Math.round(height * 0.58);
+        this.drawRadialComparison(series, { x: 0, y: 0, width, height: split });
+        this.drawAngularComparison(series, { x: 0, y: split, width, height: height - split });
+    }
+
+    /**
+     * Radial power of several inputs against one log frequency axis
+     * @param {Array<Object>} series - { profile, label, color } per input
+     * @param {Object} box - Panel area { x, y, width, height }
+     */
+    drawRadialComparison(series, box) {
+        const plot = this.drawPanel(box, 'Radial power (dB)',
+            `Tail slope ${series.map(entry => `${entry.label} ${entry.profile.features.tailSlope.toFixed(1)}`).join(' · ')} dB/dec`);
+
+        // Inputs of different sizes reach different lowest frequencies; the axis covers the lowest
+        const sizes = series.map(entry => (entry.profile.radial.length - 1) * 2);
+        const largest = Math.max(...sizes);
+        const minLog = Math.log10(1 / largest);
+        const maxLog = Math.log10(0.5);
+        const toX = (frequency) => plot.x + (Math.log10(frequency) - minLog) / (maxLog - minLog) * plot.width;
+
+        const curves = series.map(entry => Array.from(entry.profile.radial.subarray(1)));
+        const range = this.paddedRange(curves.flat());
+        const toY = (value) => plot.y + plot.height - (value - range.min) / (range.max - range.min) * plot.height;
+
+        this.profileCtx.font = '10px Inter, sans-serif';
+        this.profileCtx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        this.profileCtx.textAlign = 'center';
+        for (const frequency of [0.01, 0.1, 0.5]) {
+            if (frequency < 1 / largest) continue;
+            this.profileCtx.fillText(String(frequency), toX(frequency), plot.y + plot.height + 12);
+        }
+        this.profileCtx.textAlign = 'right';
+        this.profileCtx.fillText('cyc/px', plot.x + plot.width, plot.y + plot.height + 24);
+
+        series.forEach((entry, i) => {
+            this.drawCurve(curves[i].map((value, j) => [toX((j + 1) / sizes[i]), toY(value)]), entry.color);
+        });
+        this.drawLegend(series, plot);
+    }
+
+    /**
+     * Angular power of several inputs over orientation
+     * @param {Array<Object>} series - { profile, label, color } per input
+     * @param {Object} box - Panel area { x, y, width, height }
+     */
+    drawAngularComparison(series, box) {
+        const plot = this.drawPanel(box, 'Angular power (dB)',
+            `Peak over median ${series.map(entry => `${entry.label} +${entry.profile.features.angularPeak.toFixed(1)}`).join(' · ')} dB`);
+
+        const curves = series.map(entry => Array.from(entry.profile.angular));
+        const range = this.paddedRange(curves.flat());
+        const toY = (value) => plot.y + plot.height - (value - range.min) / (range.max - range.min) * plot.height;
+
+        this.profileCtx.font = '10px Inter, sans-serif';
+        this.profileCtx.fillStyle = 'rgba(255, 255, 255, 0.4)';
+        this.profileCtx.textAlign = 'center';
+        for (const degrees of [0, 45, 90, 135, 180]) {
+            this.profileCtx.fillText(`${degrees}°`, plot.x + degrees / 180 * plot.width, plot.y + plot.height + 12);
+        }
+
+        series.forEach((entry, i) => {
+            const binWidth = plot.width / curves[i].length;
+            this.drawCurve(curves[i].map((value, j) => [plot.x + (j + 0.5) * binWidth, toY(value)]), entry.color);
+        });
+        this.drawLegend(series, plot);
+    }
+
+    /**
+     * Name each curve in its color at the top right of a plot
+     * @param {Array<Object>} series - { label, color } per curve
+     * @param {Object} plot - Plot area { x, y, width, height }
+     */
+    drawLegend(series, plot) {
+        this.profileCtx.font = '11px Inter, sans-serif';
+        this.profileCtx.textAlign = 'right';
+        series.forEach((entry, i) => {
+            this.profileCtx.fillStyle = entry.color;
+            this.profileCtx.fillText(`━ ${entry.label}`, plot.x + plot.width - 6, plot.y + 14 + i * 14);
+        });
+    }
+
+    /**
+     * Draw a panel title and caption and return the plot area inside it
+     * @param {Object} box - Panel area { x, y, width, height }
+     * @param {string} title - Panel title
+     * @param {string} caption - Feature readout under the title
+     * @param {CanvasRenderingContext2D} ctx - Context to draw on
+     * @returns {Object} Plot area { x, y, width, height }
+     */
+    drawPanel(box, title, caption, ctx = this.profileCtx) {
+        const plot = {
+            x: box.x + 12,
+            y: box.y + 40,
+            width: box.width - 24,
+            height: box.height - 70
+        };
+
+        ctx.textAlign = 'left';
+        ctx.font = '12px Inter, sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.fillText(title, box.x + 12, box.y + 16);
+        ctx.font = '11px Inter, sans-serif';
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+        ctx.fillText(caption, box.x + 12, box.y + 31);
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(plot.x, plot.y, plot.width, plot.height);
+
+        return plot;
+    }
+
+    /**
+     * Stroke a polyline on a plot canvas
+     * @param {Array} points - [x, y] pairs
+     * @param {string} color - Stroke color
+     * @param {CanvasRenderingContext2D} ctx - Context to draw on
+     */
+    drawCurve(points, color, ctx = this.profileCtx) {
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        points.forEach(([x, y], i) => {
+            if (i === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        });
+        ctx.stroke();
+    }
+
+    /**
+     * Value range with a little headroom, never empty
+     * @param {Array<number>} values - Plotted values
+     * @returns {Object} { min, max }
+     */
+    paddedRange(values) {
+        let min = Infinity;
+        let max = -Infinity;
+        for (const value of values) {
+            if (value < min) min = value;
+            if (value > max) max = value;
+        }
+
+        const padding = Math.max((max - min) * 0.08, 1);
+        return { min: min - padding, max: max + padding };
+    }
+
     /**
      * Show placeholder when no data
      */
     showPlaceholder() {
         const size = this.canvas.width / (window.devicePixelRatio || 1);
 
+        this.spectrum = null;
+        this.image = null;
+        this.channel = 'luma';
+        this.updateChannelOptions();
+        if (this.readout) {
+            this.readout.classList.add('hidden');
+        }
+
         this.ctx.fillStyle = '#12121a';
         this.ctx.fillRect(0, 0, size, size);
 
@@ -139,6 +1081,21 @@ class FFTVisualizer {
         this.ctx.textBaseline = 'middle';
         this.ctx.fillText('Upload and analyze a video', size / 2, size / 2 - 10);
         this.ctx.fillText('to see FFT spectrum', size / 2, size / 2 + 10);
+
+        if (this.profileCanvas) {
+            const { width, height } = this.setupProfileCanvas();
+
+            this.profileCtx.fillStyle = '#12121a';
+            this.profileCtx.fillRect(0, 0, width, height);
+            this.profileCtx.font = '13px Inter, sans-serif';
+            this.profileCtx.fillStyle = 'rgba(255, 255, 255, 0.3)';
+            this.profileCtx.textAlign = 'center';
+            this.profileCtx.textBaseline = 'middle';
+            this.profileCtx.fillText('Radial and angular profiles', width / 2, height / 2);
+            this.profileCtx.textBaseline = 'alphabetic';
+        }
+
+        this.renderTemporal(null);
     }
 
     /**